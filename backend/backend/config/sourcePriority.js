@@ -0,0 +1,33 @@
+// Source priority rules: which source's value a scheme shows when several sources report a field.
+// Earlier in a list wins; sources missing from a list rank after every listed one.
+// Between observations of equal rank the most recently observed value wins.
+// Edits apply to a scheme the next time it is written or merged.
+
+// Moderator edits and official imports first, then the MyScheme portal, then the secondary portals
+export const DEFAULT_SOURCE_PRIORITY = [
+  'manual',
+  'import',
+  'api',
+  'individual_page',
+  'bulk-api',
+  'simple-bulk-api',
+  'simple-bulk-search',
+  'aggressive-api',
+  'smart-pagination',
+  'direct-pagination',
+  'dbt-bharat',
+  'india-gov',
+  'mygov',
+  'digital-india',
+  'dom',
+  'extracted',
+  'sample'
+];
+
+// Fields where another order fits better than the default
+export const FIELD_SOURCE_PRIORITY = {
+  // The national portal links the ministry's own site rather than a portal page
+  officialWebsite: ['manual', 'india-gov', 'import', 'api', 'bulk-api', 'dbt-bharat'],
+  // DBT Bharat lists the department that actually transfers the benefit
+  department: ['manual', 'dbt-bharat', 'import', 'api', 'bulk-api']
+};
@@ -0,0 +1,23 @@
+// World Bank sync settings. Each can be overridden in .env; read on every sync so that a restart is enough.
+
+function envYear(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) ? value : fallback;
+}
+
+export function getWorldBankSyncConfig() {
+  return {
+    // Years kept in sync on a regular refresh
+    startYear: envYear('WORLD_BANK_START_YEAR', 2000),
+    endYear: envYear('WORLD_BANK_END_YEAR', new Date().getFullYear()),
+
+    // First year fetched when an indicator is backfilled
+    historyStartYear: envYear('WORLD_BANK_HISTORY_START_YEAR', 1960),
+
+    // Years before the latest stored one that are fetched again to pick up revisions
+    revisionWindowYears: envYear('WORLD_BANK_REVISION_WINDOW_YEARS', 5),
+
+    // An indicator whose source metadata has not been checked for this long is due for a refresh
+    checkIntervalHours: envYear('WORLD_BANK_CHECK_INTERVAL_HOURS', 24)
+  };
+}
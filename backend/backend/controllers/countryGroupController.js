@@ -0,0 +1,121 @@
+import countryGroupService from '../services/countryGroupService.js';
+
+/**
+ * Country Group Controller
+ * Saved country lists for the World Bank API: system groups and the caller's own
+ */
+
+/**
+ * System groups and, with a token, the caller's own
+ * GET /api/worldbank/groups
+ */
+export const getCountryGroups = async (req, res) => {
+  try {
+    const groups = await countryGroupService.list(req.user);
+
+    res.json({
+      success: true,
+      data: groups,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching country groups:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch country groups',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * A group by id or system key
+ * GET /api/worldbank/groups/:id
+ */
+export const getCountryGroup = async (req, res) => {
+  try {
+    const group = await countryGroupService.get(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: group,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching country group:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to fetch country group',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Save a group for the caller; admins can add system groups
+ * POST /api/worldbank/groups
+ * Body: { name, description, countries: ['IN', 'BD'] } (admins: system: true, key)
+ */
+export const createCountryGroup = async (req, res) => {
+  try {
+    const group = await countryGroupService.create(req.body || {}, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: group,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error creating country group:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to create country group',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Rename a group or change its countries
+ * PUT /api/worldbank/groups/:id
+ */
+export const updateCountryGroup = async (req, res) => {
+  try {
+    const group = await countryGroupService.update(req.params.id, req.body || {}, req.user);
+
+    res.json({
+      success: true,
+      data: group,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error updating country group:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to update country group',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/worldbank/groups/:id
+ */
+export const deleteCountryGroup = async (req, res) => {
+  try {
+    const group = await countryGroupService.remove(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: `Country group ${group.name} deleted`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error deleting country group:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to delete country group',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,282 @@
+import mongoose from 'mongoose';
+import Scheme from '../models/Scheme.js';
+import {
+  GENDERS,
+  CASTE_CATEGORIES,
+  RESIDENCE_TYPES,
+  extractEligibilityRules,
+  evaluateEligibility
+} from '../utils/eligibilityRules.js';
+
+/**
+ * Eligibility Controller
+ * Structured eligibility rules per scheme and matching of citizen profiles against them
+ */
+
+// Validate the citizen profile sent to the eligibility check, returning a list of problems
+function validateProfile(profile) {
+  if (profile === null || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['profile must be an object'];
+  }
+
+  const errors = [];
+
+  if (profile.age !== undefined && (isNaN(Number(profile.age)) || Number(profile.age) < 0)) {
+    errors.push('age must be a non-negative number');
+  }
+  if (profile.annualIncome !== undefined && (isNaN(Number(profile.annualIncome)) || Number(profile.annualIncome) < 0)) {
+    errors.push('annualIncome must be a non-negative number');
+  }
+  if (profile.gender && !GENDERS.includes(String(profile.gender).toLowerCase())) {
+    errors.push(`gender must be one of: ${GENDERS.join(', ')}`);
+  }
+  if (profile.casteCategory && !CASTE_CATEGORIES.includes(String(profile.casteCategory).toLowerCase())) {
+    errors.push(`casteCategory must be one of: ${CASTE_CATEGORIES.join(', ')}`);
+  }
+  if (profile.residence && !RESIDENCE_TYPES.includes(String(profile.residence).toLowerCase())) {
+    errors.push(`residence must be one of: ${RESIDENCE_TYPES.join(', ')}`);
+  }
+  if (profile.disability !== undefined && typeof profile.disability !== 'boolean') {
+    errors.push('disability must be true or false');
+  }
+
+  return errors;
+}
+
+/**
+ * Match a citizen profile against all schemes with eligibility rules
+ * POST /api/schemes/eligibility-check
+ * Body: {
+ *   profile: { age, annualIncome, gender, casteCategory, occupation, state, residence, disability },
+ *   confirmedOnly: false, includeIneligible: false, limit: 50
+ * }
+ */
+export const checkEligibility = async (req, res) => {
+  try {
+    const { profile = {}, confirmedOnly = false, includeIneligible = false, limit = 50 } = req.body || {};
+
+    const errors = validateProfile(profile);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid profile',
+        details: errors
+      });
+    }
+
+    const query = {
+      canonicalScheme: null,
+      isActive: { $ne: false },
+      eligibilityRules: { $exists: true }
+    };
+    if (confirmedOnly) {
+      query['eligibilityRules.status'] = 'confirmed';
+    }
+
+    const schemes = await Scheme.find(query)
+      .select('name ministry sector description level beneficiaryState sourceUrl officialWebsite eligibility eligibilityRules')
+      .lean();
+
+    const eligible = [];
+    const notEligible = [];
+
+    for (const scheme of schemes) {
+      const result = evaluateEligibility(scheme.eligibilityRules, profile);
+      const entry = {
+        scheme: {
+          _id: scheme._id,
+          name: scheme.name,
+          ministry: scheme.ministry,
+          sector: scheme.sector,
+          level: scheme.level,
+          beneficiaryState: scheme.beneficiaryState,
+          officialWebsite: scheme.officialWebsite || scheme.sourceUrl,
+          eligibilityText: scheme.eligibility
+        },
+        rulesStatus: scheme.eligibilityRules.status,
+        ...result
+      };
+
+      (result.eligible ? eligible : notEligible).push(entry);
+    }
+
+    // Schemes whose rules the profile positively satisfies come before ones that merely have no restrictions
+    eligible.sort((a, b) => b.matched.length - a.matched.length || a.unverified.length - b.unverified.length);
+    notEligible.sort((a, b) => a.unmet.length - b.unmet.length || b.matched.length - a.matched.length);
+
+    const maxResults = Math.min(parseInt(limit) || 50, 500);
+
+    res.json({
+      success: true,
+      profile,
+      totalChecked: schemes.length,
+      eligibleCount: eligible.length,
+      data: eligible.slice(0, maxResults),
+      ...(includeIneligible && { notEligible: notEligible.slice(0, maxResults) }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Eligibility check failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Eligibility check failed',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Pre-fill eligibility rules from the free text of every scheme that has no confirmed rules
+ * POST /api/schemes/eligibility-rules/extract
+ */
+export const extractRules = async (req, res) => {
+  try {
+    console.log('🧾 Extracting eligibility rules from scheme text...');
+
+    const schemes = await Scheme.find({
+      canonicalScheme: null,
+      'eligibilityRules.status': { $ne: 'confirmed' }
+    })
+      .select('name eligibility targetAudience beneficiaryState')
+      .lean();
+
+    let extractedCount = 0;
+    let errorCount = 0;
+
+    for (const scheme of schemes) {
+      try {
+        await Scheme.updateOne(
+          { _id: scheme._id },
+          { eligibilityRules: extractEligibilityRules(scheme) },
+          { runValidators: true }
+        );
+        extractedCount++;
+      } catch (schemeError) {
+        console.error(`❌ Error extracting rules for "${scheme.name}":`, schemeError.message);
+        errorCount++;
+      }
+    }
+
+    console.log(`✅ Eligibility rules extracted for ${extractedCount} schemes`);
+
+    res.json({
+      success: true,
+      message: 'Eligibility rules extracted - confirm them before relying on them',
+      extracted: extractedCount,
+      errors: errorCount,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Eligibility rule extraction failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Eligibility rule extraction failed',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a scheme's eligibility rules next to its free text, with an extraction preview when none exist
+ * GET /api/schemes/:id/eligibility-rules
+ */
+export const getRules = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid scheme ID' });
+    }
+
+    const scheme = await Scheme.findById(id)
+      .select('name eligibility targetAudience beneficiaryState eligibilityRules')
+      .lean();
+    if (!scheme) {
+      return res.status(404).json({ success: false, error: 'Scheme not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        scheme: { _id: scheme._id, name: scheme.name },
+        eligibilityText: scheme.eligibility,
+        targetAudience: scheme.targetAudience,
+        rules: scheme.eligibilityRules || null,
+        suggestedRules: scheme.eligibilityRules ? null : extractEligibilityRules(scheme)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching eligibility rules:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch eligibility rules',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Edit and confirm a scheme's eligibility rules
+ * PUT /api/schemes/:id/eligibility-rules
+ * Body: { ageMin, ageMax, incomeMax, genders, casteCategories, occupations, states, residence, disabilityRequired }
+ */
+export const confirmRules = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid scheme ID' });
+    }
+
+    const allowedFields = [
+      'ageMin', 'ageMax', 'incomeMax', 'genders', 'casteCategories',
+      'occupations', 'states', 'residence', 'disabilityRequired'
+    ];
+    const rules = {};
+    for (const field of allowedFields) {
+      if (req.body[field] !== undefined) rules[field] = req.body[field];
+    }
+
+    if (rules.ageMin != null && rules.ageMax != null && Number(rules.ageMin) > Number(rules.ageMax)) {
+      return res.status(400).json({ success: false, error: 'ageMin cannot be greater than ageMax' });
+    }
+
+    const scheme = await Scheme.findByIdAndUpdate(
+      id,
+      {
+        eligibilityRules: {
+          ...rules,
+          status: 'confirmed',
+          confirmedBy: req.user._id,
+          confirmedAt: new Date()
+        }
+      },
+      { new: true, runValidators: true }
+    ).select('name eligibilityRules');
+
+    if (!scheme) {
+      return res.status(404).json({ success: false, error: 'Scheme not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Eligibility rules confirmed',
+      data: scheme,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid eligibility rules',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error confirming eligibility rules:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm eligibility rules',
+      message: error.message
+    });
+  }
+};
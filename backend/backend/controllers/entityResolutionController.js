@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import SchemeMergeCandidate from '../models/SchemeMergeCandidate.js';
+import EntityResolutionService from '../services/entityResolutionService.js';
+
+const entityResolutionService = new EntityResolutionService();
+
+/**
+ * Scheme Entity Resolution Controller
+ * Exposes canonical scheme entities and the moderator merge-review queue
+ */
+
+/**
+ * Get a canonical scheme with its per-source child records
+ * GET /api/schemes/entities/:id
+ */
+export const getSchemeEntity = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid scheme ID' });
+    }
+
+    const entity = await entityResolutionService.getEntity(id);
+    if (!entity) {
+      return res.status(404).json({ success: false, error: 'Scheme not found' });
+    }
+
+    res.json({
+      success: true,
+      data: entity,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching scheme entity:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheme entity',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Run entity resolution over all schemes
+ * POST /api/schemes/entity-resolution/run
+ */
+export const runEntityResolution = async (req, res) => {
+  try {
+    const stats = await entityResolutionService.resolveAll();
+
+    res.json({
+      success: true,
+      message: 'Entity resolution completed',
+      stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Entity resolution failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Entity resolution failed',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * List merge candidates waiting for (or past) moderator review
+ * GET /api/schemes/merge-review?status=pending&page=1&limit=20
+ */
+export const getMergeCandidates = async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const query = status === 'all' ? {} : { status };
+
+    const candidates = await SchemeMergeCandidate.find(query)
+      .populate('schemeA', 'name ministry description source sourceUrl schemeId beneficiaryState canonicalScheme')
+      .populate('schemeB', 'name ministry description source sourceUrl schemeId beneficiaryState canonicalScheme')
+      .populate('reviewedBy', 'username')
+      .sort({ score: -1, createdAt: 1 })
+      .limit(parseInt(limit))
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await SchemeMergeCandidate.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: candidates,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching merge candidates:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch merge candidates',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Approve or reject a merge candidate
+ * POST /api/schemes/merge-review/:id/approve
+ * POST /api/schemes/merge-review/:id/reject
+ * Body: { note: 'optional reviewer note' }
+ */
+const reviewMergeCandidate = (decision) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid merge candidate ID' });
+    }
+
+    const note = req.body?.note;
+    const result = decision === 'approve'
+      ? await entityResolutionService.approveCandidate(id, req.user, note)
+      : await entityResolutionService.rejectCandidate(id, req.user, note);
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Merge candidate not found' });
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Schemes merged' : 'Merge rejected',
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`❌ Error trying to ${decision} merge candidate:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: `Failed to ${decision} merge candidate`,
+      message: error.message
+    });
+  }
+};
+
+export const approveMergeCandidate = reviewMergeCandidate('approve');
+export const rejectMergeCandidate = reviewMergeCandidate('reject');
@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import ScrapeJob, { SCRAPE_JOB_STATES } from '../models/ScrapeJob.js';
+import scrapeJobQueue from '../services/scrapeJobQueue.js';
+
+/**
+ * Job Controller
+ * Status, cancellation and resumption of queued scrape jobs
+ */
+
+function invalidIdResponse(res) {
+  return res.status(400).json({ success: false, error: 'Invalid job ID' });
+}
+
+/**
+ * List scrape jobs, newest first (without their logs)
+ * GET /api/jobs?state=running&source=bulk-api&page=1&limit=20
+ */
+export const getJobs = async (req, res) => {
+  try {
+    const { state, source, page = 1, limit = 20 } = req.query;
+
+    if (state && !SCRAPE_JOB_STATES.includes(state)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job state',
+        message: `Use one of: ${SCRAPE_JOB_STATES.join(', ')}`
+      });
+    }
+
+    const filter = {};
+    if (state) filter.state = state;
+    if (source) filter.source = source;
+
+    const jobs = await ScrapeJob.find(filter)
+      .select('-logs')
+      .populate('requestedBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await ScrapeJob.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: jobs,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching scrape jobs:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scrape jobs',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * A scrape job with its progress, checkpoint, counts and logs
+ * GET /api/jobs/:id
+ */
+export const getJobById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const job = await ScrapeJob.findById(id).populate('requestedBy', 'username').lean();
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Scrape job not found' });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching scrape job:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scrape job',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a queued job, or stop a running one before its next target
+ * POST /api/jobs/:id/cancel
+ */
+export const cancelJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidIdResponse(res);
+    }
+
+    const job = await scrapeJobQueue.cancel(req.params.id, { user: req.user });
+
+    res.json({
+      success: true,
+      message: job.state === 'cancelled' ? 'Job cancelled' : 'Cancellation requested - the job stops after its current target',
+      data: { jobId: job._id, state: job.state, checkpoint: job.checkpoint },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error cancelling scrape job:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to cancel scrape job',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Requeue a failed or cancelled job; it continues from its last checkpoint
+ * POST /api/jobs/:id/resume
+ */
+export const resumeJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidIdResponse(res);
+    }
+
+    const job = await scrapeJobQueue.resume(req.params.id, { user: req.user });
+
+    res.json({
+      success: true,
+      message: `Job queued, resuming at target ${job.checkpoint.nextTargetIndex + 1}`,
+      data: { jobId: job._id, state: job.state, checkpoint: job.checkpoint },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error resuming scrape job:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to resume scrape job',
+      message: error.message
+    });
+  }
+};
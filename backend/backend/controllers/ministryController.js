@@ -0,0 +1,243 @@
+import mongoose from 'mongoose';
+import Ministry, { ORGANISATION_KINDS } from '../models/Ministry.js';
+import Scheme from '../models/Scheme.js';
+import ministryRegistry, { normalizeOrgName } from '../services/ministryRegistry.js';
+
+/**
+ * Ministry Controller
+ * Canonical ministry and department registry with scheme counts
+ */
+
+const EDITABLE_FIELDS = ['name', 'shortName', 'kind', 'parent', 'aliases', 'level', 'state', 'isActive'];
+
+// Scheme counts per registry entry, counting canonical schemes only
+async function countSchemesBy(refField) {
+  const counts = await Scheme.aggregate([
+    { $match: { canonicalScheme: null, [refField]: { $ne: null } } },
+    { $group: { _id: `$${refField}`, count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+}
+
+function matchesSearch(entry, search) {
+  const query = normalizeOrgName(search);
+  return [entry.name, entry.shortName, ...(entry.aliases || [])]
+    .filter(Boolean)
+    .some(name => normalizeOrgName(name).includes(query));
+}
+
+function pickEditableFields(body) {
+  const updates = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (field in body) updates[field] = body[field];
+  }
+  return updates;
+}
+
+// Mongoose validation and duplicate-name failures are the caller's fault
+function writeErrorStatus(error) {
+  if (error.code === 11000) return 409;
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) return 400;
+  return 500;
+}
+
+/**
+ * List ministries and independent bodies with their departments and scheme counts
+ * GET /api/ministries?withSchemes=true&search=health
+ */
+export const getMinistries = async (req, res) => {
+  try {
+    const { withSchemes, search } = req.query;
+
+    // Loading the registry seeds an empty collection
+    await ministryRegistry.load();
+
+    const [entries, ministryCounts, departmentCounts] = await Promise.all([
+      Ministry.find({ isActive: true }).select('name shortName kind parent aliases level state').sort({ name: 1 }).lean(),
+      countSchemesBy('ministryRef'),
+      countSchemesBy('departmentRef')
+    ]);
+
+    const departmentsByParent = new Map();
+    for (const entry of entries.filter(entry => entry.parent)) {
+      const key = String(entry.parent);
+      if (!departmentsByParent.has(key)) departmentsByParent.set(key, []);
+      departmentsByParent.get(key).push({
+        _id: entry._id,
+        name: entry.name,
+        shortName: entry.shortName,
+        schemeCount: departmentCounts.get(String(entry._id)) || 0
+      });
+    }
+
+    let ministries = entries
+      .filter(entry => !entry.parent)
+      .map(entry => ({
+        ...entry,
+        schemeCount: ministryCounts.get(String(entry._id)) || 0,
+        departments: departmentsByParent.get(String(entry._id)) || []
+      }));
+
+    if (search) {
+      ministries = ministries.filter(ministry =>
+        matchesSearch(ministry, search) || ministry.departments.some(department => matchesSearch(department, search))
+      );
+    }
+    if (withSchemes === 'true') {
+      ministries = ministries.filter(ministry => ministry.schemeCount > 0);
+    }
+
+    res.json({
+      success: true,
+      data: ministries,
+      count: ministries.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching ministries:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ministries',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Raw ministry values on schemes that did not match the registry, most frequent first
+ * GET /api/ministries/unmatched?limit=50
+ */
+export const getUnmatchedMinistries = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const unmatched = await Scheme.aggregate([
+      { $match: { canonicalScheme: null, ministryRef: null, ministry: { $nin: [null, ''] } } },
+      { $group: { _id: '$ministry', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, ministry: '$_id', count: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: unmatched,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching unmatched ministries:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch unmatched ministries',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * A single registry entry with its parent, departments and scheme count
+ * GET /api/ministries/:id
+ */
+export const getMinistryById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid ministry ID' });
+    }
+
+    const ministry = await Ministry.findById(id).populate('parent', 'name shortName').lean();
+    if (!ministry) {
+      return res.status(404).json({ success: false, error: 'Ministry not found' });
+    }
+
+    const refField = ministry.parent ? 'departmentRef' : 'ministryRef';
+    const [departments, schemeCount] = await Promise.all([
+      Ministry.find({ parent: ministry._id, isActive: true }).select('name shortName aliases').sort({ name: 1 }).lean(),
+      Scheme.countDocuments({ canonicalScheme: null, [refField]: ministry._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...ministry, departments, schemeCount },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching ministry:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ministry',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Add a ministry, department or independent body to the registry
+ * POST /api/ministries
+ * Body: { name, shortName, kind, parent, aliases, level, state }
+ */
+export const createMinistry = async (req, res) => {
+  try {
+    const data = pickEditableFields(req.body || {});
+    if (data.kind && !ORGANISATION_KINDS.includes(data.kind)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid kind',
+        message: `kind must be one of: ${ORGANISATION_KINDS.join(', ')}`
+      });
+    }
+
+    const ministry = await Ministry.create(data);
+    ministryRegistry.invalidate();
+
+    res.status(201).json({
+      success: true,
+      data: ministry,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error creating ministry:', error.message);
+    res.status(writeErrorStatus(error)).json({
+      success: false,
+      error: 'Failed to create ministry',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Edit a registry entry, e.g. to add an alias seen in scraped data
+ * PUT /api/ministries/:id
+ */
+export const updateMinistry = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid ministry ID' });
+    }
+
+    const updates = pickEditableFields(req.body || {});
+    if (updates.parent && String(updates.parent) === id) {
+      return res.status(400).json({ success: false, error: 'A ministry cannot be its own parent' });
+    }
+
+    const ministry = await Ministry.findByIdAndUpdate(id, updates, { new: true, runValidators: true });
+    if (!ministry) {
+      return res.status(404).json({ success: false, error: 'Ministry not found' });
+    }
+    ministryRegistry.invalidate();
+
+    res.json({
+      success: true,
+      data: ministry,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error updating ministry:', error.message);
+    res.status(writeErrorStatus(error)).json({
+      success: false,
+      error: 'Failed to update ministry',
+      message: error.message
+    });
+  }
+};
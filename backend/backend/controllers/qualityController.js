@@ -0,0 +1,105 @@
+import schemeQualityService from '../services/schemeQualityService.js';
+import { QUALITY_BANDS } from '../utils/schemeQuality.js';
+
+/**
+ * Quality Controller
+ * Data quality scores of canonical schemes
+ */
+
+/**
+ * Score distribution, average components and most common issues
+ * GET /api/quality/summary
+ */
+export const getQualitySummary = async (req, res) => {
+  try {
+    const summary = await schemeQualityService.getSummary();
+
+    res.json({
+      success: true,
+      data: summary,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching quality summary:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quality summary',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Scored schemes, worst first
+ * GET /api/quality/schemes?below=50&band=poor&page=1&limit=20
+ */
+export const getQualitySchemes = async (req, res) => {
+  try {
+    const { below, band, page = 1, limit = 20 } = req.query;
+    const bands = QUALITY_BANDS.map(({ band: name }) => name);
+
+    if (below !== undefined && (below === '' || Number.isNaN(Number(below)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid below',
+        message: 'below must be a score between 0 and 100'
+      });
+    }
+    if (band && !bands.includes(band)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid band',
+        message: `Use one of: ${bands.join(', ')}`
+      });
+    }
+
+    const { schemes, total } = await schemeQualityService.getSchemes({
+      below: below !== undefined ? Number(below) : undefined,
+      band,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: schemes,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching schemes by quality:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schemes by quality',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Re-score one scheme now, e.g. after a moderator fixed it
+ * POST /api/quality/schemes/:id/rescore
+ */
+export const rescoreScheme = async (req, res) => {
+  try {
+    const result = await schemeQualityService.scoreScheme(req.params.id);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error scoring scheme:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to score scheme',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import Schedule, { SCHEDULE_JOB_TYPES } from '../models/Schedule.js';
+import schedulerService from '../services/schedulerService.js';
+import { validateJobParams } from '../services/scheduledJobs.js';
+
+/**
+ * Schedule Controller
+ * Admin management of the background jobs run by the scheduler
+ */
+
+const EDITABLE_FIELDS = ['name', 'description', 'jobType', 'cronExpression', 'timezone', 'params', 'enabled'];
+
+function pickEditableFields(body) {
+  const updates = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (field in body) updates[field] = body[field];
+  }
+  return updates;
+}
+
+// Mongoose validation and duplicate-name failures are the caller's fault
+function writeErrorStatus(error) {
+  if (error.code === 11000) return 409;
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) return 400;
+  return 500;
+}
+
+function invalidIdResponse(res) {
+  return res.status(400).json({ success: false, error: 'Invalid schedule ID' });
+}
+
+// Job type and params problems, checked before a schedule is saved
+function scheduleProblems(schedule) {
+  if (!SCHEDULE_JOB_TYPES.includes(schedule.jobType)) {
+    return [`jobType must be one of: ${SCHEDULE_JOB_TYPES.join(', ')}`];
+  }
+  if (schedule.params !== undefined && (typeof schedule.params !== 'object' || Array.isArray(schedule.params))) {
+    return ['params must be an object'];
+  }
+  return validateJobParams(schedule.jobType, schedule.params || {});
+}
+
+function invalidScheduleResponse(res, problems) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid schedule',
+    message: problems.join('; ')
+  });
+}
+
+/**
+ * List schedules with their last and next run
+ * GET /api/schedules
+ */
+export const getSchedules = async (req, res) => {
+  try {
+    const schedules = await Schedule.find()
+      .populate('createdBy updatedBy', 'username')
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: schedules,
+      jobTypes: SCHEDULE_JOB_TYPES,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching schedules:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedules',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * A schedule with the result of its last run
+ * GET /api/schedules/:id
+ */
+export const getScheduleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const schedule = await Schedule.findById(id).populate('createdBy updatedBy', 'username').lean();
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    res.json({
+      success: true,
+      data: schedule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching schedule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Add a schedule; it starts running straight away when enabled
+ * POST /api/schedules
+ * Body: { name, description, jobType, cronExpression, timezone, params, enabled }
+ */
+export const createSchedule = async (req, res) => {
+  try {
+    const data = pickEditableFields(req.body || {});
+    const problems = scheduleProblems(data);
+    if (problems.length > 0) {
+      return invalidScheduleResponse(res, problems);
+    }
+
+    const schedule = await Schedule.create({ ...data, createdBy: req.user._id, updatedBy: req.user._id });
+    await schedulerService.reload(schedule._id);
+    console.log(`🕐 Schedule "${schedule.name}" created by ${req.user?.username || 'system'}`);
+
+    res.status(201).json({
+      success: true,
+      data: await Schedule.findById(schedule._id).lean(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error creating schedule:', error.message);
+    res.status(writeErrorStatus(error)).json({
+      success: false,
+      error: 'Failed to create schedule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Edit a schedule, e.g. change its cron expression or disable it
+ * PUT /api/schedules/:id
+ */
+export const updateSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const schedule = await Schedule.findById(id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    schedule.set(pickEditableFields(req.body || {}));
+    const problems = scheduleProblems(schedule);
+    if (problems.length > 0) {
+      return invalidScheduleResponse(res, problems);
+    }
+
+    schedule.updatedBy = req.user._id;
+    await schedule.save();
+    await schedulerService.reload(schedule._id);
+    console.log(`🕐 Schedule "${schedule.name}" updated by ${req.user?.username || 'system'}`);
+
+    res.json({
+      success: true,
+      data: await Schedule.findById(schedule._id).lean(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error updating schedule:', error.message);
+    res.status(writeErrorStatus(error)).json({
+      success: false,
+      error: 'Failed to update schedule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Remove a schedule; a run already in progress finishes
+ * DELETE /api/schedules/:id
+ */
+export const deleteSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const schedule = await Schedule.findByIdAndDelete(id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    schedulerService.unregister(id);
+    console.log(`🗑️ Schedule "${schedule.name}" deleted by ${req.user?.username || 'system'}`);
+
+    res.json({
+      success: true,
+      message: `Schedule "${schedule.name}" deleted`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error deleting schedule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete schedule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Start a schedule's job now, whether or not it is enabled; the job runs in the background
+ * Poll GET /api/schedules/:id until its lastRunId is the returned runId
+ * Returns 409 when a run of the schedule is already in progress
+ * POST /api/schedules/:id/run
+ */
+export const runSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return invalidIdResponse(res);
+    }
+
+    if (!await Schedule.exists({ _id: id })) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    console.log(`▶️ Schedule ${id} run manually by ${req.user?.username || 'system'}`);
+    const { schedule, runId } = await schedulerService.trigger(id);
+
+    if (!runId) {
+      return res.status(409).json({
+        success: false,
+        error: 'Schedule is already running',
+        message: `Locked since ${schedule.lock?.lockedAt?.toISOString()}`
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Schedule "${schedule.name}" started`,
+      runId,
+      data: schedule,
+      statusUrl: `/api/schedules/${id}`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error running schedule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run schedule',
+      message: error.message
+    });
+  }
+};
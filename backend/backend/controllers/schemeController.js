@@ -1,16 +1,18 @@
 import axios from 'axios';
-import MyScheme from '../models/schemeModel.js';
+import Scheme from '../models/Scheme.js';
 import { loadSampleData } from '../utils/sampleData.js';
 import MySchemeScraperService from '../services/myschemeScraperService.js';
 import websocketService from '../services/websocketService.js';
+import scrapeRunService from '../services/scrapeRunService.js';
+import schemeEnrichmentWorker from '../services/schemeEnrichmentWorker.js';
 
 // Fetch schemes from database (for frontend)
 export const getMySchemeSchemes = async (req, res) => {
   try {
     const { page = 1, limit = 20, search, ministry, category } = req.query;
     
-    // Build query
-    let query = {};
+    // Build query - only canonical schemes, not their per-source child records
+    let query = { canonicalScheme: null };
     if (search) {
       query.$text = { $search: search };
     }
@@ -18,15 +20,16 @@ export const getMySchemeSchemes = async (req, res) => {
       query.ministry = new RegExp(ministry, 'i');
     }
     if (category) {
-      query.category = new RegExp(category, 'i');
+      query.sector = new RegExp(category, 'i');
     }
 
-    const schemes = await MyScheme.find(query)
+    const schemes = await Scheme.find(query)
+      .select('-provenance')
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort({ createdAt: -1 });
 
-    const total = await MyScheme.countDocuments(query);
+    const total = await Scheme.countDocuments(query);
 
     res.status(200).json({
       schemes,
@@ -43,9 +46,11 @@ export const getMySchemeSchemes = async (req, res) => {
 // Fetch and store schemes using comprehensive scraping
 export const fetchAndStoreSchemes = async (req, res) => {
   const scraper = new MySchemeScraperService();
+  const scrapeRun = `sync-${Date.now()}`;
   
   try {
     console.log('🔄 Starting comprehensive scheme data collection...');
+    await scrapeRunService.start(scrapeRun, { trigger: 'sync', sources: ['api', 'dom'] });
     
     // Notify WebSocket clients that sync started
     websocketService.notifySyncStart();
@@ -103,7 +108,8 @@ export const fetchAndStoreSchemes = async (req, res) => {
     // Final fallback to sample data
     if (schemes.length === 0) {
       console.log('⚠️ All live methods failed, loading sample data...');
-      const sampleResult = await loadSampleData(MyScheme);
+      await scrapeRunService.finish(scrapeRun, { state: 'failed', error: 'No live data available, loaded sample data' });
+      const sampleResult = await loadSampleData(Scheme);
       
       if (res) {
         res.status(200).json({
@@ -123,7 +129,9 @@ export const fetchAndStoreSchemes = async (req, res) => {
     console.log(`📊 Processing ${schemes.length} schemes for database storage...`);
     let savedCount = 0;
     let updatedCount = 0;
+    let unchangedCount = 0;
     let errorCount = 0;
+    const failures = [];
 
     for (const scheme of schemes) {
       try {
@@ -134,46 +142,66 @@ export const fetchAndStoreSchemes = async (req, res) => {
 
         const schemeData = {
           schemeId,
-          schemeName: scheme.scheme_name || scheme.title || scheme.name || 'Unknown Scheme',
-          schemeDescription: scheme.description || scheme.scheme_description || scheme.summary || '',
+          name: scheme.scheme_name || scheme.title || scheme.name || 'Unknown Scheme',
+          description: scheme.description || scheme.scheme_description || scheme.summary || '',
           ministry: scheme.ministry || scheme.sponsoring_ministry || 'Government of India',
           department: scheme.department || scheme.sponsoring_department || '',
-          category: scheme.category || scheme.scheme_category || 'General',
+          sector: scheme.category || scheme.scheme_category || 'General',
           subCategory: scheme.sub_category || scheme.scheme_sub_category || '',
-          beneficiaryType: scheme.beneficiary_type || 'Citizens',
-          eligibility: scheme.eligibility || scheme.eligibility_criteria || '',
-          benefits: scheme.benefits || scheme.scheme_benefits || '',
-          applicationProcess: scheme.application_process || scheme.applicationProcess || '',
-          documentsRequired: Array.isArray(scheme.documents_required) ? 
-                           scheme.documents_required : 
-                           (scheme.documentsRequired ? [scheme.documentsRequired] : []),
+          targetAudience: scheme.beneficiary_type || 'Citizens',
           officialWebsite: scheme.official_website || scheme.officialWebsite || scheme.website || '',
           launchDate: scheme.launch_date ? new Date(scheme.launch_date) : 
                      (scheme.launchDate ? new Date(scheme.launchDate) : null),
-          status: scheme.status || 'Active',
-          dataSource,
-          lastUpdated: new Date()
+          isActive: (scheme.status || 'Active') === 'Active',
+          source: scheme.source === 'dom' ? 'dom' : 'api',
+          scrapedAt: new Date()
         };
 
-        // Upsert logic - update if exists, create if not
-        // Use upsert with proper counting
-        const existingScheme = await MyScheme.findOne({ schemeId: schemeData.schemeId });
+        // Detail fields are only written when the listing has them, so a sync never blanks out what
+        // the enrichment worker read from the detail page
+        const details = {
+          eligibility: scheme.eligibility || scheme.eligibility_criteria,
+          benefits: scheme.benefits || scheme.scheme_benefits,
+          applicationProcess: scheme.application_process || scheme.applicationProcess,
+          documentsRequired: Array.isArray(scheme.documents_required) ?
+                           scheme.documents_required :
+                           (scheme.documentsRequired ? [].concat(scheme.documentsRequired) : [])
+        };
+        for (const [field, value] of Object.entries(details)) {
+          if (value && value.length > 0) schemeData[field] = value;
+        }
+
+        // Upsert logic - update if exists, create if not, recording changed fields
+        const { created, changes } = await Scheme.upsertWithHistory(schemeData, { scrapeRun });
         
-        if (existingScheme) {
-          await MyScheme.updateOne({ schemeId: schemeData.schemeId }, schemeData);
+        if (created) {
+          savedCount++;
+        } else if (changes.length > 0) {
           updatedCount++;
         } else {
-          await MyScheme.create(schemeData);
-          savedCount++;
+          unchangedCount++;
         }
 
       } catch (schemeError) {
         console.error(`❌ Error processing scheme: ${scheme.scheme_name}`, schemeError.message);
         errorCount++;
+        failures.push({ target: scheme.scheme_name || scheme.name, message: schemeError.message });
       }
     }
 
-    const result = { saved: savedCount, updated: updatedCount, errors: errorCount, total: schemes.length, dataSource };
+    await scrapeRunService.finish(scrapeRun, {
+      counts: {
+        scraped: schemes.length,
+        created: savedCount,
+        updated: updatedCount,
+        unchanged: unchangedCount,
+        failed: errorCount
+      },
+      failures,
+      checkDisappeared: true
+    });
+
+    const result = { runId: scrapeRun, saved: savedCount, updated: updatedCount, unchanged: unchangedCount, errors: errorCount, total: schemes.length, dataSource };
     
     console.log(`✅ Database operation completed:`);
     console.log(`   📝 Saved: ${savedCount} new schemes`);
@@ -195,10 +223,11 @@ export const fetchAndStoreSchemes = async (req, res) => {
 
   } catch (err) {
     console.error('❌ Critical error in fetchAndStoreSchemes:', err.message);
+    await scrapeRunService.finish(scrapeRun, { state: 'failed', error: err.message });
     
     // Final fallback to sample data
     try {
-      const sampleResult = await loadSampleData(MyScheme);
+      const sampleResult = await loadSampleData(Scheme);
       console.log('✅ Emergency fallback: sample data loaded');
       
       if (res) {
@@ -233,18 +262,20 @@ export const fetchAndStoreSchemes = async (req, res) => {
 // Get scheme statistics
 export const getSchemeStats = async (req, res) => {
   try {
-    const totalSchemes = await MyScheme.countDocuments();
-    const ministries = await MyScheme.distinct('ministry');
-    const categories = await MyScheme.distinct('category');
-    const lastUpdated = await MyScheme.findOne().sort({ lastUpdated: -1 });
+    const totalSchemes = await Scheme.countDocuments({ canonicalScheme: null });
+    const ministries = await Scheme.distinct('ministry', { canonicalScheme: null, ministryRef: { $ne: null } });
+    const categories = await Scheme.distinct('sector');
+    const lastUpdated = await Scheme.findOne().sort({ updatedAt: -1 });
+    const enrichment = await schemeEnrichmentWorker.getCoverage();
 
     res.status(200).json({
       totalSchemes,
       totalMinistries: ministries.length,
       totalCategories: categories.length,
-      lastUpdated: lastUpdated?.lastUpdated || null,
+      lastUpdated: lastUpdated?.updatedAt || null,
       ministries: ministries.filter(m => m && m.trim()),
-      categories: categories.filter(c => c && c.trim())
+      categories: categories.filter(c => c && c.trim()),
+      enrichment
     });
   } catch (err) {
     console.error('Error fetching stats:', err);
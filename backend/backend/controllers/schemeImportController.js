@@ -0,0 +1,231 @@
+import mongoose from 'mongoose';
+import SchemeImport from '../models/SchemeImport.js';
+import SchemeImportRow from '../models/SchemeImportRow.js';
+import SchemeImportService from '../services/schemeImportService.js';
+import { readTabularFile, detectTabularFormat, TABULAR_FORMATS } from '../utils/tabularFile.js';
+
+const schemeImportService = new SchemeImportService();
+
+const MAX_ROW_ERRORS = 100; // Rows with issues returned with an import's status; the report has all of them
+
+/**
+ * Scheme Import Controller
+ * Bulk scheme imports from CSV, JSON and XLSX files and their downloadable reports
+ */
+
+// Column mapping from ?mapping[name]=Scheme Title or ?mapping={"name":"Scheme Title"}
+function parseColumnMapping(mapping) {
+  if (!mapping) return {};
+  if (typeof mapping === 'object') return mapping;
+  return JSON.parse(mapping);
+}
+
+// Rows of the uploaded file; JSON sent as application/json has already been parsed by express.json()
+async function readUploadedRows(body, format, sheetName) {
+  if (Buffer.isBuffer(body)) {
+    return readTabularFile(body, format, { sheetName });
+  }
+
+  const records = Array.isArray(body) ? body : body?.data;
+  if (format !== 'json' || !Array.isArray(records)) {
+    throw new Error('Upload the file as the request body');
+  }
+  return records;
+}
+
+function invalidIdResponse(res) {
+  return res.status(400).json({ success: false, error: 'Invalid import ID' });
+}
+
+/**
+ * Start importing schemes from a CSV, JSON or XLSX file; the rows are imported in the background
+ * POST /api/schemes/import?format=csv|json|xlsx&fileName=...&dryRun=true&mapping[name]=Scheme Title
+ * Body: the raw file contents
+ */
+export const importSchemes = async (req, res) => {
+  try {
+    const { fileName, sheet, dryRun } = req.query;
+    const format = req.query.format || detectTabularFormat(fileName || req.headers['content-type'] || '');
+
+    if (!TABULAR_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported file format',
+        message: `Pass ?format= with one of: ${TABULAR_FORMATS.join(', ')}`
+      });
+    }
+
+    let columnMapping;
+    try {
+      columnMapping = parseColumnMapping(req.query.mapping);
+    } catch (mappingError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid column mapping',
+        message: mappingError.message
+      });
+    }
+
+    let rows;
+    try {
+      rows = await readUploadedRows(req.body, format, sheet);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Could not read the import file',
+        message: parseError.message
+      });
+    }
+
+    const report = await schemeImportService.startImport(rows, {
+      format,
+      fileName,
+      columnMapping,
+      dryRun: dryRun === 'true',
+      user: req.user
+    });
+
+    res.status(202).json({
+      success: true,
+      message: report.dryRun ? 'Dry run started - nothing will be saved' : 'Scheme import started',
+      data: {
+        importId: report._id,
+        dryRun: report.dryRun,
+        columnMapping: report.columnMapping,
+        unmappedColumns: report.unmappedColumns,
+        summary: report.summary,
+        statusUrl: `/api/schemes/imports/${report._id}`,
+        reportUrl: `/api/schemes/imports/${report._id}/report`
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Scheme import failed:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Scheme import failed',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * List past imports, newest first
+ * GET /api/schemes/imports?page=1&limit=20
+ */
+export const getSchemeImports = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const imports = await SchemeImport.find()
+      .populate('importedBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await SchemeImport.countDocuments();
+
+    res.json({
+      success: true,
+      data: imports,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching scheme imports:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheme imports',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Status and summary of an import, with the first rows that were rejected or had issues
+ * GET /api/schemes/imports/:id
+ */
+export const getSchemeImport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const report = await SchemeImport.findById(id).populate('importedBy', 'username').lean();
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Import not found' });
+    }
+
+    const rowErrors = await SchemeImportRow.find({ importId: id, 'issues.0': { $exists: true } })
+      .select('-_id -importId')
+      .sort({ row: 1 })
+      .limit(MAX_ROW_ERRORS)
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        rowErrors,
+        reportUrl: `/api/schemes/imports/${id}/report`
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching scheme import:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheme import',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Download the report of an import as CSV (default) or JSON
+ * GET /api/schemes/imports/:id/report?format=csv|json
+ */
+export const downloadImportReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const report = await SchemeImport.findById(id)
+      .populate('importedBy', 'username')
+      .lean();
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Import not found' });
+    }
+
+    const baseName = `scheme-import-${id}${report.dryRun ? '-dry-run' : ''}`;
+    const rows = await SchemeImportRow.find({ importId: id })
+      .select('-_id -importId')
+      .sort({ row: 1 })
+      .lean();
+
+    if (req.query.format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}.json"`);
+      return res.json({ ...report, rows });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.csv"`);
+    res.send(schemeImportService.buildReportCsv(rows));
+  } catch (error) {
+    console.error('❌ Error downloading import report:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download import report',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import Scheme from '../models/Scheme.js';
+import SchemeMetricsService from '../services/schemeMetricsService.js';
+import { AMOUNT_UNITS } from '../utils/schemeMetrics.js';
+import { readTabularFile, detectTabularFormat } from '../utils/tabularFile.js';
+
+const schemeMetricsService = new SchemeMetricsService();
+
+/**
+ * Scheme Metrics Controller
+ * Serves imported beneficiary and fund-flow figures and accepts new official releases
+ */
+
+/**
+ * Get the metrics time series of a scheme (by database ID or external scheme ID)
+ * GET /api/myscheme/:id/metrics?periodType=month|financial-year|year
+ */
+export const getSchemeMetrics = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const scheme = mongoose.Types.ObjectId.isValid(id)
+      ? await Scheme.findById(id).select('name schemeId canonicalScheme').lean()
+      : await Scheme.findOne({ schemeId: id }).select('name schemeId canonicalScheme').lean();
+
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scheme not found'
+      });
+    }
+
+    const metrics = await schemeMetricsService.getSchemeMetrics(scheme.canonicalScheme || scheme._id, {
+      periodType: req.query.periodType
+    });
+
+    res.json({
+      success: true,
+      scheme: { _id: scheme._id, name: scheme.name, schemeId: scheme.schemeId },
+      hasMetrics: metrics !== null,
+      amountUnit: 'rupees',
+      data: metrics,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching scheme metrics:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheme metrics',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Import an official CSV/XLSX release of scheme progress figures
+ * POST /api/myscheme/metrics/import?source=name&format=csv|xlsx&unit=crore&dryRun=true
+ * Body: the raw file contents
+ */
+export const importSchemeMetrics = async (req, res) => {
+  try {
+    const { source, sourceUrl, sheet, unit = 'crore', dryRun } = req.query;
+    const format = req.query.format || detectTabularFormat(req.query.fileName || req.headers['content-type'] || '');
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload the release file as the request body'
+      });
+    }
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported file format',
+        message: 'Pass ?format=csv or ?format=xlsx, or upload with a matching Content-Type'
+      });
+    }
+    if (!AMOUNT_UNITS[unit]) {
+      return res.status(400).json({
+        success: false,
+        error: `unit must be one of: ${Object.keys(AMOUNT_UNITS).join(', ')}`
+      });
+    }
+
+    let rows;
+    try {
+      rows = await readTabularFile(req.body, format, { sheetName: sheet });
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Could not read the release file',
+        message: parseError.message
+      });
+    }
+
+    const report = await schemeMetricsService.importRows(rows, {
+      source,
+      sourceUrl,
+      amountUnit: unit,
+      dryRun: dryRun === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: report.dryRun ? 'Dry run completed - nothing was saved' : 'Scheme metrics imported',
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Scheme metrics import failed:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Scheme metrics import failed',
+      message: error.message
+    });
+  }
+};
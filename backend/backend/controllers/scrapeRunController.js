@@ -0,0 +1,117 @@
+import ScrapeRun, { SCRAPE_RUN_TRIGGERS } from '../models/ScrapeRun.js';
+import scrapeRunService from '../services/scrapeRunService.js';
+
+/**
+ * Scrape Run Controller
+ * History of scrape runs and what each one changed
+ */
+
+/**
+ * List scrape runs, newest first (without their disappeared and failure lists)
+ * GET /api/scrape-runs?source=bulk-api&trigger=cron&state=failed&page=1&limit=20
+ */
+export const getScrapeRuns = async (req, res) => {
+  try {
+    const { source, trigger, state, page = 1, limit = 20 } = req.query;
+
+    if (trigger && !SCRAPE_RUN_TRIGGERS.includes(trigger)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid trigger',
+        message: `Use one of: ${SCRAPE_RUN_TRIGGERS.join(', ')}`
+      });
+    }
+
+    const filter = {};
+    if (source) filter.sources = source;
+    if (trigger) filter.trigger = trigger;
+    if (state) filter.state = state;
+
+    const runs = await ScrapeRun.find(filter)
+      .select('-disappeared -failures')
+      .sort({ startedAt: -1 })
+      .limit(parseInt(limit))
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await ScrapeRun.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: runs,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching scrape runs:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scrape runs',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * One scrape run by document id or run id
+ * GET /api/scrape-runs/:id
+ */
+export const getScrapeRunById = async (req, res) => {
+  try {
+    const run = await scrapeRunService.findRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Scrape run not found' });
+    }
+
+    res.json({
+      success: true,
+      data: run,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching scrape run:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scrape run',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Schemes a run added, updated (with field diffs) and no longer found, plus its errors,
+ * against the previous run over the same sources
+ * GET /api/scrape-runs/:id/diff
+ */
+export const getScrapeRunDiff = async (req, res) => {
+  try {
+    const diff = await scrapeRunService.getDiff(req.params.id);
+    if (!diff) {
+      return res.status(404).json({ success: false, error: 'Scrape run not found' });
+    }
+
+    res.json({
+      success: true,
+      data: diff,
+      summary: {
+        added: diff.added.length,
+        updated: diff.updated.length,
+        disappeared: diff.run.counts?.disappeared || 0,
+        failures: diff.failures.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error building scrape run diff:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build scrape run diff',
+      message: error.message
+    });
+  }
+};
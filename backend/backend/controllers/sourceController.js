@@ -0,0 +1,87 @@
+import sourceHealthService from '../services/sourceHealthService.js';
+import { hasSourceAdapter, listSourceAdapters } from '../scraper/sourceRegistry.js';
+
+/**
+ * Source Controller
+ * Registered scrape sources and the health of their recent runs
+ */
+
+/**
+ * Every registered source with the health report of its latest run
+ * GET /api/sources
+ */
+export const getSources = async (req, res) => {
+  try {
+    const latestReports = await sourceHealthService.getLatestBySource();
+    const reportBySource = new Map(latestReports.map(report => [report.source, report]));
+
+    const sources = listSourceAdapters().map(adapter => {
+      const report = reportBySource.get(adapter.source);
+      return {
+        ...adapter,
+        health: report
+          ? {
+            state: report.state,
+            aborted: report.aborted,
+            runId: report.runId,
+            recordCount: report.recordCount,
+            baselineCount: report.baselineCount,
+            alerts: report.alerts.length,
+            checkedAt: report.createdAt
+          }
+          : null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: sources,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching sources:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sources',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Recent health reports of a source with their alerts and sample payloads, plus the current baseline
+ * GET /api/sources/:source/health?limit=20
+ */
+export const getSourceHealth = async (req, res) => {
+  try {
+    const { source } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (!hasSourceAdapter(source)) {
+      return res.status(404).json({ success: false, error: 'Unknown source' });
+    }
+
+    const [reports, baseline] = await Promise.all([
+      sourceHealthService.getReports(source, { limit }),
+      sourceHealthService.getBaseline(source)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        source,
+        state: reports[0]?.state || null,
+        baseline,
+        reports
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching source health:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch source health',
+      message: error.message
+    });
+  }
+};
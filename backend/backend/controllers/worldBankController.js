@@ -1,229 +1,138 @@
+import mongoose from 'mongoose';
 import WorldBankIndicator from '../models/WorldBankIndicator.js';
 import WorldBankCountry from '../models/WorldBankCountry.js';
+import WorldBankRevision from '../models/WorldBankRevision.js';
 import WorldBankService from '../services/worldBankService.js';
+import worldBankQueryService from '../services/worldBankQueryService.js';
+import worldBankAggregateService from '../services/worldBankAggregateService.js';
+import indicatorCatalog from '../services/indicatorCatalog.js';
+import worldBankRefreshJobs from '../services/worldBankRefreshJobs.js';
+import derivedIndicators from '../services/derivedIndicators.js';
+import countryGroupService from '../services/countryGroupService.js';
 
 const worldBankService = new WorldBankService();
 
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
 /**
  * World Bank Data Controller
  * Handles all World Bank data API endpoints
  */
 
 /**
- * Get economy indicators
- * GET /api/worldbank/economy/:indicator?
+ * Query stored indicator data
+ * GET /api/worldbank/data?indicators=gdp,SP.POP.TOTL&countries=IN,US,CN&group=G20&categories=economy&year=2015,2018-2020
+ *   &format=long|wide&sort=-year,country&fields=country,year,value&limit=100&cursor=...
  */
-export const getEconomyData = async (req, res) => {
+const respondWithIndicatorData = async (req, res, query, preset = {}, label = 'indicator') => {
   try {
-    const { indicator } = req.params;
-    const { country, year, startYear, endYear, limit = 100, page = 1 } = req.query;
-    
-    // Build query
-    const query = { 'indicator.category': 'economy' };
-    
-    if (indicator) {
-      query['indicator.subcategory'] = indicator;
-    }
-    
-    if (country) {
-      query['country.code'] = country.toUpperCase();
-    }
-    
-    if (year) {
-      query.year = parseInt(year);
-    } else if (startYear || endYear) {
-      query.year = {};
-      if (startYear) query.year.$gte = parseInt(startYear);
-      if (endYear) query.year.$lte = parseInt(endYear);
-    }
-    
-    // Execute query with pagination
-    const skip = (page - 1) * limit;
-    const data = await WorldBankIndicator.find(query)
-      .sort({ 'country.code': 1, year: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .lean();
-    
-    const total = await WorldBankIndicator.countDocuments(query);
-    
+    const { format, data, indicators, pagination } = await worldBankQueryService.query(query, preset, { user: req.user });
+
     res.json({
       success: true,
+      format,
       data,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalItems: total,
-        itemsPerPage: parseInt(limit)
-      },
+      ...(indicators ? { indicators } : {}),
+      pagination,
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
-    console.error('❌ Error fetching economy data:', error.message);
-    res.status(500).json({
+    console.error(`❌ Error fetching ${label} data:`, error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to fetch economy data',
+      error: `Failed to fetch ${label} data`,
       message: error.message
     });
   }
 };
 
+export const getIndicatorData = (req, res) => respondWithIndicatorData(req, res, req.query);
+
 /**
- * Get business indicators
- * GET /api/worldbank/business/:indicator?
+ * Category endpoints are aliases of /data: the category is fixed, the optional :indicator path segment
+ * names the indicator, and results are paged with ?page= unless a cursor is given
+ * GET /api/worldbank/:category/:indicator?
  */
-export const getBusinessData = async (req, res) => {
-  try {
-    const { indicator } = req.params;
-    const { country, year, startYear, endYear, limit = 100, page = 1 } = req.query;
-    
-    const query = { 'indicator.category': 'business' };
-    
-    if (indicator) {
-      query['indicator.subcategory'] = indicator;
-    }
-    
-    if (country) {
-      query['country.code'] = country.toUpperCase();
-    }
-    
-    if (year) {
-      query.year = parseInt(year);
-    } else if (startYear || endYear) {
-      query.year = {};
-      if (startYear) query.year.$gte = parseInt(startYear);
-      if (endYear) query.year.$lte = parseInt(endYear);
-    }
-    
-    const skip = (page - 1) * limit;
-    const data = await WorldBankIndicator.find(query)
-      .sort({ 'country.code': 1, year: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .lean();
-    
-    const total = await WorldBankIndicator.countDocuments(query);
-    
-    res.json({
-      success: true,
-      data,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalItems: total,
-        itemsPerPage: parseInt(limit)
-      },
-      timestamp: new Date().toISOString()
-    });
-    
-  } catch (error) {
-    console.error('❌ Error fetching business data:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch business data',
-      message: error.message
-    });
-  }
+const categoryData = (category) => (req, res) => {
+  const { indicator } = req.params;
+
+  return respondWithIndicatorData(req, res, { page: '1', ...req.query }, {
+    categories: [category],
+    ...(indicator ? { indicators: [indicator] } : {}),
+    sort: 'country,-year'
+  }, category);
 };
 
+export const getEconomyData = categoryData('economy');
+export const getBusinessData = categoryData('business');
+export const getSocialData = categoryData('social');
+export const getEnvironmentData = categoryData('environment');
+export const getHealthData = categoryData('health');
+export const getEducationData = categoryData('education');
+export const getInfrastructureData = categoryData('infrastructure');
+
 /**
- * Get social indicators
- * GET /api/worldbank/social/:indicator?
+ * Sum, mean, median and population-weighted mean of an indicator per region, income level or custom group,
+ * with how many member countries reported
+ * GET /api/worldbank/aggregates?indicator=gdp&groupBy=region|incomeLevel|custom&groups=SAS&countries=IN,PK&group=SAARC&year=2022
  */
-export const getSocialData = async (req, res) => {
+export const getAggregates = async (req, res) => {
   try {
-    const { indicator } = req.params;
-    const { country, year, startYear, endYear, limit = 100, page = 1 } = req.query;
-    
-    const query = { 'indicator.category': 'social' };
-    
-    if (indicator) {
-      query['indicator.subcategory'] = indicator;
-    }
-    
-    if (country) {
-      query['country.code'] = country.toUpperCase();
-    }
-    
-    if (year) {
-      query.year = parseInt(year);
-    } else if (startYear || endYear) {
-      query.year = {};
-      if (startYear) query.year.$gte = parseInt(startYear);
-      if (endYear) query.year.$lte = parseInt(endYear);
-    }
-    
-    const skip = (page - 1) * limit;
-    const data = await WorldBankIndicator.find(query)
-      .sort({ 'country.code': 1, year: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .lean();
-    
-    const total = await WorldBankIndicator.countDocuments(query);
-    
+    const { indicator, groupBy, years, data } = await worldBankAggregateService.aggregate(req.query, { user: req.user });
+
     res.json({
       success: true,
+      indicator,
+      groupBy,
+      years,
       data,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalItems: total,
-        itemsPerPage: parseInt(limit)
-      },
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
-    console.error('❌ Error fetching social data:', error.message);
-    res.status(500).json({
+    console.error('❌ Error computing aggregates:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to fetch social data',
+      error: 'Failed to compute aggregates',
       message: error.message
     });
   }
 };
 
 /**
- * Get environment indicators
- * GET /api/worldbank/environment/:indicator?
+ * Get countries list
+ * GET /api/worldbank/countries?region=SAS&incomeLevel=LMC&group=BRICS
  */
-export const getEnvironmentData = async (req, res) => {
+export const getCountries = async (req, res) => {
   try {
-    const { indicator } = req.params;
-    const { country, year, startYear, endYear, limit = 100, page = 1 } = req.query;
+    const { region, incomeLevel, group, limit = 100, page = 1 } = req.query;
     
-    const query = { 'indicator.category': 'environment' };
+    const query = {};
     
-    if (indicator) {
-      query['indicator.subcategory'] = indicator;
+    if (group) {
+      const { countries } = await countryGroupService.get(group, req.user);
+      query.iso2Code = { $in: countries };
     }
     
-    if (country) {
-      query['country.code'] = country.toUpperCase();
+    if (region) {
+      query['region.code'] = region.toUpperCase();
     }
     
-    if (year) {
-      query.year = parseInt(year);
-    } else if (startYear || endYear) {
-      query.year = {};
-      if (startYear) query.year.$gte = parseInt(startYear);
-      if (endYear) query.year.$lte = parseInt(endYear);
+    if (incomeLevel) {
+      query['incomeLevel.code'] = incomeLevel.toUpperCase();
     }
     
     const skip = (page - 1) * limit;
-    const data = await WorldBankIndicator.find(query)
-      .sort({ 'country.code': 1, year: -1 })
+    const countries = await WorldBankCountry.find(query)
+      .sort({ name: 1 })
       .limit(parseInt(limit))
       .skip(skip)
       .lean();
     
-    const total = await WorldBankIndicator.countDocuments(query);
+    const total = await WorldBankCountry.countDocuments(query);
     
     res.json({
       success: true,
-      data,
+      data: countries,
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limit),
@@ -234,275 +143,162 @@ export const getEnvironmentData = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('❌ Error fetching environment data:', error.message);
-    res.status(500).json({
+    console.error('❌ Error fetching countries:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to fetch environment data',
+      error: 'Failed to fetch countries',
       message: error.message
     });
   }
 };
 
 /**
- * Get health indicators
- * GET /api/worldbank/health/:indicator?
+ * Get available indicators from the catalog
+ * GET /api/worldbank/indicators?category=health
  */
-export const getHealthData = async (req, res) => {
+export const getIndicators = async (req, res) => {
   try {
-    const { indicator } = req.params;
-    const { country, year, startYear, endYear, limit = 100, page = 1 } = req.query;
-    
-    const query = { 'indicator.category': 'health' };
-    
-    if (indicator) {
-      query['indicator.subcategory'] = indicator;
-    }
-    
-    if (country) {
-      query['country.code'] = country.toUpperCase();
-    }
+    const { category } = req.query;
     
-    if (year) {
-      query.year = parseInt(year);
-    } else if (startYear || endYear) {
-      query.year = {};
-      if (startYear) query.year.$gte = parseInt(startYear);
-      if (endYear) query.year.$lte = parseInt(endYear);
+    if (category) {
+      const indicators = await worldBankService.getIndicatorsByCategory(category);
+      res.json({
+        success: true,
+        category,
+        indicators,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      const categories = worldBankService.getCategories();
+      const allIndicators = {};
+      
+      for (const cat of categories) {
+        allIndicators[cat] = await worldBankService.getIndicatorsByCategory(cat);
+      }
+      
+      res.json({
+        success: true,
+        categories,
+        indicators: allIndicators,
+        timestamp: new Date().toISOString()
+      });
     }
     
-    const skip = (page - 1) * limit;
-    const data = await WorldBankIndicator.find(query)
-      .sort({ 'country.code': 1, year: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .lean();
-    
-    const total = await WorldBankIndicator.countDocuments(query);
-    
-    res.json({
-      success: true,
-      data,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalItems: total,
-        itemsPerPage: parseInt(limit)
-      },
-      timestamp: new Date().toISOString()
-    });
-    
   } catch (error) {
-    console.error('❌ Error fetching health data:', error.message);
+    console.error('❌ Error fetching indicators:', error.message);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch health data',
+      error: 'Failed to fetch indicators',
       message: error.message
     });
   }
 };
 
 /**
- * Get education indicators
- * GET /api/worldbank/education/:indicator?
+ * A catalog indicator with its backfill status
+ * GET /api/worldbank/indicators/:code
  */
-export const getEducationData = async (req, res) => {
+export const getIndicatorDefinition = async (req, res) => {
   try {
-    const { indicator } = req.params;
-    const { country, year, startYear, endYear, limit = 100, page = 1 } = req.query;
-    
-    const query = { 'indicator.category': 'education' };
-    
-    if (indicator) {
-      query['indicator.subcategory'] = indicator;
-    }
-    
-    if (country) {
-      query['country.code'] = country.toUpperCase();
+    const definition = await indicatorCatalog.get(req.params.code);
+    if (!definition) {
+      return res.status(404).json({ success: false, error: 'Indicator not found' });
     }
-    
-    if (year) {
-      query.year = parseInt(year);
-    } else if (startYear || endYear) {
-      query.year = {};
-      if (startYear) query.year.$gte = parseInt(startYear);
-      if (endYear) query.year.$lte = parseInt(endYear);
-    }
-    
-    const skip = (page - 1) * limit;
-    const data = await WorldBankIndicator.find(query)
-      .sort({ 'country.code': 1, year: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .lean();
-    
-    const total = await WorldBankIndicator.countDocuments(query);
-    
+
     res.json({
       success: true,
-      data,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalItems: total,
-        itemsPerPage: parseInt(limit)
-      },
+      data: definition,
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
-    console.error('❌ Error fetching education data:', error.message);
+    console.error('❌ Error fetching indicator:', error.message);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch education data',
+      error: 'Failed to fetch indicator',
       message: error.message
     });
   }
 };
 
 /**
- * Get infrastructure indicators
- * GET /api/worldbank/infrastructure/:indicator?
+ * Add a WDI indicator to the catalog and backfill its history for the priority countries,
+ * or a derived indicator (code DERIVED.*, with an expression) and compute its values from stored data
+ * POST /api/worldbank/indicators
+ * Body: { code, categories, subcategory, name, unit, scale, description, expression, enabled }
  */
-export const getInfrastructureData = async (req, res) => {
+export const createIndicator = async (req, res) => {
   try {
-    const { indicator } = req.params;
-    const { country, year, startYear, endYear, limit = 100, page = 1 } = req.query;
-    
-    const query = { 'indicator.category': 'infrastructure' };
-    
-    if (indicator) {
-      query['indicator.subcategory'] = indicator;
-    }
-    
-    if (country) {
-      query['country.code'] = country.toUpperCase();
-    }
-    
-    if (year) {
-      query.year = parseInt(year);
-    } else if (startYear || endYear) {
-      query.year = {};
-      if (startYear) query.year.$gte = parseInt(startYear);
-      if (endYear) query.year.$lte = parseInt(endYear);
+    let definition = await indicatorCatalog.create(req.body || {}, req.user);
+    if (definition.enabled && definition.expression) {
+      definition = { ...definition, derivation: await derivedIndicators.compute(definition) };
+    } else if (definition.enabled) {
+      definition = await worldBankService.startBackfill(definition.code);
     }
-    
-    const skip = (page - 1) * limit;
-    const data = await WorldBankIndicator.find(query)
-      .sort({ 'country.code': 1, year: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .lean();
-    
-    const total = await WorldBankIndicator.countDocuments(query);
-    
-    res.json({
+
+    res.status(201).json({
       success: true,
-      data,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalItems: total,
-        itemsPerPage: parseInt(limit)
-      },
+      data: definition,
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
-    console.error('❌ Error fetching infrastructure data:', error.message);
-    res.status(500).json({
+    console.error('❌ Error creating indicator:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to fetch infrastructure data',
+      error: 'Failed to create indicator',
       message: error.message
     });
   }
 };
 
 /**
- * Get countries list
- * GET /api/worldbank/countries
+ * Edit a catalog indicator: categories, short name, unit, scale, description, enabled state,
+ * or the expression of a derived one (its values are recomputed on the next read)
+ * PUT /api/worldbank/indicators/:code
  */
-export const getCountries = async (req, res) => {
+export const updateIndicator = async (req, res) => {
   try {
-    const { region, incomeLevel, limit = 100, page = 1 } = req.query;
-    
-    const query = {};
-    
-    if (region) {
-      query['region.code'] = region.toUpperCase();
-    }
-    
-    if (incomeLevel) {
-      query['incomeLevel.code'] = incomeLevel.toUpperCase();
-    }
-    
-    const skip = (page - 1) * limit;
-    const countries = await WorldBankCountry.find(query)
-      .sort({ name: 1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .lean();
-    
-    const total = await WorldBankCountry.countDocuments(query);
-    
+    const definition = await indicatorCatalog.update(req.params.code, req.body || {}, req.user);
+
     res.json({
       success: true,
-      data: countries,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalItems: total,
-        itemsPerPage: parseInt(limit)
-      },
+      data: definition,
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
-    console.error('❌ Error fetching countries:', error.message);
-    res.status(500).json({
+    console.error('❌ Error updating indicator:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to fetch countries',
+      error: 'Failed to update indicator',
       message: error.message
     });
   }
 };
 
 /**
- * Get available indicators
- * GET /api/worldbank/indicators
+ * Fetch the full history of a catalog indicator again in the background
+ * POST /api/worldbank/indicators/:code/backfill
+ * Body: { countries, group } (optional, defaults to the priority countries)
  */
-export const getIndicators = async (req, res) => {
+export const backfillIndicator = async (req, res) => {
   try {
-    const { category } = req.query;
-    
-    if (category) {
-      const indicators = worldBankService.getIndicatorsByCategory(category);
-      res.json({
-        success: true,
-        category,
-        indicators,
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      const categories = worldBankService.getCategories();
-      const allIndicators = {};
-      
-      categories.forEach(cat => {
-        allIndicators[cat] = worldBankService.getIndicatorsByCategory(cat);
-      });
-      
-      res.json({
-        success: true,
-        categories,
-        indicators: allIndicators,
-        timestamp: new Date().toISOString()
-      });
-    }
-    
+    const { countries, group } = req.body || {};
+    const backfillCountries = await countryGroupService.resolveCountries({ countries, group }, req.user);
+    const definition = await worldBankService.startBackfill(
+      req.params.code,
+      backfillCountries.length > 0 ? backfillCountries : undefined
+    );
+
+    res.status(202).json({
+      success: true,
+      message: `Backfill of ${definition.code} started`,
+      data: definition,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('❌ Error fetching indicators:', error.message);
-    res.status(500).json({
+    console.error('❌ Error starting indicator backfill:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to fetch indicators',
+      error: 'Failed to start indicator backfill',
       message: error.message
     });
   }
@@ -565,36 +361,133 @@ export const getDashboardData = async (req, res) => {
 };
 
 /**
- * Trigger data refresh
+ * Start a data refresh in the background and answer with its job at once
+ * Indicators whose World Bank data has not changed are skipped unless full is set.
+ * Progress is broadcast as worldbank-refresh-* WebSocket events and kept on the job
  * POST /api/worldbank/refresh
+ * Body: { countries, group, categories, full }
  */
 export const refreshData = async (req, res) => {
   try {
-    const { categories, countries } = req.body;
+    const { categories, countries, group, full = false } = req.body || {};
+    // Checked here so that a bad value is rejected now, not when the background job reads it
+    const problems = Object.entries({ categories, countries })
+      .filter(([, value]) => value !== undefined && !isStringList(value))
+      .map(([key]) => `${key} must be a list of strings`);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid refresh parameters',
+        message: problems.join('; ')
+      });
+    }
+
+    const refreshCountries = await countryGroupService.resolveCountries({ countries, group }, req.user);
     
-    console.log('🔄 Starting World Bank data refresh...');
+    const { job, alreadyRunning } = await worldBankRefreshJobs.start(
+      { countries: refreshCountries.length > 0 ? refreshCountries : null, categories, full: full === true },
+      { user: req.user }
+    );
     
-    // First refresh countries
-    const countryResult = await worldBankService.fetchCountries();
+    res.status(202).json({
+      success: true,
+      message: alreadyRunning ? 'A data refresh is already running' : 'Data refresh started',
+      jobId: job._id,
+      alreadyRunning,
+      data: job,
+      timestamp: new Date().toISOString()
+    });
     
-    // Then refresh indicator data
-    const indicatorResult = await worldBankService.fetchIndicatorData(countries, categories);
+  } catch (error) {
+    console.error('❌ Error starting data refresh:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to start data refresh',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * A refresh job with its progress and failures; "latest" is the most recently started one
+ * GET /api/worldbank/refresh/:id
+ */
+export const getRefreshJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (id !== 'latest' && !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid job ID' });
+    }
+
+    const job = id === 'latest'
+      ? await worldBankRefreshJobs.getLatestJob()
+      : await worldBankRefreshJobs.getJob(id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Refresh job not found' });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching refresh job:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch refresh job',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Stored values that the World Bank later revised, newest first
+ * GET /api/worldbank/revisions?indicator=NY.GDP.MKTP.CD&country=IN&group=G20&page=1&limit=50
+ */
+export const getRevisions = async (req, res) => {
+  try {
+    const { indicator, country, group } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    
+    const query = {};
+    if (indicator) {
+      // Short names are accepted like everywhere else
+      const definition = await indicatorCatalog.get(indicator);
+      query['indicator.code'] = definition?.code || String(indicator).toUpperCase();
+    }
+    if (country || group) {
+      const countries = await countryGroupService.resolveCountries({ countries: country, group }, req.user);
+      query['country.code'] = { $in: countries };
+    }
+    
+    const [revisions, total] = await Promise.all([
+      WorldBankRevision.find(query)
+        .sort({ detectedAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WorldBankRevision.countDocuments(query)
+    ]);
     
     res.json({
       success: true,
-      message: 'Data refresh completed',
-      results: {
-        countries: countryResult,
-        indicators: indicatorResult
+      data: revisions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
       },
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
-    console.error('❌ Error refreshing data:', error.message);
-    res.status(500).json({
+    console.error('❌ Error fetching revisions:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to refresh data',
+      error: 'Failed to fetch revisions',
       message: error.message
     });
   }
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// 2-letter codes, which indicator data is stored under (e.g. 'IN'); World Bank aggregates such as 'EU' are allowed
+const COUNTRY_CODE_PATTERN = /^[A-Z0-9]{2}$/;
+
+const countryGroupSchema = new mongoose.Schema({
+  // Short id of a system group, accepted wherever a group id is, e.g. 'G20' or 'BRICS'
+  key: { type: String, trim: true, uppercase: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+
+  countries: {
+    type: [{ type: String, trim: true, uppercase: true }],
+    validate: [
+      {
+        validator: countries => countries.length > 0,
+        message: 'A country group needs at least one country'
+      },
+      {
+        validator: countries => countries.every(code => COUNTRY_CODE_PATTERN.test(code)),
+        message: 'Countries must be 2-letter codes, e.g. IN'
+      }
+    ]
+  },
+
+  // System groups are provided for everyone and edited by admins only; the others belong to their owner
+  system: { type: Boolean, default: false },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Indexes
+countryGroupSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+countryGroupSchema.index({ owner: 1, name: 1 }, { unique: true });
+countryGroupSchema.index({ system: 1 });
+
+const CountryGroup = mongoose.model('CountryGroup', countryGroupSchema);
+
+export default CountryGroup;
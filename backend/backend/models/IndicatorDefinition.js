@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+export const INDICATOR_CATEGORIES = ['economy', 'business', 'social', 'environment', 'health', 'education', 'infrastructure'];
+export const BACKFILL_STATUSES = ['idle', 'running', 'completed', 'failed'];
+
+const backfillSchema = new mongoose.Schema({
+  status: { type: String, enum: BACKFILL_STATUSES, default: 'idle' },
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  records: { type: Number, default: 0 }, // Data points written by the last backfill
+  error: { type: String }
+}, { _id: false });
+
+// Where the stored data of an indicator stands against the World Bank
+const syncSchema = new mongoose.Schema({
+  sourceLastUpdated: { type: Date }, // lastupdated from the World Bank response metadata at the last sync
+  lastCheckedAt: { type: Date },
+  lastSyncedAt: { type: Date },
+  countries: [{ type: String }], // Countries fetched so far
+  startYear: { type: Number }, // Years fetched so far
+  endYear: { type: Number },
+  latestYear: { type: Number }, // Latest year with a stored value
+  lastChangedAt: { type: Date }, // Last sync that wrote new or changed values; derived indicators are recomputed after it
+  revisions: { type: Number, default: 0 } // Revised values found by the last sync
+}, { _id: false });
+
+// Where the stored values of a derived indicator stand against its inputs
+const derivationSchema = new mongoose.Schema({
+  expression: { type: String }, // Expression the stored values were computed from
+  inputs: [{ type: String }], // Codes of the indicators it reads
+  computedAt: { type: Date },
+  countries: { type: Number, default: 0 },
+  records: { type: Number, default: 0 },
+  error: { type: String }
+}, { _id: false });
+
+const indicatorDefinitionSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, trim: true, uppercase: true }, // WDI code, e.g. 'NY.GDP.MKTP.CD', or DERIVED.*
+  name: { type: String, required: true, trim: true },
+
+  // Short name the API accepts in place of the code, e.g. 'gdp'
+  subcategory: { type: String, trim: true, lowercase: true },
+
+  // An indicator can belong to several categories, e.g. life expectancy is both social and health
+  categories: {
+    type: [{ type: String, enum: INDICATOR_CATEGORIES }],
+    validate: {
+      validator: categories => categories.length > 0,
+      message: 'An indicator needs at least one category'
+    }
+  },
+
+  unit: { type: String, trim: true }, // e.g. 'current US$', '%', 'years'
+  scale: { type: String, trim: true }, // e.g. 'millions', 'billions'
+  description: { type: String },
+  source: { type: String }, // World Bank source database, e.g. 'World Development Indicators'
+
+  // Derived indicators are computed from stored series instead of fetched, e.g. 'yoy(gdp)' (see utils/indicatorExpression.js)
+  expression: { type: String, trim: true },
+
+  // Disabled indicators are kept with their data but no longer fetched
+  enabled: { type: Boolean, default: true },
+
+  backfill: { type: backfillSchema, default: () => ({}) },
+  sync: { type: syncSchema, default: () => ({}) },
+  derivation: { type: derivationSchema, default: () => ({}) },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Indexes
+indicatorDefinitionSchema.index(
+  { subcategory: 1 },
+  { unique: true, partialFilterExpression: { subcategory: { $type: 'string' } } }
+);
+indicatorDefinitionSchema.index({ categories: 1, enabled: 1 });
+
+const IndicatorDefinition = mongoose.model('IndicatorDefinition', indicatorDefinitionSchema);
+
+export default IndicatorDefinition;
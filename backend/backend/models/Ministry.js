@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+export const ORGANISATION_KINDS = ['ministry', 'department', 'organisation'];
+
+const ministrySchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true }, // Official name used on schemes
+  shortName: { type: String, trim: true },
+  kind: { type: String, enum: ORGANISATION_KINDS, default: 'ministry' },
+
+  // Departments point at the ministry they belong to; independent departments have no parent
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Ministry', default: null },
+
+  // Spelling variants, former names and abbreviations seen in scraped data
+  aliases: [{ type: String, trim: true }],
+
+  level: { type: String, enum: ['Central', 'State'], default: 'Central' },
+  state: { type: String }, // For state government departments
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ministrySchema.index({ kind: 1, name: 1 });
+ministrySchema.index({ parent: 1 });
+
+const Ministry = mongoose.model('Ministry', ministrySchema);
+
+export default Ministry;
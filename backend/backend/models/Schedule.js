@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import cron from 'node-cron';
+
+// Jobs a schedule can run, see services/scheduledJobs.js
+export const SCHEDULE_JOB_TYPES = ['scheme-scrape', 'worldbank-refresh', 'maintenance', 'stats-broadcast', 'quality-score'];
+
+// node-cron throws on a time zone the runtime does not know, so check it before it is saved
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const scheduleSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  description: { type: String },
+  jobType: { type: String, enum: SCHEDULE_JOB_TYPES, required: true },
+  cronExpression: {
+    type: String,
+    required: true,
+    validate: {
+      validator: value => cron.validate(value),
+      message: props => `"${props.value}" is not a valid cron expression`
+    }
+  },
+  timezone: {
+    type: String, // IANA name, e.g. Asia/Kolkata; server time when empty
+    validate: {
+      validator: value => !value || isValidTimezone(value),
+      message: props => `"${props.value}" is not a valid time zone`
+    }
+  },
+  params: { type: mongoose.Schema.Types.Mixed, default: {} }, // Passed to the job, e.g. { source: 'bulk-api' }
+  enabled: { type: Boolean, default: true },
+
+  // Held while the job runs so that two runs (or two server instances) never overlap
+  lock: {
+    owner: { type: String },
+    runId: { type: String }, // Becomes lastRunId when the run finishes
+    lockedAt: { type: Date },
+    expiresAt: { type: Date } // A crashed run stops blocking the schedule after this
+  },
+
+  lastRunAt: { type: Date },
+  lastRunId: { type: String },
+  lastFinishedAt: { type: Date },
+  lastStatus: { type: String, enum: ['succeeded', 'failed', 'skipped'] },
+  lastError: { type: String },
+  lastResult: { type: mongoose.Schema.Types.Mixed },
+  lastDurationMs: { type: Number },
+  nextRunAt: { type: Date },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Indexes
+scheduleSchema.index({ enabled: 1 });
+scheduleSchema.index({ jobType: 1 });
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+export default Schedule;
@@ -1,25 +1,162 @@
 import mongoose from "mongoose";
+import SchemeHistory from "./SchemeHistory.js";
+import ministryRegistry from "../services/ministryRegistry.js";
+import { GENDERS, CASTE_CATEGORIES, RESIDENCE_TYPES } from "../utils/eligibilityRules.js";
+import {
+  observationsFromData,
+  recordObservations,
+  mergeObservations,
+  selectedValues
+} from "../utils/fieldProvenance.js";
+
+// Fields whose changes are recorded in the scheme history
+const TRACKED_FIELDS = [
+  'name', 'ministry', 'department', 'description', 'launchDate', 'targetAudience', 'budget',
+  'sector', 'subCategory', 'officialWebsite', 'isActive', 'level', 'beneficiaryState',
+  'eligibility', 'benefits', 'applicationProcess', 'documentsRequired'
+];
+
+// Normalize a field value so that equivalent values compare equal
+function normalizeFieldValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.getTime();
+  if (Array.isArray(value)) {
+    return value.length === 0 ? null : JSON.stringify(value.map(normalizeFieldValue));
+  }
+  if (typeof value === 'string') return value.trim();
+  return value;
+}
+
+// List the tracked fields that differ between the stored record and incoming data
+function diffSchemeFields(current, incoming) {
+  const changes = [];
+
+  for (const field of TRACKED_FIELDS) {
+    if (!(field in incoming)) continue;
+
+    const oldValue = current[field];
+    let newValue = incoming[field];
+    if (field === 'launchDate' && newValue && !(newValue instanceof Date)) {
+      newValue = new Date(newValue);
+    }
+
+    if (normalizeFieldValue(oldValue) !== normalizeFieldValue(newValue)) {
+      changes.push({ field, oldValue: oldValue ?? null, newValue: newValue ?? null });
+    }
+  }
+
+  return changes;
+}
+
+// Every source that is allowed to write into the canonical scheme store
+export const SCHEME_SOURCES = [
+  'manual', 'api', 'dom', 'import', 'individual_page', 'extracted', 'sample',
+  'dbt-bharat', 'india-gov', 'mygov', 'digital-india',
+  'bulk-api', 'simple-bulk-api', 'simple-bulk-search', 'aggressive-api', 'smart-pagination', 'direct-pagination'
+];
+
+// Structured eligibility rules; empty lists and missing bounds mean "no restriction"
+const eligibilityRulesSchema = new mongoose.Schema({
+  ageMin: { type: Number, min: 0 },
+  ageMax: { type: Number, min: 0 },
+  incomeMax: { type: Number, min: 0 }, // Annual income ceiling in INR
+  genders: [{ type: String, enum: GENDERS }],
+  casteCategories: [{ type: String, enum: CASTE_CATEGORIES }],
+  occupations: [String],
+  states: [String],
+  residence: [{ type: String, enum: RESIDENCE_TYPES }],
+  disabilityRequired: { type: Boolean, default: false },
+
+  // Rules are pre-filled from the free text and confirmed by a moderator
+  status: { type: String, enum: ['extracted', 'confirmed'], default: 'extracted' },
+  extractedAt: { type: Date },
+  confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  confirmedAt: { type: Date }
+}, { _id: false });
+
+// Detail page enrichment bookkeeping, see services/schemeEnrichmentWorker.js
+export const ENRICHMENT_STATES = ['pending', 'in-progress', 'enriched', 'failed'];
+
+const enrichmentSchema = new mongoose.Schema({
+  status: { type: String, enum: ENRICHMENT_STATES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  lastAttemptAt: { type: Date },
+  nextAttemptAt: { type: Date }, // Backoff after a failure, lease while in progress
+  lastError: { type: String },
+  sectionsFound: [String], // Detail fields the page had on the last successful visit
+  enrichedAt: { type: Date }
+}, { _id: false });
+
+// A field value as one source reported it; the shown value is chosen by config/sourcePriority.js
+const fieldObservationSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  value: { type: mongoose.Schema.Types.Mixed },
+  source: { type: String, required: true },
+  sourceUrl: { type: String },
+  observedAt: { type: Date }
+}, { _id: false });
+
+// Data quality score, see services/schemeQualityService.js
+const qualitySchema = new mongoose.Schema({
+  score: { type: Number, min: 0, max: 100 },
+  band: { type: String, enum: ['good', 'fair', 'poor'] },
+  components: { type: mongoose.Schema.Types.Mixed, default: {} }, // Component -> 0..1, see utils/schemeQuality.js
+  issues: [{
+    _id: false,
+    type: { type: String },
+    message: { type: String },
+    fields: [String],
+    urls: [String]
+  }],
+  links: [{
+    _id: false,
+    url: { type: String },
+    ok: { type: Boolean },
+    status: { type: Number }, // Missing when the request failed before a response
+    checkedAt: { type: Date }
+  }],
+  scoredAt: { type: Date }
+}, { _id: false });
 
 const schemeSchema = new mongoose.Schema({
   name: { type: String, required: true },
   ministry: { type: String },
+  ministryRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Ministry', default: null }, // Registry entry, null when unmatched
   description: { type: String },
   launchDate: { type: Date },
   targetAudience: { type: String },
   budget: { type: Number },
   sector: { type: String },
-  
+  subCategory: { type: String },
+
   // New fields for MyScheme integration
   department: { type: String },
-  source: { type: String, enum: ['manual', 'api', 'dom', 'import', 'individual_page', 'extracted', 'dbt-bharat', 'india-gov', 'mygov', 'digital-india', 'bulk-api', 'simple-bulk-api', 'aggressive-api', 'smart-pagination'], default: 'manual' },
+  departmentRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Ministry', default: null },
+  source: { type: String, enum: SCHEME_SOURCES, default: 'manual' },
   sourceUrl: { type: String },
+  officialWebsite: { type: String },
   scrapedAt: { type: Date },
   isActive: { type: Boolean, default: true },
-  
+
   // Additional MyScheme specific fields
   schemeId: { type: String, unique: true, sparse: true }, // External scheme ID
   level: { type: String }, // Central/State
-  beneficiaryState: { type: String } // State information
+  beneficiaryState: { type: String }, // State information
+
+  // Detail page fields (previously only kept in the MyScheme collection)
+  eligibility: { type: String },
+  benefits: { type: String },
+  applicationProcess: { type: String },
+  documentsRequired: [String],
+  eligibilityRules: { type: eligibilityRulesSchema },
+  detailUrl: { type: String }, // Portal page the detail fields are read from
+  enrichment: { type: enrichmentSchema },
+  quality: { type: qualitySchema },
+  provenance: [fieldObservationSchema], // Latest observation of every field per source, see utils/fieldProvenance.js
+
+  // Entity resolution: per-source child records point at the canonical scheme they were merged into
+  canonicalScheme: { type: mongoose.Schema.Types.ObjectId, ref: 'Scheme', default: null },
+  mergedAt: { type: Date }
 }, {
   timestamps: true // Adds createdAt and updatedAt automatically
 });
@@ -27,8 +164,159 @@ const schemeSchema = new mongoose.Schema({
 // Index for better search performance
 schemeSchema.index({ name: 'text', description: 'text' });
 schemeSchema.index({ ministry: 1 });
+schemeSchema.index({ ministryRef: 1 });
+schemeSchema.index({ departmentRef: 1 });
 schemeSchema.index({ sector: 1 });
 schemeSchema.index({ source: 1 });
+schemeSchema.index({ canonicalScheme: 1 });
+schemeSchema.index({ 'eligibilityRules.status': 1 });
+schemeSchema.index({ 'enrichment.status': 1, 'enrichment.nextAttemptAt': 1 });
+schemeSchema.index({ 'quality.score': 1 });
+
+// Replace ministry and department in an update object with their canonical registry names
+async function normalizeOrganisationFields(target) {
+  if (!target || (!('ministry' in target) && !('department' in target))) return;
+
+  const { ministry, department } = target;
+  const data = await ministryRegistry.normalizeSchemeData({ ministry, department });
+
+  for (const field of ['ministry', 'ministryRef', 'department', 'departmentRef']) {
+    delete target[field];
+    if (field in data) target[field] = data[field];
+  }
+}
+
+// Every write path normalizes ministry names, including scrapers that call create() or findByIdAndUpdate() directly
+schemeSchema.pre('save', async function() {
+  if (!this.isModified('ministry') && !this.isModified('department')) return;
+
+  const data = await ministryRegistry.normalizeSchemeData({ ministry: this.ministry, department: this.department });
+  this.ministry = data.ministry;
+  this.ministryRef = data.ministryRef ?? null;
+  this.department = data.department;
+  this.departmentRef = data.departmentRef ?? null;
+});
+
+schemeSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function() {
+  const update = this.getUpdate();
+  if (!update) return;
+
+  await normalizeOrganisationFields(update);
+  await normalizeOrganisationFields(update.$set);
+});
+
+// Static method to find the stored record for incoming scheme data,
+// matching on external scheme ID first and case-insensitive name second
+schemeSchema.statics.findExisting = function(schemeData) {
+  const conditions = [];
+
+  if (schemeData.schemeId) {
+    conditions.push({ schemeId: schemeData.schemeId });
+  }
+  if (schemeData.name) {
+    const escapedName = schemeData.name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    conditions.push({ name: { $regex: `^${escapedName}$`, $options: 'i' } });
+  }
+
+  if (conditions.length === 0) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ $or: conditions });
+};
+
+// Observations of incoming scheme data, attributed to its source unless provenance says otherwise
+function incomingObservations(schemeData, existingScheme, provenance) {
+  return observationsFromData(schemeData, {
+    source: schemeData.source || existingScheme?.source,
+    sourceUrl: schemeData.sourceUrl,
+    observedAt: schemeData.scrapedAt || new Date(),
+    ...provenance
+  });
+}
+
+// Incoming data with every observed field set to the value its highest priority source reported
+function withSelectedValues(schemeData, existingScheme, observations) {
+  const merged = mergeObservations(recordObservations(existingScheme.toObject()), observations);
+  return { ...schemeData, ...selectedValues(merged), provenance: merged };
+}
+
+// Static method to preview what upsertWithHistory would do with incoming scheme data, without writing
+// Returns { existing, changes }
+schemeSchema.statics.previewUpsert = async function(rawSchemeData) {
+  const schemeData = await ministryRegistry.normalizeSchemeData(rawSchemeData);
+  const existing = await this.findExisting(schemeData);
+  if (!existing) {
+    return { existing, changes: diffSchemeFields({}, schemeData) };
+  }
+
+  const resolved = withSelectedValues(schemeData, existing, incomingObservations(schemeData, existing));
+  return { existing, changes: diffSchemeFields(existing.toObject(), resolved) };
+};
+
+// Static method to upsert scraped scheme data and record a field-level diff in the history collection
+// Every non-empty field is stored as an observation of its source, and the shown value of each field is the
+// one its highest priority source reported, so a lower priority source no longer overwrites a better value.
+// provenance: { source, sourceUrl, observedAt } overrides who the values are attributed to
+// Returns { scheme, created, changes }
+schemeSchema.statics.upsertWithHistory = async function(rawSchemeData, { scrapeRun, provenance } = {}) {
+  // Normalize before diffing so that a spelling variant of the stored ministry is not recorded as a change
+  const normalizedData = await ministryRegistry.normalizeSchemeData(rawSchemeData);
+  const existingScheme = await this.findExisting(normalizedData);
+  const observations = incomingObservations(normalizedData, existingScheme, provenance);
+
+  if (!existingScheme) {
+    const scheme = await this.create({ ...normalizedData, provenance: observations });
+    const changes = diffSchemeFields({}, scheme.toObject());
+
+    await SchemeHistory.create({
+      scheme: scheme._id,
+      schemeName: scheme.name,
+      version: 1,
+      changeType: 'created',
+      changes,
+      source: scheme.source,
+      sourceUrl: scheme.sourceUrl,
+      scrapeRun
+    });
+
+    return { scheme, created: true, changes };
+  }
+
+  const schemeData = withSelectedValues(normalizedData, existingScheme, observations);
+
+  const changes = diffSchemeFields(existingScheme.toObject(), schemeData);
+  const scheme = await this.findByIdAndUpdate(existingScheme._id, schemeData, { new: true });
+
+  if (changes.length > 0) {
+    await SchemeHistory.recordNextVersion({
+      scheme: existingScheme._id,
+      schemeName: scheme.name,
+      changeType: 'updated',
+      changes,
+      source: schemeData.source || existingScheme.source,
+      sourceUrl: schemeData.sourceUrl || existingScheme.sourceUrl,
+      scrapeRun
+    });
+  }
+
+  // The canonical scheme a per-source record was merged into sees the new observations as well
+  if (scheme.canonicalScheme && observations.length > 0) {
+    await this.applyObservations(scheme.canonicalScheme, observations);
+  }
+
+  return { scheme, created: false, changes };
+};
+
+// Static method to add field observations to a scheme and re-select its shown values by source priority
+// Returns the updated scheme, or null when it does not exist
+schemeSchema.statics.applyObservations = async function(schemeId, observations) {
+  const scheme = await this.findById(schemeId).lean();
+  if (!scheme) return null;
+
+  const merged = mergeObservations(recordObservations(scheme), observations);
+  return this.findByIdAndUpdate(schemeId, { $set: { ...selectedValues(merged), provenance: merged } }, { new: true });
+};
 
 const Scheme = mongoose.model("Scheme", schemeSchema);
 
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  oldValue: { type: mongoose.Schema.Types.Mixed },
+  newValue: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const schemeHistorySchema = new mongoose.Schema({
+  // Scheme this entry belongs to
+  scheme: { type: mongoose.Schema.Types.ObjectId, ref: 'Scheme', required: true },
+  schemeName: { type: String },
+  version: { type: Number, required: true }, // 1 for the first observed state
+
+  changeType: { type: String, enum: ['created', 'updated'], required: true },
+  changes: [fieldChangeSchema],
+
+  // Where the change came from
+  source: { type: String },
+  sourceUrl: { type: String },
+  scrapeRun: { type: String }, // Identifier of the scrape run that produced the change
+  changedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// Indexes
+schemeHistorySchema.index({ scheme: 1, version: -1 }, { unique: true });
+schemeHistorySchema.index({ changedAt: -1 });
+schemeHistorySchema.index({ 'changes.field': 1, changedAt: -1 });
+schemeHistorySchema.index({ scrapeRun: 1 });
+
+const MAX_VERSION_ATTEMPTS = 5;
+
+// Static method to add an entry as the next version of its scheme
+// Two writers can read the same latest version; the unique {scheme, version} index rejects the second
+// insert, which then reads the new latest version and tries again
+// Returns the created entry
+schemeHistorySchema.statics.recordNextVersion = async function(entry) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ scheme: entry.scheme })
+      .sort({ version: -1 })
+      .select('version');
+
+    try {
+      return await this.create({ ...entry, version: (latest?.version || 0) + 1 });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+    }
+  }
+};
+
+const SchemeHistory = mongoose.model('SchemeHistory', schemeHistorySchema);
+
+export default SchemeHistory;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const schemeImportSchema = new mongoose.Schema({
+  fileName: { type: String },
+  format: { type: String, enum: ['csv', 'json', 'xlsx'], required: true },
+  dryRun: { type: Boolean, default: false },
+  status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  // Scheme field -> file column used for this import
+  columnMapping: { type: mongoose.Schema.Types.Mixed },
+  unmappedColumns: [String],
+
+  summary: {
+    rowsRead: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Row reports are SchemeImportRow documents, kept apart so that large files stay under the document size limit
+  progress: {
+    processedRows: { type: Number, default: 0 },
+    percentage: { type: Number, default: 0 }
+  },
+  error: { type: String },
+
+  startedAt: { type: Date, default: Date.now },
+  heartbeatAt: { type: Date }, // Refreshed whenever progress is saved
+  completedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// Indexes
+schemeImportSchema.index({ createdAt: -1 });
+schemeImportSchema.index({ importedBy: 1, createdAt: -1 });
+schemeImportSchema.index({ status: 1, heartbeatAt: 1 });
+
+const SchemeImport = mongoose.model('SchemeImport', schemeImportSchema);
+
+export default SchemeImport;
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+export const IMPORT_ROW_OUTCOMES = ['created', 'updated', 'unchanged', 'invalid', 'duplicate', 'failed'];
+
+// Report of one row of an imported file, see SchemeImport
+const schemeImportRowSchema = new mongoose.Schema({
+  importId: { type: mongoose.Schema.Types.ObjectId, ref: 'SchemeImport', required: true },
+  row: { type: Number, required: true }, // Row number as shown in the file, counting the header row
+  schemeName: { type: String },
+  outcome: { type: String, enum: IMPORT_ROW_OUTCOMES, required: true },
+  scheme: { type: mongoose.Schema.Types.ObjectId, ref: 'Scheme' },
+  changedFields: [String],
+  issues: [String] // Validation or save errors that kept the row out
+}, {
+  versionKey: false
+});
+
+// Indexes
+schemeImportRowSchema.index({ importId: 1, row: 1 });
+schemeImportRowSchema.index({ importId: 1, outcome: 1 });
+
+const SchemeImportRow = mongoose.model('SchemeImportRow', schemeImportRowSchema);
+
+export default SchemeImportRow;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+const schemeMergeCandidateSchema = new mongoose.Schema({
+  // The pair of records that may describe the same scheme (stored with the smaller ID first)
+  schemeA: { type: mongoose.Schema.Types.ObjectId, ref: 'Scheme', required: true },
+  schemeB: { type: mongoose.Schema.Types.ObjectId, ref: 'Scheme', required: true },
+
+  // Match score and the signals that produced it (name, ministry, description, schemeId, stateConflict)
+  score: { type: Number, required: true },
+  signals: { type: mongoose.Schema.Types.Mixed },
+
+  // Review state
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String }
+}, {
+  timestamps: true
+});
+
+// Indexes
+schemeMergeCandidateSchema.index({ schemeA: 1, schemeB: 1 }, { unique: true });
+schemeMergeCandidateSchema.index({ status: 1, score: -1 });
+
+const SchemeMergeCandidate = mongoose.model('SchemeMergeCandidate', schemeMergeCandidateSchema);
+
+export default SchemeMergeCandidate;
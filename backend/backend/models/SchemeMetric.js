@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+export const PERIOD_TYPES = ['month', 'financial-year', 'year'];
+
+// State value used for national (all-India) figures
+export const NATIONAL_STATE = 'All India';
+
+const schemeMetricSchema = new mongoose.Schema({
+  // Canonical scheme the figures belong to
+  scheme: { type: mongoose.Schema.Types.ObjectId, ref: 'Scheme', required: true },
+  schemeName: { type: String },
+
+  // Reporting period: "2023-04" (month), "FY2023-24" (financial year) or "2023" (calendar year)
+  period: { type: String, required: true },
+  periodType: { type: String, enum: PERIOD_TYPES, required: true },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  state: { type: String, default: NATIONAL_STATE, trim: true },
+
+  // Figures reported for the period; amounts are stored in rupees
+  beneficiaries: { type: Number, min: 0 },
+  sanctioned: { type: Number, min: 0 },
+  released: { type: Number, min: 0 },
+  utilised: { type: Number, min: 0 },
+
+  // Official release the figures were imported from
+  source: { type: String, required: true },
+  sourceUrl: { type: String },
+  importBatch: { type: String },
+  importedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// Indexes
+schemeMetricSchema.index({ scheme: 1, period: 1, state: 1 }, { unique: true });
+schemeMetricSchema.index({ scheme: 1, periodStart: 1 });
+schemeMetricSchema.index({ importBatch: 1 });
+
+const SchemeMetric = mongoose.model('SchemeMetric', schemeMetricSchema);
+
+export default SchemeMetric;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+export const SCRAPE_JOB_STATES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+export const MAX_JOB_LOGS = 500;
+
+const jobLogSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  level: { type: String, enum: ['info', 'warn', 'error'], default: 'info' },
+  message: { type: String, required: true }
+}, { _id: false });
+
+const scrapeJobSchema = new mongoose.Schema({
+  source: { type: String, required: true }, // Source adapter key, see scraper/sourceRegistry.js
+  state: { type: String, enum: SCRAPE_JOB_STATES, default: 'queued' },
+  runId: { type: String }, // Written on the schemes' change history, kept across resumes
+
+  // Runner options: { saveToDb, delayMs, maxTargets, adapterOptions, trigger, eventPrefix, notifyProgress }
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  progress: {
+    totalTargets: { type: Number, default: 0 },
+    completedTargets: { type: Number, default: 0 },
+    percentage: { type: Number, default: 0 }
+  },
+
+  // Where a resumed run picks up: every target before nextTargetIndex has been fetched and saved
+  checkpoint: {
+    nextTargetIndex: { type: Number, default: 0 },
+    stoppedGroups: [String],
+    lastTarget: { type: String },
+    savedAt: { type: Date }
+  },
+
+  // Runner stats carried across resumes (fetched, failed, schemesExtracted, created, updated, ...)
+  counts: { type: mongoose.Schema.Types.Mixed, default: {} },
+  logs: [jobLogSchema],
+  error: { type: String },
+
+  cancelRequested: { type: Boolean, default: false },
+  attempts: { type: Number, default: 0 },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  queuedAt: { type: Date, default: Date.now },
+  startedAt: { type: Date },
+  heartbeatAt: { type: Date }, // Refreshed on every checkpoint
+  finishedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// Indexes
+scrapeJobSchema.index({ state: 1, queuedAt: 1 });
+scrapeJobSchema.index({ source: 1, createdAt: -1 });
+
+// Append a log line, keeping only the most recent MAX_JOB_LOGS
+scrapeJobSchema.statics.appendLog = function(jobId, message, level = 'info', update = {}) {
+  return this.updateOne(
+    { _id: jobId },
+    {
+      ...update,
+      $push: { logs: { $each: [{ at: new Date(), level, message }], $slice: -MAX_JOB_LOGS } }
+    }
+  );
+};
+
+const ScrapeJob = mongoose.model('ScrapeJob', scrapeJobSchema);
+
+export default ScrapeJob;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { SOURCE_HEALTH_STATES } from './SourceHealthReport.js';
+
+// What started a run: the 6-hourly cron, POST /api/myscheme/scrape, POST /api/myscheme/bulk-scrape,
+// POST /api/schemes/myscheme/sync, another queued scrape job or a command line script
+export const SCRAPE_RUN_TRIGGERS = ['cron', 'manual', 'bulk', 'sync', 'job', 'cli'];
+export const MAX_RUN_FAILURES = 100;
+export const MAX_DISAPPEARED_LISTED = 1000;
+
+const runFailureSchema = new mongoose.Schema({
+  target: { type: String }, // Page, URL or scheme name the error belongs to
+  message: { type: String, required: true }
+}, { _id: false });
+
+const disappearedSchemeSchema = new mongoose.Schema({
+  scheme: { type: mongoose.Schema.Types.ObjectId, ref: 'Scheme' },
+  name: { type: String },
+  source: { type: String },
+  lastScrapedAt: { type: Date }
+}, { _id: false });
+
+const scrapeRunSchema = new mongoose.Schema({
+  // Same value as SchemeHistory.scrapeRun, which holds the added and updated schemes with their field diffs
+  runId: { type: String, required: true, unique: true },
+  trigger: { type: String, enum: SCRAPE_RUN_TRIGGERS, required: true },
+  sources: [String], // Scheme sources the run covers; schemes of these sources it did not see count as disappeared
+  state: { type: String, enum: ['running', 'succeeded', 'failed', 'cancelled'], default: 'running' },
+  scrapeJob: { type: mongoose.Schema.Types.ObjectId, ref: 'ScrapeJob' },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  counts: {
+    scraped: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }, // Failed targets plus schemes that could not be saved
+    disappeared: { type: Number, default: 0 }
+  },
+
+  // Only checked after a complete run: a partial run would report every scheme it skipped
+  disappearedChecked: { type: Boolean, default: false },
+  disappeared: [disappearedSchemeSchema], // First MAX_DISAPPEARED_LISTED, counts.disappeared has the total
+  failures: [runFailureSchema], // First MAX_RUN_FAILURES target and save errors
+  error: { type: String }, // Why the run as a whole failed
+  health: { type: String, enum: SOURCE_HEALTH_STATES }, // Outcome of the source health checks, see /api/sources
+
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+  durationMs: { type: Number }
+}, {
+  timestamps: true
+});
+
+// Indexes
+scrapeRunSchema.index({ startedAt: -1 });
+scrapeRunSchema.index({ sources: 1, startedAt: -1 });
+scrapeRunSchema.index({ trigger: 1, startedAt: -1 });
+
+const ScrapeRun = mongoose.model('ScrapeRun', scrapeRunSchema);
+
+export default ScrapeRun;
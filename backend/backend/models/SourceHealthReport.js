@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+export const SOURCE_HEALTH_STATES = ['healthy', 'degraded', 'drift'];
+
+export const SOURCE_ALERT_TYPES = [
+  'no-match', // A target's payload or page matched none of the known shapes or selectors
+  'strategy-changed', // A different shape or selector matched than in recent runs
+  'invalid-records', // Most records of a target failed validation
+  'empty-field', // A field that recent runs filled is (nearly) empty
+  'record-drop', // Far fewer schemes than recent runs
+  'no-records' // Nothing extracted at all
+];
+
+const sourceAlertSchema = new mongoose.Schema({
+  type: { type: String, enum: SOURCE_ALERT_TYPES, required: true },
+  severity: { type: String, enum: ['warning', 'critical'], required: true },
+  message: { type: String, required: true },
+  target: { type: String }, // Page or URL the alert was raised on, empty for run-level alerts
+  details: { type: mongoose.Schema.Types.Mixed },
+  samples: [mongoose.Schema.Types.Mixed] // Raw records or a payload excerpt to look at
+}, { _id: false });
+
+const sourceHealthReportSchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  runId: { type: String, required: true },
+  state: { type: String, enum: SOURCE_HEALTH_STATES, required: true },
+  aborted: { type: Boolean, default: false }, // The run was stopped before saving drifted records
+  complete: { type: Boolean, default: false }, // Every target was fetched, so the counts can serve as a baseline
+
+  recordCount: { type: Number, default: 0 }, // Unique schemes extracted
+  baselineCount: { type: Number }, // Median of recent healthy complete runs
+  countChange: { type: Number }, // Relative to the baseline, -0.7 for a 70% drop
+
+  // Payload shapes or selectors that matched and on how many targets; 'none' counts targets where nothing matched
+  strategies: [{
+    _id: false,
+    strategy: { type: String },
+    targets: { type: Number }
+  }],
+  fillRates: { type: mongoose.Schema.Types.Mixed, default: {} }, // Field -> share of schemes with a value
+  alerts: [sourceAlertSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+sourceHealthReportSchema.index({ source: 1, createdAt: -1 });
+sourceHealthReportSchema.index({ state: 1, createdAt: -1 });
+
+const SourceHealthReport = mongoose.model('SourceHealthReport', sourceHealthReportSchema);
+
+export default SourceHealthReport;
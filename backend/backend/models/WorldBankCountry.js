@@ -3,6 +3,7 @@ import mongoose from 'mongoose';
 const worldBankCountrySchema = new mongoose.Schema({
   // Core identification
   code: { type: String, required: true, unique: true }, // ISO 3-letter code
+  iso2Code: { type: String }, // ISO 2-letter code, which indicator data is stored under
   name: { type: String, required: true },
   
   // Geographic information
@@ -29,6 +30,7 @@ const worldBankCountrySchema = new mongoose.Schema({
 
 // Indexes
 worldBankCountrySchema.index({ code: 1 });
+worldBankCountrySchema.index({ iso2Code: 1 });
 worldBankCountrySchema.index({ 'region.code': 1 });
 worldBankCountrySchema.index({ 'incomeLevel.code': 1 });
 
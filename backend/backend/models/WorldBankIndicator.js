@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { INDICATOR_CATEGORIES } from './IndicatorDefinition.js';
 
 const worldBankIndicatorSchema = new mongoose.Schema({
   // Core identification
@@ -13,8 +14,9 @@ const worldBankIndicatorSchema = new mongoose.Schema({
     category: { 
       type: String, 
       required: true,
-      enum: ['economy', 'business', 'social', 'environment', 'health', 'education', 'infrastructure']
-    },
+      enum: INDICATOR_CATEGORIES
+    }, // First of categories, kept for older queries
+    categories: [{ type: String, enum: INDICATOR_CATEGORIES }], // Every category the indicator belongs to
     subcategory: { type: String } // e.g., 'gdp', 'inflation', 'life-expectancy'
   },
   
@@ -37,6 +39,7 @@ const worldBankIndicatorSchema = new mongoose.Schema({
 // Compound indexes for efficient queries
 worldBankIndicatorSchema.index({ 'country.code': 1, 'indicator.code': 1, year: 1 }, { unique: true });
 worldBankIndicatorSchema.index({ 'indicator.category': 1, 'indicator.subcategory': 1 });
+worldBankIndicatorSchema.index({ 'indicator.categories': 1 });
 worldBankIndicatorSchema.index({ 'country.code': 1, year: 1 });
 worldBankIndicatorSchema.index({ year: 1 });
 worldBankIndicatorSchema.index({ lastUpdated: 1 });
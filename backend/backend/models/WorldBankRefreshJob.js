@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+export const REFRESH_JOB_STATES = ['running', 'succeeded', 'failed'];
+export const REFRESH_JOB_STAGES = ['countries', 'indicators', 'done'];
+
+const refreshFailureSchema = new mongoose.Schema({
+  indicator: { type: String },
+  country: { type: String },
+  message: { type: String, required: true },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const worldBankRefreshJobSchema = new mongoose.Schema({
+  state: { type: String, enum: REFRESH_JOB_STATES, default: 'running' },
+  trigger: { type: String, enum: ['api', 'schedule'], default: 'api' },
+
+  // { countries, categories, full } as passed to fetchIndicatorData
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  progress: {
+    stage: { type: String, enum: REFRESH_JOB_STAGES, default: 'countries' },
+    totalIndicators: { type: Number, default: 0 },
+    completedIndicators: { type: Number, default: 0 },
+    percentage: { type: Number, default: 0 },
+    currentIndicator: { type: String },
+    currentCountries: [String],
+    processed: { type: Number, default: 0 },
+    saved: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    etaSeconds: { type: Number, default: null }
+  },
+
+  failures: [refreshFailureSchema], // Indicators and countries that could not be fetched
+  result: { type: mongoose.Schema.Types.Mixed }, // { countries, indicators } once finished
+  error: { type: String },
+
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  startedAt: { type: Date, default: Date.now },
+  heartbeatAt: { type: Date, default: Date.now }, // Refreshed whenever progress is saved
+  finishedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// Indexes
+worldBankRefreshJobSchema.index({ state: 1, startedAt: -1 });
+// At most one running job, across server instances too
+worldBankRefreshJobSchema.index({ state: 1 }, { unique: true, partialFilterExpression: { state: 'running' } });
+worldBankRefreshJobSchema.index({ startedAt: -1 });
+
+const WorldBankRefreshJob = mongoose.model('WorldBankRefreshJob', worldBankRefreshJobSchema);
+
+export default WorldBankRefreshJob;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// A stored World Bank value that the World Bank later revised
+const worldBankRevisionSchema = new mongoose.Schema({
+  country: {
+    code: { type: String, required: true },
+    name: { type: String }
+  },
+  indicator: {
+    code: { type: String, required: true },
+    name: { type: String }
+  },
+  year: { type: Number, required: true },
+
+  previousValue: { type: Number },
+  value: { type: Number },
+
+  // The World Bank's lastupdated date of the data that carried the new value
+  sourceLastUpdated: { type: Date },
+  detectedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// Indexes
+worldBankRevisionSchema.index({ 'indicator.code': 1, 'country.code': 1, year: 1, detectedAt: -1 });
+worldBankRevisionSchema.index({ detectedAt: -1 });
+
+const WorldBankRevision = mongoose.model('WorldBankRevision', worldBankRevisionSchema);
+
+export default WorldBankRevision;
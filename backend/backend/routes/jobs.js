@@ -0,0 +1,20 @@
+import express from 'express';
+import { getJobs, getJobById, cancelJob, resumeJob } from '../controllers/jobController.js';
+import { authenticateToken, requireModerator } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// GET /api/jobs - Scrape jobs, newest first
+// Supports: ?state=queued|running|succeeded|failed|cancelled&source=bulk-api&page=1&limit=20
+router.get('/', getJobs);
+
+// GET /api/jobs/:id - Job state, progress, checkpoint, counts and logs
+router.get('/:id', getJobById);
+
+// POST /api/jobs/:id/cancel - Cancel a queued or running job (moderator only)
+router.post('/:id/cancel', authenticateToken, requireModerator, cancelJob);
+
+// POST /api/jobs/:id/resume - Requeue a failed or cancelled job from its checkpoint (moderator only)
+router.post('/:id/resume', authenticateToken, requireModerator, resumeJob);
+
+export default router;
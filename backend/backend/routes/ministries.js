@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getMinistries,
+  getUnmatchedMinistries,
+  getMinistryById,
+  createMinistry,
+  updateMinistry
+} from '../controllers/ministryController.js';
+import { authenticateToken, requireModerator, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// GET /api/ministries - Canonical ministries with their departments and scheme counts
+// Supports: ?withSchemes=true&search=term
+router.get('/', getMinistries);
+
+// GET /api/ministries/unmatched - Scheme ministry values that are not in the registry (moderator only)
+// Supports: ?limit=50
+router.get('/unmatched', authenticateToken, requireModerator, getUnmatchedMinistries);
+
+// GET /api/ministries/:id - A ministry or department with its scheme count
+router.get('/:id', getMinistryById);
+
+// POST /api/ministries - Add a registry entry (admin only)
+router.post('/', authenticateToken, requireAdmin, createMinistry);
+
+// PUT /api/ministries/:id - Edit a registry entry (admin only)
+// Run `npm run seed:ministries` afterwards to re-normalize stored schemes against the new names
+router.put('/:id', authenticateToken, requireAdmin, updateMinistry);
+
+export default router;
@@ -1,14 +1,25 @@
 import express from 'express';
 import MySchemeScraperService from '../scraper/myscheme_scraper.js';
-import BulkMySchemeScraperService from '../scraper/bulk_myscheme_scraper.js';
+import mongoose from 'mongoose';
 import Scheme from '../models/Scheme.js';
+import SchemeHistory from '../models/SchemeHistory.js';
+import ScrapeJob from '../models/ScrapeJob.js';
 import websocketService from '../services/websocketService.js';
+import SchemeMetricsService from '../services/schemeMetricsService.js';
+import scrapeJobQueue from '../services/scrapeJobQueue.js';
+import scrapeRunService from '../services/scrapeRunService.js';
+import schemeEnrichmentWorker from '../services/schemeEnrichmentWorker.js';
+import { getSchemeMetrics, importSchemeMetrics } from '../controllers/schemeMetricsController.js';
+import { authenticateToken, requireModerator } from '../middleware/auth.js';
 
 const router = express.Router();
+const schemeMetricsService = new SchemeMetricsService();
 
 /**
  * GET /api/myscheme
  * Returns schemes from database with optional filtering and pagination
+ * Pass ?includeLinked=true to also list records merged into a canonical scheme
+ * Pass ?ministryId= to filter on a registry entry from /api/ministries instead of a name pattern
  */
 router.get('/', async (req, res) => {
   try {
@@ -17,13 +28,15 @@ router.get('/', async (req, res) => {
       limit = 20, 
       search, 
       ministry, 
+      ministryId,
       sector,
       sortBy = 'name',
-      sortOrder = 'asc'
+      sortOrder = 'asc',
+      includeLinked
     } = req.query;
 
-    // Build query object
-    let query = {};
+    // Build query object - per-source child records are hidden behind their canonical scheme
+    let query = includeLinked === 'true' ? {} : { canonicalScheme: null };
     
     if (search) {
       query.$or = [
@@ -32,7 +45,9 @@ router.get('/', async (req, res) => {
       ];
     }
     
-    if (ministry) {
+    if (ministryId && mongoose.Types.ObjectId.isValid(ministryId)) {
+      query.ministryRef = ministryId;
+    } else if (ministry) {
       query.ministry = { $regex: ministry, $options: 'i' };
     }
     
@@ -45,7 +60,9 @@ router.get('/', async (req, res) => {
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
     // Execute query with pagination
+    // Field provenance is served per scheme by /api/schemes/entities/:id
     const schemes = await Scheme.find(query)
+      .select('-provenance')
       .sort(sort)
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -53,6 +70,12 @@ router.get('/', async (req, res) => {
 
     const total = await Scheme.countDocuments(query);
 
+    // Latest imported figures per scheme, null for schemes without official metrics
+    const metrics = await schemeMetricsService.getLatestSummaries(schemes.map(scheme => scheme._id));
+    for (const scheme of schemes) {
+      scheme.metrics = metrics[String(scheme._id)] || null;
+    }
+
     res.json({
       success: true,
       data: schemes,
@@ -78,12 +101,20 @@ router.get('/', async (req, res) => {
 /**
  * POST /api/myscheme/scrape
  * Triggers the scraper and optionally saves results to database
+ * Runs that save are recorded under /api/scrape-runs; the scheduled scrape passes trigger: 'cron'
  */
 router.post('/scrape', async (req, res) => {
   const scraper = new MySchemeScraperService();
+  const { saveToDb = true, notifyClients = true } = req.body;
+  const scrapeRun = saveToDb ? `scrape-${Date.now()}` : null;
   
   try {
-    const { saveToDb = true, notifyClients = true } = req.body;
+    if (scrapeRun) {
+      await scrapeRunService.start(scrapeRun, {
+        trigger: req.body.trigger === 'cron' ? 'cron' : 'manual',
+        sources: ['api', 'dom']
+      });
+    }
 
     console.log('🔄 Starting MyScheme scraping process...');
     
@@ -101,7 +132,9 @@ router.post('/scrape', async (req, res) => {
     
     let savedCount = 0;
     let updatedCount = 0;
+    let unchangedCount = 0;
     let errorCount = 0;
+    const failures = [];
 
     // Save to database if requested
     if (saveToDb && scrapedSchemes.length > 0) {
@@ -109,39 +142,45 @@ router.post('/scrape', async (req, res) => {
       
       for (const schemeData of scrapedSchemes) {
         try {
-          // Check if scheme already exists (by name)
-          const existingScheme = await Scheme.findOne({ 
-            name: { $regex: `^${schemeData.name}$`, $options: 'i' }
-          });
-
-          if (existingScheme) {
-            // Update existing scheme
-            await Scheme.findByIdAndUpdate(existingScheme._id, {
-              ...schemeData,
-              updatedAt: new Date()
-            });
+          // Upsert and record which fields changed in the scheme history
+          const { created, changes } = await Scheme.upsertWithHistory(schemeData, { scrapeRun });
+
+          if (created) {
+            savedCount++;
+          } else if (changes.length > 0) {
             updatedCount++;
           } else {
-            // Create new scheme
-            await Scheme.create({
-              ...schemeData,
-              createdAt: new Date(),
-              updatedAt: new Date()
-            });
-            savedCount++;
+            unchangedCount++;
           }
         } catch (schemeError) {
           console.error(`❌ Error saving scheme "${schemeData.name}":`, schemeError.message);
           errorCount++;
+          failures.push({ target: schemeData.name, message: schemeError.message });
         }
       }
     }
 
+    if (scrapeRun) {
+      await scrapeRunService.finish(scrapeRun, {
+        counts: {
+          scraped: scrapedSchemes.length,
+          created: savedCount,
+          updated: updatedCount,
+          unchanged: unchangedCount,
+          failed: errorCount
+        },
+        failures,
+        checkDisappeared: scrapedSchemes.length > 0
+      });
+    }
+
     const result = {
       success: true,
+      runId: scrapeRun,
       scraped: scrapedSchemes.length,
       saved: savedCount,
       updated: updatedCount,
+      unchanged: unchangedCount,
       errors: errorCount,
       schemes: scrapedSchemes,
       stats: scraper.getStats(),
@@ -168,6 +207,10 @@ router.post('/scrape', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Scraping failed:', error.message);
+
+    if (scrapeRun) {
+      await scrapeRunService.finish(scrapeRun, { state: 'failed', error: error.message });
+    }
     
     // Notify WebSocket clients of error
     if (websocketService.io) {
@@ -191,19 +234,20 @@ router.post('/scrape', async (req, res) => {
 
 /**
  * GET /api/myscheme/stats
- * Returns database statistics for MyScheme data
+ * Returns database statistics for MyScheme data, including detail field coverage of the enrichment worker
  */
 router.get('/stats', async (req, res) => {
   try {
-    const totalSchemes = await Scheme.countDocuments();
-    const recentSchemes = await Scheme.find()
+    const totalSchemes = await Scheme.countDocuments({ canonicalScheme: null });
+    const linkedRecords = await Scheme.countDocuments({ canonicalScheme: { $ne: null } });
+    const recentSchemes = await Scheme.find({ canonicalScheme: null })
       .sort({ updatedAt: -1 })
       .limit(5)
       .select('name ministry sector updatedAt')
       .lean();
 
-    // Get unique ministries and sectors
-    const ministries = await Scheme.distinct('ministry');
+    // Ministries are counted by registry entry so that spelling variants are not counted twice
+    const ministries = await Scheme.distinct('ministryRef', { canonicalScheme: null, ministryRef: { $ne: null } });
     const sectors = await Scheme.distinct('sector');
 
     // Get schemes by source
@@ -216,14 +260,19 @@ router.get('/stats', async (req, res) => {
       }
     ]);
 
+    // Detail field coverage and the enrichment queue
+    const enrichment = await schemeEnrichmentWorker.getCoverage();
+
     res.json({
       success: true,
       stats: {
         totalSchemes,
-        totalMinistries: ministries.filter(m => m && m.trim()).length,
+        linkedRecords,
+        totalMinistries: ministries.length,
         totalSectors: sectors.filter(s => s && s.trim()).length,
         recentSchemes,
         sourceBreakdown: sourceStats,
+        enrichment,
         lastUpdated: recentSchemes[0]?.updatedAt || null
       },
       timestamp: new Date().toISOString()
@@ -241,11 +290,10 @@ router.get('/stats', async (req, res) => {
 
 /**
  * POST /api/myscheme/bulk-scrape
- * Triggers bulk scraping to extract ALL schemes (3,850+)
+ * Queues a bulk scraping job to extract ALL schemes (3,850+)
+ * Follow it at GET /api/jobs/:id; a running bulk job is returned instead of starting a second one
  */
 router.post('/bulk-scrape', async (req, res) => {
-  const scraper = new BulkMySchemeScraperService();
-  
   try {
     const { 
       maxPages = 100,
@@ -255,35 +303,40 @@ router.post('/bulk-scrape', async (req, res) => {
       notifyProgress = true 
     } = req.body;
 
-    console.log('🚀 Starting BULK MyScheme scraping process...');
-    console.log(`📊 Target: ALL schemes (estimated 3,850+)`);
+    const activeJob = await scrapeJobQueue.findActive('bulk-api');
+    if (activeJob) {
+      return res.status(409).json({
+        success: false,
+        error: 'Bulk scraping already in progress',
+        message: `Job ${activeJob._id} is ${activeJob.state}`,
+        jobId: activeJob._id,
+        statusUrl: `/api/jobs/${activeJob._id}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log('🚀 Queueing BULK MyScheme scraping job...');
     console.log(`⚙️ Settings: maxPages=${maxPages}, pageSize=${pageSize}, delay=${delayBetweenRequests}ms`);
-    
-    // Start the bulk scraping process
-    res.json({
+
+    const job = await scrapeJobQueue.enqueue('bulk-api', {
+      saveToDb,
+      delayMs: delayBetweenRequests,
+      adapterOptions: { maxPages, pageSize },
+      trigger: 'bulk',
+      eventPrefix: 'bulk-scrape',
+      notifyProgress
+    }, { user: req.user });
+
+    res.status(202).json({
       success: true,
-      message: 'Bulk scraping started - this will take several minutes',
+      message: 'Bulk scraping queued - this will take several minutes',
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`,
       estimatedTime: '15-30 minutes',
-      targetSchemes: '3,850+',
       settings: { maxPages, pageSize, delayBetweenRequests, saveToDb },
       timestamp: new Date().toISOString()
     });
 
-    // Run scraping in background
-    scraper.scrapeAllSchemes({
-      maxPages,
-      pageSize,
-      delayBetweenRequests,
-      saveToDb,
-      notifyProgress
-    }).then(schemes => {
-      console.log(`✅ BULK scraping completed: ${schemes.length} schemes extracted`);
-    }).catch(error => {
-      console.error('❌ BULK scraping failed:', error.message);
-    }).finally(() => {
-      scraper.close();
-    });
-
   } catch (error) {
     console.error('❌ Bulk scraping initialization failed:', error.message);
     
@@ -293,14 +346,13 @@ router.post('/bulk-scrape', async (req, res) => {
       message: error.message,
       timestamp: new Date().toISOString()
     });
-    
-    await scraper.close();
   }
 });
 
 /**
  * GET /api/myscheme/bulk-status
  * Get the current status of bulk scraping operation
+ * Progress comes from the latest bulk scraping job
  */
 router.get('/bulk-status', async (req, res) => {
   try {
@@ -322,16 +374,32 @@ router.get('/bulk-status', async (req, res) => {
       }
     ]);
 
+    const latestJob = await ScrapeJob.findOne({ source: 'bulk-api' })
+      .sort({ createdAt: -1 })
+      .select('-logs')
+      .lean();
+
     res.json({
       success: true,
       status: {
         totalSchemes,
         recentSchemes,
         sourceBreakdown: sourceStats,
-        progress: {
-          target: 3850,
-          current: totalSchemes,
-          percentage: Math.round((totalSchemes / 3850) * 100)
+        job: latestJob && {
+          jobId: latestJob._id,
+          state: latestJob.state,
+          statusUrl: `/api/jobs/${latestJob._id}`,
+          queuedAt: latestJob.queuedAt,
+          startedAt: latestJob.startedAt,
+          finishedAt: latestJob.finishedAt,
+          error: latestJob.error
+        },
+        progress: latestJob && {
+          ...latestJob.progress,
+          schemesExtracted: latestJob.counts?.schemesExtracted || 0,
+          created: latestJob.counts?.created || 0,
+          updated: latestJob.counts?.updated || 0,
+          failedTargets: latestJob.counts?.failed || 0
         }
       },
       timestamp: new Date().toISOString()
@@ -383,4 +451,117 @@ router.get('/test', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/myscheme/changes
+ * Returns field-level changes recorded across all schemes since a given date
+ * Supports: ?since=2024-01-01&field=eligibility&source=bulk-api&scrapeRun=id&limit=100
+ */
+router.get('/changes', async (req, res) => {
+  try {
+    const { since, field, source, scrapeRun, limit = 100 } = req.query;
+
+    // Default to the last 24 hours
+    const sinceDate = since ? new Date(since) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    if (isNaN(sinceDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid "since" date',
+        message: 'Use an ISO date such as 2024-01-31 or 2024-01-31T10:00:00Z'
+      });
+    }
+
+    const query = { changedAt: { $gte: sinceDate } };
+    if (field) {
+      query['changes.field'] = { $in: field.split(',').map(f => f.trim()) };
+    }
+    if (source) {
+      query.source = source;
+    }
+    if (scrapeRun) {
+      query.scrapeRun = scrapeRun;
+    }
+
+    const changes = await SchemeHistory.find(query)
+      .sort({ changedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 100, 1000))
+      .lean();
+
+    res.json({
+      success: true,
+      since: sinceDate.toISOString(),
+      count: changes.length,
+      data: changes,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching scheme changes:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheme changes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/myscheme/metrics/import
+ * Imports an official CSV/XLSX release of beneficiary and fund-flow figures (moderator only)
+ * Query: ?source=name&format=csv|xlsx&unit=crore|lakh|rupees&sourceUrl=...&sheet=...&dryRun=true
+ */
+router.post(
+  '/metrics/import',
+  authenticateToken,
+  requireModerator,
+  express.raw({ type: () => true, limit: '20mb' }),
+  importSchemeMetrics
+);
+
+/**
+ * GET /api/myscheme/:id/metrics
+ * Returns the imported metrics time series and state breakdown of a scheme
+ */
+router.get('/:id/metrics', getSchemeMetrics);
+
+/**
+ * GET /api/myscheme/:id/history
+ * Returns the versioned change history of a scheme (by database ID or external scheme ID)
+ */
+router.get('/:id/history', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const scheme = mongoose.Types.ObjectId.isValid(id)
+      ? await Scheme.findById(id).select('name schemeId').lean()
+      : await Scheme.findOne({ schemeId: id }).select('name schemeId').lean();
+
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scheme not found'
+      });
+    }
+
+    const history = await SchemeHistory.find({ scheme: scheme._id })
+      .sort({ version: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      scheme,
+      versions: history.length,
+      data: history,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching scheme history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheme history',
+      message: error.message
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
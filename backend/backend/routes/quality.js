@@ -0,0 +1,17 @@
+import express from 'express';
+import { getQualitySummary, getQualitySchemes, rescoreScheme } from '../controllers/qualityController.js';
+import { authenticateToken, requireModerator } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// GET /api/quality/summary - Score distribution by band, average components and most common issues
+router.get('/summary', getQualitySummary);
+
+// GET /api/quality/schemes - Scored canonical schemes, worst first
+// Supports: ?below=50&band=good|fair|poor&page=1&limit=20
+router.get('/schemes', getQualitySchemes);
+
+// POST /api/quality/schemes/:id/rescore - Score a scheme again now (moderator only)
+router.post('/schemes/:id/rescore', authenticateToken, requireModerator, rescoreScheme);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getSchedules,
+  getScheduleById,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runSchedule
+} from '../controllers/scheduleController.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Every schedule endpoint is admin only
+router.use(authenticateToken, requireAdmin);
+
+// GET /api/schedules - Schedules with their last result and next run
+router.get('/', getSchedules);
+
+// GET /api/schedules/:id - A schedule with its lock and last run
+router.get('/:id', getScheduleById);
+
+// POST /api/schedules - Add a schedule: { name, jobType, cronExpression, timezone, params, enabled }
+router.post('/', createSchedule);
+
+// PUT /api/schedules/:id - Edit, enable or disable a schedule
+router.put('/:id', updateSchedule);
+
+// DELETE /api/schedules/:id - Remove a schedule
+router.delete('/:id', deleteSchedule);
+
+// POST /api/schedules/:id/run - Start a schedule's job now; answers 202 with the run id (409 while it is already running)
+router.post('/:id/run', runSchedule);
+
+export default router;
@@ -4,7 +4,27 @@ import {
   fetchAndStoreSchemes, 
   getSchemeStats 
 } from '../controllers/schemeController.js';
+import {
+  getSchemeEntity,
+  runEntityResolution,
+  getMergeCandidates,
+  approveMergeCandidate,
+  rejectMergeCandidate
+} from '../controllers/entityResolutionController.js';
+import {
+  checkEligibility,
+  extractRules,
+  getRules,
+  confirmRules
+} from '../controllers/eligibilityController.js';
+import {
+  importSchemes,
+  getSchemeImports,
+  getSchemeImport,
+  downloadImportReport
+} from '../controllers/schemeImportController.js';
 import MySchemeScraperService from '../services/myschemeScraperService.js';
+import { authenticateToken, requireModerator } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -49,16 +69,16 @@ router.get('/myscheme/test-scrape', async (req, res) => {
 // GET /api/schemes/myscheme/health - Health check for the service
 router.get('/myscheme/health', async (req, res) => {
   try {
-    const MyScheme = (await import('../models/schemeModel.js')).default;
-    const count = await MyScheme.countDocuments();
-    const lastUpdated = await MyScheme.findOne().sort({ lastUpdated: -1 });
+    const Scheme = (await import('../models/Scheme.js')).default;
+    const count = await Scheme.countDocuments();
+    const lastUpdated = await Scheme.findOne().sort({ updatedAt: -1 });
     
     res.json({
       status: 'healthy',
       database: {
         connected: true,
         schemeCount: count,
-        lastUpdated: lastUpdated?.lastUpdated || null
+        lastUpdated: lastUpdated?.updatedAt || null
       },
       timestamp: new Date().toISOString()
     });
@@ -71,4 +91,55 @@ router.get('/myscheme/health', async (req, res) => {
   }
 });
 
+// GET /api/schemes/entities/:id - Canonical scheme with its per-source child records
+router.get('/entities/:id', getSchemeEntity);
+
+// POST /api/schemes/entity-resolution/run - Link duplicate records across sources (moderator only)
+router.post('/entity-resolution/run', authenticateToken, requireModerator, runEntityResolution);
+
+// GET /api/schemes/merge-review - Borderline duplicate pairs waiting for review (moderator only)
+// Supports: ?status=pending|approved|rejected|all&page=1&limit=20
+router.get('/merge-review', authenticateToken, requireModerator, getMergeCandidates);
+
+// POST /api/schemes/merge-review/:id/approve|reject - Decide on a merge candidate (moderator only)
+// Body: { note: 'optional reviewer note' }
+router.post('/merge-review/:id/approve', authenticateToken, requireModerator, approveMergeCandidate);
+router.post('/merge-review/:id/reject', authenticateToken, requireModerator, rejectMergeCandidate);
+
+// POST /api/schemes/import - Start a bulk import of schemes from a CSV, JSON or XLSX file (moderator only)
+// Answers 202 with the import id; the rows are imported in the background
+// Body: raw file contents (send JSON files larger than 100kb as application/octet-stream)
+// Supports: ?format=csv|json|xlsx&fileName=name&sheet=name&dryRun=true&mapping[field]=Column Header
+router.post(
+  '/import',
+  authenticateToken,
+  requireModerator,
+  express.raw({ type: () => true, limit: '20mb' }),
+  importSchemes
+);
+
+// GET /api/schemes/imports - Past imports with their summaries (moderator only)
+router.get('/imports', authenticateToken, requireModerator, getSchemeImports);
+
+// GET /api/schemes/imports/:id - Progress and summary of an import with its first row errors (moderator only)
+router.get('/imports/:id', authenticateToken, requireModerator, getSchemeImport);
+
+// GET /api/schemes/imports/:id/report - Download an import report (moderator only)
+// Supports: ?format=csv|json
+router.get('/imports/:id/report', authenticateToken, requireModerator, downloadImportReport);
+
+// POST /api/schemes/eligibility-check - Schemes a citizen profile qualifies for, with reasons
+// Body: { profile: { age, annualIncome, gender, casteCategory, occupation, state, residence, disability },
+//         confirmedOnly: false, includeIneligible: false, limit: 50 }
+router.post('/eligibility-check', checkEligibility);
+
+// POST /api/schemes/eligibility-rules/extract - Pre-fill unconfirmed rules from scheme text (moderator only)
+router.post('/eligibility-rules/extract', authenticateToken, requireModerator, extractRules);
+
+// GET /api/schemes/:id/eligibility-rules - Structured rules next to the free text they came from
+router.get('/:id/eligibility-rules', getRules);
+
+// PUT /api/schemes/:id/eligibility-rules - Edit and confirm a scheme's rules (moderator only)
+router.put('/:id/eligibility-rules', authenticateToken, requireModerator, confirmRules);
+
 export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { getScrapeRuns, getScrapeRunById, getScrapeRunDiff } from '../controllers/scrapeRunController.js';
+
+const router = express.Router();
+
+// GET /api/scrape-runs - Scrape runs from cron, /scrape, /bulk-scrape, sync and queued jobs, newest first
+// Supports: ?source=bulk-api&trigger=cron|manual|bulk|sync|job|cli&state=succeeded&page=1&limit=20
+router.get('/', getScrapeRuns);
+
+// GET /api/scrape-runs/:id - One run by document id or run id
+router.get('/:id', getScrapeRunById);
+
+// GET /api/scrape-runs/:id/diff - Added, updated (with field diffs) and disappeared schemes plus errors
+router.get('/:id/diff', getScrapeRunDiff);
+
+export default router;
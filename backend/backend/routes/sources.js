@@ -0,0 +1,13 @@
+import express from 'express';
+import { getSources, getSourceHealth } from '../controllers/sourceController.js';
+
+const router = express.Router();
+
+// GET /api/sources - Registered scrape sources with the health of their latest run
+router.get('/', getSources);
+
+// GET /api/sources/:source/health - Recent health reports with drift alerts and sample payloads
+// Supports: ?limit=20
+router.get('/:source/health', getSourceHealth);
+
+export default router;
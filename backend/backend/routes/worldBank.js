@@ -1,5 +1,7 @@
 import express from 'express';
 import {
+  getIndicatorData,
+  getAggregates,
   getEconomyData,
   getBusinessData,
   getSocialData,
@@ -9,10 +11,25 @@ import {
   getInfrastructureData,
   getCountries,
   getIndicators,
+  getIndicatorDefinition,
+  createIndicator,
+  updateIndicator,
+  backfillIndicator,
   getDashboardData,
   refreshData,
+  getRefreshJob,
+  getRevisions,
   getDataStats
 } from '../controllers/worldBankController.js';
+import {
+  getCountryGroups,
+  getCountryGroup,
+  createCountryGroup,
+  updateCountryGroup,
+  deleteCountryGroup
+} from '../controllers/countryGroupController.js';
+import { authenticateToken, requireAdmin, optionalAuth } from '../middleware/auth.js';
+import { EXPRESSION_FUNCTIONS } from '../utils/indicatorExpression.js';
 
 const router = express.Router();
 
@@ -21,6 +38,22 @@ const router = express.Router();
  * Provides clean REST endpoints for World Bank data
  */
 
+// Wherever a country list is taken, ?group= (a country group id or system key such as G20) is taken too.
+// Groups can be user-owned, so a token is read when one is sent
+router.use(optionalAuth);
+
+// GET /api/worldbank/data - Any indicators, countries, categories and years in long or wide rows
+// Supports: ?indicators=gdp,SP.POP.TOTL&countries=IN,US,CN&group=BRICS&categories=economy,social&year=2015,2018-2020
+//   &startYear=2010&endYear=2023&format=long|wide&sort=-year,country&fields=country,year,value&limit=100&cursor=...
+router.get('/data', getIndicatorData);
+
+// GET /api/worldbank/aggregates - Sum, mean, median and population-weighted mean of one indicator per group, with coverage
+// Supports: ?indicator=gdp&groupBy=region|incomeLevel|custom&groups=SAS,EAS&countries=IN,PK,BD or group=SAARC (custom)
+//   &year=2022 or &startYear=2015&endYear=2022 (default: per group, the latest year most members reported)
+router.get('/aggregates', getAggregates);
+
+// Category endpoints - aliases of /data with the category fixed, paged with ?page=
+
 // Economy endpoints
 router.get('/economy', getEconomyData);
 router.get('/economy/:indicator', getEconomyData);
@@ -55,9 +88,56 @@ router.get('/indicators', getIndicators);
 router.get('/dashboard', getDashboardData);
 router.get('/stats', getDataStats);
 
+// GET /api/worldbank/revisions - Stored values the World Bank later revised, newest first
+// Supports: ?indicator=gdp&country=IN&group=G20&page=1&limit=50
+router.get('/revisions', getRevisions);
+
+// Country group endpoints
+
+// GET /api/worldbank/groups - System groups (G20, BRICS, SAARC, ASEAN) and, with a token, the caller's own
+router.get('/groups', getCountryGroups);
+
+// GET /api/worldbank/groups/:id - A group by id or system key
+router.get('/groups/:id', getCountryGroup);
+
+// POST /api/worldbank/groups - Save a country group for the caller (admins: system groups)
+// Body: { name, description, countries: ['IN', 'BD', 'LK'] } (admins: system: true, key: 'G7')
+router.post('/groups', authenticateToken, createCountryGroup);
+
+// PUT /api/worldbank/groups/:id - Rename a group or change its countries (owner, or admins for system groups)
+router.put('/groups/:id', authenticateToken, updateCountryGroup);
+
+// DELETE /api/worldbank/groups/:id - Delete a group (owner, or admins for system groups)
+router.delete('/groups/:id', authenticateToken, deleteCountryGroup);
+
+// Indicator catalog endpoints
+
+// GET /api/worldbank/indicators/:code - A catalog indicator by code or short name, with its backfill status
+router.get('/indicators/:code', getIndicatorDefinition);
+
+// POST /api/worldbank/indicators - Add any WDI code, checked against the World Bank metadata, and backfill it (admin only)
+// Body: { code, categories, subcategory, name, unit, scale, description, enabled }
+// Derived indicators take a DERIVED.* code and an expression over stored series instead, e.g.
+//   { code: 'DERIVED.GDP.GROWTH', name, categories, expression: 'yoy(gdp)' }; they are queried like fetched ones
+router.post('/indicators', authenticateToken, requireAdmin, createIndicator);
+
+// PUT /api/worldbank/indicators/:code - Edit categories, short name, unit, scale, description, expression or enabled state (admin only)
+router.put('/indicators/:code', authenticateToken, requireAdmin, updateIndicator);
+
+// POST /api/worldbank/indicators/:code/backfill - Fetch the indicator's full history again (admin only)
+// Body: { countries: ['IN', 'US'], group: 'G20' } (optional)
+router.post('/indicators/:code/backfill', authenticateToken, requireAdmin, backfillIndicator);
+
 // Data management endpoints
+
+// POST /api/worldbank/refresh - Start syncing countries and the indicators that changed at the World Bank; returns a job id
+// Body: { countries: ['IN', 'US'], group: 'BRICS', categories: ['economy'], full: true } (all optional; full refetches the whole window)
+// Progress is broadcast as worldbank-refresh-started|progress|completed|error WebSocket events
 router.post('/refresh', refreshData);
 
+// GET /api/worldbank/refresh/:id - A refresh job's state, progress and failures; use "latest" for the most recent job
+router.get('/refresh/:id', getRefreshJob);
+
 /**
  * Specific indicator shortcuts for common requests
  */
@@ -115,6 +195,18 @@ router.get('/', (req, res) => {
     message: 'World Bank Open Data API',
     version: '1.0.0',
     endpoints: {
+      data: {
+        base: '/api/worldbank/data',
+        description: 'Generic query over every stored indicator; the category endpoints below are aliases of it',
+        formats: ['long', 'wide'],
+        sortFields: { long: ['country', 'indicator', 'year', 'value'], wide: ['country', 'year'] }
+      },
+      aggregates: {
+        base: '/api/worldbank/aggregates',
+        description: 'Statistics of one indicator across the member countries of each group, with how many reported',
+        groupBy: ['region', 'incomeLevel', 'custom'],
+        statistics: ['sum', 'mean', 'median', 'weightedMean (by population)']
+      },
       economy: {
         base: '/api/worldbank/economy',
         indicators: ['gdp', 'gdp-per-capita', 'inflation', 'fdi', 'trade', 'trade-balance', 'interest-rate', 'debt'],
@@ -150,18 +242,45 @@ router.get('/', (req, res) => {
       utility: {
         countries: '/api/worldbank/countries',
         indicators: '/api/worldbank/indicators',
+        indicator: '/api/worldbank/indicators/:code',
         dashboard: '/api/worldbank/dashboard',
         stats: '/api/worldbank/stats',
-        refresh: '/api/worldbank/refresh (POST)'
+        revisions: '/api/worldbank/revisions',
+        groups: '/api/worldbank/groups (GET; POST, PUT /:id and DELETE /:id with a token)',
+        refresh: '/api/worldbank/refresh (POST, returns a job id)',
+        refreshJob: '/api/worldbank/refresh/:id',
+      },
+      catalog: {
+        add: '/api/worldbank/indicators (POST, admin)',
+        edit: '/api/worldbank/indicators/:code (PUT, admin)',
+        backfill: '/api/worldbank/indicators/:code/backfill (POST, admin)',
+        categories: ['economy', 'business', 'social', 'environment', 'health', 'education', 'infrastructure']
+      },
+      derived: {
+        description: 'Catalog indicators computed from stored series, queried through /data like fetched ones and recomputed when their inputs change',
+        functions: Object.fromEntries(Object.entries(EXPRESSION_FUNCTIONS).map(([name, { args, description }]) => [
+          `${name}(${args.join(', ')})`,
+          description
+        ])),
+        examples: ['yoy(gdp)', 'cagr(NY.GDP.MKTP.CD, 5)', 'per_capita(fdi)', 'share_of_gdp(trade-balance)', 'rolling_avg(inflation, 3)', 'index(gdp, 2015)']
       }
     },
     queryParameters: {
-      country: 'Country code (e.g., IN, US, CN)',
-      year: 'Specific year (e.g., 2023)',
+      indicators: 'Indicator short names or World Bank codes, comma separated (e.g., gdp,SP.POP.TOTL); also "indicator"',
+      countries: 'Country codes, comma separated (e.g., IN,US,CN); also "country"',
+      group: 'Country group id or system key (G20, BRICS, SAARC, ASEAN), in place of or added to countries',
+      categories: 'Categories, comma separated (e.g., economy,health); also "category"',
+      year: 'Years and year ranges, comma separated (e.g., 2015,2018-2020)',
       startYear: 'Start year for range (e.g., 2020)',
       endYear: 'End year for range (e.g., 2023)',
-      limit: 'Number of results per page (default: 100)',
-      page: 'Page number (default: 1)',
+      format: 'long (one row per country, indicator and year; default) or wide (one row per country and year)',
+      sort: 'Sort fields, comma separated, "-" for descending (default: -year,country; category endpoints: country,-year)',
+      fields: 'Fields to return, comma separated (long: country, indicator, year, value, unit ...; wide: country, year and indicator names)',
+      limit: 'Number of results per page (default: 100, max: 1000)',
+      cursor: 'nextCursor from the previous response, for the following page',
+      page: 'Page number instead of a cursor (category endpoints default to page 1)',
+      groupBy: 'region, incomeLevel or custom (aggregates; custom takes the countries list)',
+      groups: 'Region or income level codes to aggregate, comma separated (e.g., SAS,EAS or LMC)',
       region: 'Region code for countries endpoint',
       incomeLevel: 'Income level code for countries endpoint'
     },
@@ -169,6 +288,13 @@ router.get('/', (req, res) => {
       'GDP data for India': '/api/worldbank/gdp?country=IN',
       'Inflation data 2020-2023': '/api/worldbank/inflation?startYear=2020&endYear=2023',
       'Population data for multiple countries': '/api/worldbank/population?country=IN,US,CN',
+      'GDP and population side by side': '/api/worldbank/data?indicators=gdp,population&countries=IN,CN&format=wide&startYear=2010',
+      'GDP growth and 5-year CAGR for India': '/api/worldbank/data?indicators=gdp-growth,gdp-cagr-5y&countries=IN&format=wide',
+      'Latest health figures, largest first': '/api/worldbank/data?categories=health&year=2022&sort=-value&fields=country,indicator,value',
+      'GDP per region': '/api/worldbank/aggregates?indicator=gdp&groupBy=region',
+      'BRICS compared side by side': '/api/worldbank/data?group=BRICS&indicators=gdp,gdp-growth,population&format=wide&year=2022',
+      'Median inflation across SAARC': '/api/worldbank/aggregates?indicator=inflation&group=SAARC&startYear=2015',
+      'Life expectancy by income level since 2015': '/api/worldbank/aggregates?indicator=life-expectancy&groupBy=incomeLevel&startYear=2015',
       'Dashboard for India': '/api/worldbank/dashboard?country=IN',
       'All economy indicators': '/api/worldbank/economy',
       'Countries in South Asia': '/api/worldbank/countries?region=SAS'
@@ -0,0 +1,59 @@
+import { SourceAdapter } from '../sourceAdapter.js';
+
+/**
+ * DBT Bharat central scheme list
+ * The list page has no stable markup, so scheme names are picked from list items by keyword;
+ * the selectors that yielded schemes are reported as the parse strategy
+ */
+export class DbtBharatAdapter extends SourceAdapter {
+  constructor() {
+    super({
+      source: 'dbt-bharat',
+      name: 'DBT Bharat',
+      description: 'Direct Benefit Transfer schemes',
+      urls: ['https://www.dbtbharat.gov.in/central-scheme/list'],
+      defaults: {
+        description: 'Direct Benefit Transfer Scheme',
+        targetAudience: 'Citizens',
+        sector: 'Direct Benefit Transfer',
+        level: 'Central',
+        beneficiaryState: 'All'
+      },
+      renderWaitMs: 3000
+    });
+  }
+
+  parse({ $ }) {
+    if (!$) {
+      throw new Error('DBT Bharat did not return an HTML page');
+    }
+
+    const records = [];
+    const matched = [];
+    const visited = new Set();
+
+    for (const selector of ['.scheme-item', '.list-item', 'li']) {
+      const before = records.length;
+
+      $(selector).each((_, item) => {
+        if (visited.has(item)) return;
+        visited.add(item);
+
+        const text = $(item).text().replace(/\s+/g, ' ').trim();
+        const lower = text.toLowerCase();
+
+        if (text.length > 10 && text.length < 200 &&
+            (lower.includes('scheme') || lower.includes('yojana') || lower.includes('program')) &&
+            !lower.includes('schemes from') && !lower.includes('ministries')) {
+          records.push({ name: text });
+        }
+      });
+
+      if (records.length > before) matched.push(selector);
+    }
+
+    return { records, strategy: matched.length > 0 ? matched.join(', ') : null };
+  }
+}
+
+export default DbtBharatAdapter;
@@ -0,0 +1,63 @@
+import { SourceAdapter } from '../sourceAdapter.js';
+
+/**
+ * Digital India programme portal
+ * Takes the first initiative-like line of every programme card
+ */
+export class DigitalIndiaAdapter extends SourceAdapter {
+  constructor() {
+    super({
+      source: 'digital-india',
+      name: 'Digital India',
+      description: 'Digital initiatives and schemes',
+      urls: ['https://www.digitalindia.gov.in/'],
+      defaults: {
+        description: 'Digital India Initiative',
+        ministry: 'Ministry of Electronics and Information Technology',
+        targetAudience: 'Citizens',
+        sector: 'Digital Infrastructure',
+        level: 'Central',
+        beneficiaryState: 'All'
+      },
+      renderWaitMs: 3000
+    });
+  }
+
+  parse({ $ }) {
+    if (!$) {
+      throw new Error('Digital India did not return an HTML page');
+    }
+
+    const records = [];
+    const matched = [];
+    const visited = new Set();
+
+    for (const selector of ['.program', '.initiative', '.card', '.item', '[class*="digital"]']) {
+      const before = records.length;
+
+      $(selector).each((_, element) => {
+        if (visited.has(element)) return;
+        visited.add(element);
+
+        const text = $(element).text().trim();
+        if (text.length <= 10 || text.length >= 200) return;
+
+        const line = text.split('\n')
+          .map(part => part.trim())
+          .find(part => {
+            const lower = part.toLowerCase();
+            return part.length > 5 &&
+              (lower.includes('digital') || lower.includes('program') || lower.includes('initiative') || lower.includes('scheme'));
+          });
+
+        if (line) records.push({ name: line });
+      });
+
+      if (records.length > before) matched.push(selector);
+    }
+
+    return { records, strategy: matched.length > 0 ? matched.join(', ') : null };
+  }
+}
+
+export default DigitalIndiaAdapter;
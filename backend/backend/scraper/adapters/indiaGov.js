@@ -0,0 +1,84 @@
+import { SourceAdapter } from '../sourceAdapter.js';
+
+// Resolve a link against the page it is on, like the browser's link.href
+function absoluteUrl(href, base) {
+  if (!href) return undefined;
+  try {
+    return new URL(href, base).href;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * National Portal of India (india.gov.in) scheme pages
+ * Scheme names come from scheme-like links, then from scheme-like lines of the page text
+ */
+export class IndiaGovAdapter extends SourceAdapter {
+  constructor() {
+    super({
+      source: 'india-gov',
+      name: 'India.gov.in',
+      description: 'National portal scheme listings',
+      urls: [
+        'https://www.india.gov.in/my-government/schemes-0',
+        'https://www.india.gov.in/topics/social-welfare-schemes',
+        'https://www.india.gov.in/my-government/government-schemes-and-programmes'
+      ],
+      defaults: {
+        description: 'Government Scheme from National Portal of India',
+        targetAudience: 'Citizens',
+        sector: 'Government Services',
+        level: 'Central',
+        beneficiaryState: 'All'
+      },
+      delayMs: 2000,
+      renderWaitMs: 3000
+    });
+  }
+
+  parse({ $, url }) {
+    if (!$) {
+      throw new Error('India.gov.in did not return an HTML page');
+    }
+
+    const records = [];
+    const seen = new Set();
+    const isSchemeLike = (lower) => lower.includes('scheme') || lower.includes('yojana') || lower.includes('program');
+
+    const matched = new Set();
+
+    const add = (name, sourceUrl, strategy) => {
+      const key = name.toLowerCase();
+      if (seen.has(key) || name.length <= 5) return;
+      seen.add(key);
+      matched.add(strategy);
+      records.push(sourceUrl ? { name, sourceUrl } : { name });
+    };
+
+    $('a').each((_, link) => {
+      const text = $(link).text().replace(/\s+/g, ' ').trim();
+      if (text.length > 10 && text.length < 200 && isSchemeLike(text.toLowerCase())) {
+        add(text, absoluteUrl($(link).attr('href'), url), 'links');
+      }
+    });
+
+    $('body').text().split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => line.length > 10 && line.length < 200)
+      .filter(line => {
+        const lower = line.toLowerCase();
+        return isSchemeLike(lower) &&
+          !line.includes('http') && !line.includes('@') && !line.includes('©') &&
+          !lower.includes('website') && !lower.includes('portal');
+      })
+      .forEach(line => add(line, undefined, 'text-lines'));
+
+    return {
+      records: records.slice(0, 50), // The text heuristic gets noisy beyond this
+      strategy: matched.size > 0 ? [...matched].join(', ') : null
+    };
+  }
+}
+
+export default IndiaGovAdapter;
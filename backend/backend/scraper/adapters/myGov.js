@@ -0,0 +1,59 @@
+import { SourceAdapter } from '../sourceAdapter.js';
+
+/**
+ * MyGov citizen engagement portal
+ * Takes the first scheme-like line of every card on the home page
+ */
+export class MyGovAdapter extends SourceAdapter {
+  constructor() {
+    super({
+      source: 'mygov',
+      name: 'MyGov Portal',
+      description: 'Citizen engagement schemes',
+      urls: ['https://www.mygov.in/'],
+      defaults: {
+        description: 'Citizen Engagement Scheme',
+        targetAudience: 'Citizens',
+        sector: 'Citizen Services',
+        level: 'Central',
+        beneficiaryState: 'All'
+      },
+      renderWaitMs: 3000
+    });
+  }
+
+  parse({ $ }) {
+    if (!$) {
+      throw new Error('MyGov did not return an HTML page');
+    }
+
+    const records = [];
+    const matched = [];
+    const visited = new Set();
+
+    for (const selector of ['.card', '.item', '.post', '[class*="scheme"]', '[class*="yojana"]']) {
+      const before = records.length;
+
+      $(selector).each((_, element) => {
+        if (visited.has(element)) return;
+        visited.add(element);
+
+        const line = $(element).text().split('\n')
+          .map(text => text.trim())
+          .find(text => {
+            const lower = text.toLowerCase();
+            return text.length > 10 && text.length < 200 &&
+              (lower.includes('scheme') || lower.includes('yojana') || lower.includes('program'));
+          });
+
+        if (line) records.push({ name: line });
+      });
+
+      if (records.length > before) matched.push(selector);
+    }
+
+    return { records, strategy: matched.length > 0 ? matched.join(', ') : null };
+  }
+}
+
+export default MyGovAdapter;
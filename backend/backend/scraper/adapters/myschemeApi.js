@@ -0,0 +1,264 @@
+import { SourceAdapter } from '../sourceAdapter.js';
+
+const SEARCH_API_URL = 'https://api.myscheme.gov.in/search/v5/schemes';
+const PORTAL_URL = 'https://www.myscheme.gov.in/search';
+const SCHEME_PAGE_URL = 'https://www.myscheme.gov.in/schemes';
+
+export const SEARCH_KEYWORDS = [
+  'pradhan mantri', 'pm', 'yojana', 'scheme', 'scholarship', 'pension',
+  'health', 'education', 'agriculture', 'employment', 'housing', 'insurance',
+  'loan', 'subsidy', 'welfare', 'development', 'rural', 'urban', 'women',
+  'child', 'elderly', 'disability', 'minority', 'tribal', 'farmer'
+];
+
+// Short terms that together match nearly every scheme name
+export const CHARACTER_KEYWORDS = [
+  ...'abcdefghijklmnopqrstuvwxyz0123456789'.split(''),
+  'pr', 'pm', 'sc', 'yo', 'sh', 'kr', 'ma', 'ra', 'sa', 'ka'
+];
+
+export const SCHEME_CATEGORIES = [
+  'Agriculture,Rural & Environment',
+  'Banking,Financial Services and Insurance',
+  'Business & Entrepreneurship',
+  'Education & Learning',
+  'Health & Wellness',
+  'Housing & Shelter',
+  'Public Safety,Law & Justice',
+  'Science, IT & Communications',
+  'Skills & Employment',
+  'Social welfare & Empowerment',
+  'Sports & Culture',
+  'Transport & Infrastructure',
+  'Travel & Tourism',
+  'Utility & Sanitation',
+  'Women and Child'
+];
+
+export const NODAL_MINISTRIES = [
+  'Ministry of Agriculture and Farmers Welfare',
+  'Ministry of Education',
+  'Ministry of Health and Family Welfare',
+  'Ministry of Finance',
+  'Ministry of Rural Development',
+  'Ministry of Social Justice and Empowerment',
+  'Ministry of Women and Child Development',
+  'Ministry of Labour and Employment',
+  'Ministry of Housing and Urban Affairs',
+  'Ministry of Skill Development and Entrepreneurship',
+  'Ministry of Micro, Small and Medium Enterprises',
+  'Ministry of Electronics and Information Technology'
+];
+
+export const BENEFICIARY_STATES = [
+  'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh',
+  'Goa', 'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jharkhand', 'Karnataka',
+  'Kerala', 'Madhya Pradesh', 'Maharashtra', 'Manipur', 'Meghalaya', 'Mizoram',
+  'Nagaland', 'Odisha', 'Punjab', 'Rajasthan', 'Sikkim', 'Tamil Nadu',
+  'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal',
+  'Jammu and Kashmir', 'Ladakh', 'Delhi', 'Puducherry'
+];
+
+/**
+ * URL of one page of the MyScheme search API
+ * filters: [{ key: 'schemeCategory', value: 'Health & Wellness' }]
+ */
+export function buildSearchUrl({ from = 0, size = 50, keyword = '', filters = [] } = {}) {
+  const params = { lang: 'en', q: JSON.stringify(filters), keyword, sort: '', from, size };
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `${SEARCH_API_URL}?${query}`;
+}
+
+/**
+ * Which of the three search API payload shapes seen so far a payload has, with its scheme items
+ * Returns { shape: 'data.hits.items' | 'data' | 'array' | null, items }
+ */
+export function detectMySchemeShape(payload) {
+  if (Array.isArray(payload?.data?.hits?.items)) return { shape: 'data.hits.items', items: payload.data.hits.items };
+  if (Array.isArray(payload?.data)) return { shape: 'data', items: payload.data };
+  if (Array.isArray(payload)) return { shape: 'array', items: payload };
+  return { shape: null, items: [] };
+}
+
+function joinList(value) {
+  return Array.isArray(value) ? value.join(', ') : (value || '');
+}
+
+/**
+ * Portal page of a search API item, read by the enrichment worker for the detail fields
+ */
+export function mySchemeDetailUrl(fields) {
+  return fields.slug ? `${SCHEME_PAGE_URL}/${encodeURIComponent(fields.slug)}` : undefined;
+}
+
+/**
+ * Map a search API item onto the scheme fields
+ */
+export function mapMySchemeItem(item) {
+  const fields = item.fields || item;
+
+  return {
+    name: fields.schemeName || fields.schemeShortTitle || fields.name || fields.title,
+    description: fields.schemeDescription || fields.description || '',
+    ministry: fields.nodalMinistryName || fields.sponsoringMinistry || fields.ministry || '',
+    department: fields.sponsoringDepartment || fields.department || '',
+    targetAudience: fields.schemeFor || fields.beneficiaryType || fields.target_audience || '',
+    sector: joinList(fields.schemeCategory),
+    launchDate: fields.launchDate ? new Date(fields.launchDate) : null,
+    budget: fields.budget || null,
+    level: fields.level || '',
+    beneficiaryState: joinList(fields.beneficiaryState),
+    schemeId: item.id || item._id || undefined,
+    detailUrl: mySchemeDetailUrl(fields)
+  };
+}
+
+/**
+ * MyScheme search API
+ * One adapter class covers every MyScheme variant; they only differ in which queries they send
+ */
+export class MySchemeApiAdapter extends SourceAdapter {
+  constructor({ pagination = null, keywords = [], categories = [], ministries = [], states = [], sessionRefreshEvery = 0, ...config }) {
+    super({
+      headers: {
+        'Accept': 'application/json, text/plain, */*',
+        'Referer': 'https://www.myscheme.gov.in/',
+        'Origin': 'https://www.myscheme.gov.in'
+      },
+      blockResources: ['image', 'font', 'media', 'stylesheet'],
+      ...config
+    });
+
+    this.pagination = pagination; // { pageSize, maxPages } or null to skip plain pagination
+    this.keywords = keywords;
+    this.categories = categories;
+    this.ministries = ministries;
+    this.states = states;
+    this.sessionRefreshEvery = sessionRefreshEvery; // Re-open the portal every n targets to keep the session alive
+  }
+
+  /**
+   * Pagination pages first (stopping at the first empty page), then one query per keyword and filter
+   * Options: { maxPages, pageSize } override the configured pagination
+   */
+  async discover(options = {}) {
+    const targets = [];
+
+    if (this.pagination) {
+      const pageSize = options.pageSize || this.pagination.pageSize;
+      const maxPages = options.maxPages || this.pagination.maxPages;
+
+      for (let page = 0; page < maxPages; page++) {
+        targets.push({
+          url: buildSearchUrl({ from: page * pageSize, size: pageSize }),
+          label: `page ${page + 1}/${maxPages}`,
+          group: 'pagination',
+          stopGroupWhenEmpty: true
+        });
+      }
+    }
+
+    for (const keyword of this.keywords) {
+      targets.push({ url: buildSearchUrl({ keyword, size: 100 }), label: `keyword "${keyword}"`, group: 'keyword' });
+    }
+
+    const filterTargets = [
+      ['schemeCategory', this.categories, 'category'],
+      ['nodalMinistryName', this.ministries, 'ministry'],
+      ['beneficiaryState', this.states, 'state']
+    ];
+    for (const [key, values, group] of filterTargets) {
+      for (const value of values) {
+        targets.push({ url: buildSearchUrl({ filters: [{ key, value }], size: 100 }), label: `${group} "${value}"`, group });
+      }
+    }
+
+    return targets;
+  }
+
+  // The API only answers clients that have visited the portal first and carry its cookies
+  async prepare({ mode, page, http }) {
+    if (mode === 'browser') {
+      await page.goto(PORTAL_URL, { waitUntil: 'networkidle', timeout: this.timeoutMs });
+      await page.waitForTimeout(3000);
+    } else {
+      await http.get(PORTAL_URL, { headers: { Accept: 'text/html,application/xhtml+xml' } });
+    }
+  }
+
+  async fetch(target, context) {
+    if (this.sessionRefreshEvery && target.index > 0 && target.index % this.sessionRefreshEvery === 0) {
+      console.log('🔄 Refreshing MyScheme session...');
+      await this.prepare(context);
+    }
+    return super.fetch(target, context);
+  }
+
+  async parse(response) {
+    if (!response.json) {
+      throw new Error('MyScheme API did not return JSON');
+    }
+    const { shape, items } = detectMySchemeShape(response.json);
+    return { records: items, strategy: shape && `payload ${shape}` };
+  }
+
+  normalize(item, target) {
+    return super.normalize(mapMySchemeItem(item), target);
+  }
+}
+
+/**
+ * The MyScheme sources, keyed by the source value that the former one-off scrapers wrote
+ */
+export function createMySchemeAdapters() {
+  return [
+    new MySchemeApiAdapter({
+      source: 'bulk-api',
+      name: 'MyScheme bulk extraction',
+      description: 'Pagination plus keyword, category and ministry queries',
+      pagination: { pageSize: 50, maxPages: 100 },
+      keywords: SEARCH_KEYWORDS,
+      categories: SCHEME_CATEGORIES,
+      ministries: NODAL_MINISTRIES
+    }),
+    new MySchemeApiAdapter({
+      source: 'direct-pagination',
+      name: 'MyScheme direct pagination',
+      description: 'Plain pagination of the search API',
+      pagination: { pageSize: 50, maxPages: 77 }
+    }),
+    new MySchemeApiAdapter({
+      source: 'smart-pagination',
+      name: 'MyScheme smart pagination',
+      description: 'Pagination that re-opens the portal every 10 pages to keep the session',
+      pagination: { pageSize: 50, maxPages: 80 },
+      sessionRefreshEvery: 10,
+      delayMs: 1500
+    }),
+    new MySchemeApiAdapter({
+      source: 'aggressive-api',
+      name: 'MyScheme exhaustive search',
+      description: 'Large pages plus character, category, ministry and state queries',
+      pagination: { pageSize: 100, maxPages: 50 },
+      keywords: CHARACTER_KEYWORDS,
+      categories: SCHEME_CATEGORIES,
+      ministries: NODAL_MINISTRIES,
+      states: BENEFICIARY_STATES,
+      delayMs: 500
+    }),
+    new MySchemeApiAdapter({
+      source: 'simple-bulk-api',
+      name: 'MyScheme simple pagination',
+      description: 'Pagination with 100 schemes per page',
+      pagination: { pageSize: 100, maxPages: 40 }
+    }),
+    new MySchemeApiAdapter({
+      source: 'simple-bulk-search',
+      name: 'MyScheme keyword search',
+      description: 'One query per common search term',
+      keywords: SEARCH_KEYWORDS.slice(0, 12)
+    })
+  ];
+}
@@ -0,0 +1,80 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { httpHarPath } from './httpClient.js';
+
+// Captured responses and golden outputs, one directory per source: fixtures/scrapers/<source>/<name>.har|.http.har|.golden.json
+// (.har holds what the browser fetched, .http.har what was fetched over plain HTTP)
+export const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'scrapers');
+
+// Fields that change on every run and are left out of golden files
+const VOLATILE_FIELDS = ['scrapedAt'];
+
+export function fixturePaths(source, name = 'default') {
+  const dir = join(FIXTURES_DIR, source);
+  const har = join(dir, `${name}.har`);
+  return {
+    har,
+    httpHar: httpHarPath(har),
+    golden: join(dir, `${name}.golden.json`)
+  };
+}
+
+/**
+ * Schemes as they are stored in a golden file: JSON values without the volatile fields
+ */
+export function toGoldenSchemes(schemes) {
+  return JSON.parse(JSON.stringify(schemes)).map(scheme => {
+    for (const field of VOLATILE_FIELDS) delete scheme[field];
+    return scheme;
+  });
+}
+
+export async function readGolden(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No golden file at ${path} (record the source first)`);
+    }
+    throw error;
+  }
+}
+
+export async function writeGolden(path, golden) {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, `${JSON.stringify(golden, null, 2)}\n`);
+}
+
+/**
+ * Differences between golden and replayed schemes, matched on keyOf(scheme)
+ * Returns { matches, added, removed, changed: [{ key, fields: [{ field, expected, actual }] }] }
+ */
+export function compareWithGolden(expectedSchemes, actualSchemes, keyOf) {
+  const expected = new Map(expectedSchemes.map(scheme => [keyOf(scheme), scheme]));
+  const actual = new Map(actualSchemes.map(scheme => [keyOf(scheme), scheme]));
+
+  const added = [...actual.keys()].filter(key => !expected.has(key));
+  const removed = [...expected.keys()].filter(key => !actual.has(key));
+  const changed = [];
+
+  for (const [key, expectedScheme] of expected) {
+    const actualScheme = actual.get(key);
+    if (!actualScheme) continue;
+
+    const fields = [...new Set([...Object.keys(expectedScheme), ...Object.keys(actualScheme)])]
+      .filter(field => JSON.stringify(expectedScheme[field]) !== JSON.stringify(actualScheme[field]))
+      .map(field => ({ field, expected: expectedScheme[field], actual: actualScheme[field] }));
+
+    if (fields.length > 0) {
+      changed.push({ key, fields });
+    }
+  }
+
+  return {
+    matches: added.length === 0 && removed.length === 0 && changed.length === 0,
+    added,
+    removed,
+    changed
+  };
+}
@@ -0,0 +1,262 @@
+import axios from 'axios';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+const MAX_REDIRECTS = 5;
+
+// HTTP responses of a run are captured next to its browser capture: <name>.har -> <name>.http.har
+export function httpHarPath(harPath) {
+  return `${harPath.replace(/\.har$/, '')}.http.har`;
+}
+
+// Parse one Set-Cookie header into { name, value, domain, expired }
+function parseSetCookie(header, host) {
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) return null;
+
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain: host,
+    expired: false
+  };
+
+  for (const attribute of attributes) {
+    const [key, ...rest] = attribute.trim().split('=');
+    const value = rest.join('=').trim();
+    switch (key.toLowerCase()) {
+      case 'domain':
+        if (value) cookie.domain = value.replace(/^\./, '').toLowerCase();
+        break;
+      case 'max-age':
+        if (Number(value) <= 0) cookie.expired = true;
+        break;
+      case 'expires':
+        if (Date.parse(value) < Date.now()) cookie.expired = true;
+        break;
+    }
+  }
+
+  return cookie;
+}
+
+function headerList(headers) {
+  return Object.entries(headers).flatMap(([name, value]) => (
+    Array.isArray(value) ? value.map(item => ({ name, value: String(item) })) : [{ name, value: String(value) }]
+  ));
+}
+
+/**
+ * HTTP Client
+ * Browserless fetching for scrape sources: fixed headers, a cookie jar shared by every request of a run,
+ * and manual redirects so that cookies set along the way are kept.
+ * har: { path, mode: 'record' | 'replay' } writes the run's responses to a HAR file (on saveHar()) or serves them from one;
+ * in replay mode nothing reaches the network and unrecorded urls fail
+ */
+export class HttpClient {
+  constructor({ headers = {}, timeoutMs = 30000, har = null } = {}) {
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+    this.har = har;
+    this.cookies = new Map(); // Domain -> Map(name -> value)
+    this.harEntries = [];
+    this.replayEntries = null; // Url -> recorded entries, loaded on the first replayed request
+  }
+
+  cookieHeader(url) {
+    const host = new URL(url).hostname.toLowerCase();
+    const pairs = [];
+
+    for (const [domain, jar] of this.cookies) {
+      if (host === domain || host.endsWith(`.${domain}`)) {
+        for (const [name, value] of jar) pairs.push(`${name}=${value}`);
+      }
+    }
+    return pairs.join('; ');
+  }
+
+  storeCookies(url, setCookieHeaders = []) {
+    const host = new URL(url).hostname.toLowerCase();
+
+    for (const header of [].concat(setCookieHeaders)) {
+      const cookie = parseSetCookie(header, host);
+      if (!cookie) continue;
+
+      if (!this.cookies.has(cookie.domain)) this.cookies.set(cookie.domain, new Map());
+      const jar = this.cookies.get(cookie.domain);
+      if (cookie.expired) {
+        jar.delete(cookie.name);
+      } else {
+        jar.set(cookie.name, cookie.value);
+      }
+    }
+  }
+
+  /**
+   * GET a url, following redirects
+   * Returns { url, status, ok, statusText, headers, text } where url is the final url
+   */
+  async get(url, { headers = {} } = {}) {
+    let currentUrl = url;
+
+    for (let redirects = 0; ; redirects++) {
+      const cookie = this.cookieHeader(currentUrl);
+      const requestHeaders = { ...this.headers, ...headers, ...(cookie ? { Cookie: cookie } : {}) };
+      const response = await this.send(currentUrl, requestHeaders);
+
+      this.storeCookies(currentUrl, response.headers['set-cookie']);
+
+      const location = response.headers.location;
+      if (response.status >= 300 && response.status < 400 && location) {
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error(`Too many redirects from ${url}`);
+        }
+        currentUrl = new URL(location, currentUrl).href;
+        continue;
+      }
+
+      return {
+        url: currentUrl,
+        status: response.status,
+        ok: response.status >= 200 && response.status < 300,
+        statusText: response.statusText,
+        headers: response.headers,
+        text: response.text
+      };
+    }
+  }
+
+  async send(url, headers) {
+    if (this.har?.mode === 'replay') {
+      return this.replay(url);
+    }
+
+    const startedAt = new Date();
+    const response = await axios.get(url, {
+      headers,
+      timeout: this.timeoutMs,
+      maxRedirects: 0,
+      responseType: 'text',
+      transformResponse: [data => data],
+      validateStatus: () => true
+    });
+
+    const result = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      text: typeof response.data === 'string' ? response.data : String(response.data ?? '')
+    };
+
+    if (this.har?.mode === 'record') {
+      this.recordEntry(url, headers, result, startedAt);
+    }
+    return result;
+  }
+
+  recordEntry(url, requestHeaders, response, startedAt) {
+    const headers = { ...response.headers };
+    this.harEntries.push({
+      startedDateTime: startedAt.toISOString(),
+      time: Date.now() - startedAt.getTime(),
+      request: {
+        method: 'GET',
+        url,
+        httpVersion: 'HTTP/1.1',
+        headers: headerList(requestHeaders),
+        queryString: [],
+        cookies: [],
+        headersSize: -1,
+        bodySize: 0
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        headers: headerList(headers),
+        cookies: [],
+        content: {
+          size: Buffer.byteLength(response.text),
+          mimeType: headers['content-type'] || '',
+          text: response.text
+        },
+        redirectURL: headers.location || '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: { send: 0, wait: Date.now() - startedAt.getTime(), receive: 0 }
+    });
+  }
+
+  async loadReplayEntries() {
+    let har;
+    try {
+      har = JSON.parse(await readFile(this.har.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No recorded responses at ${this.har.path}`);
+      }
+      throw error;
+    }
+
+    this.replayEntries = new Map();
+    for (const entry of har.log?.entries || []) {
+      if (entry.request?.method !== 'GET') continue;
+      const entries = this.replayEntries.get(entry.request.url) || [];
+      entries.push(entry);
+      this.replayEntries.set(entry.request.url, entries);
+    }
+  }
+
+  // Recorded responses of a url are served in order; the last one repeats
+  async replay(url) {
+    if (!this.replayEntries) {
+      await this.loadReplayEntries();
+    }
+
+    const entries = this.replayEntries.get(url);
+    if (!entries || entries.length === 0) {
+      throw new Error(`No recorded response for ${url}`);
+    }
+    const entry = entries.length > 1 ? entries.shift() : entries[0];
+
+    const headers = {};
+    for (const { name, value } of entry.response.headers || []) {
+      const key = name.toLowerCase();
+      if (key === 'set-cookie') {
+        headers[key] = [...(headers[key] || []), value];
+      } else {
+        headers[key] = value;
+      }
+    }
+
+    const { text = '', encoding } = entry.response.content || {};
+    return {
+      status: entry.response.status,
+      statusText: entry.response.statusText,
+      headers,
+      text: encoding === 'base64' ? Buffer.from(text, 'base64').toString('utf8') : text
+    };
+  }
+
+  /**
+   * Write the recorded responses; a no-op unless recording
+   */
+  async saveHar() {
+    if (this.har?.mode !== 'record' || this.harEntries.length === 0) return;
+
+    await mkdir(dirname(this.har.path), { recursive: true });
+    await writeFile(this.har.path, JSON.stringify({
+      log: {
+        version: '1.2',
+        creator: { name: 'sarkari-pulse-http-client', version: '1.0' },
+        entries: this.harEntries
+      }
+    }, null, 2));
+    console.log(`🎞️ ${this.harEntries.length} HTTP responses recorded to ${this.har.path}`);
+  }
+}
+
+export default HttpClient;
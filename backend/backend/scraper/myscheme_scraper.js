@@ -1,4 +1,5 @@
 import { chromium } from 'playwright';
+import { mySchemeDetailUrl } from './adapters/myschemeApi.js';
 
 /**
  * MyScheme.gov.in Scraper
@@ -261,6 +262,7 @@ export class MySchemeScraperService {
               level: fields.level || '', // Central/State
               beneficiaryState: Array.isArray(fields.beneficiaryState) ? fields.beneficiaryState.join(', ') : (fields.beneficiaryState || ''),
               schemeId: schemeId,
+              detailUrl: mySchemeDetailUrl(fields),
               source: 'api',
               sourceUrl: capture.url,
               scrapedAt: new Date()
@@ -0,0 +1,88 @@
+import * as cheerio from 'cheerio';
+
+// Detail page sections and the scheme field each fills; the portal renders every section as
+// <div id="eligibility"><h3>Eligibility</h3>...</div>, other layouts are matched on their heading text
+export const DETAIL_SECTIONS = [
+  { field: 'eligibility', ids: ['eligibility'], heading: /^eligibility( criteria)?$/i },
+  { field: 'benefits', ids: ['benefits'], heading: /^benefits?$/i },
+  { field: 'applicationProcess', ids: ['application-process', 'applicationProcess'], heading: /^(application process|how to apply)$/i },
+  { field: 'documentsRequired', ids: ['documents-required', 'documentsRequired'], heading: /^(documents? required|required documents)$/i }
+];
+
+export const DETAIL_FIELDS = DETAIL_SECTIONS.map(section => section.field);
+
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+const BLOCKS = 'p, li, div, tr, h1, h2, h3, h4, h5, h6';
+
+function cleanText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Text of the nodes with one line per paragraph, list item or block
+function blockLines($, nodes) {
+  const container = $('<div></div>');
+  nodes.each((_, node) => container.append($(node).clone()));
+
+  container.find('script, style, button').remove();
+  container.find('br').replaceWith('\n');
+  container.find(BLOCKS).each((_, node) => $(node).append('\n'));
+
+  return container.text()
+    .split('\n')
+    .map(cleanText)
+    .filter(Boolean);
+}
+
+// Content nodes of a section, without its own heading
+function findSectionNodes($, section) {
+  for (const id of section.ids) {
+    const element = $(`[id="${id}"]`).first();
+    if (element.length === 0) continue;
+
+    const content = element.children().filter((_, child) => {
+      const node = $(child);
+      return !(node.is(HEADINGS) && section.heading.test(cleanText(node.text())));
+    });
+    if (content.length > 0) return content;
+  }
+
+  const heading = $(HEADINGS).filter((_, node) => section.heading.test(cleanText($(node).text()))).first();
+  if (heading.length === 0) return null;
+
+  const siblings = heading.nextUntil(HEADINGS);
+  if (siblings.length > 0) return siblings;
+
+  // Heading wrapped on its own, e.g. <div><span><h3>Benefits</h3></span><div>...</div></div>
+  const content = heading.parent().nextAll().first();
+  return content.length > 0 ? content : null;
+}
+
+/**
+ * Eligibility, benefits, application process and required documents from a scheme detail page
+ * Returns { details, sections } - sections lists the fields found on the page
+ */
+export function parseSchemeDetailPage(html) {
+  const $ = cheerio.load(html);
+  const details = {};
+  const sections = [];
+
+  for (const section of DETAIL_SECTIONS) {
+    const nodes = findSectionNodes($, section);
+    if (!nodes) continue;
+
+    if (section.field === 'documentsRequired') {
+      const items = nodes.find('li').add(nodes.filter('li')).map((_, item) => cleanText($(item).text())).get().filter(Boolean);
+      const documents = items.length > 0 ? items : blockLines($, nodes);
+      if (documents.length === 0) continue;
+      details.documentsRequired = [...new Set(documents)];
+    } else {
+      const lines = blockLines($, nodes);
+      if (lines.length === 0) continue;
+      details[section.field] = lines.join('\n');
+    }
+
+    sections.push(section.field);
+  }
+
+  return { details, sections };
+}
@@ -0,0 +1,194 @@
+import * as cheerio from 'cheerio';
+import { normalizeSchemeName } from '../utils/schemeMatching.js';
+
+export const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/json;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9'
+};
+
+/**
+ * Response passed to parse(); html is the rendered page when it differs from the raw body
+ */
+export function buildResponse({ url, status, contentType, text, html = null }) {
+  let json = null;
+  if (contentType.includes('json') || /^\s*[[{]/.test(text)) {
+    try {
+      json = JSON.parse(text);
+    } catch (parseError) {
+      json = null;
+    }
+  }
+
+  const isHtml = html || contentType.includes('html') || (!contentType && /^\s*</.test(text));
+  const $ = json === null && isHtml ? cheerio.load(html || text) : null;
+  return { url, status, contentType, text, json, $ };
+}
+
+/**
+ * Source Adapter
+ * Base class for a portal that schemes are scraped from. The SourceRunner drives every adapter through
+ * the same four steps, so a new portal normally only lists its urls and implements parse():
+ *
+ *   discover(options)          -> targets to fetch: [{ url, label, group, stopGroupWhenEmpty }]
+ *   fetch(target, context)     -> response of one target, over plain HTTP or in the shared browser page
+ *   parse(response, target)    -> raw records found in the response, or { records, strategy } where strategy
+ *                                 names the payload shape or selectors that matched (null when none did)
+ *   normalize(record, target)  -> scheme data in the shape of the Scheme model
+ *
+ * Sources are fetched over HTTP unless they set needsBrowser; the runner moves a run to the browser when
+ * the HTTP path fails. HTML is parsed with cheerio (response.$) in both modes, so one parser serves both
+ */
+export class SourceAdapter {
+  constructor(config = {}) {
+    const {
+      source,
+      name,
+      description = '',
+      urls = [],
+      headers = {},
+      defaults = {},
+      delayMs = 1000,
+      timeoutMs = 30000,
+      retries = 1,
+      rateLimitDelayMs = 10000,
+      blockResources = [],
+      needsBrowser = false,
+      browserFallback = true,
+      renderWaitMs = 0
+    } = config;
+
+    if (!source) {
+      throw new Error('A source adapter needs a source key');
+    }
+
+    this.source = source; // One of the SCHEME_SOURCES values, stored on every scheme it writes
+    this.name = name || source;
+    this.description = description;
+    this.urls = urls; // Fixed list pages; adapters with dynamic targets override discover()
+    this.headers = { ...DEFAULT_HEADERS, ...headers };
+    this.defaults = defaults; // Field values for records that the portal does not provide
+    this.delayMs = delayMs; // Pause between two targets
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.rateLimitDelayMs = rateLimitDelayMs;
+    this.blockResources = blockResources; // Playwright resource types to skip, e.g. ['image', 'font']
+    this.needsBrowser = needsBrowser; // Start in the browser instead of over HTTP
+    this.browserFallback = browserFallback; // Move the run to the browser when the HTTP path fails
+    this.renderWaitMs = renderWaitMs; // Time for client-side rendering before a browser page is read
+  }
+
+  /**
+   * Targets to fetch in this run
+   */
+  async discover() {
+    if (this.urls.length === 0) {
+      throw new Error(`Source "${this.source}" has no urls and does not implement discover()`);
+    }
+    return this.urls.map(url => ({ url, label: url }));
+  }
+
+  /**
+   * Called once per run before the first target, and again when the run moves to the browser,
+   * e.g. to open the portal and pick up session cookies
+   */
+  async prepare() {}
+
+  /**
+   * Open a target and return { url, status, contentType, text, json, $, page }
+   * json is set when the body parses as JSON, $ is the cheerio document of HTML responses (the rendered DOM in the browser)
+   * and page is the browser page in browser mode
+   */
+  async fetch(target, context) {
+    return context.mode === 'browser' ? this.fetchInBrowser(target, context) : this.fetchOverHttp(target, context);
+  }
+
+  async fetchOverHttp(target, { http }) {
+    const response = await http.get(target.url);
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return buildResponse({
+      url: target.url,
+      status: response.status,
+      contentType: response.headers['content-type'] || '',
+      text: response.text
+    });
+  }
+
+  async fetchInBrowser(target, { page }) {
+    const response = await page.goto(target.url, {
+      waitUntil: 'networkidle',
+      timeout: this.timeoutMs
+    });
+
+    if (!response) {
+      throw new Error(`No response from ${target.url}`);
+    }
+
+    const status = response.status();
+    if (!response.ok()) {
+      const error = new Error(`HTTP ${status}: ${response.statusText()}`);
+      error.status = status;
+      throw error;
+    }
+
+    if (this.renderWaitMs) {
+      await page.waitForTimeout(this.renderWaitMs);
+    }
+
+    const contentType = response.headers()['content-type'] || '';
+    const text = await response.text();
+    const html = contentType.includes('html') ? await page.content() : null;
+
+    return { ...buildResponse({ url: target.url, status, contentType, text, html }), page };
+  }
+
+  /**
+   * Raw records found in a fetched response, optionally as { records, strategy } for the source health monitor
+   */
+  async parse() {
+    throw new Error(`Source "${this.source}" does not implement parse()`);
+  }
+
+  /**
+   * Turn a parsed record into scheme data; adapters override this when field names differ from the model
+   */
+  normalize(record, target) {
+    const name = typeof record.name === 'string' ? record.name.replace(/\s+/g, ' ').trim() : record.name;
+
+    return {
+      ...this.defaults,
+      ...record,
+      name,
+      source: this.source,
+      sourceUrl: record.sourceUrl || target.url,
+      scrapedAt: new Date(),
+      isActive: record.isActive ?? true
+    };
+  }
+
+  /**
+   * Whether normalized scheme data is worth saving
+   */
+  isValid(scheme) {
+    return typeof scheme.name === 'string' && scheme.name.length > 3;
+  }
+
+  /**
+   * Identity used to drop duplicates within a run; cross-source duplicates are linked later by entity resolution
+   */
+  dedupKey(scheme) {
+    return scheme.schemeId ? `id:${scheme.schemeId}` : `name:${normalizeSchemeName(scheme.name)}`;
+  }
+
+  describe() {
+    return { source: this.source, name: this.name, description: this.description, needsBrowser: this.needsBrowser };
+  }
+}
+
+export default SourceAdapter;
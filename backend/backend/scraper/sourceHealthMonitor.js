@@ -0,0 +1,217 @@
+// Scheme fields whose fill rate is tracked per run
+export const MONITORED_FIELDS = ['name', 'description', 'ministry', 'department', 'sector', 'targetAudience'];
+
+const MIN_BATCH = 5; // Smaller batches say too little about a target to stop a run on
+const MAX_INVALID_SHARE = 0.5;
+const EXPECTED_FILL_RATE = 0.8; // A field recent runs filled at least this often is expected to be filled
+const EMPTY_FILL_RATE = 0.1; // Below this an expected field counts as empty
+const RECORD_DROP_THRESHOLD = 0.7;
+const SAMPLE_COUNT = 3;
+const SAMPLE_MAX_LENGTH = 2000;
+
+// Thrown before a drifted target's records are saved; carries the critical alert
+export class SourceDriftError extends Error {
+  constructor(alert) {
+    super(`Source drift: ${alert.message}`);
+    this.name = 'SourceDriftError';
+    this.alert = alert;
+  }
+}
+
+function isFilled(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+function share(count, total) {
+  return total > 0 ? Math.round((count / total) * 100) / 100 : 0;
+}
+
+// Raw records or a payload excerpt small enough to keep on an alert
+function samplesOf(values) {
+  return values.slice(0, SAMPLE_COUNT).map(value => {
+    const json = typeof value === 'string' ? value : JSON.stringify(value);
+    if (json === undefined || json.length <= SAMPLE_MAX_LENGTH) return value;
+    return `${json.slice(0, SAMPLE_MAX_LENGTH)}...`;
+  });
+}
+
+/**
+ * Share of schemes with a value for each monitored field
+ */
+export function computeFillRates(schemes, fields = MONITORED_FIELDS) {
+  return Object.fromEntries(fields.map(field => [
+    field,
+    share(schemes.filter(scheme => isFilled(scheme[field])).length, schemes.length)
+  ]));
+}
+
+/**
+ * Source Health Monitor
+ * Watches one run of a source: which payload shape or selectors matched on every target, how well the fields
+ * are filled and how many schemes came out, compared with the baseline of recent runs.
+ * A target whose records look broken raises a SourceDriftError before they are saved
+ *
+ * baseline: { recordCount, fillRates, strategies } from SourceHealthService.getBaseline, or null for a new source
+ */
+export class SourceHealthMonitor {
+  constructor(source, baseline = null) {
+    this.source = source;
+    this.baseline = baseline;
+    this.alerts = [];
+    this.strategies = {};
+    this.filledCounts = Object.fromEntries(MONITORED_FIELDS.map(field => [field, 0]));
+    this.schemeCount = 0;
+  }
+
+  alert(alert) {
+    this.alerts.push(alert);
+    console.warn(`⚠️ ${this.source}: ${alert.message}`);
+    return alert;
+  }
+
+  // Fields that recent runs reliably filled
+  expectedFields() {
+    const rates = this.baseline?.fillRates || {};
+    return MONITORED_FIELDS.filter(field => rates[field] >= EXPECTED_FILL_RATE);
+  }
+
+  /**
+   * Check the parse result of one target before its schemes are saved
+   * parsed: { records, strategy, response } from the runner; fresh: the new valid schemes; invalid: records rejected
+   */
+  checkTarget(target, { records, strategy, response }, { fresh, invalid }) {
+    const label = target.label || target.url;
+    const strategyKey = strategy || 'none';
+    this.strategies[strategyKey] = (this.strategies[strategyKey] || 0) + 1;
+
+    if (!strategy && records.length === 0 && response?.text) {
+      this.alert({
+        type: 'no-match',
+        severity: 'warning',
+        message: `No known payload shape or selector matched on ${label}`,
+        target: label,
+        samples: samplesOf([response.json ?? response.text])
+      });
+    }
+
+    const knownStrategies = this.baseline?.strategies || [];
+    if (strategy && knownStrategies.length > 0 && !knownStrategies.includes(strategy) && this.strategies[strategy] === 1) {
+      this.alert({
+        type: 'strategy-changed',
+        severity: 'warning',
+        message: `"${strategy}" matched on ${label}, recent runs matched ${knownStrategies.join(' / ')}`,
+        target: label,
+        details: { strategy, knownStrategies },
+        samples: samplesOf(records)
+      });
+    }
+
+    if (records.length >= MIN_BATCH && invalid / records.length > MAX_INVALID_SHARE) {
+      throw new SourceDriftError(this.alert({
+        type: 'invalid-records',
+        severity: 'critical',
+        message: `${invalid} of ${records.length} records on ${label} are not valid schemes`,
+        target: label,
+        details: { records: records.length, invalid, strategy },
+        samples: samplesOf(records)
+      }));
+    }
+
+    if (fresh.length >= MIN_BATCH) {
+      const rates = computeFillRates(fresh);
+      const emptied = this.expectedFields().filter(field => rates[field] < EMPTY_FILL_RATE);
+
+      if (emptied.length > 0) {
+        throw new SourceDriftError(this.alert({
+          type: 'empty-field',
+          severity: 'critical',
+          message: `${emptied.join(', ')} empty on ${label} (usually filled for ${emptied.map(field => `${Math.round(this.baseline.fillRates[field] * 100)}%`).join(', ')})`,
+          target: label,
+          details: { fields: emptied, fillRates: rates, baselineFillRates: this.baseline.fillRates, strategy },
+          samples: samplesOf(records)
+        }));
+      }
+    }
+
+    for (const scheme of fresh) {
+      for (const field of MONITORED_FIELDS) {
+        if (isFilled(scheme[field])) this.filledCounts[field]++;
+      }
+    }
+    this.schemeCount += fresh.length;
+  }
+
+  /**
+   * Run-level checks and the report to store
+   * complete: every target was fetched, so the record count can be compared with the baseline
+   */
+  finish({ runId, recordCount, complete, aborted = false }) {
+    const fillRates = Object.fromEntries(
+      MONITORED_FIELDS.map(field => [field, share(this.filledCounts[field], this.schemeCount)])
+    );
+    const baselineCount = this.baseline?.recordCount;
+    let countChange;
+
+    if (complete && !aborted) {
+      if (recordCount === 0) {
+        this.alert({
+          type: 'no-records',
+          severity: 'critical',
+          message: `No schemes extracted${baselineCount ? `, recent runs extracted ${baselineCount}` : ''}`
+        });
+      } else if (baselineCount) {
+        countChange = Math.round(((recordCount - baselineCount) / baselineCount) * 100) / 100;
+        if (countChange <= -RECORD_DROP_THRESHOLD) {
+          this.alert({
+            type: 'record-drop',
+            severity: 'critical',
+            message: `${recordCount} schemes extracted, ${Math.round(-countChange * 100)}% fewer than the ${baselineCount} of recent runs`,
+            details: { recordCount, baselineCount, countChange }
+          });
+        }
+      }
+
+      // Expected fields emptied across many small targets, which the per-target check cannot see
+      if (this.schemeCount >= MIN_BATCH) {
+        const emptied = this.expectedFields()
+          .filter(field => fillRates[field] < EMPTY_FILL_RATE)
+          .filter(field => !this.alerts.some(alert => alert.type === 'empty-field' && alert.details?.fields?.includes(field)));
+
+        if (emptied.length > 0) {
+          this.alert({
+            type: 'empty-field',
+            severity: 'critical',
+            message: `${emptied.join(', ')} empty across the run`,
+            details: { fields: emptied, fillRates, baselineFillRates: this.baseline.fillRates }
+          });
+        }
+      }
+    }
+
+    let state = 'healthy';
+    if (this.alerts.some(alert => alert.severity === 'critical')) {
+      state = 'drift';
+    } else if (this.alerts.length > 0) {
+      state = 'degraded';
+    }
+
+    return {
+      source: this.source,
+      runId,
+      state,
+      aborted,
+      complete: complete && !aborted,
+      recordCount,
+      baselineCount,
+      countChange,
+      strategies: Object.entries(this.strategies).map(([strategy, targets]) => ({ strategy, targets })),
+      fillRates,
+      alerts: this.alerts
+    };
+  }
+}
+
+export default SourceHealthMonitor;
@@ -0,0 +1,45 @@
+import { SCHEME_SOURCES } from '../models/Scheme.js';
+import { createMySchemeAdapters } from './adapters/myschemeApi.js';
+import { DbtBharatAdapter } from './adapters/dbtBharat.js';
+import { IndiaGovAdapter } from './adapters/indiaGov.js';
+import { MyGovAdapter } from './adapters/myGov.js';
+import { DigitalIndiaAdapter } from './adapters/digitalIndia.js';
+
+// Source adapters keyed by the `source` value they write on schemes
+const adapters = new Map();
+
+/**
+ * Register an adapter under its source key; the key must be one of the scheme sources
+ */
+export function registerSourceAdapter(adapter) {
+  if (!SCHEME_SOURCES.includes(adapter.source)) {
+    throw new Error(`Unknown scheme source "${adapter.source}" (add it to SCHEME_SOURCES first)`);
+  }
+  adapters.set(adapter.source, adapter);
+  return adapter;
+}
+
+export function getSourceAdapter(source) {
+  const adapter = adapters.get(source);
+  if (!adapter) {
+    throw new Error(`No source adapter registered for "${source}" (available: ${[...adapters.keys()].join(', ')})`);
+  }
+  return adapter;
+}
+
+export function hasSourceAdapter(source) {
+  return adapters.has(source);
+}
+
+export function listSourceAdapters() {
+  return [...adapters.values()].map(adapter => adapter.describe());
+}
+
+// Built-in sources
+[
+  ...createMySchemeAdapters(),
+  new DbtBharatAdapter(),
+  new IndiaGovAdapter(),
+  new MyGovAdapter(),
+  new DigitalIndiaAdapter()
+].forEach(registerSourceAdapter);
@@ -0,0 +1,511 @@
+import { mkdir, access } from 'fs/promises';
+import { dirname } from 'path';
+import { chromium } from 'playwright';
+import Scheme from '../models/Scheme.js';
+import websocketService from '../services/websocketService.js';
+import scrapeRunService from '../services/scrapeRunService.js';
+import sourceHealthService from '../services/sourceHealthService.js';
+import { getSourceAdapter } from './sourceRegistry.js';
+import { HttpClient, httpHarPath } from './httpClient.js';
+import { SourceHealthMonitor, SourceDriftError } from './sourceHealthMonitor.js';
+
+const BROWSER_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-blink-features=AutomationControlled',
+  '--disable-dev-shm-usage'
+];
+const PROGRESS_EVERY = 10; // Targets between two progress broadcasts
+const MAX_RECORDED_ERRORS = 50;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// HTTP statuses that a real browser may get past (bot protection); other error statuses are final
+const BROWSER_RETRY_STATUSES = [401, 403];
+
+// Thrown when a run is stopped through options.isCancelled
+export class ScrapeCancelledError extends Error {
+  constructor(message = 'Scrape cancelled') {
+    super(message);
+    this.name = 'ScrapeCancelledError';
+  }
+}
+
+const STAT_COUNTERS = [
+  'fetched', 'failed', 'skipped', 'recordsParsed', 'invalid', 'duplicatesSkipped',
+  'schemesExtracted', 'created', 'updated', 'unchanged', 'saveErrors'
+];
+
+// Counters of a run; a resumed run continues from the counters of its checkpoint
+function createStats(initial = {}) {
+  const stats = {
+    targets: 0,
+    errors: [...(initial.errors || [])],
+    startTime: new Date(),
+    endTime: null,
+    durationMs: 0
+  };
+  for (const counter of STAT_COUNTERS) {
+    stats[counter] = initial[counter] || 0;
+  }
+  return stats;
+}
+
+// Counts and failures of the ScrapeRun record
+function runRecord(stats) {
+  return {
+    counts: {
+      scraped: stats.schemesExtracted,
+      created: stats.created,
+      updated: stats.updated,
+      unchanged: stats.unchanged,
+      failed: stats.failed + stats.saveErrors
+    },
+    failures: stats.errors.map(({ target, message }) => ({ target, message }))
+  };
+}
+
+/**
+ * Source Runner
+ * Runs registered source adapters: owns the HTTP client and the browser, walks the discovered targets with retries and rate limiting,
+ * drops duplicates, saves the schemes of every target with change history and reports progress over WebSocket.
+ * Runs that save are watched by a SourceHealthMonitor, which stops the run before a drifted target is saved.
+ * Sources are fetched over HTTP and Chromium is only launched for sources that need it or when the HTTP path fails
+ */
+class SourceRunner {
+  /**
+   * eventPrefix: WebSocket events are sent as `${eventPrefix}-started|progress|completed|cancelled|drift|error`
+   */
+  constructor({ eventPrefix = 'scrape', notifyProgress = true } = {}) {
+    this.browser = null;
+    this.eventPrefix = eventPrefix;
+    this.notifyProgress = notifyProgress;
+  }
+
+  async launchBrowser() {
+    if (!this.browser) {
+      this.browser = await chromium.launch({ headless: true, args: BROWSER_ARGS });
+      console.log('✅ Browser launched');
+    }
+    return this.browser;
+  }
+
+  async close() {
+    try {
+      if (this.browser) {
+        await this.browser.close();
+        console.log('✅ Browser closed');
+      }
+    } catch (error) {
+      console.error('❌ Error closing browser:', error.message);
+    } finally {
+      this.browser = null;
+    }
+  }
+
+  notify(event, data) {
+    if (this.notifyProgress && websocketService.io) {
+      websocketService.broadcast(`${this.eventPrefix}-${event}`, {
+        ...data,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  recordError(stats, target, error) {
+    if (stats.errors.length < MAX_RECORDED_ERRORS) {
+      stats.errors.push({ target: target.label || target.url, url: target.url, message: error.message });
+    }
+  }
+
+  /**
+   * Run one source end to end
+   * Options: { saveToDb = true, runId, delayMs, maxTargets, adapterOptions,
+   *            resumeFrom: { nextTargetIndex, stoppedGroups, stats },
+   *            isCancelled: async () => boolean, checked before every target,
+   *            onCheckpoint: async ({ nextTargetIndex, totalTargets, target, recordCount, stoppedGroups, stats }) after every target,
+   *            har: { path, mode: 'record' | 'replay' } to capture the run's responses or serve the run from a capture
+   *                 (browser responses in path, HTTP responses in httpHarPath(path)),
+   *            trigger = 'cli', scrapeJob, requestedBy: stored on the ScrapeRun record kept for runs that save to the database }
+   * Schemes are saved after each target, so a checkpoint never points past unsaved data
+   * Returns { source, runId, schemes, stats, health } where schemes are the ones extracted in this call, stats.fetchMode
+   * tells whether the run ended over 'http' or in the 'browser',
+   * and health is the source health report (null for runs that do not save)
+   */
+  async run(source, options = {}) {
+    const adapter = getSourceAdapter(source);
+    const {
+      saveToDb = true,
+      delayMs = adapter.delayMs,
+      maxTargets,
+      adapterOptions = {},
+      resumeFrom = null,
+      isCancelled,
+      onCheckpoint,
+      har,
+      trigger = 'cli',
+      scrapeJob,
+      requestedBy
+    } = options;
+
+    const stats = createStats(resumeFrom?.stats);
+    const startAt = resumeFrom?.nextTargetIndex || 0;
+    const runId = options.runId || `${source}-${stats.startTime.getTime()}`;
+    const extracted = new Map();
+    let context = null;
+
+    console.log(`🚀 Scraping source "${source}" (${adapter.name})${startAt > 0 ? ` from target ${startAt + 1}` : ''}`);
+    this.notify('started', { source, runId, message: `Scraping ${adapter.name}` });
+
+    let monitor = null;
+    if (saveToDb) {
+      await scrapeRunService.start(runId, { trigger, sources: [source], scrapeJob, requestedBy });
+      monitor = new SourceHealthMonitor(source, await sourceHealthService.getBaseline(source));
+    }
+
+    try {
+      let targets = await adapter.discover(adapterOptions);
+      if (maxTargets) targets = targets.slice(0, maxTargets);
+      stats.targets = targets.length;
+      console.log(`🎯 ${targets.length} targets to fetch`);
+
+      context = {
+        mode: 'http',
+        http: new HttpClient({
+          headers: adapter.headers,
+          timeoutMs: adapter.timeoutMs,
+          har: har && { path: httpHarPath(har.path), mode: har.mode }
+        }),
+        page: null,
+        browser: null,
+        browserContext: null,
+        har,
+        options: adapterOptions
+      };
+
+      if (adapter.needsBrowser) {
+        await this.switchToBrowser(adapter, context);
+      } else {
+        try {
+          await adapter.prepare(context);
+        } catch (error) {
+          if (!adapter.browserFallback) throw error;
+          console.log(`🌐 HTTP preparation of ${source} failed (${error.message}), continuing in the browser`);
+          await this.switchToBrowser(adapter, context);
+        }
+      }
+
+      const stoppedGroups = new Set(resumeFrom?.stoppedGroups || []);
+
+      for (const [index, target] of targets.entries()) {
+        if (index < startAt) continue;
+
+        if (isCancelled && await isCancelled()) {
+          throw new ScrapeCancelledError();
+        }
+
+        if (target.group && stoppedGroups.has(target.group)) {
+          stats.skipped++;
+          continue;
+        }
+
+        const parsed = await this.processTarget(adapter, { ...target, index }, context, stats);
+        const records = parsed?.records;
+
+        if (parsed) {
+          const invalidBefore = stats.invalid;
+          const fresh = records
+            .map(record => this.addRecord(adapter, record, target, extracted, stats))
+            .filter(Boolean);
+
+          // Throws before anything of a drifted target is saved
+          monitor?.checkTarget(target, parsed, { fresh, invalid: stats.invalid - invalidBefore });
+
+          if (saveToDb && fresh.length > 0) {
+            await this.saveSchemes(fresh, { runId, stats });
+          }
+
+          if (records.length === 0 && target.stopGroupWhenEmpty) {
+            console.log(`   📄 Empty response, skipping the rest of "${target.group}"`);
+            stoppedGroups.add(target.group);
+          }
+        }
+
+        if (onCheckpoint) {
+          await onCheckpoint({
+            nextTargetIndex: index + 1,
+            totalTargets: targets.length,
+            target: target.label || target.url,
+            recordCount: records ? records.length : null,
+            stoppedGroups: [...stoppedGroups],
+            stats
+          });
+        }
+
+        if ((index + 1) % PROGRESS_EVERY === 0 || index === targets.length - 1) {
+          console.log(`   📊 Progress: ${index + 1}/${targets.length} targets, ${stats.schemesExtracted} unique schemes`);
+          this.notify('progress', {
+            source,
+            runId,
+            message: `Processed ${index + 1}/${targets.length} targets of ${adapter.name}`,
+            progress: Math.round(((index + 1) / targets.length) * 100),
+            schemesExtracted: stats.schemesExtracted,
+            created: stats.created,
+            updated: stats.updated
+          });
+        }
+
+        if (index < targets.length - 1) {
+          await delay(delayMs);
+        }
+      }
+
+      const schemes = Array.from(extracted.values());
+
+      stats.endTime = new Date();
+      stats.durationMs = stats.endTime - stats.startTime;
+      stats.fetchMode = context.mode;
+
+      let health = null;
+      if (saveToDb) {
+        // Schemes behind a failed or skipped-over target were not seen, so only a complete run can tell what disappeared
+        const complete = !maxTargets && stats.failed === 0;
+        health = monitor.finish({ runId, recordCount: stats.schemesExtracted, complete });
+        await sourceHealthService.saveReport(health);
+
+        await scrapeRunService.finish(runId, {
+          ...runRecord(stats),
+          health: health.state,
+          checkDisappeared: complete && health.state !== 'drift'
+        });
+      }
+
+      console.log(`✅ Source "${source}" completed: ${stats.schemesExtracted} schemes from ${stats.fetched}/${stats.targets} targets (${context.mode})`);
+      this.notify('completed', {
+        source,
+        runId,
+        message: `${adapter.name}: ${stats.schemesExtracted} schemes extracted`,
+        stats,
+        health: health?.state
+      });
+
+      return { source, runId, schemes, stats, health };
+    } catch (error) {
+      if (error instanceof ScrapeCancelledError) {
+        console.log(`🛑 Source "${source}" cancelled`);
+        if (saveToDb) {
+          await scrapeRunService.finish(runId, { ...runRecord(stats), state: 'cancelled' });
+        }
+        this.notify('cancelled', { source, runId, message: `Scraping ${adapter.name} cancelled`, stats });
+        throw error;
+      }
+
+      if (error instanceof SourceDriftError) {
+        console.error(`🛑 Source "${source}" stopped before saving drifted data:`, error.alert.message);
+        const health = monitor.finish({ runId, recordCount: stats.schemesExtracted, complete: false, aborted: true });
+        await sourceHealthService.saveReport(health);
+        await scrapeRunService.finish(runId, { ...runRecord(stats), state: 'failed', health: health.state, error: error.message });
+        this.notify('drift', { source, runId, message: `${adapter.name} stopped: ${error.alert.message}`, alert: error.alert });
+        throw error;
+      }
+
+      console.error(`❌ Source "${source}" failed:`, error.message);
+      if (saveToDb) {
+        await scrapeRunService.finish(runId, { ...runRecord(stats), state: 'failed', error: error.message });
+      }
+      this.notify('error', { source, runId, message: `Scraping ${adapter.name} failed`, error: error.message });
+      throw error;
+    } finally {
+      if (context?.browserContext) {
+        await context.browserContext.close().catch(() => {});
+      }
+      if (context) {
+        await context.http.saveHar().catch(error => console.error('❌ Error saving HTTP capture:', error.message));
+      }
+    }
+  }
+
+  /**
+   * Move a run to the browser: a fresh browser context (capturing or replaying the run's HAR), the adapter's
+   * resource blocking, and the adapter's prepare() in the new page
+   */
+  async switchToBrowser(adapter, context) {
+    const browser = await this.launchBrowser();
+    const { 'User-Agent': userAgent, ...extraHTTPHeaders } = adapter.headers;
+    const browserContext = await browser.newContext({
+      userAgent,
+      extraHTTPHeaders,
+      viewport: { width: 1920, height: 1080 }
+    });
+    if (context.har) {
+      await this.attachHar(browserContext, context.har);
+    }
+
+    const page = await browserContext.newPage();
+    if (adapter.blockResources.length > 0) {
+      await page.route('**/*', route => (
+        adapter.blockResources.includes(route.request().resourceType()) ? route.abort() : route.continue()
+      ));
+    }
+
+    Object.assign(context, { mode: 'browser', browser, browserContext, page });
+    await adapter.prepare(context);
+  }
+
+  /**
+   * record: every response of the run is written to the HAR file when the browser context closes
+   * replay: responses are served from the HAR file and requests missing from it are aborted, so nothing reaches the network
+   */
+  async attachHar(browserContext, { path, mode }) {
+    if (mode === 'record') {
+      await mkdir(dirname(path), { recursive: true });
+      await browserContext.routeFromHAR(path, { update: true, updateContent: 'embed' });
+    } else if (mode === 'replay') {
+      await access(path).catch(() => {
+        throw new Error(`No recorded responses at ${path}`);
+      });
+      await browserContext.routeFromHAR(path, { notFound: 'abort' });
+    } else {
+      throw new Error(`Unknown HAR mode "${mode}" (use record or replay)`);
+    }
+    console.log(`🎞️ ${mode === 'record' ? 'Recording responses to' : 'Replaying responses from'} ${path}`);
+  }
+
+  /**
+   * Run several sources one after another in the same browser
+   * A failing source does not stop the others; its result carries the error instead
+   */
+  async runMany(sources, options = {}) {
+    const results = [];
+
+    for (const source of sources) {
+      try {
+        results.push(await this.run(source, options));
+      } catch (error) {
+        results.push({ source, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Fetch and parse one target, retrying failed fetches
+   * Returns { records, strategy, response } or null on failure; strategy is undefined for adapters that do not report one
+   */
+  async processTarget(adapter, target, context, stats) {
+    console.log(`📄 ${adapter.source}: ${target.label || target.url}`);
+
+    try {
+      const parsed = await this.fetchAndParse(adapter, target, context);
+      stats.fetched++;
+      stats.recordsParsed += parsed.records.length;
+      return parsed;
+    } catch (error) {
+      console.error(`   ❌ ${target.label || target.url}:`, error.message);
+      stats.failed++;
+      this.recordError(stats, target, error);
+      return null;
+    }
+  }
+
+  /**
+   * Over HTTP, a failed fetch or parse, or an HTML page without records (likely rendered client-side), is retried
+   * in the browser, which the rest of the run then keeps using
+   */
+  async fetchAndParse(adapter, target, context) {
+    if (context.mode === 'http') {
+      let reason;
+      try {
+        const parsed = await this.fetchAndParseOnce(adapter, target, context);
+        if (parsed.records.length > 0 || parsed.response.json || !adapter.browserFallback) {
+          return parsed;
+        }
+        reason = 'no records in the HTML page';
+      } catch (error) {
+        if (!adapter.browserFallback || (error.status && !BROWSER_RETRY_STATUSES.includes(error.status))) {
+          throw error;
+        }
+        reason = error.message;
+      }
+
+      console.log(`   🌐 HTTP fetch of ${adapter.source} failed (${reason}), continuing in the browser`);
+      await this.switchToBrowser(adapter, context);
+    }
+
+    return this.fetchAndParseOnce(adapter, target, context);
+  }
+
+  async fetchAndParseOnce(adapter, target, context) {
+    const response = await this.fetchWithRetry(adapter, target, context);
+    const result = await adapter.parse(response, target);
+    const { records, strategy } = Array.isArray(result) ? { records: result } : result;
+    return { records, strategy, response };
+  }
+
+  async fetchWithRetry(adapter, target, context) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await adapter.fetch(target, context);
+      } catch (error) {
+        if (attempt >= adapter.retries) throw error;
+
+        const wait = error.status === 429 ? adapter.rateLimitDelayMs : 2000;
+        console.log(`   ⏳ ${error.message}, retrying in ${wait / 1000}s...`);
+        await delay(wait);
+      }
+    }
+  }
+
+  // Normalize a parsed record and keep it unless it is invalid or already seen; returns the new scheme or null
+  addRecord(adapter, record, target, extracted, stats) {
+    let scheme;
+    try {
+      scheme = adapter.normalize(record, target);
+    } catch (error) {
+      stats.invalid++;
+      return null;
+    }
+
+    if (!adapter.isValid(scheme)) {
+      stats.invalid++;
+      return null;
+    }
+
+    const key = adapter.dedupKey(scheme);
+    if (extracted.has(key)) {
+      stats.duplicatesSkipped++;
+      return null;
+    }
+    extracted.set(key, scheme);
+    stats.schemesExtracted++;
+    return scheme;
+  }
+
+  /**
+   * Upsert schemes, recording field-level history against the run id
+   */
+  async saveSchemes(schemes, { runId, stats }) {
+    for (const schemeData of schemes) {
+      try {
+        const { created, changes } = await Scheme.upsertWithHistory(schemeData, { scrapeRun: runId });
+
+        if (created) {
+          stats.created++;
+        } else if (changes.length > 0) {
+          stats.updated++;
+        } else {
+          stats.unchanged++;
+        }
+      } catch (error) {
+        console.error(`❌ Error saving scheme "${schemeData.name}":`, error.message);
+        stats.saveErrors++;
+        this.recordError(stats, { label: schemeData.name, url: schemeData.sourceUrl }, error);
+      }
+    }
+  }
+}
+
+export default SourceRunner;
@@ -16,6 +16,7 @@ class DBTBharatScraperService {
     this.browser = null;
     this.page = null;
     this.extractedSchemes = new Map();
+    this.runId = `dbt-bharat-${Date.now()}`;
     this.stats = {
       pagesProcessed: 0,
       schemesFound: 0,
@@ -325,23 +326,12 @@ class DBTBharatScraperService {
 
     for (const schemeData of schemes) {
       try {
-        const existingScheme = await Scheme.findOne({ 
-          name: { $regex: `^${schemeData.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' }
-        });
+        const { created } = await Scheme.upsertWithHistory(schemeData, { scrapeRun: this.runId });
 
-        if (existingScheme) {
-          await Scheme.findByIdAndUpdate(existingScheme._id, {
-            ...schemeData,
-            updatedAt: new Date()
-          });
-          updatedCount++;
-        } else {
-          await Scheme.create({
-            ...schemeData,
-            createdAt: new Date(),
-            updatedAt: new Date()
-          });
+        if (created) {
           savedCount++;
+        } else {
+          updatedCount++;
         }
       } catch (schemeError) {
         console.error(`❌ Error saving scheme "${schemeData.name}":`, schemeError.message);
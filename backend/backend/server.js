@@ -38,13 +38,48 @@ app.get('/api', (req, res) => {
     endpoints: [
       'GET /api/health',
       'GET /api/schemes',
+      'GET /api/schemes/entities/:id',
+      'GET /api/schemes/merge-review (moderator)',
+      'POST /api/schemes/import (moderator)',
+      'GET /api/schemes/imports/:id (moderator)',
+      'GET /api/schemes/imports/:id/report (moderator)',
+      'POST /api/schemes/eligibility-check',
+      'PUT /api/schemes/:id/eligibility-rules (moderator)',
+      'GET /api/ministries',
+      'GET /api/ministries/unmatched (moderator)',
+      'POST /api/ministries (admin)',
+      'GET /api/jobs',
+      'GET /api/jobs/:id',
+      'POST /api/jobs/:id/cancel (moderator)',
+      'POST /api/jobs/:id/resume (moderator)',
+      'GET /api/scrape-runs',
+      'GET /api/scrape-runs/:id/diff',
+      'GET /api/sources',
+      'GET /api/sources/:source/health',
+      'GET /api/quality/summary',
+      'GET /api/quality/schemes?below=50',
+      'POST /api/quality/schemes/:id/rescore (moderator)',
+      'GET /api/schedules (admin)',
+      'POST /api/schedules (admin)',
+      'PUT /api/schedules/:id (admin)',
+      'DELETE /api/schedules/:id (admin)',
+      'POST /api/schedules/:id/run (admin)',
       'GET /api/myscheme',
+      'GET /api/myscheme/changes',
+      'GET /api/myscheme/:id/history',
+      'GET /api/myscheme/:id/metrics',
+      'POST /api/myscheme/metrics/import (moderator)',
       'POST /api/auth/register',
       'POST /api/auth/login',
       'GET /api/auth/profile (protected)',
       'PUT /api/auth/profile (protected)',
       'PUT /api/auth/change-password (protected)',
       'GET /api/worldbank',
+      'GET /api/worldbank/data',
+      'GET /api/worldbank/aggregates',
+      'GET /api/worldbank/groups',
+      'GET /api/worldbank/indicators',
+      'POST /api/worldbank/indicators',
       'GET /api/worldbank/economy',
       'GET /api/worldbank/gdp',
       'GET /api/worldbank/dashboard'
@@ -65,6 +100,36 @@ async function setupRoutes() {
     app.use('/api/myscheme', myschemeRoutes);
     console.log('✅ MyScheme routes loaded');
 
+    // Import ministry registry routes
+    const { default: ministryRoutes } = await import('./routes/ministries.js');
+    app.use('/api/ministries', ministryRoutes);
+    console.log('✅ Ministry routes loaded');
+
+    // Import scrape job routes
+    const { default: jobRoutes } = await import('./routes/jobs.js');
+    app.use('/api/jobs', jobRoutes);
+    console.log('✅ Job routes loaded');
+
+    // Import scrape run history routes
+    const { default: scrapeRunRoutes } = await import('./routes/scrapeRuns.js');
+    app.use('/api/scrape-runs', scrapeRunRoutes);
+    console.log('✅ Scrape run routes loaded');
+
+    // Import scrape source health routes
+    const { default: sourceRoutes } = await import('./routes/sources.js');
+    app.use('/api/sources', sourceRoutes);
+    console.log('✅ Source routes loaded');
+
+    // Import scheme data quality routes
+    const { default: qualityRoutes } = await import('./routes/quality.js');
+    app.use('/api/quality', qualityRoutes);
+    console.log('✅ Quality routes loaded');
+
+    // Import job schedule routes
+    const { default: scheduleRoutes } = await import('./routes/schedules.js');
+    app.use('/api/schedules', scheduleRoutes);
+    console.log('✅ Schedule routes loaded');
+
     // Import Authentication routes
     const { default: authRoutes } = await import('./routes/auth.js');
     app.use('/api/auth', authRoutes);
@@ -89,11 +154,20 @@ async function setupRoutes() {
       res.json({ message: 'Test broadcast sent' });
     });
 
-    // Import and start cron jobs
+    // Import and start the scheduled jobs stored in the database
     const { startCronJobs } = await import('./cronJobs.js');
-    startCronJobs();
+    await startCronJobs();
     console.log('✅ Cron jobs started');
 
+    // Requeue scrape jobs interrupted by the last shutdown and start the queue
+    const { default: scrapeJobQueue } = await import('./services/scrapeJobQueue.js');
+    await scrapeJobQueue.recoverInterrupted();
+    console.log('✅ Scrape job queue started');
+
+    // Fill in detail fields of schemes in the background
+    const { default: schemeEnrichmentWorker } = await import('./services/schemeEnrichmentWorker.js');
+    schemeEnrichmentWorker.start();
+
   } catch (error) {
     console.error('❌ Error setting up routes:', error.message);
   }
@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+import CountryGroup from '../models/CountryGroup.js';
+import { COUNTRY_GROUP_SEED } from '../utils/countryGroupSeed.js';
+import { parseList } from '../utils/worldBankQuery.js';
+
+const EDITABLE_FIELDS = ['name', 'description', 'countries'];
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i; // Anything else is taken for a system key
+
+// Group errors that carry the HTTP status the controller should answer with
+function groupError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Mongoose validation and duplicate-key failures are the caller's fault
+function writeError(error) {
+  if (error.code === 11000) {
+    return groupError('A country group with this name already exists', 409);
+  }
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    error.statusCode = 400;
+  }
+  return error;
+}
+
+function pickEditableFields(body) {
+  const updates = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (field in body) updates[field] = body[field];
+  }
+  if ('countries' in updates) {
+    updates.countries = [...new Set(parseList(updates.countries).map(code => code.toUpperCase()))];
+  }
+  return updates;
+}
+
+const isAdmin = user => user?.role === 'admin';
+
+/**
+ * Country Group Service
+ * Saved country lists: system groups (G20, BRICS, SAARC, ASEAN) for everyone, and groups users keep for themselves.
+ * Wherever the World Bank API takes a list of countries it also takes a group, by id or by system key
+ */
+class CountryGroupService {
+  constructor() {
+    this.seeding = null;
+  }
+
+  /**
+   * Insert the system groups that are not in the collection yet
+   * Existing ones are left alone so that edits made through the API are kept
+   */
+  async seed() {
+    let inserted = 0;
+
+    for (const group of COUNTRY_GROUP_SEED) {
+      const result = await CountryGroup.updateOne(
+        { key: group.key },
+        { $setOnInsert: { ...group, system: true } },
+        { upsert: true }
+      );
+      inserted += result.upsertedCount;
+    }
+
+    return { inserted };
+  }
+
+  // Seed the system groups once per process
+  async ensureSeeded() {
+    if (!this.seeding) {
+      this.seeding = this.seed().catch(error => {
+        this.seeding = null;
+        throw error;
+      });
+    }
+    await this.seeding;
+  }
+
+  // Groups a user can read: the system ones and their own
+  visibleTo(user) {
+    return user ? { $or: [{ system: true }, { owner: user._id }] } : { system: true };
+  }
+
+  /**
+   * System groups first, then the user's own, by name
+   */
+  async list(user = null) {
+    await this.ensureSeeded();
+    return CountryGroup.find(this.visibleTo(user)).sort({ system: -1, name: 1 }).lean();
+  }
+
+  /**
+   * A group by id or system key; 404 when it does not exist or belongs to someone else
+   */
+  async get(idOrKey, user = null) {
+    await this.ensureSeeded();
+
+    const ref = String(idOrKey ?? '').trim();
+    const match = OBJECT_ID_PATTERN.test(ref) ? { _id: ref } : { key: ref.toUpperCase() };
+    const group = await CountryGroup.findOne({ $and: [match, this.visibleTo(user)] }).lean();
+    if (!group) {
+      throw groupError(`Country group ${ref} not found`, 404);
+    }
+    return group;
+  }
+
+  /**
+   * Countries of a request: a country list and/or a group, merged
+   * Returns the 2-letter codes, or an empty list when neither was given
+   */
+  async resolveCountries({ countries = [], group = null } = {}, user = null) {
+    const codes = parseList(countries).map(code => code.toUpperCase());
+    if (group) {
+      codes.push(...(await this.get(group, user)).countries);
+    }
+    return [...new Set(codes)];
+  }
+
+  /**
+   * Save a group for a user; admins can add system groups with { system: true, key }
+   */
+  async create(body = {}, user) {
+    const system = body.system === true;
+    if (system && !isAdmin(user)) {
+      throw groupError('Only admins can add system groups', 403);
+    }
+    if (system && !body.key) {
+      throw groupError('System groups need a key, e.g. G7', 400);
+    }
+
+    try {
+      const group = await CountryGroup.create({
+        ...pickEditableFields(body),
+        ...(system ? { system: true, key: body.key } : { owner: user._id })
+      });
+      return group.toObject();
+    } catch (error) {
+      throw writeError(error);
+    }
+  }
+
+  // Only admins edit system groups, and only owners their own
+  async getEditable(idOrKey, user) {
+    const group = await this.get(idOrKey, user);
+    if (group.system ? !isAdmin(user) : String(group.owner) !== String(user._id)) {
+      throw groupError(group.system ? 'Only admins can change system groups' : 'Only the owner can change this group', 403);
+    }
+    return group;
+  }
+
+  async update(idOrKey, body = {}, user) {
+    const existing = await this.getEditable(idOrKey, user);
+
+    try {
+      return await CountryGroup.findByIdAndUpdate(
+        existing._id,
+        pickEditableFields(body),
+        { new: true, runValidators: true }
+      ).lean();
+    } catch (error) {
+      throw writeError(error);
+    }
+  }
+
+  async remove(idOrKey, user) {
+    const existing = await this.getEditable(idOrKey, user);
+    await CountryGroup.deleteOne({ _id: existing._id });
+    return existing;
+  }
+}
+
+export default new CountryGroupService();
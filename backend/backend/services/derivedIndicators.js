@@ -0,0 +1,202 @@
+import WorldBankIndicator from '../models/WorldBankIndicator.js';
+import indicatorCatalog from './indicatorCatalog.js';
+import { evaluateExpression } from '../utils/indicatorExpression.js';
+
+const BULK_BATCH_SIZE = 1000;
+const DATA_SOURCE = 'Derived from World Bank Open Data';
+
+// Stored form of one computed value, shaped like a fetched data point
+function buildDerivedDocument(country, definition, year, value, lastUpdated) {
+  return {
+    country,
+    indicator: {
+      code: definition.code,
+      name: definition.name,
+      category: definition.categories[0],
+      categories: definition.categories,
+      subcategory: definition.subcategory
+    },
+    year,
+    value,
+    unit: definition.unit,
+    scale: definition.scale,
+    lastUpdated,
+    dataSource: DATA_SOURCE
+  };
+}
+
+// When the values of an indicator last changed: its last sync for a fetched one, its last computation for a derived one
+function changedAtOf(definition) {
+  if (!definition) return null;
+  return definition.expression ? definition.derivation?.computedAt : definition.sync?.lastChangedAt;
+}
+
+// The given derived definitions plus the derived ones they read, each after the derived inputs it reads
+// A cycle cannot be computed correctly in any order, so its members simply keep the order they were found in
+function dependencyOrder(definitions, definitionsByCode) {
+  const ordered = [];
+  const visited = new Set();
+
+  const visit = (definition) => {
+    if (visited.has(definition.code)) return;
+    visited.add(definition.code);
+
+    for (const code of definition.derivation?.inputs || []) {
+      const input = definitionsByCode.get(code);
+      if (input?.expression) visit(input);
+    }
+    ordered.push(definition);
+  };
+
+  definitions.forEach(visit);
+  return ordered;
+}
+
+/**
+ * Derived Indicators
+ * Computes the catalog's derived indicators (growth rates, CAGR, per-capita values, shares of GDP, rolling
+ * averages, indexes to a base year) from the stored series they read, and stores the values next to the
+ * fetched ones so that the data API serves both alike. The stored values are the cache: they are recomputed
+ * once an input's data has changed since, or the expression was edited
+ */
+class DerivedIndicators {
+  constructor() {
+    this.computing = new Map(); // code -> running computation
+  }
+
+  // Stored values predate the expression or the last change to an input's data
+  // definitionsByCode holds every definition: a fetched input changed at its last sync, a derived one
+  // when it was last computed
+  isStale(definition, definitionsByCode) {
+    const derivation = definition.derivation || {};
+    if (!derivation.computedAt || derivation.expression !== definition.expression) return true;
+
+    const computedAt = new Date(derivation.computedAt).getTime();
+    return (derivation.inputs || []).some(code => {
+      const changedAt = changedAtOf(definitionsByCode.get(code));
+      return Boolean(changedAt) && new Date(changedAt).getTime() > computedAt;
+    });
+  }
+
+  /**
+   * Recompute the stale derived indicators a data query reads before it runs
+   * indicators and categories narrow them as in the query; none given means all of them
+   */
+  async ensureFresh({ indicators = [], categories = [] } = {}) {
+    const derived = await indicatorCatalog.list({ derived: true });
+    const wanted = derived.filter(definition =>
+      (indicators.length === 0 || indicators.includes(definition.code) || indicators.includes(definition.subcategory)) &&
+      (categories.length === 0 || definition.categories.some(category => categories.includes(category)))
+    );
+
+    return this.refreshStale(wanted);
+  }
+
+  /**
+   * Recompute derived indicators whose stored values are stale; every enabled one unless a list is given
+   * Derived indicators the given ones read are checked first, inputs before the indicators that read them,
+   * so that recomputing one marks those reading it stale in the same pass
+   * Returns { computed, records }
+   */
+  async refreshStale(definitions = null) {
+    const derived = definitions || await indicatorCatalog.list({ derived: true });
+    if (derived.length === 0) return { computed: 0, records: 0 };
+
+    const all = await indicatorCatalog.list({ includeDisabled: true });
+    const definitionsByCode = new Map(all.map(definition => [definition.code, definition]));
+
+    let computed = 0;
+    let records = 0;
+    for (const definition of dependencyOrder(derived, definitionsByCode)) {
+      const current = definitionsByCode.get(definition.code) || definition;
+      if (!this.isStale(current, definitionsByCode)) continue;
+
+      const derivation = await this.compute(current);
+      computed++;
+      records += derivation.records;
+      if (!derivation.error) {
+        definitionsByCode.set(current.code, { ...current, derivation });
+      }
+    }
+    return { computed, records };
+  }
+
+  // Compute one derived indicator; a computation already running for it is shared
+  compute(definition) {
+    if (!this.computing.has(definition.code)) {
+      this.computing.set(definition.code, this.runComputation(definition).finally(() => {
+        this.computing.delete(definition.code);
+      }));
+    }
+    return this.computing.get(definition.code);
+  }
+
+  /**
+   * Evaluate the expression for every country with stored inputs and replace the stored values
+   * Never throws: a failure is recorded on the definition's derivation and the old values are kept
+   */
+  async runComputation(definition) {
+    const startedAt = Date.now();
+    const computedAt = new Date();
+
+    try {
+      const { tree, codes, inputs } = await indicatorCatalog.resolveExpression(definition.expression);
+      const points = await WorldBankIndicator.find({ 'indicator.code': { $in: inputs }, value: { $ne: null } })
+        .select('country indicator.code year value')
+        .lean();
+
+      // country code -> { country, seriesByCode: indicator code -> year -> value }
+      const byCountry = new Map();
+      for (const point of points) {
+        if (!byCountry.has(point.country.code)) {
+          byCountry.set(point.country.code, { country: point.country, seriesByCode: new Map() });
+        }
+        const { seriesByCode } = byCountry.get(point.country.code);
+        if (!seriesByCode.has(point.indicator.code)) seriesByCode.set(point.indicator.code, new Map());
+        seriesByCode.get(point.indicator.code).set(point.year, point.value);
+      }
+
+      const operations = [];
+      let countries = 0;
+      for (const { country, seriesByCode } of byCountry.values()) {
+        const series = evaluateExpression(tree, codes, seriesByCode);
+        if (series.size > 0) countries++;
+
+        for (const [year, value] of series) {
+          operations.push({
+            updateOne: {
+              filter: { 'country.code': country.code, 'indicator.code': definition.code, year },
+              update: { $set: buildDerivedDocument(country, definition, year, value, computedAt) },
+              upsert: true
+            }
+          });
+        }
+      }
+
+      for (let i = 0; i < operations.length; i += BULK_BATCH_SIZE) {
+        await WorldBankIndicator.bulkWrite(operations.slice(i, i + BULK_BATCH_SIZE), { ordered: false });
+      }
+      // Values the expression no longer yields, e.g. after it was edited or an input value was withdrawn
+      await WorldBankIndicator.deleteMany({ 'indicator.code': definition.code, lastUpdated: { $lt: computedAt } });
+
+      const derivation = {
+        expression: definition.expression,
+        inputs,
+        computedAt,
+        countries,
+        records: operations.length
+      };
+      await indicatorCatalog.recordDerivation(definition.code, derivation);
+
+      console.log(`  🧮 ${definition.code}: ${operations.length} values for ${countries} countries in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+      return derivation;
+    } catch (error) {
+      console.error(`❌ Error computing derived indicator ${definition.code}:`, error.message);
+      await indicatorCatalog.recordDerivation(definition.code, { ...definition.derivation, error: error.message })
+        .catch(() => {});
+      return { records: 0, error: error.message };
+    }
+  }
+}
+
+export default new DerivedIndicators();
@@ -0,0 +1,319 @@
+import Scheme from '../models/Scheme.js';
+import SchemeMergeCandidate from '../models/SchemeMergeCandidate.js';
+import {
+  tokenizeSchemeName,
+  extractAcronyms,
+  buildAcronym,
+  scoreSchemePair
+} from '../utils/schemeMatching.js';
+import {
+  PROVENANCE_FIELDS,
+  recordObservations,
+  mergeObservations,
+  describeProvenance
+} from '../utils/fieldProvenance.js';
+
+// Fields that decide which record of a cluster becomes the canonical one
+const MERGEABLE_FIELDS = [
+  'description', 'ministry', 'department', 'sector', 'subCategory', 'targetAudience', 'launchDate',
+  'officialWebsite', 'level', 'beneficiaryState', 'eligibility', 'benefits', 'applicationProcess',
+  'documentsRequired'
+];
+
+// Name tokens shared by more records than this are too common to group candidates on
+const MAX_BLOCK_SIZE = 50;
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function countFilledFields(record) {
+  return MERGEABLE_FIELDS.filter(field => !isEmptyValue(record[field])).length;
+}
+
+// Review errors that are the caller's fault rather than a server failure
+function conflictError(message) {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+}
+
+function pairKey(idA, idB) {
+  const [a, b] = [String(idA), String(idB)].sort();
+  return `${a}:${b}`;
+}
+
+/**
+ * Scheme Entity Resolution Service
+ * Scores candidate duplicates across sources and links them to one canonical scheme.
+ * Confident matches are merged automatically, borderline ones go to a moderator review queue.
+ */
+class EntityResolutionService {
+  constructor(options = {}) {
+    this.autoMergeThreshold = options.autoMergeThreshold ?? 0.85;
+    this.reviewThreshold = options.reviewThreshold ?? 0.6;
+  }
+
+  /**
+   * Run entity resolution over the whole scheme store
+   */
+  async resolveAll() {
+    const startTime = Date.now();
+    const records = await Scheme.find({ isActive: { $ne: false } })
+      .select(['name', 'schemeId', 'source', 'canonicalScheme', 'createdAt', ...MERGEABLE_FIELDS].join(' '))
+      .lean();
+
+    console.log(`🔗 Resolving scheme entities across ${records.length} records...`);
+
+    const recordsById = new Map(records.map(record => [String(record._id), record]));
+    const entityOf = (record) => String(record.canonicalScheme || record._id);
+
+    // Pairs a moderator has rejected are never merged or proposed again
+    const rejected = await SchemeMergeCandidate.find({ status: 'rejected' })
+      .select('schemeA schemeB')
+      .lean();
+    const rejectedPairs = new Set(rejected.map(c => pairKey(c.schemeA, c.schemeB)));
+
+    // Union-find over entities so chains of confident matches end up in one cluster
+    const parent = new Map();
+    const find = (id) => {
+      while (parent.has(id) && parent.get(id) !== id) {
+        id = parent.get(id);
+      }
+      return id;
+    };
+    const union = (a, b) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parent.set(rootB, rootA);
+    };
+    for (const record of records) {
+      parent.set(entityOf(record), entityOf(record));
+    }
+
+    let pairsScored = 0;
+    const reviewPairs = [];
+
+    for (const [idA, idB] of this.generateCandidatePairs(records)) {
+      const a = recordsById.get(idA);
+      const b = recordsById.get(idB);
+      if (entityOf(a) === entityOf(b) || rejectedPairs.has(pairKey(idA, idB))) continue;
+
+      const { score, signals } = scoreSchemePair(a, b);
+      pairsScored++;
+
+      if (score >= this.autoMergeThreshold) {
+        union(entityOf(a), entityOf(b));
+      } else if (score >= this.reviewThreshold) {
+        reviewPairs.push({ a, b, score, signals });
+      }
+    }
+
+    // Link every cluster of more than one entity to a single canonical scheme
+    const clusters = new Map();
+    for (const record of records) {
+      const root = find(entityOf(record));
+      if (!clusters.has(root)) clusters.set(root, new Set());
+      clusters.get(root).add(entityOf(record));
+    }
+
+    let recordsLinked = 0;
+    for (const entityIds of clusters.values()) {
+      if (entityIds.size < 2) continue;
+
+      const entities = [...entityIds].map(id => recordsById.get(id)).filter(Boolean);
+      const canonical = this.chooseCanonical(entities);
+      const others = entities.filter(entity => String(entity._id) !== String(canonical._id));
+
+      recordsLinked += await this.linkRecords(canonical._id, others.map(entity => entity._id));
+    }
+
+    // Queue borderline pairs that did not end up in the same cluster
+    let queuedForReview = 0;
+    for (const { a, b, score, signals } of reviewPairs) {
+      if (find(entityOf(a)) === find(entityOf(b))) continue;
+
+      const [schemeA, schemeB] = [a._id, b._id].sort((x, y) => String(x).localeCompare(String(y)));
+      const result = await SchemeMergeCandidate.updateOne(
+        { schemeA, schemeB },
+        { $setOnInsert: { schemeA, schemeB, score, signals, status: 'pending' } },
+        { upsert: true }
+      );
+      if (result.upsertedCount > 0) queuedForReview++;
+    }
+
+    const stats = {
+      recordsScanned: records.length,
+      pairsScored,
+      recordsLinked,
+      queuedForReview,
+      durationMs: Date.now() - startTime
+    };
+
+    console.log(`✅ Entity resolution completed: ${recordsLinked} records linked, ${queuedForReview} pairs queued for review`);
+    return stats;
+  }
+
+  /**
+   * Group records into candidate pairs that share an uncommon name token or an acronym
+   */
+  *generateCandidatePairs(records) {
+    const blocks = new Map();
+    const addToBlock = (key, id) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(id);
+    };
+
+    for (const record of records) {
+      const id = String(record._id);
+      const keys = new Set(tokenizeSchemeName(record.name).filter(token => token.length > 2).map(token => `t:${token}`));
+
+      for (const acronym of extractAcronyms(record.name)) keys.add(`a:${acronym}`);
+      const initials = buildAcronym(record.name);
+      if (initials.length >= 3) keys.add(`a:${initials}`);
+      if (record.schemeId) keys.add(`id:${record.schemeId}`);
+
+      for (const key of keys) addToBlock(key, id);
+    }
+
+    const seen = new Set();
+    for (const [key, ids] of blocks) {
+      if (ids.length < 2 || (key.startsWith('t:') && ids.length > MAX_BLOCK_SIZE)) continue;
+
+      for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) {
+          const keyOfPair = pairKey(ids[i], ids[j]);
+          if (seen.has(keyOfPair)) continue;
+          seen.add(keyOfPair);
+          yield [ids[i], ids[j]];
+        }
+      }
+    }
+  }
+
+  /**
+   * Pick the canonical record of a cluster: the most complete one, oldest on ties
+   */
+  chooseCanonical(entities) {
+    return [...entities].sort((a, b) => {
+      const filledDiff = countFilledFields(b) - countFilledFields(a);
+      if (filledDiff !== 0) return filledDiff;
+      return new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+    })[0];
+  }
+
+  /**
+   * Link records (and anything already linked to them) as children of a canonical scheme
+   * Returns the number of records that were re-linked
+   */
+  async linkRecords(canonicalId, recordIds) {
+    if (recordIds.length === 0) return 0;
+
+    const result = await Scheme.updateMany(
+      {
+        _id: { $ne: canonicalId },
+        $or: [{ _id: { $in: recordIds } }, { canonicalScheme: { $in: recordIds } }]
+      },
+      { canonicalScheme: canonicalId, mergedAt: new Date() }
+    );
+
+    // A canonical scheme is never a child itself
+    await Scheme.updateOne({ _id: canonicalId }, { canonicalScheme: null });
+    await this.resolveCanonicalFields(canonicalId);
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Merge the field observations of the child records into the canonical scheme
+   * and show, for every field, the value of its highest priority source (config/sourcePriority.js)
+   */
+  async resolveCanonicalFields(canonicalId) {
+    const children = await Scheme.find({ canonicalScheme: canonicalId })
+      .select(['source', 'sourceUrl', 'scrapedAt', 'createdAt', 'updatedAt', 'provenance', ...PROVENANCE_FIELDS].join(' '))
+      .lean();
+    if (children.length === 0) return;
+
+    await Scheme.applyObservations(canonicalId, children.flatMap(recordObservations));
+  }
+
+  /**
+   * Approve a queued merge: both records end up under one canonical scheme
+   */
+  async approveCandidate(candidateId, reviewer, note) {
+    const candidate = await SchemeMergeCandidate.findById(candidateId);
+    if (!candidate) return null;
+    if (candidate.status !== 'pending') {
+      throw conflictError(`Merge candidate has already been ${candidate.status}`);
+    }
+
+    const records = await Scheme.find({ _id: { $in: [candidate.schemeA, candidate.schemeB] } }).lean();
+    if (records.length !== 2) {
+      throw conflictError('One of the schemes in this merge candidate no longer exists');
+    }
+
+    // Merge the two entities the records belong to, not just the records themselves
+    const entityIds = [...new Set(records.map(record => String(record.canonicalScheme || record._id)))];
+    const entities = await Scheme.find({ _id: { $in: entityIds } }).lean();
+    const canonical = this.chooseCanonical(entities);
+    const others = entities.filter(entity => String(entity._id) !== String(canonical._id));
+
+    await this.linkRecords(canonical._id, others.map(entity => entity._id));
+
+    candidate.status = 'approved';
+    candidate.reviewedBy = reviewer?._id;
+    candidate.reviewedAt = new Date();
+    candidate.reviewNote = note;
+    await candidate.save();
+
+    return { candidate, canonicalScheme: canonical._id };
+  }
+
+  /**
+   * Reject a queued merge: the pair is remembered and never proposed or merged again
+   */
+  async rejectCandidate(candidateId, reviewer, note) {
+    const candidate = await SchemeMergeCandidate.findById(candidateId);
+    if (!candidate) return null;
+    if (candidate.status !== 'pending') {
+      throw conflictError(`Merge candidate has already been ${candidate.status}`);
+    }
+
+    candidate.status = 'rejected';
+    candidate.reviewedBy = reviewer?._id;
+    candidate.reviewedAt = new Date();
+    candidate.reviewNote = note;
+    await candidate.save();
+
+    return { candidate };
+  }
+
+  /**
+   * Get a canonical scheme together with its per-source child records
+   * and where each of its field values came from
+   */
+  async getEntity(schemeId) {
+    const record = await Scheme.findById(schemeId).lean();
+    if (!record) return null;
+
+    // A record whose canonical scheme was deleted stands for itself
+    const canonicalRecord = record.canonicalScheme ? await Scheme.findById(record.canonicalScheme).lean() : null;
+    const { provenance, ...canonical } = canonicalRecord || record;
+    const children = await Scheme.find({ canonicalScheme: canonical._id })
+      .select(['name', 'schemeId', 'source', 'sourceUrl', 'scrapedAt', 'mergedAt', 'createdAt', 'updatedAt', 'provenance', ...PROVENANCE_FIELDS].join(' '))
+      .lean();
+
+    const observations = mergeObservations(
+      recordObservations({ ...canonical, provenance }),
+      ...children.map(recordObservations)
+    );
+    const sources = children.map(({ _id, name, schemeId, source, sourceUrl, scrapedAt, mergedAt, updatedAt }) => ({
+      _id, name, schemeId, source, sourceUrl, scrapedAt, mergedAt, updatedAt
+    }));
+
+    return { canonical, sources, provenance: describeProvenance(observations) };
+  }
+}
+
+export default EntityResolutionService;
@@ -0,0 +1,339 @@
+import fetch from 'node-fetch';
+import mongoose from 'mongoose';
+import IndicatorDefinition from '../models/IndicatorDefinition.js';
+import WorldBankIndicator from '../models/WorldBankIndicator.js';
+import { INDICATOR_SEED, DERIVED_INDICATOR_SEED } from '../utils/worldBankIndicatorSeed.js';
+import { parseExpression, expressionInputs } from '../utils/indicatorExpression.js';
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const METADATA_URL = 'https://api.worldbank.org/v2/indicator';
+
+// WDI codes are dotted upper case series ids, e.g. 'NY.GDP.MKTP.CD' or 'SP.DYN.LE00.IN'
+const CODE_PATTERN = /^[A-Z0-9_]+(\.[A-Z0-9_]+)+$/;
+
+// Derived indicators are kept apart from WDI codes by their prefix, e.g. 'DERIVED.GDP.GROWTH'
+const DERIVED_CODE_PATTERN = /^DERIVED(\.[A-Z0-9_]+)+$/;
+
+export const EDITABLE_FIELDS = ['name', 'subcategory', 'categories', 'unit', 'scale', 'description', 'expression', 'enabled'];
+
+// Catalog errors that carry the HTTP status the controller should answer with
+function catalogError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Mongoose validation and duplicate-key failures are the caller's fault
+function writeError(error) {
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern || {})[0] || 'code';
+    return catalogError(`Another indicator already uses this ${field}`, 409);
+  }
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    error.statusCode = 400;
+  }
+  return error;
+}
+
+export function normalizeIndicatorCode(code) {
+  return String(code ?? '').trim().toUpperCase();
+}
+
+function pickEditableFields(body) {
+  const updates = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (field in body) updates[field] = body[field];
+  }
+  if (typeof updates.categories === 'string') updates.categories = updates.categories.split(',').map(item => item.trim());
+  return updates;
+}
+
+/**
+ * Indicator Catalog
+ * The World Bank indicators the app fetches, kept in the IndicatorDefinition collection so that admins can
+ * add any WDI series without a code change. Definitions are cached in memory and reloaded after edits
+ */
+class IndicatorCatalog {
+  constructor() {
+    this.definitions = [];
+    this.loadedAt = 0;
+    this.loading = null;
+    this.seeded = false; // The seed runs once per process, so that indicators added to it reach existing databases
+  }
+
+  /**
+   * Insert the seed indicators that are not in the collection yet
+   * Existing definitions are left alone so that edits made through the API are kept
+   */
+  async seed() {
+    let inserted = 0;
+
+    for (const definition of [...INDICATOR_SEED, ...DERIVED_INDICATOR_SEED]) {
+      const result = await IndicatorDefinition.updateOne(
+        { code: definition.code },
+        { $setOnInsert: definition },
+        { upsert: true }
+      );
+      inserted += result.upsertedCount;
+    }
+
+    this.invalidate();
+    return { inserted };
+  }
+
+  /**
+   * Load the catalog into memory, adding the seed indicators it does not have yet on the first load
+   */
+  async load() {
+    if (Date.now() - this.loadedAt < CACHE_TTL_MS) return;
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        if (!this.seeded) {
+          const { inserted } = await this.seed();
+          this.seeded = true;
+          if (inserted > 0) {
+            console.log(`📚 Seeded indicator catalog with ${inserted} indicators`);
+          }
+        }
+
+        this.definitions = await IndicatorDefinition.find().sort({ code: 1 }).lean();
+        this.loadedAt = Date.now();
+      })().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    await this.loading;
+  }
+
+  // Drop the cached catalog so the next lookup reloads it
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Definitions, optionally narrowed to some categories; disabled ones only when asked for
+   * derived: true for derived indicators only, false for fetched ones only, null for both
+   */
+  async list({ categories = null, includeDisabled = false, derived = null } = {}) {
+    await this.load();
+
+    return this.definitions.filter(definition =>
+      (includeDisabled || definition.enabled) &&
+      (derived === null || Boolean(definition.expression) === derived) &&
+      (!categories || definition.categories.some(category => categories.includes(category)))
+    );
+  }
+
+  // Definition by WDI code or short name, disabled ones included; null when unknown
+  async get(codeOrName) {
+    await this.load();
+
+    const code = normalizeIndicatorCode(codeOrName);
+    const name = String(codeOrName ?? '').trim().toLowerCase();
+    return this.definitions.find(definition => definition.code === code || definition.subcategory === name) || null;
+  }
+
+  /**
+   * Parse a derived indicator's expression and resolve the indicators it names
+   * Only fetched indicators can be inputs; derived ones compose by nesting functions instead
+   * Returns { tree, codes, inputs }: codes maps each reference as written to its code, inputs lists every code read
+   */
+  async resolveExpression(expression) {
+    const tree = parseExpression(expression);
+    const { refs, implicit } = expressionInputs(tree);
+
+    const codes = {};
+    for (const ref of refs) {
+      const definition = await this.get(ref);
+      if (!definition) {
+        throw catalogError(`Expression names ${ref}, which is not in the catalog`, 400);
+      }
+      if (definition.expression) {
+        throw catalogError(`Expression names ${ref}, which is derived itself; nest its expression instead`, 400);
+      }
+      codes[ref] = definition.code;
+    }
+
+    return { tree, codes, inputs: [...new Set([...Object.values(codes), ...implicit])] };
+  }
+
+  /**
+   * World Bank metadata of a WDI code: { code, name, unit, source, description }
+   * Throws 404 when the World Bank does not know the code
+   */
+  async lookupMetadata(code) {
+    let data;
+    try {
+      const response = await fetch(`${METADATA_URL}/${encodeURIComponent(code)}?format=json`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      data = await response.json();
+    } catch (error) {
+      throw catalogError(`Could not reach the World Bank indicator API: ${error.message}`, 502);
+    }
+
+    // Unknown codes come back as [{ message: [...] }] rather than [metadata, [indicator]]
+    const indicator = Array.isArray(data) && Array.isArray(data[1]) ? data[1][0] : null;
+    if (!indicator) {
+      throw catalogError(`${code} is not a World Bank indicator`, 404);
+    }
+
+    return {
+      code: indicator.id,
+      name: indicator.name,
+      unit: indicator.unit || null,
+      source: indicator.source?.value || null,
+      description: indicator.sourceNote || null
+    };
+  }
+
+  /**
+   * Add a WDI indicator after checking it against the World Bank metadata
+   * Name, unit, source and description default to the World Bank's own
+   * With an expression the indicator is derived instead: its code starts with DERIVED. and its name is required
+   */
+  async create(body = {}, user = null) {
+    const code = normalizeIndicatorCode(body.code);
+    if (body.expression !== undefined || code.startsWith('DERIVED.')) {
+      return this.createDerived(code, body, user);
+    }
+    if (!CODE_PATTERN.test(code)) {
+      throw catalogError('code must be a World Bank indicator code, e.g. NY.GDP.MKTP.CD', 400);
+    }
+    if (await IndicatorDefinition.exists({ code })) {
+      throw catalogError(`${code} is already in the catalog`, 409);
+    }
+
+    const metadata = await this.lookupMetadata(code);
+    const fields = pickEditableFields(body);
+
+    try {
+      const definition = await IndicatorDefinition.create({
+        name: metadata.name,
+        unit: metadata.unit || undefined,
+        description: metadata.description || undefined,
+        ...fields,
+        code,
+        source: metadata.source,
+        createdBy: user?._id,
+        updatedBy: user?._id
+      });
+      this.invalidate();
+      return definition.toObject();
+    } catch (error) {
+      throw writeError(error);
+    }
+  }
+
+  async createDerived(code, body, user) {
+    if (!DERIVED_CODE_PATTERN.test(code)) {
+      throw catalogError('code of a derived indicator must start with DERIVED., e.g. DERIVED.GDP.GROWTH', 400);
+    }
+    await this.resolveExpression(body.expression);
+    if (await IndicatorDefinition.exists({ code })) {
+      throw catalogError(`${code} is already in the catalog`, 409);
+    }
+
+    try {
+      const definition = await IndicatorDefinition.create({
+        ...pickEditableFields(body),
+        code,
+        source: 'Derived from stored World Bank data',
+        createdBy: user?._id,
+        updatedBy: user?._id
+      });
+      this.invalidate();
+      return definition.toObject();
+    } catch (error) {
+      throw writeError(error);
+    }
+  }
+
+  /**
+   * Edit a definition; names, categories, units and scale are copied onto its stored data points too
+   * A derived indicator's expression can be changed; its values are recomputed on the next read
+   */
+  async update(codeOrName, body = {}, user = null) {
+    const existing = await this.get(codeOrName);
+    if (!existing) {
+      throw catalogError(`Indicator ${codeOrName} is not in the catalog`, 404);
+    }
+    if ('expression' in body) {
+      if (!existing.expression) {
+        throw catalogError(`${existing.code} is fetched from the World Bank and cannot take an expression`, 400);
+      }
+      await this.resolveExpression(body.expression);
+    }
+
+    let definition;
+    try {
+      definition = await IndicatorDefinition.findOneAndUpdate(
+        { code: existing.code },
+        { ...pickEditableFields(body), updatedBy: user?._id },
+        { new: true, runValidators: true }
+      ).lean();
+    } catch (error) {
+      throw writeError(error);
+    }
+
+    this.invalidate();
+    await this.applyToStoredData(definition);
+    return definition;
+  }
+
+  /**
+   * Record the progress of a backfill on its definition
+   * claim: only update when no other backfill is running; returns null when one is
+   */
+  async setBackfill(code, backfill, { claim = false, staleAfterMs = 60 * 60 * 1000 } = {}) {
+    const filter = { code };
+    if (claim) {
+      // A backfill that has been running for an hour was cut short by a restart
+      filter.$or = [
+        { 'backfill.status': { $ne: 'running' } },
+        { 'backfill.startedAt': { $lt: new Date(Date.now() - staleAfterMs) } }
+      ];
+    }
+
+    const definition = await IndicatorDefinition.findOneAndUpdate(filter, { $set: { backfill } }, { new: true }).lean();
+    this.invalidate();
+    return definition;
+  }
+
+  // Store where an indicator's data stands after a sync or a check of its source metadata
+  async recordSync(code, sync) {
+    await IndicatorDefinition.updateOne({ code }, { $set: { sync } });
+    this.invalidate();
+  }
+
+  // Store what a derived indicator's values were last computed from
+  async recordDerivation(code, derivation) {
+    await IndicatorDefinition.updateOne({ code }, { $set: { derivation } });
+    this.invalidate();
+  }
+
+  /**
+   * Copy a definition's descriptive fields onto the data points already stored for it
+   */
+  async applyToStoredData(definition) {
+    const result = await WorldBankIndicator.updateMany(
+      { 'indicator.code': definition.code },
+      {
+        $set: {
+          'indicator.name': definition.name,
+          'indicator.category': definition.categories[0],
+          'indicator.categories': definition.categories,
+          'indicator.subcategory': definition.subcategory ?? null,
+          unit: definition.unit ?? null,
+          scale: definition.scale ?? null
+        }
+      }
+    );
+    return result.modifiedCount;
+  }
+}
+
+export default new IndicatorCatalog();
@@ -0,0 +1,196 @@
+import Ministry from '../models/Ministry.js';
+import { MINISTRY_SEED, INDEPENDENT_ORGANISATIONS } from '../utils/ministrySeed.js';
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Values scrapers write when the page does not name a ministry; these are dropped instead of stored
+const GENERIC_VALUES = new Set([
+  '', 'government of india', 'goi', 'central government', 'union government', 'govt of india',
+  'na', 'n a', 'not specified', 'not available', 'others', 'other', 'unknown', 'none'
+]);
+
+/**
+ * Reduce an organisation name to a lookup key so that spelling variants compare equal
+ * e.g. "M/o Women & Child Development (MWCD)" -> "ministry of women and child development"
+ */
+export function normalizeOrgName(value = '') {
+  return String(value)
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/\bm\/o\b/g, 'ministry of')
+    .replace(/\bd\/o\b/g, 'department of')
+    .replace(/\bdept\b\.?/g, 'department')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the /, '')
+    .replace(/ government of india$| goi$/, '')
+    .trim();
+}
+
+// Lookup keys of a registry entry: its name, its aliases and its name without the "Ministry of" prefix
+function entryKeys(entry) {
+  const names = [entry.name, ...(entry.aliases || [])];
+  if (entry.shortName) names.push(entry.shortName);
+
+  const keys = names.map(normalizeOrgName);
+  keys.push(normalizeOrgName(entry.name).replace(/^(ministry|department) (of|for) /, ''));
+  return keys.filter(Boolean);
+}
+
+/**
+ * Ministry Registry
+ * Cached lookup of the canonical ministry and department names that scheme writes are normalized against
+ */
+class MinistryRegistry {
+  constructor() {
+    this.lookup = new Map();
+    this.byId = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Insert the seed ministries and departments that are not in the collection yet
+   * Existing entries are left alone so that edits made through the API are kept
+   */
+  async seed() {
+    let inserted = 0;
+
+    const upsert = async (entry) => {
+      const result = await Ministry.updateOne(
+        { name: entry.name },
+        { $setOnInsert: entry },
+        { upsert: true }
+      );
+      inserted += result.upsertedCount;
+      return Ministry.findOne({ name: entry.name }).select('_id').lean();
+    };
+
+    for (const { departments = [], ...ministry } of MINISTRY_SEED) {
+      const parent = await upsert({ ...ministry, kind: 'ministry' });
+      for (const department of departments) {
+        await upsert({ ...department, kind: 'department', parent: parent._id });
+      }
+    }
+    for (const organisation of INDEPENDENT_ORGANISATIONS) {
+      await upsert(organisation);
+    }
+
+    this.invalidate();
+    return { inserted };
+  }
+
+  /**
+   * Load the registry into memory, seeding an empty collection first
+   */
+  async load() {
+    if (Date.now() - this.loadedAt < CACHE_TTL_MS) return;
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        if (await Ministry.countDocuments() === 0) {
+          const { inserted } = await this.seed();
+          console.log(`🏛️ Seeded ministry registry with ${inserted} entries`);
+        }
+
+        const entries = await Ministry.find({ isActive: true }).lean();
+
+        // Ministries claim keys first so that "Rural Development" means the ministry, not its department
+        const kindOrder = { ministry: 0, organisation: 1, department: 2 };
+        entries.sort((a, b) => kindOrder[a.kind] - kindOrder[b.kind]);
+
+        this.lookup = new Map();
+        this.byId = new Map(entries.map(entry => [String(entry._id), entry]));
+        for (const entry of entries) {
+          for (const key of entryKeys(entry)) {
+            if (!this.lookup.has(key)) this.lookup.set(key, entry);
+          }
+        }
+        this.loadedAt = Date.now();
+      })().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    await this.loading;
+  }
+
+  // Drop the cached registry so the next lookup reloads it
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  isGeneric(value) {
+    return value === undefined || value === null || GENERIC_VALUES.has(normalizeOrgName(value));
+  }
+
+  // Registry entry for a raw name, or null; the registry must be loaded
+  find(value) {
+    if (this.isGeneric(value)) return null;
+
+    const key = normalizeOrgName(value);
+    return this.lookup.get(key)
+      || this.lookup.get(key.replace(/^(ministry|department) (of|for) /, ''))
+      || null;
+  }
+
+  /**
+   * Resolve raw ministry and department values to registry entries
+   * Returns { ministry, department } where each side is { name, ref } (ref is null for unknown names)
+   * or null when the value is missing or generic
+   */
+  async resolve({ ministry, department } = {}) {
+    await this.load();
+
+    let ministryEntry = this.find(ministry);
+    let departmentEntry = this.find(department);
+
+    // Scrapers often put the department in the ministry field
+    if (ministryEntry?.parent && !departmentEntry && this.isGeneric(department)) {
+      departmentEntry = ministryEntry;
+      ministryEntry = this.byId.get(String(ministryEntry.parent)) || null;
+      ministry = undefined;
+    }
+    if (!ministryEntry && this.isGeneric(ministry) && departmentEntry?.parent) {
+      ministryEntry = this.byId.get(String(departmentEntry.parent)) || null;
+    }
+
+    const side = (entry, raw) => {
+      if (entry) return { name: entry.name, ref: entry._id };
+      if (this.isGeneric(raw)) return null;
+      return { name: String(raw).trim(), ref: null };
+    };
+
+    return {
+      ministry: side(ministryEntry, ministry),
+      department: side(departmentEntry, department)
+    };
+  }
+
+  /**
+   * Copy of scheme data with ministry and department replaced by their canonical names and references
+   * Generic or empty values are removed so that an update never wipes a known ministry
+   */
+  async normalizeSchemeData(schemeData) {
+    if (!('ministry' in schemeData) && !('department' in schemeData)) return schemeData;
+
+    const resolved = await this.resolve(schemeData);
+    const data = { ...schemeData };
+
+    for (const field of ['ministry', 'department']) {
+      const refField = `${field}Ref`;
+      if (resolved[field]) {
+        data[field] = resolved[field].name;
+        data[refField] = resolved[field].ref;
+      } else {
+        delete data[field];
+        delete data[refField];
+      }
+    }
+
+    return data;
+  }
+}
+
+export default new MinistryRegistry();
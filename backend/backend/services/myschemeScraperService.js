@@ -1,4 +1,6 @@
 import { chromium } from 'playwright';
+import { parseSchemeDetailPage } from '../scraper/schemeDetailParser.js';
+import { mySchemeDetailUrl } from '../scraper/adapters/myschemeApi.js';
 
 export class MySchemeScraperService {
   constructor() {
@@ -462,86 +464,28 @@ export class MySchemeScraperService {
     }
   }
 
-  async scrapeSchemeDetails(schemeUrl) {
-    try {
-      if (!this.page) {
-        await this.initialize();
-      }
-
-      console.log(`🔍 Scraping details for: ${schemeUrl}`);
-      await this.page.goto(schemeUrl, {
-        waitUntil: 'networkidle',
-        timeout: 30000
-      });
+  /**
+   * Load a scheme detail page in the browser
+   * Returns { status, html }
+   */
+  async fetchDetailPage(schemeUrl) {
+    if (!this.page) {
+      await this.initialize();
+    }
 
-      await this.page.waitForTimeout(2000);
+    const response = await this.page.goto(schemeUrl, {
+      waitUntil: 'networkidle',
+      timeout: 30000
+    });
 
-      const details = await this.page.evaluate(() => {
-        const getTextBySelectors = (selectors) => {
-          for (const selector of selectors) {
-            const element = document.querySelector(selector);
-            if (element && element.textContent.trim()) {
-              return element.textContent.trim();
-            }
-          }
-          return '';
-        };
-
-        const getListBySelectors = (selectors) => {
-          for (const selector of selectors) {
-            const elements = document.querySelectorAll(selector);
-            if (elements.length > 0) {
-              return Array.from(elements).map(el => el.textContent.trim()).filter(text => text);
-            }
-          }
-          return [];
-        };
-
-        return {
-          eligibility: getTextBySelectors([
-            '.eligibility', '.eligibility-criteria', '[class*="eligib"]', 
-            'section:has-text("Eligibility")', 'div:has-text("Eligibility")',
-            '.criteria', '.requirements'
-          ]),
-          benefits: getTextBySelectors([
-            '.benefits', '.scheme-benefits', '[class*="benefit"]', 
-            'section:has-text("Benefits")', 'div:has-text("Benefits")',
-            '.advantages', '.features'
-          ]),
-          applicationProcess: getTextBySelectors([
-            '.application', '.application-process', '[class*="apply"]', 
-            'section:has-text("Apply")', 'div:has-text("Application")',
-            '.process', '.procedure', '.how-to-apply'
-          ]),
-          documentsRequired: getListBySelectors([
-            '.documents li', '.document-list li', '.required-docs li',
-            '.documents p', '.document-list p'
-          ]).join(', ') || getTextBySelectors([
-            '.documents', '.document-list', '[class*="document"]', 
-            'section:has-text("Documents")', 'div:has-text("Documents")',
-            '.required-documents'
-          ]),
-          ministry: getTextBySelectors([
-            '.ministry', '.sponsoring-ministry', '[class*="ministry"]',
-            '.department', '.govt-dept'
-          ]),
-          launchDate: getTextBySelectors([
-            '.launch-date', '.start-date', '[class*="date"]',
-            '.created-date', '.published-date'
-          ]),
-          officialWebsite: (() => {
-            const links = document.querySelectorAll('a[href*="gov.in"], a[href*="nic.in"]');
-            for (const link of links) {
-              if (link.href && link.href !== window.location.href) {
-                return link.href;
-              }
-            }
-            return '';
-          })()
-        };
-      });
+    return { status: response?.status() ?? null, html: await this.page.content() };
+  }
 
-      return details;
+  async scrapeSchemeDetails(schemeUrl) {
+    try {
+      console.log(`🔍 Scraping details for: ${schemeUrl}`);
+      const { html } = await this.fetchDetailPage(schemeUrl);
+      return parseSchemeDetailPage(html).details;
     } catch (error) {
       console.error('❌ Error scraping scheme details:', error.message);
       return {};
@@ -560,8 +504,10 @@ export class MySchemeScraperService {
         // Try to find detail page URL
         let detailUrl = null;
         
-        if (scheme.url || scheme.link || scheme.detail_url) {
-          detailUrl = scheme.url || scheme.link || scheme.detail_url;
+        if (scheme.detailUrl || scheme.url || scheme.link || scheme.detail_url) {
+          detailUrl = scheme.detailUrl || scheme.url || scheme.link || scheme.detail_url;
+        } else if (scheme.slug) {
+          detailUrl = mySchemeDetailUrl(scheme);
         } else {
           // Try to construct detail URL
           const schemeId = scheme.id || scheme.scheme_id;
@@ -0,0 +1,169 @@
+import websocketService from './websocketService.js';
+import scrapeJobQueue from './scrapeJobQueue.js';
+import EntityResolutionService from './entityResolutionService.js';
+import worldBankRefreshJobs from './worldBankRefreshJobs.js';
+import schemeQualityService from './schemeQualityService.js';
+import Scheme from '../models/Scheme.js';
+import { hasSourceAdapter } from '../scraper/sourceRegistry.js';
+
+// Schedules created on first start; admins edit or disable them through /api/schedules
+export const DEFAULT_SCHEDULES = [
+  {
+    name: 'MyScheme scraping',
+    description: 'Queue a scrape of the MyScheme search API',
+    jobType: 'scheme-scrape',
+    cronExpression: '0 */6 * * *',
+    params: { source: 'bulk-api' }
+  },
+  {
+    name: 'Stats broadcast',
+    description: 'Push scheme totals to connected clients',
+    jobType: 'stats-broadcast',
+    cronExpression: '*/30 * * * *'
+  },
+  {
+    name: 'Daily maintenance',
+    description: 'Link duplicate schemes and deactivate schemes not seen for 30 days',
+    jobType: 'maintenance',
+    cronExpression: '0 2 * * *'
+  },
+  {
+    name: 'Quality scoring',
+    description: 'Score every scheme on completeness, freshness, source reliability, links and conflicts',
+    jobType: 'quality-score',
+    cronExpression: '0 4 * * *'
+  },
+  {
+    name: 'World Bank refresh',
+    description: 'Refetch countries and indicator data from the World Bank API',
+    jobType: 'worldbank-refresh',
+    cronExpression: '0 3 * * 0',
+    enabled: false
+  }
+];
+
+/**
+ * Queue a source scrape; the job itself records its run under /api/scrape-runs
+ * params: { source = 'bulk-api', maxPages, pageSize, delayMs }
+ */
+async function schemeScrape(params = {}) {
+  const { source = 'bulk-api', maxPages, pageSize, delayMs } = params;
+
+  const activeJob = await scrapeJobQueue.findActive(source);
+  if (activeJob) {
+    return { skipped: true, reason: `Job ${activeJob._id} for ${source} is still ${activeJob.state}`, jobId: activeJob._id };
+  }
+
+  const adapterOptions = {};
+  if (maxPages) adapterOptions.maxPages = maxPages;
+  if (pageSize) adapterOptions.pageSize = pageSize;
+
+  const job = await scrapeJobQueue.enqueue(source, {
+    saveToDb: true,
+    trigger: 'cron',
+    adapterOptions,
+    ...(delayMs ? { delayMs } : {})
+  });
+
+  websocketService.broadcast('cron-scrape-started', {
+    message: `Scheduled ${source} scraping queued`,
+    jobId: job._id,
+    timestamp: new Date().toISOString()
+  });
+
+  return { jobId: job._id, source };
+}
+
+/**
+ * Start a World Bank refresh job; the job itself records its progress under /api/worldbank/refresh/:id
+ * params: { countries, categories, full } - defaults to the service's priority countries and every category;
+ * only indicators changed at the World Bank are fetched unless full is true
+ */
+async function worldBankRefresh(params = {}) {
+  const { job, alreadyRunning } = await worldBankRefreshJobs.start(params, { trigger: 'schedule' });
+  return { jobId: job._id, alreadyRunning };
+}
+
+async function maintenance() {
+  // Link duplicate records across sources to one canonical scheme
+  const resolution = await new EntityResolutionService().resolveAll();
+
+  // Mark old scraped schemes as inactive if they haven't been updated in 30 days
+  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const deactivatedCount = await Scheme.updateMany(
+    {
+      source: { $in: ['api', 'dom'] },
+      updatedAt: { $lt: thirtyDaysAgo },
+      isActive: true
+    },
+    { isActive: false }
+  );
+
+  console.log(`🧹 Maintenance completed: linked ${resolution.recordsLinked} duplicates, queued ${resolution.queuedForReview} for review, deactivated ${deactivatedCount.modifiedCount} old schemes`);
+
+  websocketService.broadcast('maintenance-completed', {
+    message: `Daily maintenance completed`,
+    linkedDuplicates: resolution.recordsLinked,
+    queuedForReview: resolution.queuedForReview,
+    deactivatedSchemes: deactivatedCount.modifiedCount,
+    timestamp: new Date().toISOString()
+  });
+
+  return {
+    linkedDuplicates: resolution.recordsLinked,
+    queuedForReview: resolution.queuedForReview,
+    deactivatedSchemes: deactivatedCount.modifiedCount
+  };
+}
+
+async function statsBroadcast() {
+  const totalSchemes = await Scheme.countDocuments({ canonicalScheme: null });
+  const recentSchemes = await Scheme.find({ canonicalScheme: null })
+    .sort({ updatedAt: -1 })
+    .limit(5)
+    .select('name ministry sector updatedAt');
+
+  websocketService.broadcast('stats-update', {
+    totalSchemes,
+    recentSchemes,
+    lastUpdated: new Date().toISOString()
+  });
+
+  return { totalSchemes };
+}
+
+async function qualityScore() {
+  return schemeQualityService.scoreAll();
+}
+
+// Job type -> async (params) => result stored as the schedule's lastResult
+export const SCHEDULED_JOBS = {
+  'scheme-scrape': schemeScrape,
+  'worldbank-refresh': worldBankRefresh,
+  'maintenance': maintenance,
+  'stats-broadcast': statsBroadcast,
+  'quality-score': qualityScore
+};
+
+/**
+ * Problems with a job type's params, checked when a schedule is saved
+ */
+export function validateJobParams(jobType, params = {}) {
+  const errors = [];
+
+  if (jobType === 'scheme-scrape' && params.source && !hasSourceAdapter(params.source)) {
+    errors.push(`Unknown scrape source "${params.source}"`);
+  }
+  if (jobType === 'worldbank-refresh') {
+    for (const key of ['countries', 'categories']) {
+      if (params[key] !== undefined && !Array.isArray(params[key])) {
+        errors.push(`${key} must be a list`);
+      }
+    }
+    if (params.full !== undefined && typeof params.full !== 'boolean') {
+      errors.push('full must be true or false');
+    }
+  }
+
+  return errors;
+}
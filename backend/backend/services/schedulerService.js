@@ -0,0 +1,191 @@
+import { randomUUID } from 'crypto';
+import cron from 'node-cron';
+import Schedule from '../models/Schedule.js';
+import { SCHEDULED_JOBS, DEFAULT_SCHEDULES } from './scheduledJobs.js';
+
+const LOCK_TTL_MS = 2 * 60 * 60 * 1000; // Longest a job may hold its schedule before the lock counts as abandoned
+
+/**
+ * Scheduler Service
+ * Runs the schedules stored in the database in this process with node-cron.
+ * A run takes a lock on its schedule document first, so overlapping runs - from a slow previous run,
+ * a manual trigger or a second server instance - are skipped instead of doubled
+ */
+class SchedulerService {
+  constructor() {
+    this.tasks = new Map(); // Schedule id -> node-cron task
+    this.owner = randomUUID(); // Identifies this process on the locks it takes
+  }
+
+  /**
+   * Add the default schedules the database does not have yet, then register every enabled schedule
+   * A schedule that fails to register is logged and skipped
+   */
+  async start() {
+    await this.seedDefaults();
+
+    const schedules = await Schedule.find({ enabled: true });
+    const active = [];
+    for (const schedule of schedules) {
+      // One bad row (e.g. a time zone node-cron rejects) must not keep the others from running
+      try {
+        await this.register(schedule);
+        active.push(schedule);
+      } catch (error) {
+        console.error(`❌ Failed to register schedule ${schedule.name}:`, error.message);
+      }
+    }
+
+    console.log(`🕐 ${active.length} schedules active`);
+    for (const schedule of active) {
+      console.log(`   ${schedule.name}: ${schedule.cronExpression}`);
+    }
+  }
+
+  /**
+   * Insert missing default schedules by name, so that defaults added in later versions reach existing databases
+   * Existing ones keep their edits; a deleted default comes back on the next start, so disable it instead
+   */
+  async seedDefaults() {
+    const result = await Schedule.bulkWrite(DEFAULT_SCHEDULES.map(schedule => ({
+      updateOne: { filter: { name: schedule.name }, update: { $setOnInsert: schedule }, upsert: true }
+    })));
+
+    if (result.upsertedCount > 0) {
+      console.log(`🕐 Created ${result.upsertedCount} default schedules`);
+    }
+  }
+
+  async stop() {
+    for (const task of this.tasks.values()) {
+      await task.destroy();
+    }
+    this.tasks.clear();
+  }
+
+  async register(schedule) {
+    this.unregister(schedule._id);
+    if (!schedule.enabled) {
+      await Schedule.updateOne({ _id: schedule._id }, { $unset: { nextRunAt: 1 } });
+      return;
+    }
+
+    const task = cron.schedule(
+      schedule.cronExpression,
+      () => this.run(schedule._id),
+      { name: schedule.name, timezone: schedule.timezone || undefined }
+    );
+    this.tasks.set(String(schedule._id), task);
+
+    await Schedule.updateOne({ _id: schedule._id }, { $set: { nextRunAt: task.getNextRun() } });
+  }
+
+  unregister(scheduleId) {
+    const task = this.tasks.get(String(scheduleId));
+    if (task) {
+      task.destroy();
+      this.tasks.delete(String(scheduleId));
+    }
+  }
+
+  /**
+   * Pick up a created, edited or deleted schedule
+   */
+  async reload(scheduleId) {
+    const schedule = await Schedule.findById(scheduleId);
+    if (schedule) {
+      await this.register(schedule);
+    } else {
+      this.unregister(scheduleId);
+    }
+  }
+
+  nextRun(scheduleId) {
+    return this.tasks.get(String(scheduleId))?.getNextRun() || null;
+  }
+
+  /**
+   * Take a schedule's lock for a new run; null when a run already holds it
+   */
+  async acquire(scheduleId) {
+    const now = new Date();
+    return Schedule.findOneAndUpdate(
+      {
+        _id: scheduleId,
+        $or: [{ 'lock.expiresAt': { $exists: false } }, { 'lock.expiresAt': null }, { 'lock.expiresAt': { $lt: now } }]
+      },
+      {
+        $set: {
+          lock: { owner: this.owner, runId: randomUUID(), lockedAt: now, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) }
+        }
+      },
+      { new: true }
+    );
+  }
+
+  async markSkipped(scheduleId) {
+    console.log(`⏭️ Schedule ${scheduleId} skipped: the previous run is still going`);
+    return Schedule.findByIdAndUpdate(
+      scheduleId,
+      { $set: { lastStatus: 'skipped', nextRunAt: this.nextRun(scheduleId) } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Run a schedule's job now unless a run already holds its lock
+   * Returns the updated schedule
+   */
+  async run(scheduleId) {
+    const schedule = await this.acquire(scheduleId);
+    return schedule ? this.execute(schedule) : this.markSkipped(scheduleId);
+  }
+
+  /**
+   * Start a schedule's job in the background, for manual runs that must not hold a request open
+   * Returns { schedule, runId }; runId is null when a run already holds the lock
+   * The run is over once the schedule's lastRunId is runId
+   */
+  async trigger(scheduleId) {
+    const schedule = await this.acquire(scheduleId);
+    if (!schedule) {
+      return { schedule: await this.markSkipped(scheduleId), runId: null };
+    }
+
+    this.execute(schedule).catch(error => {
+      console.error(`❌ Error finishing schedule "${schedule.name}":`, error.message);
+    });
+    return { schedule, runId: schedule.lock.runId };
+  }
+
+  // Run the job of a locked schedule, record the outcome and release the lock
+  async execute(schedule) {
+    const startedAt = schedule.lock.lockedAt;
+    console.log(`🔄 Running schedule "${schedule.name}" (${schedule.jobType})...`);
+    const update = { lastRunAt: startedAt, lastRunId: schedule.lock.runId };
+
+    try {
+      const job = SCHEDULED_JOBS[schedule.jobType];
+      update.lastResult = await job(schedule.params || {});
+      update.lastStatus = 'succeeded';
+      update.lastError = null;
+      console.log(`✅ Schedule "${schedule.name}" completed`);
+    } catch (error) {
+      console.error(`❌ Schedule "${schedule.name}" failed:`, error.message);
+      update.lastStatus = 'failed';
+      update.lastError = error.message;
+    }
+
+    update.lastFinishedAt = new Date();
+    update.lastDurationMs = update.lastFinishedAt - startedAt;
+    update.nextRunAt = this.nextRun(schedule._id);
+
+    return Schedule.findOneAndUpdate(
+      { _id: schedule._id },
+      { $set: update, $unset: { lock: 1 } },
+      { new: true }
+    );
+  }
+}
+
+export default new SchedulerService();
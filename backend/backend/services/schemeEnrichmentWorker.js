@@ -0,0 +1,289 @@
+import mongoose from 'mongoose';
+import Scheme from '../models/Scheme.js';
+import MySchemeScraperService from './myschemeScraperService.js';
+import EntityResolutionService from './entityResolutionService.js';
+import websocketService from './websocketService.js';
+import { parseSchemeDetailPage, DETAIL_FIELDS } from '../scraper/schemeDetailParser.js';
+import { HttpClient } from '../scraper/httpClient.js';
+import { DEFAULT_HEADERS } from '../scraper/sourceAdapter.js';
+import { observationsFromData } from '../utils/fieldProvenance.js';
+
+const REQUEST_DELAY_MS = 5000; // Pause between two detail pages
+const IDLE_POLL_MS = 10 * 60 * 1000; // Check for new work this often once the queue is empty
+const LEASE_MS = 5 * 60 * 1000; // A claimed scheme returns to the queue after this if the worker dies mid-visit
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 15 * 60 * 1000;
+const MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+const PAGES_PER_BROWSER = 50; // Restart the browser now and then to keep its memory in check
+const REVISIT_AFTER_MS = 30 * 24 * 60 * 60 * 1000; // Enriched schemes that still have gaps are visited again after this
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Schemes with at least one detail field still empty
+export function missingDetailsFilter() {
+  return {
+    $or: DETAIL_FIELDS.map(field => (
+      field === 'documentsRequired'
+        ? { 'documentsRequired.0': { $exists: false } }
+        : { [field]: { $in: [null, ''] } }
+    ))
+  };
+}
+
+// Schemes the worker should visit now: a detail page, missing fields, and either not given up on nor backing off,
+// or enriched long enough ago that the page may have gained the missing sections
+export function enrichmentQueueFilter(now = new Date()) {
+  return {
+    $and: [
+      { detailUrl: { $nin: [null, ''] } },
+      {
+        $or: [
+          {
+            'enrichment.status': { $nin: ['enriched', 'failed'] },
+            $or: [{ 'enrichment.nextAttemptAt': null }, { 'enrichment.nextAttemptAt': { $lte: now } }]
+          },
+          { 'enrichment.status': 'enriched', 'enrichment.enrichedAt': { $lte: new Date(now.getTime() - REVISIT_AFTER_MS) } }
+        ]
+      },
+      missingDetailsFilter()
+    ]
+  };
+}
+
+// Wait before retry n (1-based): 15 min, 30 min, 1 h, 2 h ... capped at a day
+export function backoffDelay(attempt) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Scheme Enrichment Worker
+ * Works through schemes that are missing detail fields, one detail page at a time at a polite rate,
+ * and fills eligibility, benefits, application process and required documents from the page.
+ * Pages are read over plain HTTP; the browser is only launched for pages that need client-side rendering.
+ * Failed visits are retried with exponential backoff until MAX_ATTEMPTS; enriched schemes that still miss fields
+ * are visited again after REVISIT_AFTER_MS
+ */
+class SchemeEnrichmentWorker {
+  constructor() {
+    this.running = false;
+    this.processing = false;
+    this.http = new HttpClient({ headers: DEFAULT_HEADERS });
+    this.scraper = null;
+    this.pagesVisited = 0;
+    this.idleTimer = null;
+    this.lastActivityAt = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log('🔍 Scheme enrichment worker started');
+    this.processQueue();
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.idleTimer);
+    await this.closeBrowser();
+  }
+
+  /**
+   * Visit queued detail pages until the queue is empty, then poll again after IDLE_POLL_MS
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+    clearTimeout(this.idleTimer);
+
+    try {
+      while (this.running && mongoose.connection.readyState === 1) {
+        const scheme = await this.claimNext();
+        if (!scheme) break;
+
+        await this.enrichScheme(scheme);
+        await sleep(REQUEST_DELAY_MS);
+      }
+    } catch (error) {
+      console.error('❌ Scheme enrichment worker error:', error.message);
+    } finally {
+      this.processing = false;
+      await this.closeBrowser();
+      if (this.running) {
+        this.idleTimer = setTimeout(() => this.processQueue(), IDLE_POLL_MS);
+      }
+    }
+  }
+
+  async claimNext() {
+    const now = new Date();
+    return Scheme.findOneAndUpdate(
+      enrichmentQueueFilter(now),
+      {
+        $set: {
+          'enrichment.status': 'in-progress',
+          'enrichment.lastAttemptAt': now,
+          'enrichment.nextAttemptAt': new Date(now.getTime() + LEASE_MS)
+        },
+        $inc: { 'enrichment.attempts': 1 }
+      },
+      { sort: { 'enrichment.attempts': 1, createdAt: 1 }, new: true }
+    );
+  }
+
+  async getScraper() {
+    if (this.scraper && this.pagesVisited >= PAGES_PER_BROWSER) {
+      await this.closeBrowser();
+    }
+    if (!this.scraper) {
+      this.scraper = new MySchemeScraperService();
+      await this.scraper.initialize();
+      this.pagesVisited = 0;
+    }
+    this.pagesVisited++;
+    return this.scraper;
+  }
+
+  async closeBrowser() {
+    if (!this.scraper) return;
+    await this.scraper.close();
+    this.scraper = null;
+  }
+
+  /**
+   * Parsed detail page, over HTTP when the served HTML already has the sections and in the browser otherwise
+   */
+  async readDetailPage(url) {
+    let response = null;
+    try {
+      response = await this.http.get(url);
+    } catch (error) {
+      console.log(`   🌐 HTTP fetch of ${url} failed (${error.message}), using the browser`);
+    }
+
+    if (response && [404, 410].includes(response.status)) {
+      throw new Error(`Detail page returned HTTP ${response.status}`);
+    }
+    if (response?.ok) {
+      const parsed = parseSchemeDetailPage(response.text);
+      if (parsed.sections.length > 0) return parsed;
+    }
+
+    const scraper = await this.getScraper();
+    const { status, html } = await scraper.fetchDetailPage(url);
+    if (status && status >= 400) {
+      throw new Error(`Detail page returned HTTP ${status}`);
+    }
+    return parseSchemeDetailPage(html);
+  }
+
+  /**
+   * Visit one scheme's detail page and store what it has
+   * Returns true when the scheme was enriched
+   */
+  async enrichScheme(scheme) {
+    const attempt = scheme.enrichment.attempts;
+    this.lastActivityAt = new Date();
+
+    try {
+      const { details, sections } = await this.readDetailPage(scheme.detailUrl);
+      if (sections.length === 0) {
+        throw new Error('No detail sections found on the page');
+      }
+
+      // The details are observations of the scheme's own source, read from its detail page
+      const provenance = { source: scheme.source, sourceUrl: scheme.detailUrl, observedAt: new Date() };
+
+      // Matched on the external ID only, so that a same-named record of another source is never touched
+      if (scheme.schemeId) {
+        await Scheme.upsertWithHistory({ schemeId: scheme.schemeId, ...details }, { provenance });
+      } else {
+        await Scheme.applyObservations(scheme._id, observationsFromData(details, provenance));
+      }
+      await Scheme.updateOne({ _id: scheme._id }, {
+        $set: {
+          'enrichment.status': 'enriched',
+          'enrichment.attempts': 0, // A later revisit gets its own retries
+          'enrichment.sectionsFound': sections,
+          'enrichment.enrichedAt': new Date(),
+          'enrichment.lastError': null
+        },
+        $unset: { 'enrichment.nextAttemptAt': 1 }
+      });
+
+      // A child record's details reach the canonical scheme shown to users
+      if (scheme.canonicalScheme) {
+        await new EntityResolutionService().resolveCanonicalFields(scheme.canonicalScheme);
+      }
+
+      console.log(`✅ Enriched "${scheme.name}" (${sections.join(', ')})`);
+      websocketService.broadcast('scheme-enriched', {
+        schemeId: scheme._id,
+        name: scheme.name,
+        sections,
+        timestamp: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      const givingUp = attempt >= MAX_ATTEMPTS;
+      console.error(`❌ Enrichment of "${scheme.name}" failed (attempt ${attempt}/${MAX_ATTEMPTS}):`, error.message);
+
+      await Scheme.updateOne({ _id: scheme._id }, {
+        $set: {
+          'enrichment.status': givingUp ? 'failed' : 'pending',
+          'enrichment.lastError': error.message,
+          'enrichment.nextAttemptAt': givingUp ? null : new Date(Date.now() + backoffDelay(attempt))
+        }
+      });
+
+      // A browser that failed once is not trusted for the next page
+      await this.closeBrowser();
+      return false;
+    }
+  }
+
+  /**
+   * Detail field coverage of canonical schemes and the state of the enrichment queue
+   */
+  async getCoverage() {
+    const canonical = { canonicalScheme: null };
+    const fieldCounts = await Promise.all(DETAIL_FIELDS.map(field => Scheme.countDocuments({
+      ...canonical,
+      ...(field === 'documentsRequired'
+        ? { 'documentsRequired.0': { $exists: true } }
+        : { [field]: { $nin: [null, ''] } })
+    })));
+
+    const [totalSchemes, complete, queued, byStatus] = await Promise.all([
+      Scheme.countDocuments(canonical),
+      Scheme.countDocuments({ ...canonical, $nor: [missingDetailsFilter()] }),
+      Scheme.countDocuments(enrichmentQueueFilter()),
+      Scheme.aggregate([
+        { $match: { detailUrl: { $nin: [null, ''] } } },
+        { $group: { _id: { $ifNull: ['$enrichment.status', 'pending'] }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const percentage = count => (totalSchemes > 0 ? Math.round((count / totalSchemes) * 1000) / 10 : 0);
+
+    return {
+      totalSchemes,
+      complete,
+      completePercentage: percentage(complete),
+      fields: Object.fromEntries(DETAIL_FIELDS.map((field, i) => [
+        field,
+        { count: fieldCounts[i], percentage: percentage(fieldCounts[i]) }
+      ])),
+      queue: {
+        dueNow: queued,
+        ...Object.fromEntries(byStatus.map(({ _id, count }) => [_id, count]))
+      },
+      worker: {
+        running: this.running,
+        busy: this.processing,
+        lastActivityAt: this.lastActivityAt
+      }
+    };
+  }
+}
+
+export default new SchemeEnrichmentWorker();
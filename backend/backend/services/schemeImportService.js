@@ -0,0 +1,206 @@
+import Scheme from '../models/Scheme.js';
+import SchemeImport from '../models/SchemeImport.js';
+import SchemeImportRow from '../models/SchemeImportRow.js';
+import { buildColumnMapping, mapImportRow } from '../utils/schemeImport.js';
+import { toCsv } from '../utils/tabularFile.js';
+
+const ROW_BATCH_SIZE = 500; // Row reports are written and progress saved this often
+const HEARTBEAT_INTERVAL_MS = 30 * 1000; // Progress is saved at least this often, however slow the rows are
+const STALE_AFTER_MS = 10 * 60 * 1000; // A running import without a heartbeat for this long died with its server
+
+// Import errors that are the caller's fault rather than a server failure
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Same identity the scrapers dedup on: external scheme ID first, case-insensitive name second
+function schemeKeys(schemeData) {
+  const keys = [];
+  if (schemeData.schemeId) keys.push(`id:${schemeData.schemeId}`);
+  if (schemeData.name) keys.push(`name:${schemeData.name.trim().toLowerCase()}`);
+  return keys;
+}
+
+// failStaleImports gave up on an import that was still running, e.g. because a row hung for too long
+function logAbandoned(report) {
+  console.log(`⚠️ Scheme import ${report._id} was marked failed while it ran; stopped importing`);
+}
+
+/**
+ * Scheme Import Service
+ * Validates and upserts scheme lists received as CSV, JSON or XLSX files in the background of this process,
+ * keeping a report of every run with one SchemeImportRow per row of the file
+ */
+class SchemeImportService {
+  /**
+   * Check the file's columns and start importing its rows; with dryRun every row is validated and previewed
+   * but nothing is written. Returns the SchemeImport report right away, progress is saved on it as rows go
+   */
+  async startImport(rows, options = {}) {
+    const { format, fileName, columnMapping = {}, dryRun = false, user } = options;
+
+    if (rows.length === 0) {
+      throw validationError('The file contains no rows');
+    }
+
+    // JSON records do not all have to carry the same keys
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const { mapping, unmappedColumns, errors } = buildColumnMapping(headers, columnMapping);
+    if (errors.length > 0) {
+      throw validationError(errors.join('; '));
+    }
+
+    await this.failStaleImports();
+
+    const report = await SchemeImport.create({
+      fileName,
+      format,
+      dryRun,
+      importedBy: user?._id,
+      columnMapping: mapping,
+      unmappedColumns,
+      summary: { rowsRead: rows.length },
+      heartbeatAt: new Date()
+    });
+
+    console.log(`📥 Scheme import ${report._id} started (${rows.length} rows${dryRun ? ', dry run' : ''})`);
+    this.runImport(report, rows, mapping).catch(error => {
+      console.error(`❌ Scheme import ${report._id} failed:`, error.message);
+    });
+
+    return report;
+  }
+
+  // Imports left running by a server that stopped can never finish
+  async failStaleImports() {
+    await SchemeImport.updateMany(
+      { status: 'running', heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } },
+      { $set: { status: 'failed', error: 'Interrupted by a server restart', completedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Import the rows one by one, saving row reports and progress every ROW_BATCH_SIZE rows or HEARTBEAT_INTERVAL_MS
+   * Every report update requires the import to still be running: one failStaleImports gave up on stops here
+   */
+  async runImport(report, rows, mapping) {
+    const { summary } = report.toObject();
+    const seenKeys = new Map();
+    let pending = [];
+    let flushedAt = Date.now();
+
+    // Returns false when the import is no longer running
+    const flush = async (processedRows, update = {}) => {
+      if (pending.length > 0) {
+        await SchemeImportRow.insertMany(pending, { ordered: false });
+        pending = [];
+      }
+      flushedAt = Date.now();
+      const result = await SchemeImport.updateOne({ _id: report._id, status: 'running' }, {
+        $set: {
+          summary,
+          progress: { processedRows, percentage: Math.round((processedRows / rows.length) * 100) },
+          heartbeatAt: new Date(),
+          ...update
+        }
+      });
+      return result.matchedCount > 0;
+    };
+
+    try {
+      for (const [index, row] of rows.entries()) {
+        const rowNumber = index + 2;
+        const result = await this.importRow(row, mapping, { dryRun: report.dryRun, seenKeys, rowNumber, importId: report._id });
+
+        pending.push({ importId: report._id, row: rowNumber, ...result });
+        summary[result.outcome]++;
+        if (pending.length >= ROW_BATCH_SIZE || Date.now() - flushedAt >= HEARTBEAT_INTERVAL_MS) {
+          if (!(await flush(index + 1))) return logAbandoned(report);
+        }
+      }
+
+      if (!(await flush(rows.length, { status: 'completed', completedAt: new Date() }))) {
+        return logAbandoned(report);
+      }
+
+      const { created, updated, unchanged, invalid, duplicate, failed } = summary;
+      console.log(`✅ Scheme import ${report._id} completed: ${created} created, ${updated} updated, ${unchanged} unchanged, ${invalid + duplicate + failed} rejected`);
+    } catch (error) {
+      await SchemeImport.updateOne(
+        { _id: report._id, status: 'running' },
+        { $set: { summary, status: 'failed', error: error.message, completedAt: new Date() } }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Validate and upsert a single row, returning its report entry
+   */
+  async importRow(row, mapping, { dryRun, seenKeys, rowNumber, importId }) {
+    const { schemeData, errors } = mapImportRow(row, mapping);
+    const schemeName = schemeData.name;
+
+    if (errors.length === 0) {
+      const validation = new Scheme({ ...schemeData, source: 'import' }).validateSync();
+      if (validation) {
+        errors.push(...Object.values(validation.errors).map(error => error.message));
+      }
+    }
+    if (errors.length > 0) {
+      return { schemeName, outcome: 'invalid', issues: errors };
+    }
+
+    const keys = schemeKeys(schemeData);
+    const firstRow = keys.map(key => seenKeys.get(key)).find(Boolean);
+    if (firstRow) {
+      return { schemeName, outcome: 'duplicate', issues: [`Same scheme as row ${firstRow}`] };
+    }
+    keys.forEach(key => seenKeys.set(key, rowNumber));
+
+    const data = { ...schemeData, source: 'import' };
+
+    try {
+      if (dryRun) {
+        const { existing, changes } = await Scheme.previewUpsert(data);
+        return {
+          schemeName,
+          scheme: existing?._id,
+          outcome: !existing ? 'created' : changes.length > 0 ? 'updated' : 'unchanged',
+          changedFields: changes.map(change => change.field)
+        };
+      }
+
+      const { scheme, created, changes } = await Scheme.upsertWithHistory(data, { scrapeRun: `import-${importId}` });
+      return {
+        schemeName,
+        scheme: scheme._id,
+        outcome: created ? 'created' : changes.length > 0 ? 'updated' : 'unchanged',
+        changedFields: changes.map(change => change.field)
+      };
+    } catch (error) {
+      return { schemeName, outcome: 'failed', issues: [error.message] };
+    }
+  }
+
+  /**
+   * Render the row reports of an import as a CSV file with one line per row of the imported file
+   */
+  buildReportCsv(rows) {
+    return toCsv(
+      ['row', 'schemeName', 'outcome', 'scheme', 'changedFields', 'issues'],
+      rows.map(row => [
+        row.row,
+        row.schemeName || '',
+        row.outcome,
+        row.scheme ? String(row.scheme) : '',
+        (row.changedFields || []).join('; '),
+        (row.issues || []).join('; ')
+      ])
+    );
+  }
+}
+
+export default SchemeImportService;
@@ -0,0 +1,274 @@
+import mongoose from 'mongoose';
+import Scheme from '../models/Scheme.js';
+import SchemeMetric, { NATIONAL_STATE } from '../models/SchemeMetric.js';
+import {
+  METRIC_FIELDS,
+  AMOUNT_UNITS,
+  resolveMetricColumns,
+  mapMetricRow
+} from '../utils/schemeMetrics.js';
+
+// Import errors that are the caller's fault rather than a server failure
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Figures of one reporting period: the national row when the release has one, otherwise the sum of the state rows
+ */
+function summarizePeriod(rows) {
+  const national = rows.find(row => row.state === NATIONAL_STATE);
+  const stateRows = rows.filter(row => row.state !== NATIONAL_STATE);
+
+  const summary = {
+    period: rows[0].period,
+    periodType: rows[0].periodType,
+    periodStart: rows[0].periodStart,
+    statesReported: stateRows.length
+  };
+
+  for (const field of METRIC_FIELDS) {
+    if (national && national[field] !== undefined) {
+      summary[field] = national[field];
+    } else {
+      const values = stateRows.map(row => row[field]).filter(value => value !== undefined);
+      summary[field] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+    }
+  }
+
+  return summary;
+}
+
+function groupByPeriod(rows) {
+  const periods = new Map();
+  for (const row of rows) {
+    if (!periods.has(row.period)) periods.set(row.period, []);
+    periods.get(row.period).push(row);
+  }
+  return [...periods.values()];
+}
+
+/**
+ * Scheme Metrics Service
+ * Imports official scheme progress releases and serves them as per-scheme time series
+ */
+class SchemeMetricsService {
+  /**
+   * Import rows read from an official CSV/XLSX release
+   * Returns an import report; with dryRun nothing is written
+   */
+  async importRows(rows, options = {}) {
+    const { source, sourceUrl, amountUnit = 'crore', dryRun = false } = options;
+    const importBatch = options.importBatch || `metrics-import-${Date.now()}`;
+
+    if (!source) {
+      throw validationError('A source name for the release is required');
+    }
+    if (!AMOUNT_UNITS[amountUnit]) {
+      throw validationError(`Unknown amount unit "${amountUnit}" (expected one of: ${Object.keys(AMOUNT_UNITS).join(', ')})`);
+    }
+    if (rows.length === 0) {
+      throw validationError('The file contains no rows');
+    }
+
+    const mapping = resolveMetricColumns(Object.keys(rows[0]));
+    if (!mapping.columns.period || (!mapping.columns.schemeName && !mapping.columns.schemeId)) {
+      throw validationError('The file needs a period column and a scheme name or scheme ID column');
+    }
+
+    const report = {
+      importBatch,
+      dryRun,
+      columns: mapping.columns,
+      rowsRead: rows.length,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      unmatchedSchemes: [],
+      errors: []
+    };
+
+    const schemeCache = new Map();
+    const unmatched = new Set();
+
+    for (const [index, row] of rows.entries()) {
+      // Row numbers as shown in a spreadsheet, counting the header row
+      const rowNumber = index + 2;
+      const { record, error } = mapMetricRow(row, mapping, amountUnit);
+
+      if (error) {
+        report.errors.push({ row: rowNumber, error });
+        report.skipped++;
+        continue;
+      }
+
+      const schemeKey = record.schemeId || record.schemeName.toLowerCase();
+      if (!schemeCache.has(schemeKey)) {
+        schemeCache.set(schemeKey, await this.resolveScheme(record));
+      }
+      const scheme = schemeCache.get(schemeKey);
+
+      if (!scheme) {
+        unmatched.add(record.schemeName || record.schemeId);
+        report.errors.push({ row: rowNumber, error: `No scheme matches "${record.schemeName || record.schemeId}"` });
+        report.skipped++;
+        continue;
+      }
+
+      const { schemeId, schemeName, ...metric } = record;
+      const filter = { scheme: scheme._id, period: metric.period, state: metric.state };
+
+      if (dryRun) {
+        if (await SchemeMetric.exists(filter)) {
+          report.updated++;
+        } else {
+          report.created++;
+        }
+        continue;
+      }
+
+      try {
+        const result = await SchemeMetric.updateOne(
+          filter,
+          {
+            $set: {
+              ...metric,
+              schemeName: scheme.name,
+              source,
+              sourceUrl,
+              importBatch,
+              importedAt: new Date()
+            }
+          },
+          { upsert: true, runValidators: true }
+        );
+        if (result.upsertedCount > 0) {
+          report.created++;
+        } else {
+          report.updated++;
+        }
+      } catch (saveError) {
+        report.errors.push({ row: rowNumber, error: saveError.message });
+        report.skipped++;
+      }
+    }
+
+    report.unmatchedSchemes = [...unmatched];
+
+    console.log(`📊 Scheme metrics ${dryRun ? 'dry run' : 'import'} (${importBatch}): ${report.created} created, ${report.updated} updated, ${report.skipped} skipped`);
+    return report;
+  }
+
+  /**
+   * Find the canonical scheme a release row refers to
+   */
+  async resolveScheme({ schemeId, schemeName }) {
+    const scheme = await Scheme.findExisting({ schemeId, name: schemeName });
+    if (!scheme) return null;
+    if (!scheme.canonicalScheme) return scheme;
+
+    return Scheme.findById(scheme.canonicalScheme).select('name');
+  }
+
+  /**
+   * IDs whose metrics count towards a scheme: the scheme itself and its linked per-source records
+   */
+  async getEntityIds(schemeIds) {
+    const children = await Scheme.find({ canonicalScheme: { $in: schemeIds } })
+      .select('_id canonicalScheme')
+      .lean();
+
+    const entityOf = new Map(schemeIds.map(id => [String(id), String(id)]));
+    for (const child of children) {
+      entityOf.set(String(child._id), String(child.canonicalScheme));
+    }
+    return entityOf;
+  }
+
+  /**
+   * Time series, state breakdown and latest figures of one scheme
+   * Returns null when no metrics have been imported for it
+   */
+  async getSchemeMetrics(schemeId, { periodType } = {}) {
+    const entityOf = await this.getEntityIds([schemeId]);
+    const rows = await SchemeMetric.find({ scheme: { $in: [...entityOf.keys()] } })
+      .sort({ periodStart: 1 })
+      .lean();
+
+    if (rows.length === 0) return null;
+
+    // Releases can mix monthly and yearly figures; chart one granularity at a time
+    const periodsPerType = {};
+    for (const period of groupByPeriod(rows)) {
+      periodsPerType[period[0].periodType] = (periodsPerType[period[0].periodType] || 0) + 1;
+    }
+    const availablePeriodTypes = Object.keys(periodsPerType);
+    const selectedType = availablePeriodTypes.includes(periodType)
+      ? periodType
+      : availablePeriodTypes.sort((a, b) => periodsPerType[b] - periodsPerType[a])[0];
+
+    const periods = groupByPeriod(rows.filter(row => row.periodType === selectedType));
+    const timeSeries = periods.map(summarizePeriod);
+
+    // State breakdown of the latest period that reports states
+    const latestStatePeriod = [...periods].reverse().find(period => period.some(row => row.state !== NATIONAL_STATE));
+    const byState = (latestStatePeriod || [])
+      .filter(row => row.state !== NATIONAL_STATE)
+      .map(row => ({
+        state: row.state,
+        period: row.period,
+        ...Object.fromEntries(METRIC_FIELDS.map(field => [field, row[field] ?? null]))
+      }))
+      .sort((a, b) => (b.beneficiaries || 0) - (a.beneficiaries || 0));
+
+    return {
+      periodType: selectedType,
+      availablePeriodTypes,
+      latest: timeSeries[timeSeries.length - 1],
+      timeSeries,
+      byState,
+      sources: [...new Set(rows.map(row => row.source))],
+      lastImportedAt: rows.reduce((latest, row) => (row.importedAt > latest ? row.importedAt : latest), rows[0].importedAt)
+    };
+  }
+
+  /**
+   * Latest figures for a list of schemes, keyed by scheme ID; schemes without metrics are left out
+   */
+  async getLatestSummaries(schemeIds) {
+    if (schemeIds.length === 0) return {};
+
+    const entityOf = await this.getEntityIds(schemeIds);
+    const latestPeriods = await SchemeMetric.aggregate([
+      { $match: { scheme: { $in: [...entityOf.keys()].map(id => new mongoose.Types.ObjectId(id)) } } },
+      { $sort: { periodStart: -1 } },
+      { $group: { _id: '$scheme', period: { $first: '$period' } } }
+    ]);
+    if (latestPeriods.length === 0) return {};
+
+    const rows = await SchemeMetric.find({
+      $or: latestPeriods.map(({ _id, period }) => ({ scheme: _id, period }))
+    }).lean();
+
+    const rowsPerScheme = new Map();
+    for (const row of rows) {
+      const entityId = entityOf.get(String(row.scheme));
+      if (!rowsPerScheme.has(entityId)) rowsPerScheme.set(entityId, []);
+      rowsPerScheme.get(entityId).push(row);
+    }
+
+    const summaries = {};
+    for (const [entityId, entityRows] of rowsPerScheme) {
+      // When a scheme and its linked records both have metrics, the most recent period wins
+      const latest = groupByPeriod(entityRows)
+        .map(summarizePeriod)
+        .sort((a, b) => new Date(b.periodStart) - new Date(a.periodStart))[0];
+      summaries[entityId] = latest;
+    }
+    return summaries;
+  }
+}
+
+export default SchemeMetricsService;
@@ -0,0 +1,233 @@
+import axios from 'axios';
+import mongoose from 'mongoose';
+import Scheme from '../models/Scheme.js';
+import sourceHealthService from './sourceHealthService.js';
+import { DEFAULT_HEADERS } from '../scraper/sourceAdapter.js';
+import { scoreScheme, LINK_FIELDS, QUALITY_BANDS, QUALITY_WEIGHTS } from '../utils/schemeQuality.js';
+
+const LINK_CHECK_TTL_MS = 7 * 24 * 60 * 60 * 1000; // A link result is reused for a week
+const LINK_TIMEOUT_MS = 15000;
+const MAX_LINK_CHECKS_PER_RUN = 500; // Bounds the network work of one scoreAll run; the rest is checked on the next run
+const BATCH_SIZE = 100;
+
+function notFound(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value.trim());
+}
+
+/**
+ * Scheme Quality Service
+ * Scores canonical schemes on completeness, freshness, source reliability, broken links and
+ * conflicts with the per-source records merged into them, and stores the score on the scheme
+ * so that moderators can work through the worst records first
+ */
+class SchemeQualityService {
+  /**
+   * Check one link; HEAD first, GET when the server does not answer HEAD properly
+   * Returns { url, ok, status, checkedAt }
+   */
+  async checkLink(url) {
+    const request = { headers: DEFAULT_HEADERS, timeout: LINK_TIMEOUT_MS, maxRedirects: 5, validateStatus: () => true };
+
+    try {
+      let response = await axios.head(url, request);
+      if ([403, 405, 501].includes(response.status)) {
+        response = await axios.get(url, { ...request, responseType: 'stream' });
+        response.data.destroy();
+      }
+      return { url, ok: response.status < 400, status: response.status, checkedAt: new Date() };
+    } catch (error) {
+      return { url, ok: false, checkedAt: new Date() };
+    }
+  }
+
+  /**
+   * Link results of a scheme, reusing results younger than LINK_CHECK_TTL_MS
+   * budget: { remaining } shared by a run; links beyond it keep their previous result or stay unchecked
+   */
+  async checkLinks(scheme, budget = { remaining: Infinity }) {
+    const urls = [...new Set(LINK_FIELDS.map(field => scheme[field]).filter(isHttpUrl).map(url => url.trim()))];
+    const previous = new Map((scheme.quality?.links || []).map(link => [link.url, link]));
+    const links = [];
+
+    for (const url of urls) {
+      const cached = previous.get(url);
+      if (cached?.checkedAt && Date.now() - new Date(cached.checkedAt).getTime() < LINK_CHECK_TTL_MS) {
+        links.push(cached);
+      } else if (budget.remaining > 0) {
+        budget.remaining--;
+        links.push(await this.checkLink(url));
+      } else if (cached) {
+        links.push(cached);
+      }
+    }
+
+    return links;
+  }
+
+  // Health state of every source by its latest report, e.g. { 'dbt-bharat': 'drift' }
+  async getSourceHealth() {
+    const reports = await sourceHealthService.getLatestBySource();
+    return Object.fromEntries(reports.map(report => [report.source, report.state]));
+  }
+
+  async scoreRecord(scheme, { sourceHealth, budget } = {}) {
+    const [mergedRecords, links] = await Promise.all([
+      Scheme.find({ canonicalScheme: scheme._id }).select('source ministry level launchDate officialWebsite').lean(),
+      this.checkLinks(scheme, budget)
+    ]);
+
+    const quality = {
+      ...scoreScheme(scheme, { mergedRecords, linkChecks: links, sourceHealth }),
+      links,
+      scoredAt: new Date()
+    };
+
+    // Written without touching updatedAt, which the freshness component reads
+    await Scheme.updateOne({ _id: scheme._id }, { $set: { quality } }, { timestamps: false });
+    return quality;
+  }
+
+  /**
+   * Score one scheme; a merged per-source record is scored through its canonical scheme
+   */
+  async scoreScheme(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw notFound('Scheme not found');
+    }
+
+    let scheme = await Scheme.findById(id).lean();
+    if (scheme?.canonicalScheme) {
+      scheme = await Scheme.findById(scheme.canonicalScheme).lean();
+    }
+    if (!scheme) {
+      throw notFound('Scheme not found');
+    }
+
+    const quality = await this.scoreRecord(scheme, { sourceHealth: await this.getSourceHealth() });
+    return { _id: scheme._id, name: scheme.name, quality };
+  }
+
+  /**
+   * Score every canonical scheme
+   * Returns { scored, failed, linksChecked, averageScore }
+   */
+  async scoreAll() {
+    const sourceHealth = await this.getSourceHealth();
+    const budget = { remaining: MAX_LINK_CHECKS_PER_RUN };
+    const stats = { scored: 0, failed: 0, linksChecked: 0, averageScore: null };
+    let totalScore = 0;
+    let lastId = null;
+
+    console.log('📏 Scoring scheme data quality...');
+
+    for (;;) {
+      const batch = await Scheme.find({ canonicalScheme: null, ...(lastId ? { _id: { $gt: lastId } } : {}) })
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+      if (batch.length === 0) break;
+
+      for (const scheme of batch) {
+        try {
+          const quality = await this.scoreRecord(scheme, { sourceHealth, budget });
+          stats.scored++;
+          totalScore += quality.score;
+        } catch (error) {
+          stats.failed++;
+          console.error(`❌ Error scoring ${scheme.name}:`, error.message);
+        }
+      }
+      lastId = batch[batch.length - 1]._id;
+    }
+
+    stats.linksChecked = MAX_LINK_CHECKS_PER_RUN - budget.remaining;
+    stats.averageScore = stats.scored > 0 ? Math.round(totalScore / stats.scored) : null;
+    console.log(`✅ Scored ${stats.scored} schemes (average ${stats.averageScore ?? '-'}, ${stats.linksChecked} links checked)`);
+    return stats;
+  }
+
+  /**
+   * Score distribution, average components and the most common issues over canonical schemes
+   */
+  async getSummary() {
+    const canonical = { canonicalScheme: null };
+    const scored = { ...canonical, 'quality.score': { $ne: null } };
+
+    const [total, averages, bands, issues] = await Promise.all([
+      Scheme.countDocuments(canonical),
+      Scheme.aggregate([
+        { $match: scored },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            score: { $avg: '$quality.score' },
+            lastScoredAt: { $max: '$quality.scoredAt' },
+            ...Object.fromEntries(Object.keys(QUALITY_WEIGHTS).map(component => [
+              component, { $avg: `$quality.components.${component}` }
+            ]))
+          }
+        }
+      ]),
+      Scheme.aggregate([
+        { $match: scored },
+        { $group: { _id: '$quality.band', count: { $sum: 1 } } }
+      ]),
+      Scheme.aggregate([
+        { $match: scored },
+        { $unwind: '$quality.issues' },
+        { $group: { _id: '$quality.issues.type', schemes: { $sum: 1 } } },
+        { $sort: { schemes: -1 } }
+      ])
+    ]);
+
+    const average = averages[0];
+    return {
+      total,
+      scored: average?.count || 0,
+      unscored: total - (average?.count || 0),
+      averageScore: average ? Math.round(average.score) : null,
+      components: Object.fromEntries(Object.keys(QUALITY_WEIGHTS).map(component => [
+        component, average ? Math.round(average[component] * 100) / 100 : null
+      ])),
+      weights: QUALITY_WEIGHTS,
+      bands: QUALITY_BANDS.map(({ band, min }) => ({
+        band,
+        min,
+        count: bands.find(({ _id }) => _id === band)?.count || 0
+      })),
+      issues: issues.map(({ _id, schemes }) => ({ type: _id, schemes })),
+      lastScoredAt: average?.lastScoredAt || null
+    };
+  }
+
+  /**
+   * Scored canonical schemes, worst first
+   * below: only schemes scoring under this value
+   */
+  async getSchemes({ below, band, page = 1, limit = 20 } = {}) {
+    const filter = { canonicalScheme: null, 'quality.score': { $ne: null } };
+    if (below !== undefined) filter['quality.score'].$lt = below;
+    if (band) filter['quality.band'] = band;
+
+    const [schemes, total] = await Promise.all([
+      Scheme.find(filter)
+        .sort({ 'quality.score': 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('name ministry source schemeId sourceUrl officialWebsite quality.score quality.band quality.components quality.issues quality.scoredAt')
+        .lean(),
+      Scheme.countDocuments(filter)
+    ]);
+
+    return { schemes, total };
+  }
+}
+
+export default new SchemeQualityService();
@@ -0,0 +1,256 @@
+import mongoose from 'mongoose';
+import ScrapeJob, { MAX_JOB_LOGS } from '../models/ScrapeJob.js';
+import SourceRunner, { ScrapeCancelledError } from '../scraper/sourceRunner.js';
+import { hasSourceAdapter } from '../scraper/sourceRegistry.js';
+
+// Queue errors that carry the HTTP status the controller should answer with
+function jobError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function percentage(completed, total) {
+  return total > 0 ? Math.round((completed / total) * 100) : 0;
+}
+
+/**
+ * Scrape Job Queue
+ * Persists scrape runs as ScrapeJob documents and works through them one at a time in this process.
+ * Every finished target is checkpointed, so a cancelled, failed or interrupted job resumes where it stopped
+ */
+class ScrapeJobQueue {
+  constructor() {
+    this.processing = false;
+    this.rerunRequested = false; // Set when processNext is called while the loop runs
+  }
+
+  /**
+   * Queue a run of a registered source adapter
+   * params: runner options, see ScrapeJob.params
+   */
+  async enqueue(source, params = {}, { user } = {}) {
+    if (!hasSourceAdapter(source)) {
+      throw jobError(`Unknown scrape source "${source}"`, 400);
+    }
+
+    const job = await ScrapeJob.create({
+      source,
+      params,
+      runId: `${source}-${Date.now()}`,
+      requestedBy: user?._id,
+      logs: [{ message: `Queued by ${user?.username || 'system'}` }]
+    });
+
+    console.log(`📥 Scrape job ${job._id} queued (${source})`);
+    this.processNext();
+    return job;
+  }
+
+  /**
+   * The queued or running job of a source, if any
+   */
+  async findActive(source) {
+    return ScrapeJob.findOne({ source, state: { $in: ['queued', 'running'] } }).sort({ queuedAt: -1 });
+  }
+
+  /**
+   * Run queued jobs until none are left
+   * A call while the loop runs asks it to look again once it is done, so a job queued
+   * just after the loop's last lookup is not left waiting for the next enqueue
+   */
+  async processNext() {
+    if (this.processing) {
+      this.rerunRequested = true;
+      return;
+    }
+    this.processing = true;
+
+    try {
+      while (mongoose.connection.readyState === 1) {
+        this.rerunRequested = false; // The lookup below sees every job queued before this point
+        const job = await ScrapeJob.findOneAndUpdate(
+          { state: 'queued' },
+          {
+            $set: { state: 'running', startedAt: new Date(), heartbeatAt: new Date(), cancelRequested: false },
+            $inc: { attempts: 1 }
+          },
+          { sort: { queuedAt: 1 }, new: true }
+        );
+        if (!job) break;
+
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Scrape job queue error:', error.message);
+    } finally {
+      this.processing = false;
+    }
+
+    if (this.rerunRequested) {
+      this.rerunRequested = false;
+      this.processNext();
+    }
+  }
+
+  async runJob(job) {
+    const { eventPrefix = 'scrape', notifyProgress = true, ...runOptions } = job.params || {};
+    const runner = new SourceRunner({ eventPrefix, notifyProgress });
+    const resumeFrom = job.checkpoint?.nextTargetIndex > 0
+      ? { nextTargetIndex: job.checkpoint.nextTargetIndex, stoppedGroups: job.checkpoint.stoppedGroups, stats: job.counts }
+      : null;
+
+    await ScrapeJob.appendLog(
+      job._id,
+      resumeFrom ? `Attempt ${job.attempts}: resuming at target ${resumeFrom.nextTargetIndex + 1}` : `Attempt ${job.attempts}: started`
+    );
+    console.log(`⚙️ Running scrape job ${job._id} (${job.source})`);
+
+    try {
+      const { stats } = await runner.run(job.source, {
+        ...runOptions,
+        runId: job.runId,
+        trigger: runOptions.trigger || 'job',
+        scrapeJob: job._id,
+        requestedBy: job.requestedBy,
+        resumeFrom,
+        isCancelled: async () => Boolean(await ScrapeJob.exists({ _id: job._id, cancelRequested: true })),
+        onCheckpoint: checkpoint => this.saveCheckpoint(job._id, checkpoint)
+      });
+
+      await ScrapeJob.appendLog(
+        job._id,
+        `Completed: ${stats.schemesExtracted} schemes, ${stats.created} new, ${stats.updated} updated, ${stats.failed} targets failed`,
+        'info',
+        {
+          $set: {
+            state: 'succeeded',
+            counts: stats,
+            'progress.totalTargets': stats.targets,
+            'progress.completedTargets': stats.targets,
+            'progress.percentage': 100,
+            finishedAt: new Date()
+          }
+        }
+      );
+      console.log(`✅ Scrape job ${job._id} succeeded`);
+    } catch (error) {
+      if (error instanceof ScrapeCancelledError) {
+        await ScrapeJob.appendLog(job._id, 'Cancelled', 'warn', {
+          $set: { state: 'cancelled', finishedAt: new Date() }
+        });
+      } else {
+        console.error(`❌ Scrape job ${job._id} failed:`, error.message);
+        await ScrapeJob.appendLog(job._id, `Failed: ${error.message}`, 'error', {
+          $set: { state: 'failed', error: error.message, finishedAt: new Date() }
+        });
+      }
+    } finally {
+      await runner.close();
+    }
+  }
+
+  async saveCheckpoint(jobId, { nextTargetIndex, totalTargets, target, recordCount, stoppedGroups, stats }) {
+    const update = {
+      $set: {
+        'checkpoint.nextTargetIndex': nextTargetIndex,
+        'checkpoint.stoppedGroups': stoppedGroups,
+        'checkpoint.lastTarget': target,
+        'checkpoint.savedAt': new Date(),
+        'progress.totalTargets': totalTargets,
+        'progress.completedTargets': nextTargetIndex,
+        'progress.percentage': percentage(nextTargetIndex, totalTargets),
+        counts: stats,
+        heartbeatAt: new Date()
+      }
+    };
+
+    if (recordCount === null) {
+      await ScrapeJob.appendLog(jobId, `Target failed: ${target}`, 'warn', update);
+    } else {
+      await ScrapeJob.updateOne({ _id: jobId }, update);
+    }
+  }
+
+  /**
+   * Cancel a job: a queued job is cancelled right away, a running one stops before its next target
+   */
+  async cancel(jobId, { user } = {}) {
+    const job = await ScrapeJob.findById(jobId);
+    if (!job) {
+      throw jobError('Scrape job not found', 404);
+    }
+
+    const by = user?.username || 'system';
+
+    if (job.state === 'queued') {
+      const cancelled = await ScrapeJob.findOneAndUpdate(
+        { _id: jobId, state: 'queued' },
+        {
+          $set: { state: 'cancelled', finishedAt: new Date() },
+          $push: { logs: { $each: [{ at: new Date(), level: 'warn', message: `Cancelled by ${by} before it started` }], $slice: -MAX_JOB_LOGS } }
+        },
+        { new: true }
+      );
+      if (cancelled) return cancelled;
+    } else if (job.state !== 'running') {
+      throw jobError(`Scrape job is already ${job.state}`, 409);
+    }
+
+    // Running, or picked up between the two queries above
+    await ScrapeJob.appendLog(jobId, `Cancellation requested by ${by}`, 'warn', { $set: { cancelRequested: true } });
+    return ScrapeJob.findById(jobId);
+  }
+
+  /**
+   * Queue a failed or cancelled job again; it continues from its last checkpoint
+   */
+  async resume(jobId, { user } = {}) {
+    const job = await ScrapeJob.findOneAndUpdate(
+      { _id: jobId, state: { $in: ['failed', 'cancelled'] } },
+      {
+        $set: { state: 'queued', queuedAt: new Date(), cancelRequested: false },
+        $unset: { error: 1, finishedAt: 1 },
+        $push: { logs: { $each: [{ at: new Date(), message: `Resume requested by ${user?.username || 'system'}` }], $slice: -MAX_JOB_LOGS } }
+      },
+      { new: true }
+    );
+
+    if (!job) {
+      const existing = await ScrapeJob.findById(jobId).select('state');
+      if (!existing) {
+        throw jobError('Scrape job not found', 404);
+      }
+      throw jobError(`Only failed or cancelled jobs can be resumed (job is ${existing.state})`, 409);
+    }
+
+    this.processNext();
+    return job;
+  }
+
+  /**
+   * Requeue jobs that were running when the server stopped, then start working through the queue
+   * Called once at server start: jobs only run inside this process, so any job still marked running was interrupted
+   */
+  async recoverInterrupted() {
+    const stale = await ScrapeJob.find({ state: 'running' }).select('_id checkpoint');
+
+    for (const job of stale) {
+      await ScrapeJob.appendLog(
+        job._id,
+        `Interrupted by a server restart, requeued at target ${(job.checkpoint?.nextTargetIndex || 0) + 1}`,
+        'warn',
+        { $set: { state: 'queued', queuedAt: new Date() } }
+      );
+    }
+
+    if (stale.length > 0) {
+      console.log(`🔄 Requeued ${stale.length} interrupted scrape job(s)`);
+    }
+
+    this.processNext();
+    return stale.length;
+  }
+}
+
+export default new ScrapeJobQueue();
@@ -0,0 +1,137 @@
+import ScrapeRun, { MAX_RUN_FAILURES, MAX_DISAPPEARED_LISTED } from '../models/ScrapeRun.js';
+import Scheme from '../models/Scheme.js';
+import SchemeHistory from '../models/SchemeHistory.js';
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+/**
+ * Scrape Run Service
+ * Keeps one ScrapeRun record per scrape, whatever started it. Added and updated schemes are not copied
+ * onto the run: they are read back from the scheme history entries that carry the run id.
+ * Recording is best effort - a failure here is logged and never fails the scrape itself
+ */
+class ScrapeRunService {
+  /**
+   * Open the record of a run, or reopen it when a queued job resumes under the same run id
+   */
+  async start(runId, { trigger, sources = [], scrapeJob, requestedBy } = {}) {
+    try {
+      return await ScrapeRun.findOneAndUpdate(
+        { runId },
+        {
+          $set: { state: 'running' },
+          $unset: { finishedAt: 1, error: 1 },
+          $setOnInsert: { trigger, sources, scrapeJob, requestedBy, startedAt: new Date() }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      console.error(`❌ Error recording start of scrape run ${runId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Close a run with its counts and failures
+   * With checkDisappeared (complete runs only) the active schemes of the run's sources that it did not see are listed
+   */
+  async finish(runId, { state = 'succeeded', counts = {}, failures = [], error, health, checkDisappeared = false } = {}) {
+    try {
+      const run = await ScrapeRun.findOne({ runId }).select('startedAt sources');
+      if (!run) return null;
+
+      const finishedAt = new Date();
+      const update = {
+        state,
+        counts: { ...counts, disappeared: 0 },
+        failures: failures.slice(0, MAX_RUN_FAILURES),
+        disappearedChecked: false,
+        disappeared: [],
+        finishedAt,
+        durationMs: finishedAt - run.startedAt
+      };
+      if (error) update.error = error;
+      if (health) update.health = health;
+
+      if (checkDisappeared && state === 'succeeded' && run.sources.length > 0) {
+        const { total, schemes } = await this.findDisappeared(run);
+        update.disappearedChecked = true;
+        update.disappeared = schemes;
+        update.counts.disappeared = total;
+      }
+
+      return await ScrapeRun.findOneAndUpdate({ runId }, { $set: update }, { new: true });
+    } catch (recordError) {
+      console.error(`❌ Error recording end of scrape run ${runId}:`, recordError.message);
+      return null;
+    }
+  }
+
+  // Active schemes of the run's sources whose last scrape is older than the run
+  async findDisappeared(run) {
+    const filter = {
+      source: { $in: run.sources },
+      isActive: true,
+      $or: [{ scrapedAt: { $lt: run.startedAt } }, { scrapedAt: null }]
+    };
+
+    const [total, schemes] = await Promise.all([
+      Scheme.countDocuments(filter),
+      Scheme.find(filter)
+        .sort({ scrapedAt: 1 })
+        .limit(MAX_DISAPPEARED_LISTED)
+        .select('name source scrapedAt')
+        .lean()
+    ]);
+
+    return {
+      total,
+      schemes: schemes.map(scheme => ({
+        scheme: scheme._id,
+        name: scheme.name,
+        source: scheme.source,
+        lastScrapedAt: scheme.scrapedAt
+      }))
+    };
+  }
+
+  /**
+   * A run by document id or run id
+   */
+  async findRun(id) {
+    return OBJECT_ID_PATTERN.test(id) ? ScrapeRun.findById(id).lean() : ScrapeRun.findOne({ runId: id }).lean();
+  }
+
+  /**
+   * What a run changed: added schemes, updated schemes with their field diffs, disappeared schemes and failures,
+   * together with the previous run over the same sources that it is compared against
+   */
+  async getDiff(id) {
+    const run = await this.findRun(id);
+    if (!run) return null;
+
+    const [history, previousRun] = await Promise.all([
+      SchemeHistory.find({ scrapeRun: run.runId }).sort({ changedAt: 1 }).lean(),
+      ScrapeRun.findOne({ sources: { $in: run.sources }, startedAt: { $lt: run.startedAt } })
+        .sort({ startedAt: -1 })
+        .select('runId trigger state sources counts startedAt finishedAt')
+        .lean()
+    ]);
+
+    const added = [];
+    const updated = [];
+    for (const entry of history) {
+      const scheme = { scheme: entry.scheme, name: entry.schemeName, source: entry.source, sourceUrl: entry.sourceUrl };
+      if (entry.changeType === 'created') {
+        added.push(scheme);
+      } else {
+        updated.push({ ...scheme, version: entry.version, changes: entry.changes });
+      }
+    }
+
+    const { disappeared, failures, ...summary } = run;
+    return { run: summary, previousRun, added, updated, disappeared, failures };
+  }
+}
+
+export default new ScrapeRunService();
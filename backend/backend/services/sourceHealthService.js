@@ -0,0 +1,92 @@
+import SourceHealthReport from '../models/SourceHealthReport.js';
+import websocketService from './websocketService.js';
+import { MONITORED_FIELDS } from '../scraper/sourceHealthMonitor.js';
+
+const BASELINE_RUNS = 5;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Source Health Service
+ * Stores the health report of every scrape run and derives the baseline the next run is compared with
+ */
+class SourceHealthService {
+  /**
+   * Record count, fill rates and matched strategies of the recent complete runs without drift
+   * Returns null until a source has such a run
+   */
+  async getBaseline(source) {
+    const reports = await SourceHealthReport.find({ source, complete: true, state: { $ne: 'drift' } })
+      .sort({ createdAt: -1 })
+      .limit(BASELINE_RUNS)
+      .select('recordCount fillRates strategies')
+      .lean();
+
+    if (reports.length === 0) return null;
+
+    const fillRates = Object.fromEntries(MONITORED_FIELDS.map(field => [
+      field,
+      reports.reduce((sum, report) => sum + (report.fillRates?.[field] || 0), 0) / reports.length
+    ]));
+    const strategies = [...new Set(reports.flatMap(report => (report.strategies || []).map(({ strategy }) => strategy)))]
+      .filter(strategy => strategy !== 'none');
+
+    return {
+      recordCount: median(reports.map(report => report.recordCount)),
+      fillRates,
+      strategies,
+      runs: reports.length
+    };
+  }
+
+  /**
+   * Store a report from SourceHealthMonitor.finish and broadcast it when the source drifted
+   * Best effort: a failure is logged and never fails the scrape itself
+   */
+  async saveReport(report) {
+    try {
+      const saved = await SourceHealthReport.create(report);
+
+      if (report.state !== 'healthy') {
+        websocketService.broadcast('source-health-alert', {
+          source: report.source,
+          runId: report.runId,
+          state: report.state,
+          aborted: report.aborted,
+          alerts: report.alerts.map(({ type, severity, message, target }) => ({ type, severity, message, target })),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return saved;
+    } catch (error) {
+      console.error(`❌ Error saving health report for ${report.source}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Latest report of every source that has one
+   */
+  async getLatestBySource() {
+    return SourceHealthReport.aggregate([
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$source', report: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$report' } },
+      { $sort: { source: 1 } }
+    ]);
+  }
+
+  async getReports(source, { limit = 20 } = {}) {
+    return SourceHealthReport.find({ source })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+}
+
+export default new SourceHealthService();
@@ -37,13 +37,13 @@ class WebSocketService {
 
   async sendCurrentStats(socket = null) {
     try {
-      const MyScheme = (await import('../models/schemeModel.js')).default;
+      const Scheme = (await import('../models/Scheme.js')).default;
       
-      const totalSchemes = await MyScheme.countDocuments();
-      const recentSchemes = await MyScheme.find()
-        .sort({ lastUpdated: -1 })
+      const totalSchemes = await Scheme.countDocuments({ canonicalScheme: null });
+      const recentSchemes = await Scheme.find({ canonicalScheme: null })
+        .sort({ updatedAt: -1 })
         .limit(5)
-        .select('schemeName ministry category lastUpdated');
+        .select('name ministry sector updatedAt');
       
       const stats = {
         totalSchemes,
@@ -0,0 +1,234 @@
+import WorldBankIndicator from '../models/WorldBankIndicator.js';
+import WorldBankCountry from '../models/WorldBankCountry.js';
+import indicatorCatalog from './indicatorCatalog.js';
+import derivedIndicators from './derivedIndicators.js';
+import countryGroupService from './countryGroupService.js';
+import { POPULATION_CODE } from '../utils/indicatorExpression.js';
+import { queryError, parseList, parseYears } from '../utils/worldBankQuery.js';
+
+export const AGGREGATE_GROUPINGS = ['region', 'incomeLevel', 'custom'];
+
+// The World Bank lists its own regional and income aggregates as countries of the region 'NA' (Aggregates)
+const AGGREGATE_REGION_CODE = 'NA';
+
+// Without a year, each group gets the latest year that at least this share of its members reported,
+// searched over the newest years with data; the newest year alone has usually heard from only a few countries
+const MIN_LATEST_COVERAGE = 0.5;
+const LATEST_YEAR_LOOKBACK = 5;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Sum, mean, median and population-weighted mean of the reported values of a group
+ * reports: [{ value, population }]; population is null where it is not stored for the year
+ */
+function summarize(reports) {
+  if (reports.length === 0) {
+    return { sum: null, mean: null, median: null, weightedMean: null };
+  }
+
+  const values = reports.map(report => report.value);
+  const sum = values.reduce((total, value) => total + value, 0);
+  const weighted = reports.filter(report => report.population > 0);
+  const totalPopulation = weighted.reduce((total, report) => total + report.population, 0);
+
+  return {
+    sum,
+    mean: sum / values.length,
+    median: median(values),
+    weightedMean: totalPopulation > 0
+      ? weighted.reduce((total, report) => total + report.value * report.population, 0) / totalPopulation
+      : null
+  };
+}
+
+/**
+ * Per group, the latest year with enough coverage, or the best-covered year when none has it
+ * rows are sorted newest year first
+ */
+function latestCoveredRows(rows, groups) {
+  return groups.map(group => {
+    const groupRows = rows.filter(row => row.group.code === group.code && row.group.type === group.type);
+    return groupRows.find(row => row.coverage.share >= MIN_LATEST_COVERAGE) ||
+      groupRows.reduce((best, row) => (row.coverage.reporting > best.coverage.reporting ? row : best), groupRows[0]);
+  }).filter(Boolean);
+}
+
+/**
+ * World Bank Aggregate Service
+ * Statistics of one indicator across the countries of a region, an income level or a custom list,
+ * with how many of the group's members reported a value
+ */
+class WorldBankAggregateService {
+  /**
+   * Parse and validate query parameters
+   * ?indicator=gdp&groupBy=region|incomeLevel|custom&groups=SAS,EAS&countries=IN,PK,BD&group=SAARC&year=2022
+   * A country group makes the custom group, under the group's name
+   */
+  async parseOptions(query = {}, user = null) {
+    const [indicator, ...others] = parseList(query.indicator ?? query.indicators);
+    if (!indicator || others.length > 0) {
+      throw queryError('indicator is required, one per request (code or short name, e.g. gdp)');
+    }
+
+    const definition = await indicatorCatalog.get(indicator);
+    if (!definition) {
+      throw queryError(`Unknown indicator ${indicator}`);
+    }
+
+    const countryGroup = query.group ? await countryGroupService.get(query.group, user) : null;
+    const countries = [...new Set([
+      ...parseList(query.countries ?? query.country).map(code => code.toUpperCase()),
+      ...(countryGroup?.countries || [])
+    ])];
+    const groupBy = query.groupBy || (countries.length > 0 ? 'custom' : 'region');
+    if (!AGGREGATE_GROUPINGS.includes(groupBy)) {
+      throw queryError(`Invalid groupBy "${groupBy}"; use ${AGGREGATE_GROUPINGS.join(', ')}`);
+    }
+    if (groupBy === 'custom' && countries.length === 0) {
+      throw queryError('countries or a group are required to aggregate a custom group');
+    }
+    if (groupBy !== 'custom' && countries.length > 0) {
+      throw queryError('countries and group only apply to groupBy=custom');
+    }
+
+    return {
+      definition,
+      groupBy,
+      groups: parseList(query.groups).map(code => code.toUpperCase()),
+      countries,
+      countryGroup,
+      years: parseYears(query)
+    };
+  }
+
+  /**
+   * The groups to aggregate: [{ type, code, name, members }] where members are the 2-letter codes
+   * indicator data is stored under
+   */
+  async resolveGroups({ groupBy, groups, countries, countryGroup }) {
+    if (groupBy === 'custom') {
+      // Countries listed next to a group are added to it, which makes it a custom group of its own
+      const named = countryGroup && countries.length === countryGroup.countries.length;
+      return [{
+        type: 'custom',
+        code: named ? countryGroup.key || String(countryGroup._id) : 'CUSTOM',
+        name: named ? countryGroup.name : 'Custom group',
+        members: countries
+      }];
+    }
+
+    const stored = await WorldBankCountry.find({
+      iso2Code: { $nin: [null, ''] },
+      'region.code': { $nin: [null, '', AGGREGATE_REGION_CODE] }
+    }).select(`iso2Code ${groupBy}`).lean();
+
+    if (stored.length === 0) {
+      const error = new Error('No countries with region and income data are stored yet; refresh the World Bank data first');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const byCode = new Map();
+    for (const country of stored) {
+      const { code, name } = country[groupBy] || {};
+      if (!code || (groups.length > 0 && !groups.includes(code))) continue;
+
+      if (!byCode.has(code)) byCode.set(code, { type: groupBy, code, name, members: [] });
+      byCode.get(code).members.push(country.iso2Code);
+    }
+
+    return [...byCode.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Aggregate an indicator per group and year; without a year, each group gets its latest year that most
+   * of its members reported (see MIN_LATEST_COVERAGE)
+   * user is needed for country groups they own
+   * Returns { indicator, groupBy, years, data }
+   */
+  async aggregate(query = {}, { user = null } = {}) {
+    const options = await this.parseOptions(query, user);
+    const { definition, groupBy } = options;
+    const groups = await this.resolveGroups(options);
+    const members = [...new Set(groups.flatMap(group => group.members))];
+
+    if (definition.expression) {
+      await derivedIndicators.ensureFresh({ indicators: [definition.code] });
+    }
+
+    const memberFilter = { 'country.code': { $in: members }, value: { $ne: null } };
+    let years = options.years;
+    const latestOnly = !years;
+    if (latestOnly) {
+      const latest = await WorldBankIndicator.findOne({ ...memberFilter, 'indicator.code': definition.code })
+        .sort({ year: -1 })
+        .select('year')
+        .lean();
+      years = latest ? { year: { $gte: latest.year - LATEST_YEAR_LOOKBACK, $lte: latest.year } } : null;
+    }
+
+    const points = years
+      ? await WorldBankIndicator.find({
+        $and: [{ ...memberFilter, 'indicator.code': { $in: [definition.code, POPULATION_CODE] } }, years]
+      }).select('country.code indicator.code year value').lean()
+      : [];
+
+    // year -> country -> value, for the indicator and for population
+    const values = new Map();
+    const populations = new Map();
+    for (const point of points) {
+      const target = point.indicator.code === definition.code ? values : populations;
+      if (!target.has(point.year)) target.set(point.year, new Map());
+      target.get(point.year).set(point.country.code, point.value);
+    }
+    // The population indicator aggregates itself
+    if (definition.code === POPULATION_CODE) {
+      for (const [year, byCountry] of values) populations.set(year, byCountry);
+    }
+
+    const data = [];
+    for (const year of [...values.keys()].sort((a, b) => b - a)) {
+      for (const group of groups) {
+        const yearValues = values.get(year);
+        const yearPopulations = populations.get(year) || new Map();
+        const reports = group.members
+          .filter(code => yearValues.has(code))
+          .map(code => ({ value: yearValues.get(code), population: yearPopulations.get(code) ?? null }));
+
+        data.push({
+          group: { type: group.type, code: group.code, name: group.name },
+          year,
+          ...summarize(reports),
+          coverage: {
+            members: group.members.length,
+            reporting: reports.length,
+            share: group.members.length > 0 ? reports.length / group.members.length : 0,
+            populationWeighted: reports.filter(report => report.population > 0).length,
+            missing: group.members.filter(code => !yearValues.has(code))
+          }
+        });
+      }
+    }
+
+    const rows = latestOnly ? latestCoveredRows(data, groups) : data;
+
+    return {
+      indicator: {
+        code: definition.code,
+        name: definition.name,
+        subcategory: definition.subcategory ?? null,
+        unit: definition.unit ?? null
+      },
+      groupBy,
+      years: [...new Set(rows.map(row => row.year))].sort((a, b) => b - a),
+      data: rows
+    };
+  }
+}
+
+export default new WorldBankAggregateService();
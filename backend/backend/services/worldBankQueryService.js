@@ -0,0 +1,264 @@
+import WorldBankIndicator from '../models/WorldBankIndicator.js';
+import WorldBankService from './worldBankService.js';
+import derivedIndicators from './derivedIndicators.js';
+import countryGroupService from './countryGroupService.js';
+import {
+  DATA_FORMATS,
+  LONG_FIELDS,
+  queryError,
+  parseList,
+  parseYears,
+  parseSort,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+  valueAtPath
+} from '../utils/worldBankQuery.js';
+
+/**
+ * World Bank Query Service
+ * Serves stored indicator data for any combination of indicators, countries, categories and years,
+ * as long rows (one per country, indicator and year) or wide rows (one per country and year with a column per indicator)
+ */
+class WorldBankQueryService {
+  constructor() {
+    this.catalog = new WorldBankService();
+  }
+
+  /**
+   * Parse and validate query parameters
+   * preset: { categories, indicators, sort } fixed or defaulted by the caller (category aliases)
+   */
+  parseOptions(query = {}, preset = {}) {
+    const format = query.format || 'long';
+    if (!DATA_FORMATS.includes(format)) {
+      throw queryError(`Invalid format "${format}"; use ${DATA_FORMATS.join(' or ')}`);
+    }
+
+    const categories = preset.categories || parseList(query.categories ?? query.category);
+    const knownCategories = this.catalog.getCategories();
+    const unknownCategories = categories.filter(category => !knownCategories.includes(category));
+    if (unknownCategories.length > 0) {
+      throw queryError(`Unknown category ${unknownCategories.join(', ')}; use ${knownCategories.join(', ')}`);
+    }
+
+    const sort = parseSort(query.sort || preset.sort, format);
+    if (format === 'wide') {
+      // Country and year identify a wide row, so both always end the sort
+      for (const field of ['country', 'year']) {
+        if (!sort.some(entry => entry.field === field)) sort.push(...parseSort(field, format));
+      }
+    }
+
+    const usesPages = !query.cursor && query.page !== undefined;
+    const page = usesPages ? parseInt(query.page) : null;
+    if (usesPages && (!Number.isInteger(page) || page < 1)) {
+      throw queryError('page must be a positive whole number');
+    }
+
+    return {
+      format,
+      indicators: preset.indicators || parseList(query.indicators ?? query.indicator),
+      countries: parseList(query.countries ?? query.country).map(code => code.toUpperCase()),
+      categories,
+      years: parseYears(query),
+      sort,
+      fields: parseList(query.fields),
+      limit: parseLimit(query.limit),
+      cursor: query.cursor ? decodeCursor(query.cursor, sort, format) : null,
+      page
+    };
+  }
+
+  buildFilter({ indicators, countries, categories, years }) {
+    const conditions = [];
+
+    if (indicators.length > 0) {
+      // Indicators are named by World Bank code (NY.GDP.MKTP.CD) or by short name (gdp)
+      conditions.push({
+        $or: [
+          { 'indicator.code': { $in: indicators } },
+          { 'indicator.subcategory': { $in: indicators } }
+        ]
+      });
+    }
+    if (countries.length > 0) conditions.push({ 'country.code': { $in: countries } });
+    if (categories.length > 0) {
+      // Data points stored before indicators could carry several categories only have the single one
+      conditions.push({
+        $or: [
+          { 'indicator.categories': { $in: categories } },
+          { 'indicator.category': { $in: categories } }
+        ]
+      });
+    }
+    if (years) conditions.push(years);
+
+    if (conditions.length === 0) return {};
+    return conditions.length === 1 ? conditions[0] : { $and: conditions };
+  }
+
+  /**
+   * Run a data query
+   * Derived indicators it reads are recomputed first when their inputs changed since they were stored
+   * ?group= adds the countries of a country group; user is needed for groups they own
+   * Returns { format, data, indicators, pagination }; pagination is cursor based unless a page was asked for
+   */
+  async query(query = {}, preset = {}, { user = null } = {}) {
+    const options = this.parseOptions(query, preset);
+    if (query.group) {
+      options.countries = await countryGroupService.resolveCountries({ countries: options.countries, group: query.group }, user);
+    }
+    const filter = this.buildFilter(options);
+    await derivedIndicators.ensureFresh(options);
+
+    return options.format === 'wide'
+      ? this.queryWide(options, filter)
+      : this.queryLong(options, filter);
+  }
+
+  async queryLong(options, filter) {
+    const { sort, fields, limit, cursor, page } = options;
+
+    const unknownFields = fields.filter(field => !LONG_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      throw queryError(`Unknown field ${unknownFields.join(', ')}; use ${LONG_FIELDS.join(', ')}`);
+    }
+
+    const sortSpec = Object.fromEntries([...sort.map(({ path, direction }) => [path, direction]), ['_id', 1]]);
+    const pageFilter = cursor
+      ? { $and: [filter, keysetCondition(sort, cursor.v, { path: '_id', value: cursor.id })] }
+      : filter;
+
+    // The sort paths are always read so that the next cursor can be built, and dropped again below
+    const sortPaths = sort.map(({ path }) => path).filter(path => !fields.includes(path.split('.')[0]));
+    const projection = fields.length > 0
+      ? Object.fromEntries([...fields, ...sortPaths].map(field => [field, 1]))
+      : { __v: 0 };
+
+    let request = WorldBankIndicator.find(pageFilter, projection).sort(sortSpec);
+    if (page) request = request.skip((page - 1) * limit);
+
+    const [rows, total] = await Promise.all([
+      request.limit(limit + 1).lean(),
+      WorldBankIndicator.countDocuments(filter)
+    ]);
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit);
+    const last = data[data.length - 1];
+    const nextCursor = hasMore && last
+      ? encodeCursor(sort, options.format, sort.map(({ path }) => valueAtPath(last, path)), String(last._id))
+      : null;
+
+    return {
+      format: 'long',
+      data: fields.length > 0 ? data.map(row => pickFields(row, ['_id', ...fields])) : data,
+      pagination: this.pagination({ total, limit, page, hasMore, nextCursor })
+    };
+  }
+
+  async queryWide(options, filter) {
+    const { sort, fields, limit, cursor, page } = options;
+
+    const groupStages = [
+      { $match: filter },
+      {
+        $group: {
+          _id: { country: '$country.code', year: '$year' },
+          countryName: { $first: '$country.name' },
+          values: { $push: { key: { $ifNull: ['$indicator.subcategory', '$indicator.code'] }, value: '$value' } }
+        }
+      }
+    ];
+    const sortSpec = Object.fromEntries(sort.map(({ path, direction }) => [path, direction]));
+
+    const [groups, counts, indicators] = await Promise.all([
+      WorldBankIndicator.aggregate([
+        ...groupStages,
+        ...(cursor ? [{ $match: keysetCondition(sort, cursor.v) }] : []),
+        { $sort: sortSpec },
+        ...(page ? [{ $skip: (page - 1) * limit }] : []),
+        { $limit: limit + 1 }
+      ]),
+      WorldBankIndicator.aggregate([...groupStages, { $count: 'total' }]),
+      this.indicatorColumns(filter)
+    ]);
+
+    const columns = indicators.map(indicator => indicator.key);
+    const allowedFields = ['country', 'year', ...columns];
+    const unknownFields = fields.filter(field => !allowedFields.includes(field));
+    if (unknownFields.length > 0) {
+      throw queryError(`Unknown field ${unknownFields.join(', ')}; use country, year or one of the returned indicators`);
+    }
+
+    const hasMore = groups.length > limit;
+    const data = groups.slice(0, limit).map(group => {
+      const row = {
+        country: { code: group._id.country, name: group.countryName },
+        year: group._id.year,
+        ...Object.fromEntries(columns.map(column => [column, null]))
+      };
+      for (const { key, value } of group.values) row[key] = value ?? null;
+      return fields.length > 0 ? pickFields(row, fields) : row;
+    });
+
+    const last = groups[Math.min(groups.length, limit) - 1];
+    const nextCursor = hasMore && last
+      ? encodeCursor(sort, options.format, sort.map(({ path }) => valueAtPath(last, path)))
+      : null;
+
+    return {
+      format: 'wide',
+      data,
+      indicators: fields.length > 0 ? indicators.filter(indicator => fields.includes(indicator.key)) : indicators,
+      pagination: this.pagination({ total: counts[0]?.total || 0, limit, page, hasMore, nextCursor })
+    };
+  }
+
+  // The indicators matching a filter, as the columns of wide rows
+  async indicatorColumns(filter) {
+    const indicators = await WorldBankIndicator.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: '$indicator.code',
+          name: { $first: '$indicator.name' },
+          category: { $first: '$indicator.category' },
+          categories: { $first: '$indicator.categories' },
+          subcategory: { $first: '$indicator.subcategory' },
+          unit: { $first: '$unit' }
+        }
+      },
+      { $sort: { category: 1, _id: 1 } }
+    ]);
+
+    return indicators.map(({ _id, name, category, categories, subcategory, unit }) => ({
+      key: subcategory || _id,
+      code: _id,
+      name,
+      category,
+      categories: categories?.length ? categories : [category],
+      unit: unit ?? null
+    }));
+  }
+
+  pagination({ total, limit, page, hasMore, nextCursor }) {
+    if (page) {
+      return {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      };
+    }
+    return { limit, hasMore, nextCursor, totalItems: total };
+  }
+}
+
+function pickFields(row, fields) {
+  return Object.fromEntries(fields.filter(field => field in row).map(field => [field, row[field]]));
+}
+
+export default new WorldBankQueryService();
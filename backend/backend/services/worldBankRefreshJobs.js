@@ -0,0 +1,193 @@
+import WorldBankRefreshJob from '../models/WorldBankRefreshJob.js';
+import WorldBankService from './worldBankService.js';
+import websocketService from './websocketService.js';
+
+const STALE_AFTER_MS = 10 * 60 * 1000; // A running job without a heartbeat for this long died with its server
+const SAVE_EVERY_MS = 5000; // Progress is broadcast on every step but saved at most this often
+const MAX_FAILURES = 200;
+
+function percentage(completed, total) {
+  return total > 0 ? Math.round((completed / total) * 100) : 0;
+}
+
+/**
+ * World Bank Refresh Jobs
+ * Runs a refresh of countries and indicator data in the background of this process, one at a time.
+ * Progress is saved on a WorldBankRefreshJob document and broadcast over WebSocket as
+ * worldbank-refresh-started|progress|completed|error
+ */
+class WorldBankRefreshJobs {
+  constructor() {
+    this.activeJobId = null;
+    this.starting = null; // Start in progress, shared by requests that arrive meanwhile
+  }
+
+  /**
+   * Start a refresh unless one is running already
+   * params: { countries, categories, full }
+   * Returns { job, alreadyRunning }; when a refresh is running its job is returned instead of a new one
+   */
+  async start(params = {}, options = {}) {
+    // Requests arriving together join the first one's job instead of racing it to the database
+    if (this.starting) {
+      const { job } = await this.starting;
+      return { job, alreadyRunning: true };
+    }
+
+    this.starting = this.createJob(params, options);
+    try {
+      return await this.starting;
+    } finally {
+      this.starting = null;
+    }
+  }
+
+  async createJob(params, { user, trigger = 'api' }) {
+    await this.failStaleJobs();
+
+    const active = await WorldBankRefreshJob.findOne({ state: 'running' }).sort({ startedAt: -1 });
+    if (active || this.activeJobId) {
+      return { job: active || await WorldBankRefreshJob.findById(this.activeJobId), alreadyRunning: true };
+    }
+
+    let job;
+    try {
+      job = await WorldBankRefreshJob.create({
+        trigger,
+        params: {
+          countries: params.countries || null,
+          categories: params.categories || null,
+          full: params.full === true
+        },
+        requestedBy: user?._id
+      });
+    } catch (error) {
+      // Another server instance started one in the meantime
+      if (error.code !== 11000) throw error;
+      return { job: await WorldBankRefreshJob.findOne({ state: 'running' }), alreadyRunning: true };
+    }
+
+    console.log(`📥 World Bank refresh job ${job._id} started (${trigger})`);
+    this.activeJobId = job._id;
+    this.run(job).finally(() => {
+      this.activeJobId = null;
+    });
+
+    return { job, alreadyRunning: false };
+  }
+
+  // Jobs left running by a server that stopped can never finish
+  async failStaleJobs() {
+    await WorldBankRefreshJob.updateMany(
+      { state: 'running', heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) }, _id: { $ne: this.activeJobId } },
+      { $set: { state: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() } }
+    );
+  }
+
+  async getJob(id) {
+    return WorldBankRefreshJob.findById(id).lean();
+  }
+
+  async getLatestJob() {
+    return WorldBankRefreshJob.findOne().sort({ startedAt: -1 }).lean();
+  }
+
+  async run(job) {
+    const worldBankService = new WorldBankService();
+    const { countries, categories, full } = job.params;
+    const jobId = String(job._id);
+    const { progress } = job.toObject();
+    const failures = [];
+    let indicatorsStartedAt = null;
+    let savedAt = 0;
+
+    const save = async (update = {}) => {
+      savedAt = Date.now();
+      await WorldBankRefreshJob.updateOne(
+        { _id: job._id },
+        { $set: { progress, failures: failures.slice(-MAX_FAILURES), heartbeatAt: new Date(), ...update } }
+      );
+    };
+
+    const report = () => {
+      websocketService.broadcast('worldbank-refresh-progress', { jobId, ...progress, timestamp: new Date().toISOString() });
+      if (Date.now() - savedAt >= SAVE_EVERY_MS) {
+        save().catch(error => console.error('❌ Error saving refresh progress:', error.message));
+      }
+    };
+
+    const onProgress = (event) => {
+      if (event.type === 'started') {
+        progress.totalIndicators = event.totalIndicators;
+      } else if (event.type === 'fetching') {
+        progress.currentIndicator = event.indicator;
+        progress.currentCountries = event.countries;
+      } else if (event.type === 'error') {
+        progress.errors++;
+        failures.push({ indicator: event.indicator, country: event.country, message: event.message, at: new Date() });
+      } else if (event.type === 'indicator') {
+        const { result } = event;
+        progress.completedIndicators++;
+        progress.processed += result.processed;
+        progress.saved += result.saved;
+        progress.updated += result.updated;
+        if (result.skipped) progress.skipped++;
+
+        // Remaining indicators are expected to take as long as the finished ones did on average
+        const elapsed = Date.now() - indicatorsStartedAt;
+        const remaining = progress.totalIndicators - progress.completedIndicators;
+        progress.etaSeconds = Math.round((elapsed / progress.completedIndicators) * remaining / 1000);
+      }
+      progress.percentage = percentage(progress.completedIndicators, progress.totalIndicators);
+      report();
+    };
+
+    websocketService.broadcast('worldbank-refresh-started', {
+      jobId,
+      params: job.params,
+      message: 'World Bank data refresh started',
+      timestamp: new Date().toISOString()
+    });
+
+    try {
+      const countryResult = await worldBankService.fetchCountries();
+
+      progress.stage = 'indicators';
+      indicatorsStartedAt = Date.now();
+      report();
+
+      const indicatorResult = await worldBankService.fetchIndicatorData(
+        countries || worldBankService.priorityCountries,
+        categories,
+        { full, onProgress }
+      );
+
+      Object.assign(progress, { stage: 'done', percentage: 100, etaSeconds: 0, currentIndicator: null, currentCountries: [] });
+      const result = { countries: countryResult, indicators: indicatorResult };
+      await save({ state: 'succeeded', result, finishedAt: new Date() });
+
+      websocketService.broadcast('worldbank-refresh-completed', {
+        jobId,
+        ...progress,
+        durationMs: indicatorResult.durationMs,
+        message: 'World Bank data refresh completed',
+        timestamp: new Date().toISOString()
+      });
+      console.log(`✅ World Bank refresh job ${jobId} succeeded`);
+    } catch (error) {
+      console.error(`❌ World Bank refresh job ${jobId} failed:`, error.message);
+      await save({ state: 'failed', error: error.message, finishedAt: new Date() })
+        .catch(saveError => console.error('❌ Error saving refresh failure:', saveError.message));
+
+      websocketService.broadcast('worldbank-refresh-error', {
+        jobId,
+        ...progress,
+        message: 'World Bank data refresh failed',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+export default new WorldBankRefreshJobs();
@@ -1,6 +1,56 @@
 import fetch from 'node-fetch';
 import WorldBankIndicator from '../models/WorldBankIndicator.js';
 import WorldBankCountry from '../models/WorldBankCountry.js';
+import WorldBankRevision from '../models/WorldBankRevision.js';
+import { INDICATOR_CATEGORIES } from '../models/IndicatorDefinition.js';
+import indicatorCatalog from './indicatorCatalog.js';
+import derivedIndicators from './derivedIndicators.js';
+import { getWorldBankSyncConfig } from '../config/worldBank.js';
+
+const PER_PAGE = 1000;
+const COUNTRIES_PER_REQUEST = 50; // Country codes joined into one request (country/IN;US;CN/indicator/...)
+const CONCURRENCY = 4; // Indicators fetched at the same time
+const MAX_RETRIES = 3;
+const RETRY_BASE_MS = 1000; // Waits 1s, 2s, 4s between attempts
+const BULK_BATCH_SIZE = 1000;
+
+// Run worker over items with at most limit calls in flight; results keep the order of items
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+// Stored form of one data point from the World Bank API
+function buildIndicatorDocument(dataPoint, definition, lastUpdated) {
+  return {
+    country: {
+      code: dataPoint.country.id,
+      name: dataPoint.country.value
+    },
+    indicator: {
+      code: definition.code,
+      name: definition.name,
+      category: definition.categories[0],
+      categories: definition.categories,
+      subcategory: definition.subcategory
+    },
+    year: parseInt(dataPoint.date),
+    value: parseFloat(dataPoint.value),
+    unit: definition.unit,
+    scale: definition.scale,
+    lastUpdated
+  };
+}
 
 /**
  * World Bank Open Data API Service
@@ -11,79 +61,7 @@ class WorldBankService {
     this.baseUrl = 'https://api.worldbank.org/v2';
     this.defaultParams = {
       format: 'json',
-      per_page: 1000,
-      date: '2000:2024' // Default date range
-    };
-    
-    // Define indicator mappings with categories
-    this.indicators = {
-      // Economy indicators
-      economy: {
-        'NY.GDP.MKTP.CD': { name: 'GDP (current US$)', subcategory: 'gdp', unit: 'current US$' },
-        'NY.GDP.PCAP.CD': { name: 'GDP per capita (current US$)', subcategory: 'gdp-per-capita', unit: 'current US$' },
-        'FP.CPI.TOTL.ZG': { name: 'Inflation, consumer prices (annual %)', subcategory: 'inflation', unit: '%' },
-        'BX.KLT.DINV.CD.WD': { name: 'Foreign direct investment, net inflows (BoP, current US$)', subcategory: 'fdi', unit: 'current US$' },
-        'NE.TRD.GNFS.ZS': { name: 'Trade (% of GDP)', subcategory: 'trade', unit: '% of GDP' },
-        'BN.CAB.XOKA.CD': { name: 'Current account balance (BoP, current US$)', subcategory: 'trade-balance', unit: 'current US$' },
-        'FR.INR.RINR': { name: 'Real interest rate (%)', subcategory: 'interest-rate', unit: '%' },
-        'GC.DOD.TOTL.GD.ZS': { name: 'Central government debt, total (% of GDP)', subcategory: 'debt', unit: '% of GDP' }
-      },
-      
-      // Business indicators
-      business: {
-        'IC.BUS.EASE.XQ': { name: 'Ease of doing business score', subcategory: 'ease-of-business', unit: 'score' },
-        'IC.REG.DURS': { name: 'Time required to start a business (days)', subcategory: 'business-registration', unit: 'days' },
-        'IC.TAX.TOTL.CP.ZS': { name: 'Total tax and contribution rate (% of profit)', subcategory: 'tax-rate', unit: '% of profit' },
-        'IC.CRD.INFO.XQ': { name: 'Depth of credit information index', subcategory: 'credit-info', unit: 'index' },
-        'IC.LGL.CRED.XQ': { name: 'Strength of legal rights index', subcategory: 'legal-rights', unit: 'index' }
-      },
-      
-      // Social indicators
-      social: {
-        'SP.POP.TOTL': { name: 'Population, total', subcategory: 'population', unit: 'people' },
-        'SP.POP.GROW': { name: 'Population growth (annual %)', subcategory: 'population-growth', unit: '%' },
-        'SL.UEM.TOTL.ZS': { name: 'Unemployment, total (% of total labor force)', subcategory: 'unemployment', unit: '%' },
-        'SI.POV.GINI': { name: 'Gini index', subcategory: 'inequality', unit: 'index' },
-        'SP.URB.TOTL.IN.ZS': { name: 'Urban population (% of total population)', subcategory: 'urbanization', unit: '%' },
-        'SP.DYN.LE00.IN': { name: 'Life expectancy at birth, total (years)', subcategory: 'life-expectancy', unit: 'years' }
-      },
-      
-      // Environment indicators
-      environment: {
-        'EN.ATM.CO2E.PC': { name: 'CO2 emissions (metric tons per capita)', subcategory: 'co2-emissions', unit: 'metric tons per capita' },
-        'EG.USE.PCAP.KG.OE': { name: 'Energy use (kg of oil equivalent per capita)', subcategory: 'energy-use', unit: 'kg of oil equivalent per capita' },
-        'AG.LND.FRST.ZS': { name: 'Forest area (% of land area)', subcategory: 'forest-area', unit: '% of land area' },
-        'ER.H2O.FWTL.ZS': { name: 'Annual freshwater withdrawals, total (% of internal resources)', subcategory: 'water-use', unit: '%' },
-        'EN.ATM.PM25.MC.M3': { name: 'PM2.5 air pollution, mean annual exposure', subcategory: 'air-pollution', unit: 'micrograms per cubic meter' }
-      },
-      
-      // Health indicators
-      health: {
-        'SP.DYN.LE00.IN': { name: 'Life expectancy at birth, total (years)', subcategory: 'life-expectancy', unit: 'years' },
-        'SP.DYN.IMRT.IN': { name: 'Mortality rate, infant (per 1,000 live births)', subcategory: 'infant-mortality', unit: 'per 1,000 live births' },
-        'SH.STA.MMRT': { name: 'Maternal mortality ratio', subcategory: 'maternal-mortality', unit: 'per 100,000 live births' },
-        'SH.XPD.CHEX.GD.ZS': { name: 'Current health expenditure (% of GDP)', subcategory: 'health-expenditure', unit: '% of GDP' },
-        'SH.MED.PHYS.ZS': { name: 'Physicians (per 1,000 people)', subcategory: 'physicians', unit: 'per 1,000 people' },
-        'SH.IMM.MEAS': { name: 'Immunization, measles (% of children ages 12-23 months)', subcategory: 'immunization', unit: '%' }
-      },
-      
-      // Education indicators
-      education: {
-        'SE.ADT.LITR.ZS': { name: 'Literacy rate, adult total (% of people ages 15 and above)', subcategory: 'literacy', unit: '%' },
-        'SE.PRM.NENR': { name: 'School enrollment, primary (% net)', subcategory: 'primary-enrollment', unit: '%' },
-        'SE.SEC.NENR': { name: 'School enrollment, secondary (% net)', subcategory: 'secondary-enrollment', unit: '%' },
-        'SE.TER.ENRR': { name: 'School enrollment, tertiary (% gross)', subcategory: 'tertiary-enrollment', unit: '%' },
-        'SE.XPD.TOTL.GD.ZS': { name: 'Government expenditure on education, total (% of GDP)', subcategory: 'education-expenditure', unit: '% of GDP' }
-      },
-      
-      // Infrastructure indicators
-      infrastructure: {
-        'IT.NET.USER.ZS': { name: 'Individuals using the Internet (% of population)', subcategory: 'internet-users', unit: '%' },
-        'IT.CEL.SETS.P2': { name: 'Mobile cellular subscriptions (per 100 people)', subcategory: 'mobile-subscriptions', unit: 'per 100 people' },
-        'EG.ELC.ACCS.ZS': { name: 'Access to electricity (% of population)', subcategory: 'electricity-access', unit: '%' },
-        'SH.H2O.BASW.ZS': { name: 'People using at least basic drinking water services (% of population)', subcategory: 'water-access', unit: '%' },
-        'IS.ROD.PAVE.ZS': { name: 'Roads, paved (% of total roads)', subcategory: 'paved-roads', unit: '%' }
-      }
+      per_page: 1000
     };
     
     // Priority countries for initial data fetch
@@ -123,6 +101,7 @@ class WorldBankService {
         try {
           const countryData = {
             code: country.id,
+            iso2Code: country.iso2Code || '',
             name: country.name,
             region: {
               code: country.region?.id || '',
@@ -162,44 +141,46 @@ class WorldBankService {
   }
 
   /**
-   * Fetch indicator data for specific countries and indicators
+   * Bring indicator data up to date for specific countries and categories
+   * Every enabled indicator in the catalog is synced, or those tagged with one of the given categories.
+   * Indicators run CONCURRENCY at a time; the result lists the counts and timing of each one.
+   * Derived indicators reading data that changed are recomputed afterwards.
+   * full: fetch the whole configured window again instead of only what may have changed
+   * onProgress: called with { type: 'started', totalIndicators }, { type: 'fetching', indicator, countries },
+   *   { type: 'error', indicator, country, message } and { type: 'indicator', result } as the sync goes
    */
-  async fetchIndicatorData(countries = this.priorityCountries, categories = null) {
+  async fetchIndicatorData(countries = this.priorityCountries, categories = null, { full = false, onProgress = null } = {}) {
     try {
-      console.log('📊 Starting World Bank indicator data fetch...');
+      console.log(`📊 Starting World Bank indicator ${full ? 'full' : 'incremental'} sync...`);
       
-      const categoriesToFetch = categories || Object.keys(this.indicators);
-      let totalProcessed = 0;
-      let totalSaved = 0;
-      let totalUpdated = 0;
+      const startedAt = Date.now();
+      const definitions = await indicatorCatalog.list({ categories, derived: false });
+      console.log(`📈 Processing ${definitions.length} indicators for ${countries.length} countries, ${CONCURRENCY} at a time...`);
       
-      for (const category of categoriesToFetch) {
-        console.log(`📈 Processing ${category} indicators...`);
-        
-        const indicators = this.indicators[category];
-        
-        for (const [indicatorCode, indicatorInfo] of Object.entries(indicators)) {
-          console.log(`  📊 Fetching ${indicatorInfo.name}...`);
-          
-          for (const countryCode of countries) {
-            try {
-              const result = await this.fetchSingleIndicator(countryCode, indicatorCode, category, indicatorInfo);
-              totalProcessed += result.processed;
-              totalSaved += result.saved;
-              totalUpdated += result.updated;
-              
-              // Rate limiting - wait between requests
-              await this.delay(100);
-              
-            } catch (error) {
-              console.error(`❌ Error fetching ${indicatorCode} for ${countryCode}:`, error.message);
-            }
-          }
-        }
+      onProgress?.({ type: 'started', totalIndicators: definitions.length });
+      
+      const indicators = await mapWithConcurrency(definitions, CONCURRENCY, async definition => {
+        const result = await this.fetchIndicator(definition, countries, { full, onProgress });
+        onProgress?.({ type: 'indicator', result });
+        return result;
+      });
+      
+      const total = field => indicators.reduce((sum, result) => sum + result[field], 0);
+      const totalProcessed = total('processed');
+      const totalSaved = total('saved');
+      const totalUpdated = total('updated');
+      const totalRevisions = total('revisions');
+      const totalSkipped = indicators.filter(result => result.skipped).length;
+      const durationMs = Date.now() - startedAt;
+      
+      console.log(`✅ Data sync completed in ${(durationMs / 1000).toFixed(1)}s: ${totalProcessed} processed, ${totalSaved} new, ${totalUpdated} updated (${totalRevisions} revisions), ${totalSkipped} indicators unchanged`);
+      
+      const derived = await derivedIndicators.refreshStale();
+      if (derived.computed > 0) {
+        console.log(`🧮 Recomputed ${derived.computed} derived indicators: ${derived.records} values`);
       }
       
-      console.log(`✅ Data fetch completed: ${totalProcessed} processed, ${totalSaved} new, ${totalUpdated} updated`);
-      return { totalProcessed, totalSaved, totalUpdated };
+      return { totalProcessed, totalSaved, totalUpdated, totalRevisions, totalSkipped, durationMs, indicators, derived };
       
     } catch (error) {
       console.error('❌ Error in fetchIndicatorData:', error.message);
@@ -208,106 +189,352 @@ class WorldBankService {
   }
 
   /**
-   * Fetch data for a single indicator and country
+   * Bring one catalog indicator up to date for a list of countries
+   * Skipped when the World Bank's lastupdated date is unchanged and every country is stored for the configured window.
+   * Otherwise countries new to the indicator get the whole window, and the others only the years from
+   * revisionWindowYears before the latest stored year. full fetches the whole window for every country.
+   * Never throws: failures are reported in the result so that the other indicators carry on. Countries that could
+   * not be fetched are left out of the sync record, which keeps the previous lastupdated date, so the next run retries them
+   * Returns { code, name, skipped, processed, saved, updated, unchanged, revisions, requests, failedCountries, durationMs, error }
    */
-  async fetchSingleIndicator(countryCode, indicatorCode, category, indicatorInfo) {
+  async fetchIndicator(definition, countries = this.priorityCountries, { full = false, startYear = null, onProgress = null } = {}) {
+    const startedAt = Date.now();
+    const config = getWorldBankSyncConfig();
+    const fromYear = startYear ?? config.startYear;
+    const toYear = config.endYear;
+    const sync = definition.sync || {};
+    const result = {
+      code: definition.code,
+      name: definition.name,
+      skipped: false,
+      processed: 0,
+      saved: 0,
+      updated: 0,
+      unchanged: 0,
+      revisions: 0,
+      requests: 0,
+      failedCountries: [],
+      error: null
+    };
+    
     try {
-      const url = `${this.baseUrl}/country/${countryCode}/indicator/${indicatorCode}?format=json&per_page=100&date=2000:2024`;
+      const sourceLastUpdated = await this.fetchSourceLastUpdated(definition.code, toYear);
+      result.requests++;
       
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      const indicatorData = data[1]; // World Bank API returns [metadata, data]
+      // Countries already stored for the whole window only need what changed since
+      const windowStored = sync.startYear != null && sync.startYear <= fromYear && sync.endYear >= toYear;
+      const storedCountries = new Set(!full && windowStored ? sync.countries : []);
+      const newCountries = countries.filter(countryCode => !storedCountries.has(countryCode));
+      const knownCountries = countries.filter(countryCode => storedCountries.has(countryCode));
+      const sourceUnchanged = Boolean(sourceLastUpdated && sync.sourceLastUpdated) &&
+        sourceLastUpdated.getTime() === new Date(sync.sourceLastUpdated).getTime();
       
-      if (!indicatorData || indicatorData.length === 0) {
-        return { processed: 0, saved: 0, updated: 0 };
+      const now = new Date();
+      if (sourceUnchanged && newCountries.length === 0) {
+        result.skipped = true;
+        await indicatorCatalog.recordSync(definition.code, { ...sync, lastCheckedAt: now });
+      } else {
+        const requests = [];
+        if (newCountries.length > 0) {
+          requests.push({ countries: newCountries, fromYear });
+        }
+        if (knownCountries.length > 0 && !sourceUnchanged) {
+          // New years, plus the last few stored ones where the World Bank revises its figures
+          const latestYear = sync.latestYear ?? fromYear;
+          requests.push({ countries: knownCountries, fromYear: Math.max(fromYear, latestYear - config.revisionWindowYears) });
+        }
+        
+        const dataPoints = [];
+        for (const request of requests) {
+          const fetched = await this.fetchIndicatorPoints(definition.code, request.countries, `${request.fromYear}:${toYear}`, onProgress);
+          dataPoints.push(...fetched.dataPoints);
+          result.requests += fetched.requests;
+          result.failedCountries.push(...fetched.failedCountries);
+        }
+        
+        Object.assign(result, await this.saveDataPoints(dataPoints, definition, { sourceLastUpdated }));
+        
+        const failed = new Set(result.failedCountries);
+        const years = dataPoints.filter(dataPoint => dataPoint.value !== null).map(dataPoint => parseInt(dataPoint.date));
+        const latestYear = Math.max(windowStored ? sync.latestYear ?? -Infinity : -Infinity, ...years);
+        await indicatorCatalog.recordSync(definition.code, {
+          // Stored countries that failed still miss this update, so it is not marked as seen
+          sourceLastUpdated: failed.size === 0 ? sourceLastUpdated || sync.sourceLastUpdated : sync.sourceLastUpdated,
+          lastCheckedAt: now,
+          lastSyncedAt: now,
+          countries: [...new Set([
+            ...(windowStored ? sync.countries : []),
+            ...countries.filter(countryCode => !failed.has(countryCode))
+          ])],
+          startYear: windowStored ? sync.startYear : fromYear,
+          endYear: windowStored ? sync.endYear : toYear,
+          latestYear: Number.isFinite(latestYear) ? latestYear : null,
+          lastChangedAt: result.saved + result.updated > 0 ? now : sync.lastChangedAt,
+          revisions: result.revisions
+        });
       }
+    } catch (error) {
+      console.error(`❌ Error fetching indicator ${definition.code}:`, error.message);
+      result.error = error.message;
+      onProgress?.({ type: 'error', indicator: definition.code, country: null, message: error.message });
+    }
+    
+    result.durationMs = Date.now() - startedAt;
+    console.log(result.skipped
+      ? `  ⏭️ ${definition.code}: unchanged since ${new Date(sync.sourceLastUpdated).toISOString().slice(0, 10)}`
+      : `  📊 ${definition.code}: ${result.processed} data points (${result.saved} new, ${result.updated} changed) from ${result.requests} requests in ${(result.durationMs / 1000).toFixed(1)}s`);
+    return result;
+  }
+
+  /**
+   * The lastupdated date the World Bank reports for an indicator's data, or null when it reports none
+   * One data point is asked for; the date is in the response metadata
+   */
+  async fetchSourceLastUpdated(indicatorCode, year) {
+    const [metadata] = await this.fetchJson(`${this.baseUrl}/country/all/indicator/${indicatorCode}?format=json&per_page=1&date=${year}`);
+    const lastUpdated = metadata?.lastupdated ? new Date(metadata.lastupdated) : null;
+    return lastUpdated && !Number.isNaN(lastUpdated.getTime()) ? lastUpdated : null;
+  }
+
+  /**
+   * Every data point of an indicator for a list of countries, using the multi-country form
+   * (country/IN;US;CN/indicator/...) and following the pages of each response
+   * Returns { dataPoints, requests, failedCountries } where failedCountries could not be fetched even alone
+   */
+  async fetchIndicatorPoints(indicatorCode, countries, dateRange, onProgress = null) {
+    const dataPoints = [];
+    const failedCountries = [];
+    let requests = 0;
+    
+    for (let i = 0; i < countries.length; i += COUNTRIES_PER_REQUEST) {
+      const chunk = countries.slice(i, i + COUNTRIES_PER_REQUEST);
+      onProgress?.({ type: 'fetching', indicator: indicatorCode, countries: chunk });
       
-      let processed = 0;
-      let saved = 0;
-      let updated = 0;
-      
-      for (const dataPoint of indicatorData) {
-        if (dataPoint.value !== null) {
+      try {
+        const chunkPoints = [];
+        for (let page = 1, pages = 1; page <= pages; page++) {
+          const url = `${this.baseUrl}/country/${chunk.join(';')}/indicator/${indicatorCode}?format=json&per_page=${PER_PAGE}&date=${dateRange}&page=${page}`;
+          const [metadata, data] = await this.fetchJson(url);
+          requests++;
+          
+          chunkPoints.push(...(data || []));
+          pages = metadata?.pages || 1;
+        }
+        dataPoints.push(...chunkPoints);
+      } catch (error) {
+        // One unknown country code fails the whole request, so fall back to asking for each country alone
+        if (!error.apiError || chunk.length === 1) throw error;
+        console.log(`   ⚠️ ${indicatorCode}: ${error.message}, fetching countries one by one...`);
+        
+        for (const countryCode of chunk) {
           try {
-            const indicatorDocument = {
-              country: {
-                code: dataPoint.country.id,
-                name: dataPoint.country.value
-              },
-              indicator: {
-                code: indicatorCode,
-                name: indicatorInfo.name,
-                category: category,
-                subcategory: indicatorInfo.subcategory
-              },
-              year: parseInt(dataPoint.date),
-              value: parseFloat(dataPoint.value),
-              unit: indicatorInfo.unit,
-              lastUpdated: new Date()
-            };
-            
-            const existingRecord = await WorldBankIndicator.findOne({
-              'country.code': dataPoint.country.id,
-              'indicator.code': indicatorCode,
-              year: parseInt(dataPoint.date)
-            });
-            
-            if (existingRecord) {
-              await WorldBankIndicator.findByIdAndUpdate(existingRecord._id, indicatorDocument);
-              updated++;
-            } else {
-              await WorldBankIndicator.create(indicatorDocument);
-              saved++;
-            }
-            
-            processed++;
-          } catch (error) {
-            console.error(`❌ Error saving data point:`, error.message);
+            const single = await this.fetchIndicatorPoints(indicatorCode, [countryCode], dateRange, onProgress);
+            dataPoints.push(...single.dataPoints);
+            requests += single.requests;
+          } catch (countryError) {
+            failedCountries.push(countryCode);
+            console.error(`❌ Error fetching ${indicatorCode} for ${countryCode}:`, countryError.message);
+            onProgress?.({ type: 'error', indicator: indicatorCode, country: countryCode, message: countryError.message });
           }
         }
       }
+    }
+    
+    return { dataPoints, requests, failedCountries };
+  }
+
+  /**
+   * GET a World Bank API URL, retrying network errors, rate limiting and server errors with exponential backoff
+   */
+  async fetchJson(url) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await fetch(url);
+        
+        if (!response.ok) {
+          const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+          error.status = response.status;
+          throw error;
+        }
+        
+        const data = await response.json();
+        
+        // Invalid parameters come back as 200 with [{ message: [...] }]
+        if (Array.isArray(data) && data[0]?.message) {
+          const error = new Error(data[0].message.map(message => message.value).join('; '));
+          error.apiError = true;
+          throw error;
+        }
+        return data;
+        
+      } catch (error) {
+        const retryable = !error.apiError && (!error.status || error.status === 429 || error.status >= 500);
+        if (!retryable || attempt >= MAX_RETRIES) throw error;
+        
+        const wait = RETRY_BASE_MS * 2 ** attempt;
+        console.log(`   ⏳ ${error.message}, retrying in ${wait / 1000}s...`);
+        await this.delay(wait);
+      }
+    }
+  }
+
+  /**
+   * Store data points with bulkWrite, BULK_BATCH_SIZE at a time; points without a value are skipped
+   * Only new and changed values are written. A changed value is kept as a WorldBankRevision
+   */
+  async saveDataPoints(dataPoints, definition, { sourceLastUpdated = null } = {}) {
+    const lastUpdated = new Date();
+    const documents = dataPoints
+      .filter(dataPoint => dataPoint.value !== null && dataPoint.country?.id)
+      .map(dataPoint => buildIndicatorDocument(dataPoint, definition, lastUpdated));
+    
+    if (documents.length === 0) {
+      return { processed: 0, saved: 0, updated: 0, unchanged: 0, revisions: 0 };
+    }
+    
+    const years = documents.map(document => document.year);
+    const existing = await WorldBankIndicator.find({
+      'indicator.code': definition.code,
+      'country.code': { $in: [...new Set(documents.map(document => document.country.code))] },
+      year: { $gte: Math.min(...years), $lte: Math.max(...years) }
+    }).select('country.code year value').lean();
+    const storedValues = new Map(existing.map(record => [`${record.country.code}:${record.year}`, record.value]));
+    
+    const operations = [];
+    const revisions = [];
+    let saved = 0;
+    let updated = 0;
+    let unchanged = 0;
+    
+    for (const document of documents) {
+      const key = `${document.country.code}:${document.year}`;
+      const storedValue = storedValues.get(key);
       
-      return { processed, saved, updated };
+      if (!storedValues.has(key)) {
+        saved++;
+      } else if (storedValue !== document.value) {
+        updated++;
+        if (storedValue !== null && storedValue !== undefined) {
+          revisions.push({
+            country: document.country,
+            indicator: { code: definition.code, name: definition.name },
+            year: document.year,
+            previousValue: storedValue,
+            value: document.value,
+            sourceLastUpdated,
+            detectedAt: lastUpdated
+          });
+        }
+      } else {
+        unchanged++;
+        continue;
+      }
       
+      operations.push({
+        updateOne: {
+          filter: { 'country.code': document.country.code, 'indicator.code': definition.code, year: document.year },
+          update: { $set: document },
+          upsert: true
+        }
+      });
+    }
+    
+    for (let i = 0; i < operations.length; i += BULK_BATCH_SIZE) {
+      await WorldBankIndicator.bulkWrite(operations.slice(i, i + BULK_BATCH_SIZE), { ordered: false });
+    }
+    if (revisions.length > 0) {
+      await WorldBankRevision.insertMany(revisions, { ordered: false });
+    }
+    
+    return { processed: documents.length, saved, updated, unchanged, revisions: revisions.length };
+  }
+
+  /**
+   * Start fetching the full history of one catalog indicator in the background
+   * Returns the definition with its backfill marked running; 404 for unknown indicators, 409 while one is running
+   */
+  async startBackfill(codeOrName, countries = this.priorityCountries) {
+    const definition = await indicatorCatalog.get(codeOrName);
+    if (!definition) {
+      const error = new Error(`Indicator ${codeOrName} is not in the catalog`);
+      error.statusCode = 404;
+      throw error;
+    }
+    if (definition.expression) {
+      const error = new Error(`${definition.code} is derived from stored data and recomputed when its inputs change`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const running = await indicatorCatalog.setBackfill(
+      definition.code,
+      { status: 'running', startedAt: new Date(), records: 0 },
+      { claim: true }
+    );
+    if (!running) {
+      const error = new Error(`A backfill of ${definition.code} is already running`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    this.runBackfill(running, countries);
+    return running;
+  }
+
+  async runBackfill(definition, countries) {
+    console.log(`📚 Backfilling ${definition.code} for ${countries.length} countries...`);
+    let records = 0;
+
+    try {
+      const { historyStartYear } = getWorldBankSyncConfig();
+      const result = await this.fetchIndicator(definition, countries, { full: true, startYear: historyStartYear });
+      records = result.processed;
+      if (result.error) throw new Error(result.error);
+
+      await indicatorCatalog.setBackfill(definition.code, {
+        status: 'completed',
+        startedAt: definition.backfill.startedAt,
+        finishedAt: new Date(),
+        records
+      });
+      console.log(`✅ Backfill of ${definition.code} completed: ${records} data points`);
+      await derivedIndicators.refreshStale()
+        .catch(error => console.error('❌ Error recomputing derived indicators:', error.message));
     } catch (error) {
-      console.error(`❌ Error fetching single indicator ${indicatorCode}:`, error.message);
-      return { processed: 0, saved: 0, updated: 0 };
+      console.error(`❌ Backfill of ${definition.code} failed:`, error.message);
+      await indicatorCatalog.setBackfill(definition.code, {
+        status: 'failed',
+        startedAt: definition.backfill.startedAt,
+        finishedAt: new Date(),
+        records,
+        error: error.message
+      }).catch(() => {});
     }
   }
 
   /**
-   * Get available indicators by category
+   * Get enabled indicators of a category, keyed by code
    */
-  getIndicatorsByCategory(category) {
-    return this.indicators[category] || {};
+  async getIndicatorsByCategory(category) {
+    const definitions = await indicatorCatalog.list({ categories: [category] });
+    return Object.fromEntries(definitions.map(({ code, name, subcategory, categories, unit, scale, expression }) => [
+      code,
+      { name, subcategory, categories, unit, scale, ...(expression ? { expression } : {}) }
+    ]));
   }
 
   /**
    * Get all available categories
    */
   getCategories() {
-    return Object.keys(this.indicators);
+    return INDICATOR_CATEGORIES;
   }
 
   /**
-   * Get indicator information
+   * Get indicator information by code or short name
    */
-  getIndicatorInfo(indicatorCode) {
-    for (const category of Object.keys(this.indicators)) {
-      if (this.indicators[category][indicatorCode]) {
-        return {
-          ...this.indicators[category][indicatorCode],
-          category,
-          code: indicatorCode
-        };
-      }
-    }
-    return null;
+  async getIndicatorInfo(indicatorCode) {
+    return indicatorCatalog.get(indicatorCode);
   }
 
   /**
@@ -319,6 +546,8 @@ class WorldBankService {
 
   /**
    * Get data freshness status
+   * needsUpdate is set while an enabled indicator has never been synced or its source metadata
+   * has not been checked within checkIntervalHours
    */
   async getDataFreshness() {
     try {
@@ -329,11 +558,24 @@ class WorldBankService {
       const totalRecords = await WorldBankIndicator.countDocuments();
       const totalCountries = await WorldBankCountry.countDocuments();
       
+      const { checkIntervalHours } = getWorldBankSyncConfig();
+      const checkedSince = Date.now() - checkIntervalHours * 60 * 60 * 1000;
+      const definitions = await indicatorCatalog.list({ derived: false });
+      const neverSynced = definitions.filter(definition => !definition.sync?.lastSyncedAt).length;
+      const dueForCheck = definitions.filter(definition =>
+        !definition.sync?.lastCheckedAt || new Date(definition.sync.lastCheckedAt).getTime() < checkedSince
+      ).length;
+      const sourceDates = definitions.map(definition => definition.sync?.sourceLastUpdated).filter(Boolean).map(date => new Date(date));
+      
       return {
         latestUpdate: latestUpdate?.lastUpdated || null,
+        latestSourceUpdate: sourceDates.length > 0 ? new Date(Math.max(...sourceDates)) : null,
         totalRecords,
         totalCountries,
-        needsUpdate: !latestUpdate || (Date.now() - latestUpdate.lastUpdated.getTime()) > 24 * 60 * 60 * 1000
+        indicators: definitions.length,
+        neverSynced,
+        dueForCheck,
+        needsUpdate: dueForCheck > 0
       };
     } catch (error) {
       console.error('❌ Error checking data freshness:', error.message);
@@ -342,4 +584,4 @@ class WorldBankService {
   }
 }
 
-export default WorldBankService;
\ No newline at end of file
+export default WorldBankService;
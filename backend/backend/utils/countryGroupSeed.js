@@ -0,0 +1,29 @@
+// System country groups provided to every user; members are the 2-letter codes indicator data is stored under.
+// Memberships as of 2026: BRICS counts the members admitted in 2024 and 2025, ASEAN counts Timor-Leste (2025)
+
+export const COUNTRY_GROUP_SEED = [
+  {
+    key: 'G20',
+    name: 'G20',
+    description: 'Group of Twenty member countries (the European Union and the African Union are members too but not countries)',
+    countries: ['AR', 'AU', 'BR', 'CA', 'CN', 'FR', 'DE', 'IN', 'ID', 'IT', 'JP', 'KR', 'MX', 'RU', 'SA', 'ZA', 'TR', 'GB', 'US']
+  },
+  {
+    key: 'BRICS',
+    name: 'BRICS',
+    description: 'Brazil, Russia, India, China and South Africa with the members admitted since 2024',
+    countries: ['BR', 'RU', 'IN', 'CN', 'ZA', 'EG', 'ET', 'IR', 'AE', 'ID']
+  },
+  {
+    key: 'SAARC',
+    name: 'SAARC',
+    description: 'South Asian Association for Regional Cooperation',
+    countries: ['AF', 'BD', 'BT', 'IN', 'MV', 'NP', 'PK', 'LK']
+  },
+  {
+    key: 'ASEAN',
+    name: 'ASEAN',
+    description: 'Association of Southeast Asian Nations',
+    countries: ['BN', 'KH', 'ID', 'LA', 'MY', 'MM', 'PH', 'SG', 'TH', 'VN', 'TL']
+  }
+];
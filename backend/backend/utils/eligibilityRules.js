@@ -0,0 +1,212 @@
+// Structured eligibility rules: extraction from free text and evaluation against a citizen profile
+
+export const GENDERS = ['male', 'female', 'transgender'];
+export const CASTE_CATEGORIES = ['general', 'obc', 'sc', 'st', 'ews'];
+export const RESIDENCE_TYPES = ['rural', 'urban'];
+
+// Occupation keywords mapped to the canonical occupation values used in rules and profiles
+const OCCUPATION_PATTERNS = {
+  farmer: /\b(farmers?|kisan|cultivators?|agricultur(?:ist|al labourers?))\b/i,
+  student: /\b(students?|scholarships?|pupils?)\b/i,
+  artisan: /\b(artisans?|weavers?|craftsm[ae]n|handicraft)\b/i,
+  fisherman: /\b(fisherm[ae]n|fisher ?folk|fishers?)\b/i,
+  'street-vendor': /\bstreet vendors?\b/i,
+  labourer: /\b(labou?rers?|construction workers?|unorganised workers?|unorganized workers?)\b/i,
+  entrepreneur: /\b(entrepreneurs?|msmes?|startups?|self[- ]employed)\b/i,
+  unemployed: /\b(unemployed|job seekers?)\b/i
+};
+
+const INCOME_MULTIPLIERS = { lakh: 100000, lakhs: 100000, lac: 100000, lacs: 100000, crore: 10000000, crores: 10000000 };
+
+function formatRupees(amount) {
+  return `₹${Math.round(amount).toLocaleString('en-IN')}`;
+}
+
+function extractAgeRange(text) {
+  const range = {};
+
+  const between = text.match(/(\d{1,2})\s*(?:-|–|to)\s*(\d{1,2})\s*years/i) ||
+    text.match(/between\s*(?:the\s+ages?\s+of\s*)?(\d{1,2})\s*(?:years?\s*)?and\s*(\d{1,2})\b/i);
+  if (between) {
+    range.ageMin = parseInt(between[1]);
+    range.ageMax = parseInt(between[2]);
+    return range;
+  }
+
+  const min = text.match(/(?:above|over|at least|minimum(?: age)?(?: of)?|not less than)\s*(\d{1,2})\s*years/i);
+  if (min) range.ageMin = parseInt(min[1]);
+
+  const max = text.match(/(?:below|under|less than|up to|upto|maximum(?: age)?(?: of)?|not (?:more than|exceed(?:ing)?))\s*(\d{1,2})\s*years/i);
+  if (max) range.ageMax = parseInt(max[1]);
+
+  if (range.ageMin === undefined && /\bsenior citizens?\b/i.test(text)) {
+    range.ageMin = 60;
+  }
+
+  return range;
+}
+
+function extractIncomeCeiling(text) {
+  const match = text.match(
+    /(?:income|earning)[^.]{0,60}?(?:below|less than|not (?:more than|exceed(?:ing)?)|up to|upto|under|maximum of|within)\s*(?:rs\.?|₹|inr)?\s*([\d,]+(?:\.\d+)?)\s*(lakhs?|lacs?|crores?)?(?:[^.]{0,20}?(per month|monthly|per annum|annual|per year))?/i
+  );
+  if (!match) return undefined;
+
+  let amount = parseFloat(match[1].replace(/,/g, ''));
+  if (isNaN(amount)) return undefined;
+
+  const unit = match[2]?.toLowerCase();
+  if (unit) amount *= INCOME_MULTIPLIERS[unit];
+
+  const period = match[3]?.toLowerCase();
+  if (period === 'per month' || period === 'monthly') amount *= 12;
+
+  return Math.round(amount);
+}
+
+function extractGenders(text) {
+  const genders = [];
+  if (/\b(women|woman|females?|girls?|widows?|mothers?|daughters?)\b/i.test(text)) genders.push('female');
+  if (/\b(transgenders?|third gender)\b/i.test(text)) genders.push('transgender');
+  return genders;
+}
+
+function extractCasteCategories(text) {
+  const categories = [];
+  if (/\bSCs?\b/.test(text) || /scheduled castes?/i.test(text)) categories.push('sc');
+  if (/\bSTs?\b/.test(text) || /scheduled tribes?|tribal/i.test(text)) categories.push('st');
+  if (/\bOBCs?\b/.test(text) || /other backward class/i.test(text)) categories.push('obc');
+  if (/\bEWS\b/.test(text) || /economically weaker section/i.test(text)) categories.push('ews');
+  return categories;
+}
+
+function extractOccupations(text) {
+  return Object.entries(OCCUPATION_PATTERNS)
+    .filter(([, pattern]) => pattern.test(text))
+    .map(([occupation]) => occupation);
+}
+
+function extractStates(scheme) {
+  const beneficiaryState = (scheme.beneficiaryState || '').trim();
+  if (!beneficiaryState || /^all$/i.test(beneficiaryState)) return [];
+  return beneficiaryState.split(',').map(state => state.trim()).filter(Boolean);
+}
+
+function extractResidence(text) {
+  const rural = /\b(rural|villages?|gram panchayats?)\b/i.test(text);
+  const urban = /\b(urban|cities|city|municipal)\b/i.test(text);
+  if (rural && !urban) return ['rural'];
+  if (urban && !rural) return ['urban'];
+  return [];
+}
+
+/**
+ * Pre-fill structured eligibility rules from a scheme's free text fields
+ * The result is marked as extracted and needs a moderator to confirm it
+ */
+export function extractEligibilityRules(scheme) {
+  const text = [scheme.name, scheme.eligibility, scheme.targetAudience]
+    .filter(Boolean)
+    .join('. ');
+
+  const rules = {
+    ...extractAgeRange(text),
+    incomeMax: extractIncomeCeiling(text),
+    genders: extractGenders(text),
+    casteCategories: extractCasteCategories(text),
+    occupations: extractOccupations(text),
+    states: extractStates(scheme),
+    residence: extractResidence(text),
+    disabilityRequired: /\b(disabled|disability|disabilities|divyang\w*|differently[- ]abled|pwds?|handicapped)\b/i.test(text),
+    status: 'extracted',
+    extractedAt: new Date()
+  };
+
+  if (rules.incomeMax === undefined) delete rules.incomeMax;
+  return rules;
+}
+
+/**
+ * Check a citizen profile against a scheme's eligibility rules
+ * Returns { eligible, matched, unmet, unverified } with human readable reasons
+ */
+export function evaluateEligibility(rules = {}, profile = {}) {
+  const matched = [];
+  const unmet = [];
+  const unverified = [];
+
+  const check = (hasRule, hasValue, passes, passReason, failReason, missingReason) => {
+    if (!hasRule) return;
+    if (!hasValue) {
+      unverified.push(missingReason);
+    } else if (passes()) {
+      matched.push(passReason);
+    } else {
+      unmet.push(failReason);
+    }
+  };
+
+  const hasAge = profile.age !== undefined && profile.age !== null && profile.age !== '';
+  const age = Number(profile.age);
+  if (rules.ageMin != null || rules.ageMax != null) {
+    const rangeText = rules.ageMin != null && rules.ageMax != null
+      ? `${rules.ageMin}–${rules.ageMax} years`
+      : rules.ageMin != null ? `at least ${rules.ageMin} years` : `at most ${rules.ageMax} years`;
+    check(
+      true,
+      hasAge,
+      () => (rules.ageMin == null || age >= rules.ageMin) && (rules.ageMax == null || age <= rules.ageMax),
+      `Age ${age} is within the required ${rangeText}`,
+      `Age ${age} is outside the required ${rangeText}`,
+      `Age must be ${rangeText}`
+    );
+  }
+
+  const hasIncome = profile.annualIncome !== undefined && profile.annualIncome !== null && profile.annualIncome !== '';
+  const income = Number(profile.annualIncome);
+  check(
+    rules.incomeMax != null,
+    hasIncome,
+    () => income <= rules.incomeMax,
+    `Annual income ${formatRupees(income)} is within the ${formatRupees(rules.incomeMax)} ceiling`,
+    `Annual income ${formatRupees(income)} exceeds the ${formatRupees(rules.incomeMax)} ceiling`,
+    `Annual income must not exceed ${formatRupees(rules.incomeMax)}`
+  );
+
+  const listRules = [
+    ['genders', 'gender', 'Gender'],
+    ['casteCategories', 'casteCategory', 'Category'],
+    ['occupations', 'occupation', 'Occupation'],
+    ['states', 'state', 'State'],
+    ['residence', 'residence', 'Residence']
+  ];
+  for (const [ruleField, profileField, label] of listRules) {
+    const allowed = (rules[ruleField] || []).map(value => value.toLowerCase());
+    const value = (profile[profileField] || '').toString().trim();
+    const display = (rules[ruleField] || []).join(', ');
+    check(
+      allowed.length > 0,
+      Boolean(value),
+      () => allowed.includes(value.toLowerCase()),
+      `${label} "${value}" is eligible (${display})`,
+      `${label} "${value}" is not eligible (requires ${display})`,
+      `${label} must be one of: ${display}`
+    );
+  }
+
+  check(
+    rules.disabilityRequired === true,
+    profile.disability !== undefined && profile.disability !== null,
+    () => profile.disability === true,
+    'Applicant has a disability as required',
+    'Scheme is only for persons with disabilities',
+    'Scheme is only for persons with disabilities'
+  );
+
+  return {
+    eligible: unmet.length === 0,
+    matched,
+    unmet,
+    unverified
+  };
+}
@@ -0,0 +1,134 @@
+import { DEFAULT_SOURCE_PRIORITY, FIELD_SOURCE_PRIORITY } from '../config/sourcePriority.js';
+
+// Scheme fields whose values are kept per source and chosen by source priority
+export const PROVENANCE_FIELDS = [
+  'ministry', 'department', 'description', 'launchDate', 'targetAudience', 'budget', 'sector', 'subCategory',
+  'officialWebsite', 'level', 'beneficiaryState', 'eligibility', 'benefits', 'applicationProcess',
+  'documentsRequired'
+];
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function observedTime(observation) {
+  return observation.observedAt ? new Date(observation.observedAt).getTime() : 0;
+}
+
+/**
+ * Position of a source in a field's priority list; unlisted sources share the last rank
+ */
+export function sourceRank(field, source) {
+  const priority = FIELD_SOURCE_PRIORITY[field] || DEFAULT_SOURCE_PRIORITY;
+  const index = priority.indexOf(source);
+  return index === -1 ? priority.length : index;
+}
+
+/**
+ * Observations of the non-empty provenance fields in incoming scheme data
+ * Empty values are not observations: a source that leaves a field blank does not clear another source's value
+ */
+export function observationsFromData(data, { source, sourceUrl, observedAt = new Date() }) {
+  if (!source) return [];
+
+  return PROVENANCE_FIELDS
+    .filter(field => !isEmptyValue(data[field]))
+    .map(field => ({ field, value: data[field], source, sourceUrl: sourceUrl || null, observedAt }));
+}
+
+/**
+ * Observations stored on a record, plus one attributed to the record's own source for every field
+ * that has a value but no observation yet (records written before provenance was kept)
+ */
+export function recordObservations(record) {
+  const observations = [...(record.provenance || [])];
+  const observedFields = new Set(observations.map(observation => observation.field));
+
+  for (const field of PROVENANCE_FIELDS) {
+    if (observedFields.has(field) || isEmptyValue(record[field])) continue;
+    observations.push({
+      field,
+      value: record[field],
+      source: record.source || 'manual',
+      sourceUrl: record.sourceUrl || null,
+      observedAt: record.scrapedAt || record.updatedAt || record.createdAt || null
+    });
+  }
+
+  return observations;
+}
+
+/**
+ * Combine observation lists, keeping the latest observation of every field and source
+ */
+export function mergeObservations(...lists) {
+  const latest = new Map();
+
+  for (const observation of lists.flat()) {
+    const key = `${observation.field}\u0000${observation.source}`;
+    const current = latest.get(key);
+    if (!current || observedTime(observation) >= observedTime(current)) {
+      latest.set(key, observation);
+    }
+  }
+
+  return [...latest.values()];
+}
+
+/**
+ * The observation shown for every field: highest priority source first, most recent on ties
+ * Returns { field: observation }
+ */
+export function selectObservations(observations) {
+  const selected = {};
+
+  for (const observation of observations) {
+    const current = selected[observation.field];
+    if (!current) {
+      selected[observation.field] = observation;
+      continue;
+    }
+
+    const rankDiff = sourceRank(observation.field, observation.source) - sourceRank(current.field, current.source);
+    if (rankDiff < 0 || (rankDiff === 0 && observedTime(observation) > observedTime(current))) {
+      selected[observation.field] = observation;
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Field values chosen from observations, for writing onto the scheme
+ */
+export function selectedValues(observations) {
+  return Object.fromEntries(
+    Object.entries(selectObservations(observations)).map(([field, observation]) => [field, observation.value])
+  );
+}
+
+/**
+ * Where each field of a record came from, as served by the scheme detail API
+ * Returns [{ field, value, source, sourceUrl, observedAt, alternatives: [{ value, source, sourceUrl, observedAt }] }]
+ */
+export function describeProvenance(observations) {
+  const selected = selectObservations(observations);
+
+  return PROVENANCE_FIELDS
+    .filter(field => selected[field])
+    .map(field => {
+      const { value, source, sourceUrl, observedAt } = selected[field];
+      const alternatives = observations
+        .filter(observation => observation.field === field && observation !== selected[field])
+        .sort((a, b) => sourceRank(field, a.source) - sourceRank(field, b.source) || observedTime(b) - observedTime(a))
+        .map(({ value: otherValue, source: otherSource, sourceUrl: otherUrl, observedAt: otherObservedAt }) => ({
+          value: otherValue,
+          source: otherSource,
+          sourceUrl: otherUrl,
+          observedAt: otherObservedAt
+        }));
+
+      return { field, value, source, sourceUrl, observedAt, alternatives };
+    });
+}
@@ -0,0 +1,78 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import SchemeMetricsService from '../services/schemeMetricsService.js';
+import { readTabularFile, detectTabularFormat } from './tabularFile.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sarkari_pulse';
+
+function getOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * Import an official scheme progress release (CSV/XLSX) into the scheme metrics collection
+ * Usage: node utils/importSchemeMetrics.js <file> --source "<release name>" [--unit crore|lakh|rupees]
+ *        [--source-url <url>] [--sheet <worksheet>] [--dry-run]
+ */
+async function importSchemeMetrics() {
+  const filePath = process.argv[2];
+  const source = getOption('source');
+
+  if (!filePath || filePath.startsWith('--') || !source) {
+    console.log('Usage: node utils/importSchemeMetrics.js <file> --source "<release name>" [--unit crore|lakh|rupees] [--source-url <url>] [--sheet <worksheet>] [--dry-run]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const format = detectTabularFormat(filePath);
+    if (!['csv', 'xlsx'].includes(format)) {
+      throw new Error(`Unsupported file type "${path.extname(filePath)}" (expected .csv or .xlsx)`);
+    }
+
+    console.log(`📊 Reading ${path.basename(filePath)}...`);
+    const rows = await readTabularFile(await fs.readFile(filePath), format, { sheetName: getOption('sheet') });
+    console.log(`📋 Found ${rows.length} rows`);
+
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const report = await new SchemeMetricsService().importRows(rows, {
+      source,
+      sourceUrl: getOption('source-url'),
+      amountUnit: getOption('unit') || 'crore',
+      dryRun: process.argv.includes('--dry-run')
+    });
+
+    console.log('');
+    console.log(report.dryRun ? '🧪 Dry run completed - nothing was saved' : '🎉 Import completed');
+    console.log(`   📝 Created: ${report.created}`);
+    console.log(`   🔄 Updated: ${report.updated}`);
+    console.log(`   ⏭️ Skipped: ${report.skipped}`);
+    if (report.unmatchedSchemes.length > 0) {
+      console.log(`   ❓ Unmatched schemes: ${report.unmatchedSchemes.join(', ')}`);
+    }
+    for (const { row, error } of report.errors.slice(0, 20)) {
+      console.log(`   ❌ Row ${row}: ${error}`);
+    }
+    if (report.errors.length > 20) {
+      console.log(`   ... and ${report.errors.length - 20} more errors`);
+    }
+
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.disconnect();
+      console.log('🔌 MongoDB disconnected');
+    }
+  }
+}
+
+importSchemeMetrics();
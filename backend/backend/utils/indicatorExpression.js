@@ -0,0 +1,202 @@
+// Expressions of derived World Bank indicators, e.g. 'yoy(gdp)', 'cagr(NY.GDP.MKTP.CD, 5)' or
+// 'rolling_avg(share_of_gdp(fdi), 3)'. Indicators are named by code or short name; functions nest.
+// A series is a Map of year -> value for one country
+
+export const POPULATION_CODE = 'SP.POP.TOTL';
+export const GDP_CODE = 'NY.GDP.MKTP.CD';
+
+// Argument kinds: a series, or a whole number of years / a year
+export const EXPRESSION_FUNCTIONS = {
+  yoy: { args: ['series'], description: 'Year-on-year change (%)' },
+  cagr: { args: ['series', 'years'], description: 'Compound annual growth over the given number of years (%)' },
+  per_capita: { args: ['series'], inputs: [POPULATION_CODE], description: `Value per person (/ ${POPULATION_CODE})` },
+  share_of_gdp: { args: ['series'], inputs: [GDP_CODE], description: `Share of GDP (% of ${GDP_CODE})` },
+  ratio: { args: ['series', 'series'], description: 'First series divided by the second' },
+  difference: { args: ['series', 'series'], description: 'First series minus the second' },
+  rolling_avg: { args: ['series', 'years'], description: 'Average over the given number of years up to each year' },
+  index: { args: ['series', 'year'], description: 'Value relative to a base year (base year = 100)' }
+};
+
+const TOKEN = /\s*(?:([A-Za-z][A-Za-z0-9_.-]*)|(\d+(?:\.\d+)?)|([(),]))/y;
+
+// Expression errors are the caller's fault
+export function expressionError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+
+  while (TOKEN.lastIndex < expression.length) {
+    const position = TOKEN.lastIndex;
+    const match = TOKEN.exec(expression);
+    if (!match) {
+      if (!expression.slice(position).trim()) break;
+      throw expressionError(`Unexpected "${expression.slice(position).trim()[0]}" in expression at ${position}`);
+    }
+    if (match[1]) tokens.push({ type: 'name', value: match[1] });
+    else if (match[2]) tokens.push({ type: 'number', value: Number(match[2]) });
+    else if (match[3]) tokens.push({ type: match[3] });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into a tree of
+ * { type: 'call', name, args }, { type: 'indicator', ref } and { type: 'number', value }
+ * Throws a 400 error for unknown functions, wrong arguments or bad syntax
+ */
+export function parseExpression(expression) {
+  const text = String(expression ?? '').trim();
+  if (!text) throw expressionError('expression is required');
+
+  const tokens = tokenize(text);
+  let position = 0;
+
+  const expect = (type) => {
+    const token = tokens[position++];
+    if (token?.type !== type) {
+      throw expressionError(`Expected "${type}" in expression "${text}"`);
+    }
+  };
+
+  const parseNode = () => {
+    const token = tokens[position++];
+    if (!token) throw expressionError(`Expression "${text}" ends too early`);
+    if (token.type === 'number') return { type: 'number', value: token.value };
+    if (token.type !== 'name') throw expressionError(`Unexpected "${token.type}" in expression "${text}"`);
+
+    if (tokens[position]?.type !== '(') return { type: 'indicator', ref: token.value };
+
+    const name = token.value.toLowerCase();
+    const definition = EXPRESSION_FUNCTIONS[name];
+    if (!definition) {
+      throw expressionError(`Unknown function ${token.value}; use ${Object.keys(EXPRESSION_FUNCTIONS).join(', ')}`);
+    }
+
+    position++;
+    const args = [];
+    if (tokens[position]?.type !== ')') {
+      args.push(parseNode());
+      while (tokens[position]?.type === ',') {
+        position++;
+        args.push(parseNode());
+      }
+    }
+    expect(')');
+
+    if (args.length !== definition.args.length) {
+      throw expressionError(`${name} takes ${definition.args.length} argument(s), got ${args.length}`);
+    }
+    definition.args.forEach((kind, i) => {
+      const arg = args[i];
+      if (kind === 'series' && arg.type === 'number') {
+        throw expressionError(`Argument ${i + 1} of ${name} must be an indicator or a function`);
+      }
+      if (kind !== 'series' && (arg.type !== 'number' || !Number.isInteger(arg.value) || arg.value < 1)) {
+        throw expressionError(`Argument ${i + 1} of ${name} must be ${kind === 'year' ? 'a year' : 'a whole number of years'}`);
+      }
+    });
+
+    return { type: 'call', name, args };
+  };
+
+  const tree = parseNode();
+  if (position < tokens.length) throw expressionError(`Unexpected text after the end of expression "${text}"`);
+  if (tree.type === 'number') throw expressionError('An expression needs at least one indicator');
+  return tree;
+}
+
+/**
+ * Indicator references of a tree, as written, plus the indicators functions read implicitly
+ * Returns { refs, implicit }
+ */
+export function expressionInputs(tree) {
+  const refs = new Set();
+  const implicit = new Set();
+
+  const visit = (node) => {
+    if (node.type === 'indicator') refs.add(node.ref);
+    if (node.type === 'call') {
+      (EXPRESSION_FUNCTIONS[node.name].inputs || []).forEach(code => implicit.add(code));
+      node.args.forEach(visit);
+    }
+  };
+  visit(tree);
+
+  return { refs: [...refs], implicit: [...implicit] };
+}
+
+// Combine two series year by year; years missing from either, or giving no finite value, are left out
+function combine(a, b, operation) {
+  const result = new Map();
+  for (const [year, value] of a) {
+    if (!b.has(year)) continue;
+    const combined = operation(value, b.get(year));
+    if (Number.isFinite(combined)) result.set(year, combined);
+  }
+  return result;
+}
+
+// Map each year of a series through an operation given the whole series; non-finite results are left out
+function transform(series, operation) {
+  const result = new Map();
+  for (const [year, value] of series) {
+    const transformed = operation(value, year);
+    if (transformed !== null && Number.isFinite(transformed)) result.set(year, transformed);
+  }
+  return result;
+}
+
+const OPERATIONS = {
+  yoy: (series) => transform(series, (value, year) =>
+    series.has(year - 1) && series.get(year - 1) !== 0 ? (value / series.get(year - 1) - 1) * 100 : null),
+
+  cagr: (series, years) => transform(series, (value, year) => {
+    const start = series.get(year - years);
+    return start > 0 && value > 0 ? ((value / start) ** (1 / years) - 1) * 100 : null;
+  }),
+
+  per_capita: (series, population) => combine(series, population, (value, people) => value / people),
+
+  share_of_gdp: (series, gdp) => combine(series, gdp, (value, total) => (value / total) * 100),
+
+  ratio: (a, b) => combine(a, b, (x, y) => x / y),
+
+  difference: (a, b) => combine(a, b, (x, y) => x - y),
+
+  rolling_avg: (series, years) => transform(series, (value, year) => {
+    let sum = 0;
+    for (let y = year - years + 1; y <= year; y++) {
+      if (!series.has(y)) return null;
+      sum += series.get(y);
+    }
+    return sum / years;
+  }),
+
+  index: (series, baseYear) => {
+    const base = series.get(baseYear);
+    return base ? transform(series, value => (value / base) * 100) : new Map();
+  }
+};
+
+/**
+ * Evaluate a tree for one country
+ * codes: indicator reference as written -> catalog code; seriesByCode: code -> series
+ */
+export function evaluateExpression(tree, codes, seriesByCode) {
+  const evaluate = (node) => {
+    if (node.type === 'number') return node.value;
+    if (node.type === 'indicator') return seriesByCode.get(codes[node.ref]) || new Map();
+
+    const args = node.args.map(evaluate);
+    const implicit = (EXPRESSION_FUNCTIONS[node.name].inputs || []).map(code => seriesByCode.get(code) || new Map());
+    return OPERATIONS[node.name](...args, ...implicit);
+  };
+
+  return evaluate(tree);
+}
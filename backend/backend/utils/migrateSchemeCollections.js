@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Scheme from '../models/Scheme.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sarkari_pulse';
+const LEGACY_COLLECTION = 'myschemes';
+
+/**
+ * Map a document from the legacy MyScheme collection onto the canonical scheme fields
+ */
+function mapLegacyScheme(legacy) {
+  return {
+    schemeId: legacy.schemeId,
+    name: legacy.schemeName,
+    description: legacy.schemeDescription,
+    ministry: legacy.ministry,
+    department: legacy.department,
+    sector: legacy.category,
+    subCategory: legacy.subCategory,
+    targetAudience: legacy.beneficiaryType,
+    eligibility: legacy.eligibility,
+    benefits: legacy.benefits,
+    applicationProcess: legacy.applicationProcess,
+    documentsRequired: legacy.documentsRequired || [],
+    officialWebsite: legacy.officialWebsite,
+    launchDate: legacy.launchDate,
+    isActive: (legacy.status || 'Active') === 'Active',
+    source: 'api',
+    scrapedAt: legacy.lastUpdated || legacy.updatedAt
+  };
+}
+
+/**
+ * Only copy values the canonical record is missing, so richer scraped data is kept
+ */
+function collectMissingFields(existing, incoming) {
+  const updates = {};
+
+  for (const [field, value] of Object.entries(incoming)) {
+    if (field === 'source' || value === undefined || value === null || value === '') continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+
+    const current = existing[field];
+    const isEmpty = current === undefined || current === null || current === '' ||
+      (Array.isArray(current) && current.length === 0);
+
+    if (isEmpty) {
+      updates[field] = value;
+    }
+  }
+
+  return updates;
+}
+
+/**
+ * Merge the legacy MyScheme collection into the canonical Scheme collection
+ * Usage: node utils/migrateSchemeCollections.js [--drop-legacy]
+ */
+async function migrateSchemeCollections() {
+  const dropLegacy = process.argv.includes('--drop-legacy');
+
+  try {
+    console.log('🔄 Merging MyScheme collection into canonical scheme store...');
+
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const collections = await mongoose.connection.db
+      .listCollections({ name: LEGACY_COLLECTION })
+      .toArray();
+
+    if (collections.length === 0) {
+      console.log(`ℹ️ No "${LEGACY_COLLECTION}" collection found, nothing to migrate`);
+      return;
+    }
+
+    const legacySchemes = await mongoose.connection.db
+      .collection(LEGACY_COLLECTION)
+      .find({})
+      .toArray();
+
+    console.log(`📋 Found ${legacySchemes.length} legacy schemes`);
+
+    let createdCount = 0;
+    let mergedCount = 0;
+    let unchangedCount = 0;
+    let errorCount = 0;
+
+    for (const legacy of legacySchemes) {
+      try {
+        const schemeData = mapLegacyScheme(legacy);
+
+        if (!schemeData.name) {
+          console.log(`⚠️ Skipping legacy scheme without name: ${legacy._id}`);
+          errorCount++;
+          continue;
+        }
+
+        const existingScheme = await Scheme.findExisting(schemeData);
+
+        if (!existingScheme) {
+          await Scheme.create(schemeData);
+          createdCount++;
+          continue;
+        }
+
+        const updates = collectMissingFields(existingScheme.toObject(), schemeData);
+        if (Object.keys(updates).length > 0) {
+          await Scheme.findByIdAndUpdate(existingScheme._id, updates);
+          mergedCount++;
+        } else {
+          unchangedCount++;
+        }
+      } catch (schemeError) {
+        console.error(`❌ Error migrating "${legacy.schemeName}":`, schemeError.message);
+        errorCount++;
+      }
+    }
+
+    console.log('');
+    console.log('🎉 Migration completed');
+    console.log(`   📝 Created: ${createdCount}`);
+    console.log(`   🔀 Merged into existing: ${mergedCount}`);
+    console.log(`   ⏭️ Already complete: ${unchangedCount}`);
+    console.log(`   ❌ Errors: ${errorCount}`);
+
+    if (dropLegacy && errorCount === 0) {
+      await mongoose.connection.db.dropCollection(LEGACY_COLLECTION);
+      console.log(`🗑️ Dropped legacy "${LEGACY_COLLECTION}" collection`);
+    } else if (dropLegacy) {
+      console.log(`⚠️ Keeping "${LEGACY_COLLECTION}" because some documents failed to migrate`);
+    }
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.disconnect();
+      console.log('🔌 MongoDB disconnected');
+    }
+  }
+}
+
+migrateSchemeCollections();
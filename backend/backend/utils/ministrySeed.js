@@ -0,0 +1,190 @@
+// Initial contents of the ministry registry: Union ministries, their departments and the variants seen in scraped data
+
+export const MINISTRY_SEED = [
+  {
+    name: 'Ministry of Agriculture and Farmers Welfare',
+    shortName: 'MoA&FW',
+    aliases: ['Ministry of Agriculture', 'Ministry of Agriculture and Cooperation', 'Agriculture Ministry'],
+    departments: [
+      { name: 'Department of Agriculture and Farmers Welfare', aliases: ['Department of Agriculture and Cooperation', 'Department of Agriculture, Cooperation and Farmers Welfare', 'DA&FW'] },
+      { name: 'Department of Agricultural Research and Education', aliases: ['DARE'] }
+    ]
+  },
+  { name: 'Ministry of Ayush', shortName: 'Ayush', aliases: ['Ministry of AYUSH'] },
+  {
+    name: 'Ministry of Chemicals and Fertilizers',
+    aliases: ['Ministry of Chemicals and Fertilisers'],
+    departments: [
+      { name: 'Department of Chemicals and Petrochemicals' },
+      { name: 'Department of Fertilizers', aliases: ['Department of Fertilisers'] },
+      { name: 'Department of Pharmaceuticals' }
+    ]
+  },
+  { name: 'Ministry of Civil Aviation', shortName: 'MoCA' },
+  { name: 'Ministry of Coal' },
+  {
+    name: 'Ministry of Commerce and Industry',
+    aliases: ['Ministry of Commerce', 'Ministry of Commerce and Industries'],
+    departments: [
+      { name: 'Department of Commerce' },
+      { name: 'Department for Promotion of Industry and Internal Trade', aliases: ['DPIIT', 'Department of Industrial Policy and Promotion', 'DIPP'] }
+    ]
+  },
+  {
+    name: 'Ministry of Communications',
+    departments: [
+      { name: 'Department of Telecommunications', aliases: ['DoT'] },
+      { name: 'Department of Posts', aliases: ['India Post'] }
+    ]
+  },
+  {
+    name: 'Ministry of Consumer Affairs, Food and Public Distribution',
+    aliases: ['Ministry of Consumer Affairs'],
+    departments: [
+      { name: 'Department of Consumer Affairs' },
+      { name: 'Department of Food and Public Distribution' }
+    ]
+  },
+  { name: 'Ministry of Cooperation' },
+  { name: 'Ministry of Corporate Affairs', shortName: 'MCA' },
+  { name: 'Ministry of Culture' },
+  {
+    name: 'Ministry of Defence',
+    shortName: 'MoD',
+    departments: [
+      { name: 'Department of Defence' },
+      { name: 'Department of Defence Production' },
+      { name: 'Department of Defence Research and Development', aliases: ['DRDO'] },
+      { name: 'Department of Ex-Servicemen Welfare', aliases: ['Department of Ex Servicemen Welfare'] },
+      { name: 'Department of Military Affairs' }
+    ]
+  },
+  { name: 'Ministry of Development of North Eastern Region', shortName: 'MDoNER', aliases: ['DoNER', 'Ministry of DoNER'] },
+  { name: 'Ministry of Earth Sciences', shortName: 'MoES' },
+  {
+    name: 'Ministry of Education',
+    shortName: 'MoE',
+    aliases: ['Ministry of Human Resource Development', 'MHRD', 'Education Ministry'],
+    departments: [
+      { name: 'Department of School Education and Literacy' },
+      { name: 'Department of Higher Education' }
+    ]
+  },
+  { name: 'Ministry of Electronics and Information Technology', shortName: 'MeitY', aliases: ['Ministry of Electronics and IT', 'Department of Electronics and Information Technology', 'DeitY'] },
+  { name: 'Ministry of Environment, Forest and Climate Change', shortName: 'MoEFCC', aliases: ['Ministry of Environment and Forests', 'Ministry of Environment, Forests and Climate Change'] },
+  { name: 'Ministry of External Affairs', shortName: 'MEA' },
+  {
+    name: 'Ministry of Finance',
+    aliases: ['Finance Ministry'],
+    departments: [
+      { name: 'Department of Economic Affairs', aliases: ['DEA'] },
+      { name: 'Department of Expenditure' },
+      { name: 'Department of Revenue' },
+      { name: 'Department of Financial Services', aliases: ['DFS'] },
+      { name: 'Department of Investment and Public Asset Management', aliases: ['DIPAM'] }
+    ]
+  },
+  {
+    name: 'Ministry of Fisheries, Animal Husbandry and Dairying',
+    aliases: ['Ministry of Fisheries, Animal Husbandry and Dairy'],
+    departments: [
+      { name: 'Department of Fisheries' },
+      { name: 'Department of Animal Husbandry and Dairying', aliases: ['Department of Animal Husbandry, Dairying and Fisheries'] }
+    ]
+  },
+  { name: 'Ministry of Food Processing Industries', shortName: 'MoFPI' },
+  {
+    name: 'Ministry of Health and Family Welfare',
+    shortName: 'MoHFW',
+    aliases: ['Ministry of Health', 'Health Ministry'],
+    departments: [
+      { name: 'Department of Health and Family Welfare' },
+      { name: 'Department of Health Research' }
+    ]
+  },
+  { name: 'Ministry of Heavy Industries', aliases: ['Ministry of Heavy Industries and Public Enterprises'] },
+  { name: 'Ministry of Home Affairs', shortName: 'MHA', aliases: ['Home Ministry'] },
+  { name: 'Ministry of Housing and Urban Affairs', shortName: 'MoHUA', aliases: ['Ministry of Urban Development', 'Ministry of Housing and Urban Poverty Alleviation'] },
+  { name: 'Ministry of Information and Broadcasting', shortName: 'MIB' },
+  {
+    name: 'Ministry of Jal Shakti',
+    aliases: ['Ministry of Water Resources', 'Ministry of Drinking Water and Sanitation'],
+    departments: [
+      { name: 'Department of Water Resources, River Development and Ganga Rejuvenation' },
+      { name: 'Department of Drinking Water and Sanitation' }
+    ]
+  },
+  { name: 'Ministry of Labour and Employment', aliases: ['Labour Ministry', 'Ministry of Labour'] },
+  {
+    name: 'Ministry of Law and Justice',
+    departments: [
+      { name: 'Department of Legal Affairs' },
+      { name: 'Legislative Department' },
+      { name: 'Department of Justice' }
+    ]
+  },
+  { name: 'Ministry of Micro, Small and Medium Enterprises', shortName: 'MSME', aliases: ['Ministry of MSME'] },
+  { name: 'Ministry of Mines' },
+  { name: 'Ministry of Minority Affairs' },
+  { name: 'Ministry of New and Renewable Energy', shortName: 'MNRE' },
+  { name: 'Ministry of Panchayati Raj' },
+  { name: 'Ministry of Parliamentary Affairs' },
+  {
+    name: 'Ministry of Personnel, Public Grievances and Pensions',
+    departments: [
+      { name: 'Department of Personnel and Training', aliases: ['DoPT'] },
+      { name: 'Department of Administrative Reforms and Public Grievances', aliases: ['DARPG'] },
+      { name: 'Department of Pension and Pensioners Welfare' }
+    ]
+  },
+  { name: 'Ministry of Petroleum and Natural Gas', shortName: 'MoPNG' },
+  { name: 'Ministry of Ports, Shipping and Waterways', aliases: ['Ministry of Shipping'] },
+  { name: 'Ministry of Power' },
+  { name: 'Ministry of Railways', aliases: ['Railway Board', 'Indian Railways'] },
+  { name: 'Ministry of Road Transport and Highways', shortName: 'MoRTH' },
+  {
+    name: 'Ministry of Rural Development',
+    shortName: 'MoRD',
+    departments: [
+      { name: 'Department of Rural Development' },
+      { name: 'Department of Land Resources' }
+    ]
+  },
+  {
+    name: 'Ministry of Science and Technology',
+    departments: [
+      { name: 'Department of Science and Technology', aliases: ['DST'] },
+      { name: 'Department of Biotechnology' },
+      { name: 'Department of Scientific and Industrial Research', aliases: ['DSIR'] }
+    ]
+  },
+  { name: 'Ministry of Skill Development and Entrepreneurship', shortName: 'MSDE' },
+  {
+    name: 'Ministry of Social Justice and Empowerment',
+    aliases: ['Ministry of Social Justice'],
+    departments: [
+      { name: 'Department of Social Justice and Empowerment' },
+      { name: 'Department of Empowerment of Persons with Disabilities', aliases: ['DEPwD', 'Divyangjan'] }
+    ]
+  },
+  { name: 'Ministry of Statistics and Programme Implementation', shortName: 'MoSPI' },
+  { name: 'Ministry of Steel' },
+  { name: 'Ministry of Textiles' },
+  { name: 'Ministry of Tourism' },
+  { name: 'Ministry of Tribal Affairs' },
+  { name: 'Ministry of Women and Child Development', shortName: 'MWCD', aliases: ['Ministry of Women & Child Development'] },
+  {
+    name: 'Ministry of Youth Affairs and Sports',
+    departments: [
+      { name: 'Department of Youth Affairs' },
+      { name: 'Department of Sports' }
+    ]
+  }
+];
+
+// Departments and bodies that report to the Prime Minister or Cabinet rather than to a ministry
+export const INDEPENDENT_ORGANISATIONS = [
+  { name: 'Department of Atomic Energy', kind: 'department', aliases: ['DAE'] },
+  { name: 'Department of Space', kind: 'department', aliases: ['ISRO', 'Indian Space Research Organisation'] },
+  { name: 'NITI Aayog', kind: 'organisation', aliases: ['Planning Commission'] }
+];
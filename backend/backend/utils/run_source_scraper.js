@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import SourceRunner from '../scraper/sourceRunner.js';
+import { hasSourceAdapter, listSourceAdapters } from '../scraper/sourceRegistry.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sarkari_pulse';
+
+/**
+ * Run registered source adapters from the command line and print a summary per source
+ * With dryRun the schemes are extracted but not saved
+ */
+export async function runSourceScrapers(sources, { dryRun = false } = {}) {
+  const runner = new SourceRunner({ notifyProgress: false });
+
+  try {
+    const unknown = sources.filter(source => !hasSourceAdapter(source));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown source(s): ${unknown.join(', ')}`);
+    }
+
+    if (!dryRun) {
+      await mongoose.connect(MONGODB_URI);
+      console.log('✅ MongoDB connected');
+    }
+
+    const results = await runner.runMany(sources, { saveToDb: !dryRun });
+
+    console.log('');
+    console.log('🎉 SCRAPING COMPLETED');
+    console.log('=====================');
+    for (const result of results) {
+      if (result.error) {
+        console.log(`❌ ${result.source}: ${result.error}`);
+        continue;
+      }
+
+      const { stats } = result;
+      console.log(`✅ ${result.source}: ${stats.schemesExtracted} schemes from ${stats.fetched}/${stats.targets} targets in ${Math.round(stats.durationMs / 1000)}s`);
+      if (!dryRun) {
+        console.log(`   💾 ${stats.created} new, ${stats.updated} updated, ${stats.unchanged} unchanged, ${stats.saveErrors} errors`);
+      }
+      if (stats.failed > 0) {
+        console.log(`   ⚠️ ${stats.failed} targets failed`);
+      }
+    }
+
+    if (results.some(result => result.error)) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Scraping failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await runner.close();
+
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.disconnect();
+      console.log('🔌 MongoDB disconnected');
+    }
+  }
+}
+
+// Usage: node utils/run_source_scraper.js <source> [<source> ...] [--dry-run]
+//        node utils/run_source_scraper.js --list
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const sources = args.filter(arg => !arg.startsWith('--'));
+
+  if (args.includes('--list') || sources.length === 0) {
+    console.log('Available sources:');
+    for (const { source, name, description } of listSourceAdapters()) {
+      console.log(`   ${source.padEnd(20)} ${name}${description ? ` - ${description}` : ''}`);
+    }
+  } else {
+    runSourceScrapers(sources, { dryRun: args.includes('--dry-run') });
+  }
+}
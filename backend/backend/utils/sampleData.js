@@ -82,7 +82,7 @@ export const sampleSchemes = [
   }
 ];
 
-export const loadSampleData = async (MyScheme) => {
+export const loadSampleData = async (Scheme) => {
   try {
     console.log('📝 Loading sample scheme data...');
     
@@ -92,29 +92,32 @@ export const loadSampleData = async (MyScheme) => {
     for (const scheme of sampleSchemes) {
       const schemeData = {
         schemeId: scheme.id,
-        schemeName: scheme.scheme_name,
-        schemeDescription: scheme.description,
+        name: scheme.scheme_name,
+        description: scheme.description,
         ministry: scheme.ministry,
         department: scheme.department,
-        category: scheme.category,
+        sector: scheme.category,
         subCategory: scheme.sub_category,
-        beneficiaryType: scheme.beneficiary_type,
+        targetAudience: scheme.beneficiary_type,
         eligibility: scheme.eligibility,
         benefits: scheme.benefits,
         applicationProcess: scheme.application_process,
         documentsRequired: scheme.documents_required || [],
         officialWebsite: scheme.official_website,
         launchDate: scheme.launch_date ? new Date(scheme.launch_date) : null,
-        lastUpdated: new Date()
+        source: 'sample'
       };
 
-      const existingScheme = await MyScheme.findOne({ schemeId: schemeData.schemeId });
+      const existingScheme = await Scheme.findExisting(schemeData);
       
       if (existingScheme) {
-        await MyScheme.updateOne({ schemeId: schemeData.schemeId }, schemeData);
-        updatedCount++;
+        // Never overwrite live data with sample data
+        if (existingScheme.source === 'sample') {
+          await Scheme.findByIdAndUpdate(existingScheme._id, schemeData);
+          updatedCount++;
+        }
       } else {
-        await MyScheme.create(schemeData);
+        await Scheme.create(schemeData);
         savedCount++;
       }
     }
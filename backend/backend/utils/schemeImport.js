@@ -0,0 +1,149 @@
+// Column mapping and row validation for bulk scheme imports (CSV, JSON and XLSX files)
+
+// Scheme fields an import can fill, with the column headers recognised for each of them
+export const IMPORT_FIELDS = {
+  name: { aliases: ['name', 'schemename', 'scheme', 'nameofscheme', 'nameofthescheme', 'title'], required: true },
+  schemeId: { aliases: ['schemeid', 'schemecode', 'id', 'code'] },
+  ministry: { aliases: ['ministry', 'ministryname', 'nodalministry'] },
+  department: { aliases: ['department', 'departmentname', 'nodaldepartment', 'implementingdepartment', 'implementingagency'] },
+  description: { aliases: ['description', 'schemedescription', 'details', 'objective', 'about'] },
+  sector: { aliases: ['sector', 'category', 'schemecategory'] },
+  subCategory: { aliases: ['subcategory', 'subsector'] },
+  targetAudience: { aliases: ['targetaudience', 'beneficiarytype', 'beneficiaries', 'targetgroup', 'targetbeneficiaries'] },
+  level: { aliases: ['level', 'schemelevel', 'schemetype'], type: 'level' },
+  beneficiaryState: { aliases: ['state', 'beneficiarystate', 'stateut', 'states'] },
+  launchDate: { aliases: ['launchdate', 'dateoflaunch', 'launched', 'startdate'], type: 'date' },
+  budget: { aliases: ['budget', 'outlay', 'budgetoutlay', 'allocation'], type: 'number' },
+  officialWebsite: { aliases: ['officialwebsite', 'website', 'url', 'link', 'weblink'], type: 'url' },
+  sourceUrl: { aliases: ['sourceurl', 'sourcelink'], type: 'url' },
+  eligibility: { aliases: ['eligibility', 'eligibilitycriteria', 'whocanapply'] },
+  benefits: { aliases: ['benefits', 'benefit', 'assistance'] },
+  applicationProcess: { aliases: ['applicationprocess', 'howtoapply', 'application'] },
+  documentsRequired: { aliases: ['documentsrequired', 'documents', 'requireddocuments'], type: 'list' },
+  isActive: { aliases: ['isactive', 'active', 'status'], type: 'boolean' }
+};
+
+const ACTIVE_VALUES = new Set(['true', 'yes', 'y', '1', 'active', 'ongoing', 'open']);
+const INACTIVE_VALUES = new Set(['false', 'no', 'n', '0', 'inactive', 'closed', 'discontinued', 'ended']);
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Resolve which file column feeds which scheme field
+ * An explicit mapping ({ field: 'Column header' }) wins over headers recognised automatically
+ * Returns { mapping, unmappedColumns, errors }
+ */
+export function buildColumnMapping(headers, explicitMapping = {}) {
+  const mapping = {};
+  const errors = [];
+
+  for (const [field, column] of Object.entries(explicitMapping)) {
+    if (!IMPORT_FIELDS[field]) {
+      errors.push(`Unknown scheme field "${field}" in column mapping`);
+    } else if (!headers.includes(column)) {
+      errors.push(`Column "${column}" mapped to ${field} is not in the file`);
+    } else {
+      mapping[field] = column;
+    }
+  }
+
+  const usedColumns = new Set(Object.values(mapping));
+  for (const header of headers) {
+    if (usedColumns.has(header)) continue;
+
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(IMPORT_FIELDS).find(key => !mapping[key] && IMPORT_FIELDS[key].aliases.includes(normalized));
+    if (field) {
+      mapping[field] = header;
+      usedColumns.add(header);
+    }
+  }
+
+  for (const [field, definition] of Object.entries(IMPORT_FIELDS)) {
+    if (definition.required && !mapping[field]) {
+      errors.push(`No column mapped to required field "${field}"`);
+    }
+  }
+
+  return {
+    mapping,
+    unmappedColumns: headers.filter(header => !usedColumns.has(header)),
+    errors
+  };
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+// Convert a cell to the type of its scheme field, returning { value } or { error }
+function convertValue(field, rawValue) {
+  const type = IMPORT_FIELDS[field].type;
+  const text = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+
+  switch (type) {
+    case 'number': {
+      const value = typeof text === 'number' ? text : Number(String(text).replace(/[₹,\s]/g, ''));
+      return isNaN(value) ? { error: `${field} must be a number (got "${rawValue}")` } : { value };
+    }
+    case 'date': {
+      const value = text instanceof Date ? text : new Date(text);
+      return isNaN(value) ? { error: `${field} is not a valid date (got "${rawValue}")` } : { value };
+    }
+    case 'boolean': {
+      if (typeof text === 'boolean') return { value: text };
+      const normalized = String(text).toLowerCase();
+      if (ACTIVE_VALUES.has(normalized)) return { value: true };
+      if (INACTIVE_VALUES.has(normalized)) return { value: false };
+      return { error: `${field} must be yes/no or active/inactive (got "${rawValue}")` };
+    }
+    case 'list': {
+      const value = Array.isArray(text)
+        ? text.map(item => String(item).trim()).filter(Boolean)
+        : String(text).split(/[;|\n]/).map(item => item.trim()).filter(Boolean);
+      return { value };
+    }
+    case 'level': {
+      const normalized = String(text).toLowerCase();
+      if (normalized.startsWith('central') || normalized === 'centre' || normalized === 'center') return { value: 'Central' };
+      if (normalized.startsWith('state')) return { value: 'State' };
+      return { error: `level must be Central or State (got "${rawValue}")` };
+    }
+    case 'url': {
+      const value = String(text);
+      return /^https?:\/\/\S+$/i.test(value) ? { value } : { error: `${field} must be an http(s) URL (got "${rawValue}")` };
+    }
+    default:
+      return { value: typeof text === 'string' ? text : String(text) };
+  }
+}
+
+/**
+ * Turn one file row into scheme data using the column mapping
+ * Blank cells are left out so they never clear values already stored
+ * Returns { schemeData, errors }
+ */
+export function mapImportRow(row, mapping) {
+  const schemeData = {};
+  const errors = [];
+
+  for (const [field, column] of Object.entries(mapping)) {
+    const rawValue = row[column];
+    if (isBlank(rawValue)) {
+      if (IMPORT_FIELDS[field].required) errors.push(`${field} is required`);
+      continue;
+    }
+
+    const { value, error } = convertValue(field, rawValue);
+    if (error) {
+      errors.push(error);
+    } else {
+      schemeData[field] = value;
+    }
+  }
+
+  return { schemeData, errors };
+}
@@ -0,0 +1,224 @@
+// Scoring helpers used by entity resolution to decide whether two scheme records describe the same scheme
+
+// Common abbreviations found in scheme names, expanded before comparison
+const NAME_EXPANSIONS = {
+  pm: ['pradhan', 'mantri'],
+  cm: ['chief', 'minister'],
+  mukhyamantri: ['chief', 'minister'],
+  natl: ['national'],
+  govt: ['government'],
+  yojna: ['yojana']
+};
+
+// Words that carry no identifying meaning in a scheme name
+const NAME_STOPWORDS = new Set([
+  'the', 'of', 'for', 'and', 'a', 'an', 'to', 'in', 'on', 'under', 'scheme', 'schemes', 'programme', 'program'
+]);
+
+// Words ignored when comparing free text descriptions
+const TEXT_STOPWORDS = new Set([
+  ...NAME_STOPWORDS, 'is', 'are', 'be', 'by', 'with', 'as', 'at', 'or', 'this', 'that', 'it', 'its',
+  'from', 'which', 'will', 'who', 'all', 'any', 'their', 'has', 'have', 'was', 'were', 'such'
+]);
+
+// Ministry values that do not identify a specific ministry
+const GENERIC_MINISTRIES = new Set(['government of india', 'goi', 'central government', '']);
+
+// Weights of the individual signals in the combined score
+export const MATCH_WEIGHTS = {
+  name: 0.5,
+  ministry: 0.2,
+  description: 0.3
+};
+
+/**
+ * Split a scheme name into normalized, expanded tokens
+ */
+export function tokenizeSchemeName(name = '') {
+  const rawTokens = name
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .filter(Boolean);
+
+  const tokens = [];
+  for (const token of rawTokens) {
+    const expansion = NAME_EXPANSIONS[token] || [token];
+    for (const word of expansion) {
+      if (!NAME_STOPWORDS.has(word)) tokens.push(word);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Normalized form of a scheme name, used as a stable dedup key
+ */
+export function normalizeSchemeName(name = '') {
+  return tokenizeSchemeName(name).join(' ');
+}
+
+/**
+ * Acronym formed from the initials of a scheme name ("Pradhan Mantri Awas Yojana" -> "PMAY")
+ */
+export function buildAcronym(name = '') {
+  return name
+    .replace(/\(.*?\)/g, ' ')
+    .split(/[\s-]+/)
+    .map(word => word.replace(/[^A-Za-z]/g, ''))
+    .filter(word => word && !NAME_STOPWORDS.has(word.toLowerCase()))
+    .map(word => word[0].toUpperCase())
+    .join('');
+}
+
+/**
+ * Acronyms a name may be known by: an explicit one in brackets, an all-caps name, or a hyphenated short form
+ */
+export function extractAcronyms(name = '') {
+  const acronyms = new Set();
+
+  for (const match of name.matchAll(/\(([A-Z][A-Z0-9-]{1,14})\)/g)) {
+    acronyms.add(match[1].replace(/-/g, ''));
+  }
+
+  const compact = name.trim().replace(/[\s-]/g, '');
+  if (/^[A-Z0-9]{2,15}$/.test(compact)) {
+    acronyms.add(compact);
+  }
+
+  return acronyms;
+}
+
+function tokenSet(text = '', stopwords = TEXT_STOPWORDS) {
+  return new Set(
+    text
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2 && !stopwords.has(word))
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let intersection = 0;
+  for (const item of a) {
+    if (b.has(item)) intersection++;
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+// Share of the smaller set that is contained in the larger one
+function containment(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let contained = 0;
+  for (const item of small) {
+    if (large.has(item)) contained++;
+  }
+  return contained / small.size;
+}
+
+/**
+ * Similarity of two scheme names between 0 and 1, taking acronyms into account
+ */
+export function nameSimilarity(nameA = '', nameB = '') {
+  const tokensA = new Set(tokenizeSchemeName(nameA));
+  const tokensB = new Set(tokenizeSchemeName(nameB));
+
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+  if ([...tokensA].join(' ') === [...tokensB].join(' ')) return 1;
+
+  // A short name fully contained in a longer one ("PM-KISAN" in "Pradhan Mantri Kisan Samman Nidhi")
+  // counts for more than plain overlap, but only when it has enough tokens to be specific
+  const contained = containment(tokensA, tokensB);
+  const smallerSize = Math.min(tokensA.size, tokensB.size);
+  const containmentScore = smallerSize >= 2 ? contained * 0.9 : contained * 0.6;
+
+  let score = Math.max(jaccard(tokensA, tokensB), containmentScore);
+
+  const acronymsA = extractAcronyms(nameA);
+  const acronymsB = extractAcronyms(nameB);
+  if ((acronymsA.size > 0 && acronymsA.has(buildAcronym(nameB))) ||
+      (acronymsB.size > 0 && acronymsB.has(buildAcronym(nameA))) ||
+      [...acronymsA].some(acronym => acronymsB.has(acronym))) {
+    score = Math.max(score, 0.9);
+  }
+
+  return score;
+}
+
+/**
+ * Similarity of two ministry names, or null when either is missing or generic
+ */
+export function ministrySimilarity(ministryA = '', ministryB = '') {
+  const a = (ministryA || '').toLowerCase().trim();
+  const b = (ministryB || '').toLowerCase().trim();
+  if (GENERIC_MINISTRIES.has(a) || GENERIC_MINISTRIES.has(b)) return null;
+  if (a === b) return 1;
+
+  const stopwords = new Set([...TEXT_STOPWORDS, 'ministry', 'department']);
+  return jaccard(tokenSet(a, stopwords), tokenSet(b, stopwords));
+}
+
+/**
+ * Similarity of two descriptions, or null when either is too short to compare
+ */
+export function descriptionSimilarity(descriptionA = '', descriptionB = '') {
+  const a = tokenSet(descriptionA || '');
+  const b = tokenSet(descriptionB || '');
+  if (a.size < 3 || b.size < 3) return null;
+  return Math.max(jaccard(a, b), containment(a, b) * 0.8);
+}
+
+// Scheme IDs generated by scrapers at run time say nothing about identity
+function isStableSchemeId(schemeId) {
+  return Boolean(schemeId) && !/^(dbt|dbt-add|api|dom|direct_api|scraping|sync)[-_]/.test(schemeId);
+}
+
+/**
+ * Score how likely two scheme records describe the same scheme
+ * Returns { score, signals } where signals explains each component
+ */
+export function scoreSchemePair(a, b) {
+  const signals = {};
+
+  if (isStableSchemeId(a.schemeId) && a.schemeId === b.schemeId) {
+    signals.schemeId = 1;
+    return { score: 1, signals };
+  }
+
+  signals.name = Number(nameSimilarity(a.name, b.name).toFixed(3));
+
+  const ministry = ministrySimilarity(a.ministry, b.ministry);
+  const description = descriptionSimilarity(a.description, b.description);
+  if (ministry !== null) signals.ministry = Number(ministry.toFixed(3));
+  if (description !== null) signals.description = Number(description.toFixed(3));
+
+  // Missing signals are left out and the remaining weights rescaled
+  let weightedSum = MATCH_WEIGHTS.name * signals.name;
+  let totalWeight = MATCH_WEIGHTS.name;
+  for (const signal of ['ministry', 'description']) {
+    if (signals[signal] !== undefined) {
+      weightedSum += MATCH_WEIGHTS[signal] * signals[signal];
+      totalWeight += MATCH_WEIGHTS[signal];
+    }
+  }
+  let score = weightedSum / totalWeight;
+
+  // A similar but not identical name with no other evidence deserves review, never a blind merge
+  if (signals.name < 1 && signals.ministry === undefined && signals.description === undefined) {
+    score = Math.min(score, 0.8);
+  }
+
+  // The same scheme run by different states is a real variant, not a duplicate
+  const stateA = (a.beneficiaryState || '').toLowerCase().trim();
+  const stateB = (b.beneficiaryState || '').toLowerCase().trim();
+  if (stateA && stateB && stateA !== 'all' && stateB !== 'all' && stateA !== stateB) {
+    signals.stateConflict = true;
+    score *= 0.5;
+  }
+
+  return { score: Number(score.toFixed(3)), signals };
+}
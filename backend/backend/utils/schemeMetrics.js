@@ -0,0 +1,191 @@
+import { NATIONAL_STATE } from '../models/SchemeMetric.js';
+
+// Mapping of official scheme progress releases (CSV/XLSX rows) onto SchemeMetric records
+
+export const METRIC_FIELDS = ['beneficiaries', 'sanctioned', 'released', 'utilised'];
+export const AMOUNT_FIELDS = ['sanctioned', 'released', 'utilised'];
+
+export const AMOUNT_UNITS = {
+  rupees: 1,
+  lakh: 100000,
+  crore: 10000000
+};
+
+// Normalized column headers accepted for each field
+const COLUMN_ALIASES = {
+  schemeId: ['schemeid', 'schemecode', 'id'],
+  schemeName: ['scheme', 'schemename', 'name', 'nameofscheme', 'nameofthescheme'],
+  period: ['period', 'month', 'year', 'financialyear', 'fy', 'reportingperiod', 'reportingmonth'],
+  state: ['state', 'stateut', 'statename', 'stateutname', 'ut'],
+  beneficiaries: ['beneficiaries', 'noofbeneficiaries', 'numberofbeneficiaries', 'beneficiariescovered', 'totalbeneficiaries'],
+  sanctioned: ['sanctioned', 'amountsanctioned', 'fundssanctioned', 'allocation', 'budgetallocation', 'budgetallocated', 'budgetestimate'],
+  released: ['released', 'amountreleased', 'fundsreleased', 'release', 'centralrelease'],
+  utilised: ['utilised', 'utilized', 'amountutilised', 'amountutilized', 'fundsutilised', 'fundsutilized', 'expenditure', 'spent']
+};
+
+// State column values that mean a national total
+const NATIONAL_ALIASES = new Set(['', 'all india', 'india', 'total', 'grand total', 'all states', 'national']);
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function normalizeHeader(header) {
+  return header
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/\b(rs|inr|in|crores?|cr|lakhs?|lacs?)\b/g, ' ')
+    .replace(/[^a-z]/g, '');
+}
+
+// Amount unit a header declares itself, e.g. "Funds Released (₹ crore)"
+function headerUnit(header) {
+  if (/\b(crores?|cr)\b/i.test(header)) return 'crore';
+  if (/\b(lakhs?|lacs?)\b/i.test(header)) return 'lakh';
+  return null;
+}
+
+/**
+ * Work out which column of the file holds which field, and the amount unit of each amount column
+ */
+export function resolveMetricColumns(headers) {
+  const columns = {};
+  const units = {};
+
+  for (const header of headers) {
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(normalized));
+    if (field && !columns[field]) {
+      columns[field] = header;
+      if (AMOUNT_FIELDS.includes(field)) units[field] = headerUnit(header);
+    }
+  }
+
+  return { columns, units };
+}
+
+function monthPeriod(year, monthIndex) {
+  return {
+    period: `${year}-${String(monthIndex + 1).padStart(2, '0')}`,
+    periodType: 'month',
+    periodStart: new Date(Date.UTC(year, monthIndex, 1)),
+    periodEnd: new Date(Date.UTC(year, monthIndex + 1, 0))
+  };
+}
+
+function financialYearPeriod(startYear) {
+  return {
+    period: `FY${startYear}-${String(startYear + 1).slice(-2)}`,
+    periodType: 'financial-year',
+    periodStart: new Date(Date.UTC(startYear, 3, 1)),
+    periodEnd: new Date(Date.UTC(startYear + 1, 2, 31))
+  };
+}
+
+function yearPeriod(year) {
+  return {
+    period: String(year),
+    periodType: 'year',
+    periodStart: new Date(Date.UTC(year, 0, 1)),
+    periodEnd: new Date(Date.UTC(year, 11, 31))
+  };
+}
+
+/**
+ * Parse a reporting period: "2023-04", "Apr 2023", "FY 2023-24", "2023-24" or "2023"
+ * Returns { period, periodType, periodStart, periodEnd } or null when it cannot be understood
+ */
+export function parsePeriod(value) {
+  if (value instanceof Date && !isNaN(value)) {
+    return monthPeriod(value.getUTCFullYear(), value.getUTCMonth());
+  }
+
+  const text = String(value ?? '').trim();
+
+  const financialYear = text.match(/^(?:FY\s*)?(\d{4})\s*[-–/]\s*(\d{2}|\d{4})$/i);
+  if (financialYear) {
+    const startYear = parseInt(financialYear[1]);
+    const endYear = parseInt(financialYear[2].length === 2 ? financialYear[1].slice(0, 2) + financialYear[2] : financialYear[2]);
+    if (endYear === startYear + 1) return financialYearPeriod(startYear);
+  }
+
+  const isoMonth = text.match(/^(\d{4})-(\d{1,2})(?:-\d{1,2})?$/);
+  if (isoMonth) {
+    const monthIndex = parseInt(isoMonth[2]) - 1;
+    if (monthIndex >= 0 && monthIndex < 12) return monthPeriod(parseInt(isoMonth[1]), monthIndex);
+  }
+
+  const namedMonth = text.match(/^([A-Za-z]{3,9})[\s\-',]+(\d{2}|\d{4})$/);
+  if (namedMonth) {
+    const monthIndex = MONTHS.indexOf(namedMonth[1].slice(0, 3).toLowerCase());
+    const year = parseInt(namedMonth[2].length === 2 ? `20${namedMonth[2]}` : namedMonth[2]);
+    if (monthIndex !== -1) return monthPeriod(year, monthIndex);
+  }
+
+  if (/^\d{4}$/.test(text)) {
+    return yearPeriod(parseInt(text));
+  }
+
+  return null;
+}
+
+/**
+ * Parse a number from a release cell ("1,23,456.78", "-", "NA")
+ * Returns undefined for blank cells and NaN for values that are not numbers
+ */
+export function parseMetricNumber(value) {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === 'number') return value;
+
+  const text = String(value).trim();
+  if (['', '-', '–', 'na', 'n/a', 'nil'].includes(text.toLowerCase())) return undefined;
+
+  return Number(text.replace(/[₹,\s]/g, '').replace(/^rs\.?/i, ''));
+}
+
+function normalizeState(value) {
+  const state = String(value ?? '').trim().replace(/\s+/g, ' ');
+  return NATIONAL_ALIASES.has(state.toLowerCase()) ? NATIONAL_STATE : state;
+}
+
+/**
+ * Map one row of a release onto metric fields
+ * Returns { record } on success or { error } describing why the row was skipped
+ */
+export function mapMetricRow(row, { columns, units }, defaultUnit = 'crore') {
+  const schemeId = columns.schemeId ? String(row[columns.schemeId] ?? '').trim() : '';
+  const schemeName = columns.schemeName ? String(row[columns.schemeName] ?? '').trim() : '';
+  if (!schemeId && !schemeName) {
+    return { error: 'Missing scheme name or ID' };
+  }
+
+  const period = parsePeriod(columns.period ? row[columns.period] : undefined);
+  if (!period) {
+    return { error: `Unrecognised period "${columns.period ? row[columns.period] ?? '' : ''}"` };
+  }
+
+  const record = {
+    schemeId,
+    schemeName,
+    ...period,
+    state: normalizeState(columns.state ? row[columns.state] : '')
+  };
+
+  for (const field of METRIC_FIELDS) {
+    if (!columns[field]) continue;
+
+    const value = parseMetricNumber(row[columns[field]]);
+    if (value === undefined) continue;
+    if (isNaN(value) || value < 0) {
+      return { error: `Invalid ${field} value "${row[columns[field]]}"` };
+    }
+
+    record[field] = AMOUNT_FIELDS.includes(field)
+      ? Math.round(value * AMOUNT_UNITS[units[field] || defaultUnit])
+      : Math.round(value);
+  }
+
+  if (!METRIC_FIELDS.some(field => record[field] !== undefined)) {
+    return { error: 'Row has no metric values' };
+  }
+
+  return { record };
+}
@@ -0,0 +1,215 @@
+// Data quality score of a scheme record: a 0-100 weighted sum of five components, each between 0 and 1
+
+export const QUALITY_WEIGHTS = {
+  completeness: 0.35,
+  freshness: 0.2,
+  sourceReliability: 0.15,
+  links: 0.15,
+  consistency: 0.15
+};
+
+// Fields counted for completeness, with how much each one matters
+const COMPLETENESS_FIELDS = {
+  description: 2,
+  ministry: 2,
+  eligibility: 2,
+  benefits: 2,
+  applicationProcess: 1,
+  documentsRequired: 1,
+  sector: 1,
+  targetAudience: 1,
+  officialWebsite: 1,
+  level: 0.5,
+  launchDate: 0.5,
+  schemeId: 0.5
+};
+
+// How far each source's values are trusted; unknown sources get DEFAULT_RELIABILITY
+export const SOURCE_RELIABILITY = {
+  manual: 1,
+  import: 0.9,
+  api: 0.9,
+  'bulk-api': 0.9,
+  'simple-bulk-api': 0.9,
+  'simple-bulk-search': 0.9,
+  'aggressive-api': 0.9,
+  'smart-pagination': 0.9,
+  'direct-pagination': 0.9,
+  individual_page: 0.85,
+  'dbt-bharat': 0.7,
+  'india-gov': 0.6,
+  dom: 0.6,
+  mygov: 0.5,
+  'digital-india': 0.5,
+  extracted: 0.5,
+  sample: 0.2
+};
+const DEFAULT_RELIABILITY = 0.5;
+
+// A source whose latest run drifted or degraded is trusted less until it recovers
+const HEALTH_FACTORS = { healthy: 1, degraded: 0.85, drift: 0.7 };
+
+const FRESH_DAYS = 7; // Seen this recently counts as fully fresh
+const STALE_DAYS = 180; // Not seen for this long counts as not fresh at all
+
+// Fields compared between a canonical scheme and the records merged into it
+const CONSISTENCY_FIELDS = ['ministry', 'level', 'launchDate', 'officialWebsite'];
+
+// URL fields whose links are checked
+export const LINK_FIELDS = ['officialWebsite', 'sourceUrl', 'detailUrl'];
+
+export const QUALITY_BANDS = [
+  { band: 'good', min: 75 },
+  { band: 'fair', min: 50 },
+  { band: 'poor', min: 0 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isFilled(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim().length > 0;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Comparable form of a value, so that formatting differences between sources are not counted as conflicts
+function comparable(field, value) {
+  if (!isFilled(value)) return null;
+  if (field === 'launchDate') {
+    const year = new Date(value).getFullYear();
+    return Number.isNaN(year) ? null : year;
+  }
+  if (field === 'officialWebsite') {
+    try {
+      return new URL(value).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return String(value).trim().toLowerCase();
+    }
+  }
+  return String(value)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export function qualityBand(score) {
+  return QUALITY_BANDS.find(({ min }) => score >= min).band;
+}
+
+export function scoreCompleteness(scheme) {
+  const entries = Object.entries(COMPLETENESS_FIELDS);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  const missing = entries.filter(([field]) => !isFilled(scheme[field])).map(([field]) => field);
+  const filled = entries.reduce((sum, [field, weight]) => sum + (missing.includes(field) ? 0 : weight), 0);
+  return { score: filled / total, missing };
+}
+
+// Full marks up to FRESH_DAYS since the record was last seen at its source, falling linearly to 0 at STALE_DAYS
+export function scoreFreshness(scheme, now = new Date()) {
+  const seenAt = scheme.scrapedAt || scheme.updatedAt || scheme.createdAt;
+  if (!seenAt) return { score: 0, ageDays: null };
+
+  const ageDays = Math.max(0, (now - new Date(seenAt)) / DAY_MS);
+  const score = ageDays <= FRESH_DAYS ? 1 : Math.max(0, 1 - (ageDays - FRESH_DAYS) / (STALE_DAYS - FRESH_DAYS));
+  return { score, ageDays: Math.round(ageDays) };
+}
+
+export function scoreSourceReliability(scheme, sourceHealth = {}) {
+  const base = SOURCE_RELIABILITY[scheme.source] ?? DEFAULT_RELIABILITY;
+  const health = sourceHealth[scheme.source];
+  return { score: base * (HEALTH_FACTORS[health] ?? 1), health: health || null };
+}
+
+// linkChecks: [{ url, ok }] of the scheme's links; no checked links is no evidence of a broken one
+export function scoreLinks(linkChecks = []) {
+  const broken = linkChecks.filter(check => check.ok === false).map(check => check.url);
+  const checked = linkChecks.filter(check => typeof check.ok === 'boolean').length;
+  return { score: checked === 0 ? 1 : 1 - broken.length / checked, broken };
+}
+
+// Values of the canonical scheme that a merged record of another source contradicts
+export function findConflicts(scheme, mergedRecords = []) {
+  const conflicts = [];
+
+  for (const field of CONSISTENCY_FIELDS) {
+    const own = comparable(field, scheme[field]);
+    if (own === null) continue;
+
+    const others = mergedRecords
+      .filter(record => {
+        const value = comparable(field, record[field]);
+        return value !== null && value !== own;
+      })
+      .map(record => ({ source: record.source, value: record[field] }));
+
+    if (others.length > 0) {
+      conflicts.push({ field, value: scheme[field], others });
+    }
+  }
+
+  return conflicts;
+}
+
+export function scoreConsistency(scheme, mergedRecords = []) {
+  const conflicts = findConflicts(scheme, mergedRecords);
+  const compared = CONSISTENCY_FIELDS.filter(field => (
+    comparable(field, scheme[field]) !== null && mergedRecords.some(record => comparable(field, record[field]) !== null)
+  )).length;
+  return { score: compared === 0 ? 1 : 1 - conflicts.length / compared, conflicts };
+}
+
+/**
+ * Score a scheme record
+ * context: { mergedRecords, linkChecks, sourceHealth: { source: 'healthy' | 'degraded' | 'drift' }, now }
+ * Returns { score, band, components, issues } in the shape stored on Scheme.quality
+ */
+export function scoreScheme(scheme, { mergedRecords = [], linkChecks = [], sourceHealth = {}, now = new Date() } = {}) {
+  const completeness = scoreCompleteness(scheme);
+  const freshness = scoreFreshness(scheme, now);
+  const sourceReliability = scoreSourceReliability(scheme, sourceHealth);
+  const links = scoreLinks(linkChecks);
+  const consistency = scoreConsistency(scheme, mergedRecords);
+
+  const components = {
+    completeness: round(completeness.score),
+    freshness: round(freshness.score),
+    sourceReliability: round(sourceReliability.score),
+    links: round(links.score),
+    consistency: round(consistency.score)
+  };
+  const score = Math.round(
+    Object.entries(QUALITY_WEIGHTS).reduce((sum, [component, weight]) => sum + components[component] * weight, 0) * 100
+  );
+
+  const issues = [];
+  if (completeness.missing.length > 0) {
+    issues.push({ type: 'missing-fields', fields: completeness.missing, message: `Missing ${completeness.missing.join(', ')}` });
+  }
+  if (freshness.score < 1) {
+    issues.push({
+      type: 'stale',
+      message: freshness.ageDays === null ? 'Never seen at a source' : `Not seen at its source for ${freshness.ageDays} days`
+    });
+  }
+  if (sourceReliability.health && sourceReliability.health !== 'healthy') {
+    issues.push({ type: 'unhealthy-source', message: `Latest run of source ${scheme.source} was ${sourceReliability.health === 'drift' ? 'drifted' : 'degraded'}` });
+  }
+  if (links.broken.length > 0) {
+    issues.push({ type: 'broken-links', urls: links.broken, message: `${links.broken.length} broken link${links.broken.length === 1 ? '' : 's'}` });
+  }
+  for (const conflict of consistency.conflicts) {
+    issues.push({
+      type: 'conflict',
+      fields: [conflict.field],
+      message: `${conflict.field} differs from ${conflict.others.map(other => other.source).join(', ')}`
+    });
+  }
+
+  return { score, band: qualityBand(score), components, issues };
+}
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import Scheme from '../models/Scheme.js';
+import schemeQualityService from '../services/schemeQualityService.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -162,6 +163,22 @@ async function generateSchemeDatabaseSummary() {
       console.log('');
     }
 
+    // Stored quality scores, see GET /api/quality/summary
+    const quality = await schemeQualityService.getSummary();
+    console.log('📏 QUALITY SCORES:');
+    if (quality.scored === 0) {
+      console.log('   No schemes scored yet (runs daily as the "Quality scoring" schedule)');
+    } else {
+      console.log(`   Average score: ${quality.averageScore}/100 over ${quality.scored} schemes (${quality.unscored} unscored)`);
+      quality.bands.forEach(({ band, min, count }) => {
+        console.log(`   ${band} (${min}+): ${count} schemes`);
+      });
+      quality.issues.slice(0, 5).forEach(({ type, schemes }) => {
+        console.log(`   Issue ${type}: ${schemes} schemes`);
+      });
+    }
+    console.log('');
+
     // Success metrics
     console.log('🎯 SUCCESS METRICS:');
     console.log(`   ✅ Successfully diversified data sources beyond MyScheme.gov.in`);
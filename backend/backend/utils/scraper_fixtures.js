@@ -0,0 +1,153 @@
+import { readdir } from 'fs/promises';
+import { join } from 'path';
+import SourceRunner from '../scraper/sourceRunner.js';
+import { getSourceAdapter, listSourceAdapters } from '../scraper/sourceRegistry.js';
+import {
+  FIXTURES_DIR,
+  fixturePaths,
+  toGoldenSchemes,
+  readGolden,
+  writeGolden,
+  compareWithGolden
+} from '../scraper/fixtures.js';
+
+const DEFAULT_MAX_TARGETS = 5; // Keeps captures small; pass --max-targets=0 to record every target
+
+/**
+ * Run a source against the live portal, capturing every response to a HAR file
+ * and the extracted schemes to a golden file next to it. Nothing is saved to the database
+ */
+export async function recordFixture(source, { name = 'default', maxTargets = DEFAULT_MAX_TARGETS, adapterOptions = {} } = {}) {
+  const paths = fixturePaths(source, name);
+  const runner = new SourceRunner({ notifyProgress: false });
+
+  try {
+    const { schemes, stats } = await runner.run(source, {
+      saveToDb: false,
+      maxTargets: maxTargets || undefined,
+      adapterOptions,
+      har: { path: paths.har, mode: 'record' }
+    });
+
+    await writeGolden(paths.golden, {
+      source,
+      name,
+      recordedAt: new Date().toISOString(),
+      options: { maxTargets, adapterOptions },
+      stats: { targets: stats.targets, fetched: stats.fetched, failed: stats.failed },
+      schemes: toGoldenSchemes(schemes)
+    });
+
+    console.log(`💾 ${schemes.length} schemes captured to ${paths.golden}`);
+    return { paths, stats };
+  } finally {
+    await runner.close();
+  }
+}
+
+/**
+ * Run a source offline from its captured responses and compare the output with the golden file
+ * With updateGolden the golden file is rewritten from the replay instead, after an intended parser change
+ */
+export async function replayFixture(source, { name = 'default', updateGolden = false } = {}) {
+  const paths = fixturePaths(source, name);
+  const golden = await readGolden(paths.golden);
+  const adapter = getSourceAdapter(source);
+  const runner = new SourceRunner({ notifyProgress: false });
+
+  try {
+    const { schemes } = await runner.run(source, {
+      saveToDb: false,
+      delayMs: 0,
+      maxTargets: golden.options?.maxTargets || undefined,
+      adapterOptions: golden.options?.adapterOptions || {},
+      har: { path: paths.har, mode: 'replay' }
+    });
+
+    const actual = toGoldenSchemes(schemes);
+
+    if (updateGolden) {
+      await writeGolden(paths.golden, { ...golden, schemes: actual });
+      console.log(`💾 Golden file updated with ${actual.length} schemes`);
+      return { source, name, matches: true, updated: true };
+    }
+
+    const diff = compareWithGolden(golden.schemes, actual, scheme => adapter.dedupKey(scheme));
+    return { source, name, ...diff };
+  } finally {
+    await runner.close();
+  }
+}
+
+// Every captured fixture as { source, name }
+async function listFixtures() {
+  const fixtures = [];
+  const sources = await readdir(FIXTURES_DIR).catch(() => []);
+
+  for (const source of sources) {
+    for (const file of await readdir(join(FIXTURES_DIR, source))) {
+      if (file.endsWith('.golden.json')) {
+        fixtures.push({ source, name: file.slice(0, -'.golden.json'.length) });
+      }
+    }
+  }
+  return fixtures;
+}
+
+function printDiff(result) {
+  if (result.matches) {
+    console.log(`✅ ${result.source}/${result.name}: output matches the golden file`);
+    return;
+  }
+
+  console.log(`❌ ${result.source}/${result.name}: output differs from the golden file`);
+  for (const key of result.added) console.log(`   + ${key}`);
+  for (const key of result.removed) console.log(`   - ${key}`);
+  for (const { key, fields } of result.changed) {
+    console.log(`   ~ ${key}`);
+    for (const { field, expected, actual } of fields) {
+      console.log(`       ${field}: ${JSON.stringify(expected)} -> ${JSON.stringify(actual)}`);
+    }
+  }
+}
+
+function readFlag(args, flag) {
+  const arg = args.find(a => a.startsWith(`--${flag}=`));
+  return arg ? arg.slice(flag.length + 3) : undefined;
+}
+
+// Usage: node utils/scraper_fixtures.js record <source> [--name=default] [--max-targets=5]
+//        node utils/scraper_fixtures.js replay <source> [--name=default] [--update-golden]
+//        node utils/scraper_fixtures.js replay --all
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [command, ...args] = process.argv.slice(2);
+  const source = args.find(arg => !arg.startsWith('--'));
+  const name = readFlag(args, 'name');
+
+  const main = async () => {
+    if (command === 'record' && source) {
+      const maxTargets = readFlag(args, 'max-targets');
+      await recordFixture(source, { name, maxTargets: maxTargets === undefined ? DEFAULT_MAX_TARGETS : Number(maxTargets) });
+    } else if (command === 'replay' && (source || args.includes('--all'))) {
+      const fixtures = source ? [{ source, name }] : await listFixtures();
+      if (fixtures.length === 0) {
+        console.log(`No fixtures found in ${FIXTURES_DIR}`);
+      }
+
+      for (const fixture of fixtures) {
+        const result = await replayFixture(fixture.source, { name: fixture.name, updateGolden: args.includes('--update-golden') });
+        printDiff(result);
+        if (!result.matches) process.exitCode = 1;
+      }
+    } else {
+      console.log('Usage: node utils/scraper_fixtures.js record|replay <source> [--name=default] [--max-targets=5] [--update-golden]');
+      console.log('       node utils/scraper_fixtures.js replay --all');
+      console.log(`Sources: ${listSourceAdapters().map(adapter => adapter.source).join(', ')}`);
+    }
+  };
+
+  main().catch(error => {
+    console.error('❌ Fixture run failed:', error.message);
+    process.exitCode = 1;
+  });
+}
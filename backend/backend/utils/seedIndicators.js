@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import indicatorCatalog from '../services/indicatorCatalog.js';
+import derivedIndicators from '../services/derivedIndicators.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sarkari_pulse';
+
+/**
+ * Seed the World Bank indicator catalog and copy every definition's categories, names and units onto
+ * the data points already stored for it (older data points carry only the category fetched last),
+ * then compute the derived indicators from the stored data
+ */
+async function seedIndicators() {
+  try {
+    console.log('📚 Seeding indicator catalog...');
+
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const { inserted } = await indicatorCatalog.seed();
+    console.log(`📝 Added ${inserted} indicators`);
+
+    const definitions = await indicatorCatalog.list({ includeDisabled: true });
+    let updatedCount = 0;
+    for (const definition of definitions) {
+      updatedCount += await indicatorCatalog.applyToStoredData(definition);
+    }
+
+    const derived = await derivedIndicators.refreshStale();
+
+    console.log('');
+    console.log('🎉 Indicator catalog seeding completed');
+    console.log(`   📊 Indicators in catalog: ${definitions.length}`);
+    console.log(`   🔄 Data points updated: ${updatedCount}`);
+    console.log(`   🧮 Derived values computed: ${derived.records} (${derived.computed} indicators)`);
+
+  } catch (error) {
+    console.error('❌ Indicator seeding failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.disconnect();
+      console.log('🔌 MongoDB disconnected');
+    }
+  }
+}
+
+seedIndicators();
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Scheme from '../models/Scheme.js';
+import ministryRegistry from '../services/ministryRegistry.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sarkari_pulse';
+
+// Same comparison for ObjectIds, strings and missing values
+function sameValue(a, b) {
+  return String(a ?? '') === String(b ?? '');
+}
+
+/**
+ * Seed the ministry registry and re-normalize the ministry and department of every stored scheme
+ * Run again after adding aliases through the API to pick up schemes that were unmatched before
+ */
+async function seedMinistries() {
+  try {
+    console.log('🏛️ Seeding ministry registry...');
+
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const { inserted } = await ministryRegistry.seed();
+    console.log(`📝 Added ${inserted} registry entries`);
+
+    let updatedCount = 0;
+    let unmatchedCount = 0;
+
+    const cursor = Scheme.find()
+      .select('ministry department ministryRef departmentRef')
+      .lean()
+      .cursor();
+
+    for await (const scheme of cursor) {
+      const data = await ministryRegistry.normalizeSchemeData({
+        ministry: scheme.ministry,
+        department: scheme.department
+      });
+
+      const $set = {};
+      const $unset = {};
+      for (const field of ['ministry', 'department', 'ministryRef', 'departmentRef']) {
+        if (field in data) {
+          if (!sameValue(scheme[field], data[field])) $set[field] = data[field];
+        } else if (scheme[field] !== undefined && scheme[field] !== null) {
+          // Generic placeholders such as "Government of India" are not kept
+          $unset[field] = '';
+        }
+      }
+
+      if (data.ministry && !data.ministryRef) unmatchedCount++;
+
+      if (Object.keys($set).length > 0 || Object.keys($unset).length > 0) {
+        // Values are already normalized, so the raw collection skips the update hooks
+        const update = {};
+        if (Object.keys($set).length > 0) update.$set = $set;
+        if (Object.keys($unset).length > 0) update.$unset = $unset;
+        await Scheme.collection.updateOne({ _id: scheme._id }, update);
+        updatedCount++;
+      }
+    }
+
+    console.log('');
+    console.log('🎉 Ministry normalization completed');
+    console.log(`   🔄 Schemes updated: ${updatedCount}`);
+    console.log(`   ❓ Schemes with an unmatched ministry: ${unmatchedCount}`);
+    if (unmatchedCount > 0) {
+      console.log('   ℹ️ See GET /api/ministries/unmatched and add the missing names as aliases');
+    }
+
+  } catch (error) {
+    console.error('❌ Ministry seeding failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.disconnect();
+      console.log('🔌 MongoDB disconnected');
+    }
+  }
+}
+
+seedMinistries();
@@ -0,0 +1,148 @@
+import ExcelJS from 'exceljs';
+
+// Reading of uploaded CSV, XLSX and JSON files into plain row objects keyed by column header, and CSV output for reports
+
+export const TABULAR_FORMATS = ['csv', 'xlsx', 'json'];
+
+/**
+ * Guess the file format from a file name or content type
+ */
+export function detectTabularFormat(fileNameOrType = '') {
+  const value = fileNameOrType.toLowerCase();
+  if (value.endsWith('.xlsx') || value.includes('spreadsheetml')) return 'xlsx';
+  if (value.endsWith('.csv') || value.includes('text/csv')) return 'csv';
+  if (value.endsWith('.json') || value.includes('application/json')) return 'json';
+  return null;
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells with commas, quotes and line breaks
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^﻿/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+function rowsToObjects(rows) {
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(header => String(header ?? '').trim());
+  return rows.slice(1).map(cells => {
+    const record = {};
+    headers.forEach((header, index) => {
+      if (!header) return;
+      const value = cells[index];
+      record[header] = typeof value === 'string' ? value.trim() : value;
+    });
+    return record;
+  });
+}
+
+// Plain value of an ExcelJS cell (formula results, rich text and hyperlinks included)
+function excelCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value !== 'object') return value;
+  if ('result' in value) return excelCellValue(value.result);
+  if ('richText' in value) return value.richText.map(part => part.text).join('');
+  if ('text' in value) return value.text;
+  return '';
+}
+
+async function parseXlsx(buffer, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+  if (!worksheet) {
+    throw new Error(sheetName ? `Worksheet "${sheetName}" not found` : 'Workbook has no worksheets');
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let column = 1; column <= worksheet.columnCount; column++) {
+      cells.push(excelCellValue(row.getCell(column).value));
+    }
+    rows.push(cells);
+  });
+
+  return rowsToObjects(rows);
+}
+
+function parseJson(text) {
+  const parsed = JSON.parse(text);
+  const records = Array.isArray(parsed) ? parsed : parsed.data;
+  if (!Array.isArray(records)) {
+    throw new Error('JSON file must contain an array of records or a { data: [...] } object');
+  }
+  return records;
+}
+
+/**
+ * Read a CSV, XLSX or JSON file into an array of row objects keyed by column header
+ */
+export async function readTabularFile(buffer, format, { sheetName } = {}) {
+  switch (format) {
+    case 'csv':
+      return rowsToObjects(parseCsv(buffer.toString('utf8')));
+    case 'xlsx':
+      return parseXlsx(buffer, sheetName);
+    case 'json':
+      return parseJson(buffer.toString('utf8'));
+    default:
+      throw new Error(`Unsupported file format "${format}" (expected one of: ${TABULAR_FORMATS.join(', ')})`);
+  }
+}
+
+function escapeCsvCell(value) {
+  const text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write a header row and value rows as CSV text
+ */
+export function toCsv(headers, rows) {
+  return [headers, ...rows]
+    .map(cells => cells.map(escapeCsvCell).join(','))
+    .join('\r\n');
+}
@@ -0,0 +1,68 @@
+// Initial contents of the World Bank indicator catalog: the WDI series fetched before the catalog was editable.
+// subcategory is the short name the API accepts in place of the code (/api/worldbank/gdp, ?indicators=gdp)
+
+export const INDICATOR_SEED = [
+  // Economy
+  { code: 'NY.GDP.MKTP.CD', name: 'GDP (current US$)', subcategory: 'gdp', categories: ['economy'], unit: 'current US$' },
+  { code: 'NY.GDP.PCAP.CD', name: 'GDP per capita (current US$)', subcategory: 'gdp-per-capita', categories: ['economy'], unit: 'current US$' },
+  { code: 'FP.CPI.TOTL.ZG', name: 'Inflation, consumer prices (annual %)', subcategory: 'inflation', categories: ['economy'], unit: '%' },
+  { code: 'BX.KLT.DINV.CD.WD', name: 'Foreign direct investment, net inflows (BoP, current US$)', subcategory: 'fdi', categories: ['economy'], unit: 'current US$' },
+  { code: 'NE.TRD.GNFS.ZS', name: 'Trade (% of GDP)', subcategory: 'trade', categories: ['economy'], unit: '% of GDP' },
+  { code: 'BN.CAB.XOKA.CD', name: 'Current account balance (BoP, current US$)', subcategory: 'trade-balance', categories: ['economy'], unit: 'current US$' },
+  { code: 'FR.INR.RINR', name: 'Real interest rate (%)', subcategory: 'interest-rate', categories: ['economy'], unit: '%' },
+  { code: 'GC.DOD.TOTL.GD.ZS', name: 'Central government debt, total (% of GDP)', subcategory: 'debt', categories: ['economy'], unit: '% of GDP' },
+
+  // Business
+  { code: 'IC.BUS.EASE.XQ', name: 'Ease of doing business score', subcategory: 'ease-of-business', categories: ['business'], unit: 'score' },
+  { code: 'IC.REG.DURS', name: 'Time required to start a business (days)', subcategory: 'business-registration', categories: ['business'], unit: 'days' },
+  { code: 'IC.TAX.TOTL.CP.ZS', name: 'Total tax and contribution rate (% of profit)', subcategory: 'tax-rate', categories: ['business'], unit: '% of profit' },
+  { code: 'IC.CRD.INFO.XQ', name: 'Depth of credit information index', subcategory: 'credit-info', categories: ['business'], unit: 'index' },
+  { code: 'IC.LGL.CRED.XQ', name: 'Strength of legal rights index', subcategory: 'legal-rights', categories: ['business'], unit: 'index' },
+
+  // Social
+  { code: 'SP.POP.TOTL', name: 'Population, total', subcategory: 'population', categories: ['social'], unit: 'people' },
+  { code: 'SP.POP.GROW', name: 'Population growth (annual %)', subcategory: 'population-growth', categories: ['social'], unit: '%' },
+  { code: 'SL.UEM.TOTL.ZS', name: 'Unemployment, total (% of total labor force)', subcategory: 'unemployment', categories: ['social'], unit: '%' },
+  { code: 'SI.POV.GINI', name: 'Gini index', subcategory: 'inequality', categories: ['social'], unit: 'index' },
+  { code: 'SP.URB.TOTL.IN.ZS', name: 'Urban population (% of total population)', subcategory: 'urbanization', categories: ['social'], unit: '%' },
+  { code: 'SP.DYN.LE00.IN', name: 'Life expectancy at birth, total (years)', subcategory: 'life-expectancy', categories: ['social', 'health'], unit: 'years' },
+
+  // Environment
+  { code: 'EN.ATM.CO2E.PC', name: 'CO2 emissions (metric tons per capita)', subcategory: 'co2-emissions', categories: ['environment'], unit: 'metric tons per capita' },
+  { code: 'EG.USE.PCAP.KG.OE', name: 'Energy use (kg of oil equivalent per capita)', subcategory: 'energy-use', categories: ['environment'], unit: 'kg of oil equivalent per capita' },
+  { code: 'AG.LND.FRST.ZS', name: 'Forest area (% of land area)', subcategory: 'forest-area', categories: ['environment'], unit: '% of land area' },
+  { code: 'ER.H2O.FWTL.ZS', name: 'Annual freshwater withdrawals, total (% of internal resources)', subcategory: 'water-use', categories: ['environment'], unit: '%' },
+  { code: 'EN.ATM.PM25.MC.M3', name: 'PM2.5 air pollution, mean annual exposure', subcategory: 'air-pollution', categories: ['environment'], unit: 'micrograms per cubic meter' },
+
+  // Health
+  { code: 'SP.DYN.IMRT.IN', name: 'Mortality rate, infant (per 1,000 live births)', subcategory: 'infant-mortality', categories: ['health'], unit: 'per 1,000 live births' },
+  { code: 'SH.STA.MMRT', name: 'Maternal mortality ratio', subcategory: 'maternal-mortality', categories: ['health'], unit: 'per 100,000 live births' },
+  { code: 'SH.XPD.CHEX.GD.ZS', name: 'Current health expenditure (% of GDP)', subcategory: 'health-expenditure', categories: ['health'], unit: '% of GDP' },
+  { code: 'SH.MED.PHYS.ZS', name: 'Physicians (per 1,000 people)', subcategory: 'physicians', categories: ['health'], unit: 'per 1,000 people' },
+  { code: 'SH.IMM.MEAS', name: 'Immunization, measles (% of children ages 12-23 months)', subcategory: 'immunization', categories: ['health'], unit: '%' },
+
+  // Education
+  { code: 'SE.ADT.LITR.ZS', name: 'Literacy rate, adult total (% of people ages 15 and above)', subcategory: 'literacy', categories: ['education'], unit: '%' },
+  { code: 'SE.PRM.NENR', name: 'School enrollment, primary (% net)', subcategory: 'primary-enrollment', categories: ['education'], unit: '%' },
+  { code: 'SE.SEC.NENR', name: 'School enrollment, secondary (% net)', subcategory: 'secondary-enrollment', categories: ['education'], unit: '%' },
+  { code: 'SE.TER.ENRR', name: 'School enrollment, tertiary (% gross)', subcategory: 'tertiary-enrollment', categories: ['education'], unit: '%' },
+  { code: 'SE.XPD.TOTL.GD.ZS', name: 'Government expenditure on education, total (% of GDP)', subcategory: 'education-expenditure', categories: ['education'], unit: '% of GDP' },
+
+  // Infrastructure
+  { code: 'IT.NET.USER.ZS', name: 'Individuals using the Internet (% of population)', subcategory: 'internet-users', categories: ['infrastructure'], unit: '%' },
+  { code: 'IT.CEL.SETS.P2', name: 'Mobile cellular subscriptions (per 100 people)', subcategory: 'mobile-subscriptions', categories: ['infrastructure'], unit: 'per 100 people' },
+  { code: 'EG.ELC.ACCS.ZS', name: 'Access to electricity (% of population)', subcategory: 'electricity-access', categories: ['infrastructure'], unit: '%' },
+  { code: 'SH.H2O.BASW.ZS', name: 'People using at least basic drinking water services (% of population)', subcategory: 'water-access', categories: ['infrastructure'], unit: '%' },
+  { code: 'IS.ROD.PAVE.ZS', name: 'Roads, paved (% of total roads)', subcategory: 'paved-roads', categories: ['infrastructure'], unit: '%' }
+];
+
+// Derived indicators computed from the series above rather than fetched (see utils/indicatorExpression.js).
+// The dashboard reads gdp-growth; the others show what expressions can do
+export const DERIVED_INDICATOR_SEED = [
+  { code: 'DERIVED.GDP.GROWTH', name: 'GDP growth, current US$ (annual %)', subcategory: 'gdp-growth', categories: ['economy'], unit: '%', expression: 'yoy(gdp)' },
+  { code: 'DERIVED.GDP.CAGR5', name: 'GDP compound annual growth over 5 years (%)', subcategory: 'gdp-cagr-5y', categories: ['economy'], unit: '%', expression: 'cagr(gdp, 5)' },
+  { code: 'DERIVED.GDP.INDEX2015', name: 'GDP, current US$ (2015 = 100)', subcategory: 'gdp-index-2015', categories: ['economy'], unit: 'index', expression: 'index(gdp, 2015)' },
+  { code: 'DERIVED.FDI.PCAP', name: 'Foreign direct investment, net inflows per capita (current US$)', subcategory: 'fdi-per-capita', categories: ['economy'], unit: 'current US$', expression: 'per_capita(fdi)' },
+  { code: 'DERIVED.CAB.GDP', name: 'Current account balance (% of GDP)', subcategory: 'current-account-gdp', categories: ['economy'], unit: '% of GDP', expression: 'share_of_gdp(trade-balance)' },
+  { code: 'DERIVED.CPI.AVG3', name: 'Inflation, consumer prices (3-year average %)', subcategory: 'inflation-3y-avg', categories: ['economy'], unit: '%', expression: 'rolling_avg(inflation, 3)' }
+];
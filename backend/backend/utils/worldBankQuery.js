@@ -0,0 +1,181 @@
+// Parsing of World Bank data queries (GET /api/worldbank/data) and cursor pagination over their sort order
+
+export const DATA_FORMATS = ['long', 'wide'];
+export const DEFAULT_LIMIT = 100;
+export const MAX_LIMIT = 1000;
+
+// Sortable fields and the stored path they sort on; wide rows are one per country and year
+export const SORT_FIELDS = {
+  long: { country: 'country.code', indicator: 'indicator.code', year: 'year', value: 'value' },
+  wide: { country: '_id.country', year: '_id.year' }
+};
+export const DEFAULT_SORT = '-year,country';
+
+// Fields a long row can be narrowed to; wide rows take country, year and their indicator columns
+export const LONG_FIELDS = ['country', 'indicator', 'year', 'value', 'unit', 'scale', 'lastUpdated', 'dataSource'];
+
+const MIN_YEAR = 1960;
+const MAX_YEAR = 2100;
+
+// Query errors that are the caller's fault rather than a server failure
+export function queryError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Comma separated query value(s) as a list; repeated parameters (?country=IN&country=US) are accepted too
+ */
+export function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function parseYear(value) {
+  const year = Number(value);
+  if (!Number.isInteger(year) || year < MIN_YEAR || year > MAX_YEAR) {
+    throw queryError(`Invalid year "${value}"`);
+  }
+  return year;
+}
+
+/**
+ * Year filter from ?year=2015,2018-2020 and/or ?startYear=&endYear=
+ * Returns a MongoDB condition on year, or null for all years
+ */
+export function parseYears({ year, startYear, endYear }) {
+  const exact = [];
+  const ranges = [];
+
+  for (const item of parseList(year)) {
+    const range = item.match(/^(\d{4})\s*-\s*(\d{4})$/);
+    if (range) {
+      const [from, to] = [parseYear(range[1]), parseYear(range[2])];
+      if (from > to) throw queryError(`Invalid year range "${item}"`);
+      ranges.push({ year: { $gte: from, $lte: to } });
+    } else {
+      exact.push(parseYear(item));
+    }
+  }
+
+  const conditions = [...ranges];
+  if (exact.length > 0) conditions.push({ year: { $in: exact } });
+
+  if (startYear || endYear) {
+    const bounds = {};
+    if (startYear) bounds.$gte = parseYear(startYear);
+    if (endYear) bounds.$lte = parseYear(endYear);
+    // A bounding range narrows the listed years, or stands alone when none are listed
+    return conditions.length > 0
+      ? { $and: [{ year: bounds }, conditions.length === 1 ? conditions[0] : { $or: conditions }] }
+      : { year: bounds };
+  }
+
+  if (conditions.length === 0) return null;
+  return conditions.length === 1 ? conditions[0] : { $or: conditions };
+}
+
+/**
+ * ?sort=-year,country -> [{ field, path, direction }]
+ */
+export function parseSort(value, format) {
+  const allowed = SORT_FIELDS[format];
+  const items = parseList(value || DEFAULT_SORT);
+  const sort = [];
+
+  for (const item of items) {
+    const direction = item.startsWith('-') ? -1 : 1;
+    const field = item.replace(/^[-+]/, '');
+    if (!allowed[field]) {
+      throw queryError(`Cannot sort ${format} data by "${field}"; use ${Object.keys(allowed).join(', ')}`);
+    }
+    if (!sort.some(entry => entry.field === field)) {
+      sort.push({ field, path: allowed[field], direction });
+    }
+  }
+
+  return sort;
+}
+
+export function parseLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw queryError('limit must be a positive whole number');
+  }
+  return Math.min(limit, MAX_LIMIT);
+}
+
+// The sort order a cursor was issued for, so that a cursor is never replayed against another order
+function sortSignature(sort, format) {
+  return `${format}:${sort.map(({ field, direction }) => `${direction < 0 ? '-' : ''}${field}`).join(',')}`;
+}
+
+/**
+ * Opaque cursor pointing just after a row: its sort values and tie-breaker id
+ */
+export function encodeCursor(sort, format, values, id) {
+  return Buffer.from(JSON.stringify({ s: sortSignature(sort, format), v: values, id })).toString('base64url');
+}
+
+export function decodeCursor(cursor, sort, format) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw queryError('Invalid cursor');
+  }
+
+  if (!decoded || typeof decoded.s !== 'string' || !Array.isArray(decoded.v)) {
+    throw queryError('Invalid cursor');
+  }
+  if (decoded.s !== sortSignature(sort, format) || decoded.v.length !== sort.length) {
+    throw queryError('Cursor was issued for a different format or sort order; start again without a cursor');
+  }
+  return decoded;
+}
+
+// Condition for values of a path that sort after value in a direction; nulls sort first ascending, as in MongoDB
+function afterCondition(path, value, direction) {
+  if (value === null) {
+    return direction > 0 ? { [path]: { $ne: null } } : null;
+  }
+  return direction > 0
+    ? { [path]: { $gt: value } }
+    : { $or: [{ [path]: { $lt: value } }, { [path]: null }] };
+}
+
+/**
+ * MongoDB condition for the rows after a cursor position in sort order
+ * tieBreaker: { path, value } of a unique field that ends the sort (ascending), or null when the sort is unique already
+ */
+export function keysetCondition(sort, values, tieBreaker = null) {
+  const branches = [];
+
+  for (let i = 0; i <= sort.length; i++) {
+    const equalBefore = sort.slice(0, i).map(({ path }, j) => ({ [path]: values[j] }));
+
+    let after;
+    if (i < sort.length) {
+      after = afterCondition(sort[i].path, values[i], sort[i].direction);
+    } else if (tieBreaker) {
+      after = { [tieBreaker.path]: { $gt: tieBreaker.value } };
+    }
+    if (!after) continue;
+
+    const conditions = [...equalBefore, after];
+    branches.push(conditions.length === 1 ? conditions[0] : { $and: conditions });
+  }
+
+  // { $expr: false } matches nothing: no row sorts after the cursor
+  return branches.length > 0 ? { $or: branches } : { $expr: false };
+}
+
+// Value of a dotted path in a row, e.g. 'country.code'
+export function valueAtPath(row, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), row) ?? null;
+}
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
-import { Filter, X, Search, Calendar, MapPin, TrendingUp } from 'lucide-react';
+import { Filter, X, Search, Calendar, MapPin, TrendingUp, Users } from 'lucide-react';
 import { ProcessedCountryData } from '../services/worldBankService';
+import { CountryGroup } from '../services/backendWorldBankService';
 
 interface FilterState {
   countries: string[];
@@ -17,13 +18,15 @@ interface DashboardFiltersProps {
   filters: FilterState;
   onFiltersChange: (filters: FilterState) => void;
   onReset: () => void;
+  groups?: CountryGroup[];
 }
 
 const DashboardFilters: React.FC<DashboardFiltersProps> = ({
   data,
   filters,
   onFiltersChange,
-  onReset
+  onReset,
+  groups = []
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
 
@@ -51,6 +54,17 @@ const DashboardFilters: React.FC<DashboardFiltersProps> = ({
     updateFilter('countries', newCountries);
   };
 
+  // A group selects exactly its member countries
+  const selectedGroup = groups.find(group =>
+    group.countries.length === filters.countries.length &&
+    group.countries.every(code => filters.countries.includes(code))
+  );
+
+  const selectGroup = (groupId: string) => {
+    const group = groups.find(g => g._id === groupId);
+    updateFilter('countries', group ? [...group.countries] : []);
+  };
+
   const toggleRegion = (region: string) => {
     const newRegions = filters.regions.includes(region)
       ? filters.regions.filter(r => r !== region)
@@ -217,6 +231,28 @@ const DashboardFilters: React.FC<DashboardFiltersProps> = ({
             </div>
           </div>
 
+          {/* Country Groups */}
+          {groups.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2 flex items-center">
+                <Users className="w-4 h-4 mr-1" />
+                Country Group
+              </label>
+              <select
+                value={selectedGroup?._id ?? ''}
+                onChange={(e) => selectGroup(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">No group</option>
+                {groups.map(group => (
+                  <option key={group._id} value={group._id}>
+                    {group.name} ({group.countries.length}){group.system ? '' : ' - saved'}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Countries */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -9,6 +9,7 @@ import {
   Activity, Briefcase
 } from 'lucide-react';
 import { ProcessedCountryData } from '../services/worldBankService';
+import { backendWorldBankService, WorldBankAggregate, CountryGroup } from '../services/backendWorldBankService';
 import { ChartExporter } from '../utils/chartExport';
 import DashboardFilters from './DashboardFilters';
 import GDPTrendsChart from './GDPTrendsChart';
@@ -62,6 +63,39 @@ const GlobalDashboard: React.FC<GlobalDashboardProps> = ({
   }, [data, filters.gdpRange]);
   const [selectedCountries, setSelectedCountries] = useState<string[]>(['US', 'CN', 'IN']);
   const [showCountrySelector, setShowCountrySelector] = useState(false);
+  const [regionalAggregates, setRegionalAggregates] = useState<{ gdp: WorldBankAggregate[]; growth: WorldBankAggregate[] } | null>(null);
+  const [countryGroups, setCountryGroups] = useState<CountryGroup[]>([]);
+
+  // Saved country groups (G20, BRICS, SAARC, ASEAN and the user's own) for the filters and the comparison
+  useEffect(() => {
+    backendWorldBankService.getCountryGroups().then(setCountryGroups);
+  }, []);
+
+  const saveComparisonGroup = async () => {
+    const name = window.prompt('Name for this group of countries');
+    if (!name?.trim()) return;
+
+    try {
+      const group = await backendWorldBankService.createCountryGroup({ name: name.trim(), countries: selectedCountries });
+      setCountryGroups(prev => [...prev, group]);
+    } catch (error) {
+      console.error('Error saving country group:', error);
+      window.alert(error instanceof Error ? error.message : 'Could not save the country group');
+    }
+  };
+
+  // Regional totals come from the backend, over every stored member country rather than only the loaded ones
+  useEffect(() => {
+    Promise.all([
+      backendWorldBankService.getAggregates({ indicator: 'gdp', groupBy: 'region' }),
+      backendWorldBankService.getAggregates({ indicator: 'gdp-growth', groupBy: 'region' })
+    ])
+      .then(([gdp, growth]) => setRegionalAggregates({ gdp: gdp.data, growth: growth.data }))
+      .catch(error => {
+        console.error('Error loading regional aggregates:', error);
+        setRegionalAggregates(null);
+      });
+  }, [data]);
 
   const COLORS = {
     primary: '#3B82F6',
@@ -166,6 +200,19 @@ const GlobalDashboard: React.FC<GlobalDashboardProps> = ({
   }, [globalStats.avgRenewable]);
 
   const regionalGDPData = useMemo(() => {
+    if (regionalAggregates && regionalAggregates.gdp.length > 0) {
+      return regionalAggregates.gdp.map(aggregate => ({
+        region: aggregate.group.name,
+        totalGDP: (aggregate.sum || 0) / 1e12, // Convert to trillions
+        countries: aggregate.coverage.reporting,
+        members: aggregate.coverage.members,
+        coverage: aggregate.coverage.share,
+        year: aggregate.year as number | null,
+        avgGrowth: regionalAggregates.growth.find(growth => growth.group.code === aggregate.group.code)?.weightedMean || 0
+      }));
+    }
+
+    // Without the backend, sum the loaded countries
     const regionalData: { [region: string]: { totalGDP: number; countries: number; avgGrowth: number } } = {};
     
     filteredData.forEach(country => {
@@ -181,9 +228,12 @@ const GlobalDashboard: React.FC<GlobalDashboardProps> = ({
       region,
       totalGDP: data.totalGDP / 1e12, // Convert to trillions
       countries: data.countries,
+      members: data.countries,
+      coverage: 1,
+      year: null,
       avgGrowth: data.avgGrowth / data.countries
     }));
-  }, [filteredData]);
+  }, [filteredData, regionalAggregates]);
 
   const comparisonData = useMemo(() => {
     return selectedCountries
@@ -320,6 +370,7 @@ const GlobalDashboard: React.FC<GlobalDashboardProps> = ({
         filters={filters}
         onFiltersChange={setFilters}
         onReset={resetFilters}
+        groups={countryGroups}
       />
 
       {/* Global Stats */}
@@ -451,7 +502,13 @@ const GlobalDashboard: React.FC<GlobalDashboardProps> = ({
                       <CartesianGrid strokeDasharray="3 3" />
                       <XAxis dataKey="region" angle={-45} textAnchor="end" height={80} />
                       <YAxis />
-                      <Tooltip formatter={(value) => [`$${value}T`, 'Total GDP']} />
+                      <Tooltip
+                        formatter={(value: number, _name, item) => [
+                          `$${value.toFixed(2)}T (${item.payload.countries} of ${item.payload.members} countries reporting, ` +
+                            `${Math.round(item.payload.coverage * 100)}% coverage${item.payload.year ? ` in ${item.payload.year}` : ''})`,
+                          'Total GDP'
+                        ]}
+                      />
                       <Bar dataKey="totalGDP" fill={COLORS.secondary} />
                     </BarChart>
                   </ResponsiveContainer>
@@ -518,7 +575,30 @@ const GlobalDashboard: React.FC<GlobalDashboardProps> = ({
                       <span className="text-sm text-gray-500">
                         {selectedCountries.length} countries selected
                       </span>
-                      <div className="space-x-2">
+                      <div className="flex items-center space-x-2">
+                        {countryGroups.length > 0 && (
+                          <select
+                            value=""
+                            onChange={(e) => {
+                              const group = countryGroups.find(g => g._id === e.target.value);
+                              if (group) setSelectedCountries([...group.countries]);
+                            }}
+                            className="text-sm px-2 py-1 border border-gray-300 rounded-lg"
+                          >
+                            <option value="">Load group...</option>
+                            {countryGroups.map(group => (
+                              <option key={group._id} value={group._id}>{group.name}</option>
+                            ))}
+                          </select>
+                        )}
+                        {localStorage.getItem('auth_token') && selectedCountries.length > 0 && (
+                          <button
+                            onClick={saveComparisonGroup}
+                            className="text-sm text-green-600 hover:text-green-800"
+                          >
+                            Save as Group
+                          </button>
+                        )}
                         <button
                           onClick={() => setSelectedCountries([])}
                           className="text-sm text-gray-600 hover:text-gray-800"
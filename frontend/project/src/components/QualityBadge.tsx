@@ -0,0 +1,44 @@
+import React from 'react';
+import { ShieldCheck, ShieldAlert } from 'lucide-react';
+import { SchemeQuality } from '../services/schemeAdapter';
+
+interface QualityBadgeProps {
+  quality: SchemeQuality | null;
+  size?: 'sm' | 'md';
+}
+
+const BAND_STYLES: Record<SchemeQuality['band'], string> = {
+  good: 'bg-green-100 text-green-800',
+  fair: 'bg-yellow-100 text-yellow-800',
+  poor: 'bg-red-100 text-red-800'
+};
+
+const BAND_LABELS: Record<SchemeQuality['band'], string> = {
+  good: 'Good data',
+  fair: 'Fair data',
+  poor: 'Poor data'
+};
+
+// Data quality score of a scheme; the tooltip lists what lowered it
+const QualityBadge: React.FC<QualityBadgeProps> = ({ quality, size = 'sm' }) => {
+  if (!quality) return null;
+
+  const Icon = quality.band === 'good' ? ShieldCheck : ShieldAlert;
+  const title = quality.issues.length > 0
+    ? `Data quality ${quality.score}/100\n${quality.issues.map(issue => `• ${issue.message}`).join('\n')}`
+    : `Data quality ${quality.score}/100`;
+
+  return (
+    <span
+      title={title}
+      className={`inline-flex items-center gap-1 rounded-full font-semibold ${BAND_STYLES[quality.band]} ${
+        size === 'md' ? 'px-3 py-1 text-sm' : 'px-2 py-1 text-xs'
+      }`}
+    >
+      <Icon className={size === 'md' ? 'w-4 h-4' : 'w-3 h-3'} />
+      {BAND_LABELS[quality.band]} · {quality.score}
+    </span>
+  );
+};
+
+export default QualityBadge;
@@ -1,8 +1,15 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { RefreshCw, Wifi, WifiOff } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { RefreshCw, Wifi, WifiOff, AlertTriangle } from 'lucide-react';
 import { useData } from '../context/DataContext';
 import GlobalDashboard from '../components/GlobalDashboard';
 import { ProcessedCountryData } from '../services/worldBankService';
+import { backendWorldBankService, WorldBankRefreshProgress } from '../services/backendWorldBankService';
+
+const formatEta = (seconds: number | null) => {
+  if (seconds === null) return 'estimating...';
+  if (seconds < 60) return `${seconds}s left`;
+  return `${Math.round(seconds / 60)} min left`;
+};
 
 const GlobalTrends: React.FC = () => {
   const { isLoading, countriesUpdateStatus, manualUpdateCountries } = useData();
@@ -11,6 +18,12 @@ const GlobalTrends: React.FC = () => {
   const [lastUpdated, setLastUpdated] = useState<Date | null>(null);
   const [isRealTimeEnabled, setIsRealTimeEnabled] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState<'connected' | 'disconnected' | 'connecting'>('disconnected');
+  const [refreshJob, setRefreshJob] = useState<WorldBankRefreshProgress | null>(null);
+  const [refreshError, setRefreshError] = useState<string | null>(null);
+
+  // The context recreates manualUpdateCountries on every render; the refresh listener only needs the latest one
+  const manualUpdateRef = useRef(manualUpdateCountries);
+  manualUpdateRef.current = manualUpdateCountries;
 
   // Real-time data update callback
   const handleDataUpdate = useCallback((data: ProcessedCountryData[]) => {
@@ -61,22 +74,67 @@ const GlobalTrends: React.FC = () => {
     };
   }, [isRealTimeEnabled, handleDataUpdate]);
 
-  const handleRefresh = async () => {
+  // Reload the stored data once a backend refresh has finished
+  const reloadWorldBankData = useCallback(async () => {
     try {
-      setIsLoadingWorldBank(true);
-      setConnectionStatus('connecting');
       const dataService = (await import('../services/dataService')).DataService.getInstance();
-      const data = await dataService.fetchWorldBankData(true); // Force refresh
+      const data = await dataService.fetchWorldBankData(true); // Bypass the cache
       setWorldBankData(data);
       setLastUpdated(new Date());
       setConnectionStatus('connected');
-      manualUpdateCountries(); // Also refresh legacy data
+      manualUpdateRef.current(); // Also refresh legacy data
     } catch (error) {
-      console.error('Error refreshing data:', error);
+      console.error('Error reloading data:', error);
+      setConnectionStatus('disconnected');
+    }
+  }, []);
+
+  // Follow backend refresh jobs, including one already running when the page opens
+  useEffect(() => {
+    const unsubscribe = backendWorldBankService.onRefreshEvent((event, progress) => {
+      if (event === 'completed') {
+        setRefreshJob(null);
+        reloadWorldBankData();
+      } else if (event === 'error') {
+        setRefreshJob(null);
+        setRefreshError(progress.error || progress.message || 'Refresh failed');
+      } else {
+        setRefreshJob(progress);
+      }
+    });
+
+    backendWorldBankService.getLatestRefreshJob().then(job => {
+      if (job?.state === 'running') {
+        setRefreshJob(current => current ?? { ...job.progress, jobId: job._id });
+      }
+    });
+
+    return unsubscribe;
+  }, [reloadWorldBankData]);
+
+  const handleRefresh = async () => {
+    setRefreshError(null);
+    const jobId = await backendWorldBankService.refreshData();
+    if (!jobId) {
+      setRefreshError('Could not start the refresh');
       setConnectionStatus('disconnected');
-    } finally {
-      setIsLoadingWorldBank(false);
+      return;
     }
+
+    // Progress events replace this placeholder as soon as the backend reports
+    setRefreshJob(current => current ?? {
+      jobId,
+      stage: 'countries',
+      totalIndicators: 0,
+      completedIndicators: 0,
+      percentage: 0,
+      processed: 0,
+      saved: 0,
+      updated: 0,
+      skipped: 0,
+      errors: 0,
+      etaSeconds: null
+    });
   };
 
   const handleExport = async (format: 'csv' | 'json') => {
@@ -165,7 +223,45 @@ const GlobalTrends: React.FC = () => {
             </div>
           </div>
         </div>
-        
+
+        {/* Background refresh progress */}
+        {refreshJob && (
+          <div className="mt-3 pt-3 border-t border-gray-100">
+            <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+              <div className="flex items-center space-x-2">
+                <RefreshCw className="w-3 h-3 text-blue-500 animate-spin" />
+                <span>
+                  {refreshJob.stage === 'countries'
+                    ? 'Refreshing countries...'
+                    : refreshJob.currentIndicator
+                      ? `Fetching ${refreshJob.currentIndicator}${refreshJob.currentCountries?.length ? ` (${refreshJob.currentCountries.join(', ')})` : ''}`
+                      : 'Refreshing indicators...'}
+                </span>
+              </div>
+              <span>{refreshJob.percentage}%</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                style={{ width: `${refreshJob.percentage}%` }}
+              ></div>
+            </div>
+            <div className="flex items-center space-x-4 mt-1 text-xs text-gray-500">
+              <span>{refreshJob.completedIndicators}/{refreshJob.totalIndicators} indicators</span>
+              <span>{refreshJob.processed.toLocaleString()} data points</span>
+              {refreshJob.errors > 0 && <span className="text-red-600">{refreshJob.errors} errors</span>}
+              {refreshJob.stage === 'indicators' && <span>{formatEta(refreshJob.etaSeconds)}</span>}
+            </div>
+          </div>
+        )}
+
+        {refreshError && (
+          <div className="mt-3 pt-3 border-t border-gray-100 flex items-center space-x-2 text-xs text-red-600">
+            <AlertTriangle className="w-4 h-4" />
+            <span>Data refresh failed: {refreshError}</span>
+          </div>
+        )}
+
         {/* Backend info */}
         <div className="mt-3 pt-3 border-t border-gray-100">
           <div className="flex items-center justify-between text-xs text-gray-500">
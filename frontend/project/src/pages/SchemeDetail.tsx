@@ -1,13 +1,61 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { ArrowLeft, Users, DollarSign, Calendar, MapPin, ExternalLink, CheckCircle, AlertCircle } from 'lucide-react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, LineChart, Line, PieChart, Pie, Cell } from 'recharts';
+import { ArrowLeft, Users, DollarSign, Calendar, MapPin, ExternalLink, CheckCircle, AlertCircle, RefreshCw } from 'lucide-react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, LineChart, Line, Legend } from 'recharts';
 import { useData } from '../context/DataContext';
+import { DataService } from '../services/dataService';
+import { SchemeMetricsDetail, FieldProvenance } from '../services/schemeAdapter';
+import QualityBadge from '../components/QualityBadge';
 
 const SchemeDetail: React.FC = () => {
   const { id } = useParams<{ id: string }>();
   const { schemes } = useData();
   const scheme = schemes.find(s => s.id === id);
+  const [metrics, setMetrics] = useState<SchemeMetricsDetail | null>(null);
+  const [metricsLoading, setMetricsLoading] = useState(true);
+  const [metricsError, setMetricsError] = useState(false);
+  const [provenance, setProvenance] = useState<FieldProvenance[]>([]);
+
+  useEffect(() => {
+    if (!id) return;
+
+    let cancelled = false;
+    setMetricsLoading(true);
+    setMetricsError(false);
+
+    DataService.getInstance().fetchSchemeMetrics(id)
+      .then(data => {
+        if (!cancelled) setMetrics(data);
+      })
+      .catch(() => {
+        if (!cancelled) setMetricsError(true);
+      })
+      .finally(() => {
+        if (!cancelled) setMetricsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  // Where each field came from; the section is left out when this fails
+  useEffect(() => {
+    if (!id) return;
+
+    let cancelled = false;
+    DataService.getInstance().fetchSchemeProvenance(id)
+      .then(data => {
+        if (!cancelled) setProvenance(data);
+      })
+      .catch(() => {
+        if (!cancelled) setProvenance([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
 
   if (!scheme) {
     return (
@@ -24,6 +72,18 @@ const SchemeDetail: React.FC = () => {
     );
   }
 
+  const formatFieldName = (field: string) => {
+    const name = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  };
+
+  const formatFieldValue = (field: string, value: unknown) => {
+    if (Array.isArray(value)) return value.join(', ');
+    if (field === 'launchDate' && typeof value === 'string') return new Date(value).toLocaleDateString('en-IN');
+    const text = String(value ?? '');
+    return text.length > 120 ? `${text.slice(0, 120)}…` : text;
+  };
+
   const formatNumber = (num: number) => {
     if (num >= 10000000) return `${(num / 10000000).toFixed(1)}Cr`;
     if (num >= 100000) return `${(num / 100000).toFixed(1)}L`;
@@ -42,7 +102,15 @@ const SchemeDetail: React.FC = () => {
     return Math.min(100, (current / target) * 100);
   };
 
-  const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6'];
+  const formatValue = (value: number | null, formatter: (num: number) => string) => {
+    return value !== null ? formatter(value) : '—';
+  };
+
+  const PERIOD_LABELS: Record<SchemeMetricsDetail['periodType'], string> = {
+    'month': 'Monthly',
+    'financial-year': 'Financial Year',
+    'year': 'Yearly'
+  };
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -71,6 +139,7 @@ const SchemeDetail: React.FC = () => {
               }`}>
                 {scheme.status}
               </span>
+              <QualityBadge quality={scheme.quality} size="md" />
             </div>
           </div>
           <a
@@ -95,157 +164,166 @@ const SchemeDetail: React.FC = () => {
         </div>
       </div>
 
-      {/* Key Metrics */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-        <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
-          <div className="flex items-center justify-between mb-4">
-            <Users className="w-10 h-10 text-blue-600" />
-            <div className="text-right">
-              <p className="text-3xl font-bold text-gray-900">{formatNumber(scheme.beneficiaries)}</p>
-              <p className="text-sm text-gray-600">Current Beneficiaries</p>
-            </div>
-          </div>
-          <div className="bg-blue-200 rounded-full h-3 mb-2">
-            <div 
-              className="bg-blue-600 h-3 rounded-full" 
-              style={{ width: `${getProgressPercentage(scheme.beneficiaries, scheme.targetBeneficiaries)}%` }}
-            ></div>
-          </div>
-          <p className="text-sm text-blue-600">
-            Target: {formatNumber(scheme.targetBeneficiaries)} ({getProgressPercentage(scheme.beneficiaries, scheme.targetBeneficiaries).toFixed(1)}% achieved)
+      {/* Official Metrics */}
+      {metricsLoading ? (
+        <div className="bg-white rounded-xl shadow-lg p-8 border border-gray-100 mb-8 flex items-center justify-center">
+          <RefreshCw className="w-6 h-6 text-blue-600 animate-spin" />
+          <span className="ml-2 text-gray-600">Loading scheme metrics...</span>
+        </div>
+      ) : !metrics ? (
+        <div className="bg-white rounded-xl shadow-lg p-8 border border-dashed border-gray-300 mb-8 text-center">
+          <AlertCircle className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">
+            {metricsError ? 'Scheme metrics could not be loaded' : 'No official metrics available'}
+          </h3>
+          <p className="text-gray-600 max-w-xl mx-auto">
+            {metricsError
+              ? 'The metrics service did not respond. Try refreshing the page.'
+              : 'Beneficiary and fund-flow figures for this scheme have not been imported from an official release yet, so no charts are shown.'}
           </p>
+          <p className="text-sm text-gray-500 mt-4">Launched {scheme.launchYear}</p>
         </div>
+      ) : (
+        <>
+          {/* Key Metrics */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+            <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
+              <div className="flex items-center justify-between mb-4">
+                <Users className="w-10 h-10 text-blue-600" />
+                <div className="text-right">
+                  <p className="text-3xl font-bold text-gray-900">{formatValue(metrics.latest.beneficiaries, formatNumber)}</p>
+                  <p className="text-sm text-gray-600">Beneficiaries</p>
+                </div>
+              </div>
+              <p className="text-sm text-blue-600">Reported for {metrics.latest.period}</p>
+            </div>
 
-        <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
-          <div className="flex items-center justify-between mb-4">
-            <DollarSign className="w-10 h-10 text-green-600" />
-            <div className="text-right">
-              <p className="text-3xl font-bold text-gray-900">{formatCurrency(scheme.budgetUtilized)}</p>
-              <p className="text-sm text-gray-600">Budget Utilized</p>
+            <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
+              <div className="flex items-center justify-between mb-4">
+                <DollarSign className="w-10 h-10 text-green-600" />
+                <div className="text-right">
+                  <p className="text-3xl font-bold text-gray-900">{formatValue(metrics.latest.utilised, formatCurrency)}</p>
+                  <p className="text-sm text-gray-600">Funds Utilised</p>
+                </div>
+              </div>
+              {metrics.latest.utilised !== null && (metrics.latest.released ?? metrics.latest.sanctioned) ? (
+                <>
+                  <div className="bg-green-200 rounded-full h-3 mb-2">
+                    <div
+                      className="bg-green-600 h-3 rounded-full"
+                      style={{ width: `${getProgressPercentage(metrics.latest.utilised, (metrics.latest.released ?? metrics.latest.sanctioned) as number)}%` }}
+                    ></div>
+                  </div>
+                  <p className="text-sm text-green-600">
+                    {metrics.latest.released !== null ? 'Released' : 'Sanctioned'}: {formatCurrency((metrics.latest.released ?? metrics.latest.sanctioned) as number)} ({getProgressPercentage(metrics.latest.utilised, (metrics.latest.released ?? metrics.latest.sanctioned) as number).toFixed(1)}% used)
+                  </p>
+                </>
+              ) : (
+                <p className="text-sm text-green-600">Sanctioned: {formatValue(metrics.latest.sanctioned, formatCurrency)}</p>
+              )}
             </div>
-          </div>
-          <div className="bg-green-200 rounded-full h-3 mb-2">
-            <div 
-              className="bg-green-600 h-3 rounded-full" 
-              style={{ width: `${getProgressPercentage(scheme.budgetUtilized, scheme.budget)}%` }}
-            ></div>
-          </div>
-          <p className="text-sm text-green-600">
-            Total Budget: {formatCurrency(scheme.budget)} ({getProgressPercentage(scheme.budgetUtilized, scheme.budget).toFixed(1)}% used)
-          </p>
-        </div>
 
-        <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
-          <div className="flex items-center justify-between mb-4">
-            <Calendar className="w-10 h-10 text-orange-600" />
-            <div className="text-right">
-              <p className="text-3xl font-bold text-gray-900">{scheme.launchYear}</p>
-              <p className="text-sm text-gray-600">Launch Year</p>
+            <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
+              <div className="flex items-center justify-between mb-4">
+                <Calendar className="w-10 h-10 text-orange-600" />
+                <div className="text-right">
+                  <p className="text-3xl font-bold text-gray-900">{scheme.launchYear}</p>
+                  <p className="text-sm text-gray-600">Launch Year</p>
+                </div>
+              </div>
+              <p className="text-sm text-orange-600">
+                Running for {new Date().getFullYear() - scheme.launchYear} years
+              </p>
             </div>
-          </div>
-          <p className="text-sm text-orange-600">
-            Running for {new Date().getFullYear() - scheme.launchYear} years
-          </p>
-        </div>
 
-        <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
-          <div className="flex items-center justify-between mb-4">
-            <MapPin className="w-10 h-10 text-purple-600" />
-            <div className="text-right">
-              <p className="text-3xl font-bold text-gray-900">{scheme.regionStats.length}</p>
-              <p className="text-sm text-gray-600">States Covered</p>
+            <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
+              <div className="flex items-center justify-between mb-4">
+                <MapPin className="w-10 h-10 text-purple-600" />
+                <div className="text-right">
+                  <p className="text-3xl font-bold text-gray-900">{metrics.latest.statesReported}</p>
+                  <p className="text-sm text-gray-600">States Reported</p>
+                </div>
+              </div>
+              <p className="text-sm text-purple-600">In the {metrics.latest.period} release</p>
             </div>
           </div>
-          <p className="text-sm text-purple-600">Pan-India Coverage</p>
-        </div>
-      </div>
 
-      {/* Charts */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
-        {/* Progress Over Time */}
-        <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
-          <h3 className="text-xl font-bold text-gray-900 mb-6">Progress Over Time</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <LineChart data={scheme.progressData}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="month" />
-              <YAxis />
-              <Tooltip 
-                formatter={(value, name) => [
-                  name === 'beneficiaries' ? formatNumber(value as number) : formatCurrency(value as number),
-                  name === 'beneficiaries' ? 'Beneficiaries' : 'Budget'
-                ]}
-              />
-              <Line type="monotone" dataKey="beneficiaries" stroke="#3B82F6" strokeWidth={3} />
-              <Line type="monotone" dataKey="budget" stroke="#10B981" strokeWidth={3} />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
+          {/* Charts */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+            {/* Beneficiaries Over Time */}
+            <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
+              <h3 className="text-xl font-bold text-gray-900 mb-6">Beneficiaries ({PERIOD_LABELS[metrics.periodType]})</h3>
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={metrics.timeSeries}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="period" />
+                  <YAxis tickFormatter={(value) => formatNumber(value as number)} />
+                  <Tooltip formatter={(value) => [formatNumber(value as number), 'Beneficiaries']} />
+                  <Line type="monotone" dataKey="beneficiaries" stroke="#3B82F6" strokeWidth={3} connectNulls />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
 
-        {/* State-wise Distribution */}
-        <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
-          <h3 className="text-xl font-bold text-gray-900 mb-6">Top 5 States by Beneficiaries</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={scheme.regionStats}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="state" />
-              <YAxis />
-              <Tooltip formatter={(value) => formatNumber(value as number)} />
-              <Bar dataKey="beneficiaries" fill="#3B82F6" />
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
-      </div>
+            {/* Fund Flow Over Time */}
+            <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
+              <h3 className="text-xl font-bold text-gray-900 mb-6">Fund Flow ({PERIOD_LABELS[metrics.periodType]})</h3>
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={metrics.timeSeries}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="period" />
+                  <YAxis tickFormatter={(value) => formatCurrency(value as number)} />
+                  <Tooltip formatter={(value, name) => [formatCurrency(value as number), name]} />
+                  <Legend />
+                  <Bar dataKey="sanctioned" name="Sanctioned" fill="#8B5CF6" />
+                  <Bar dataKey="released" name="Released" fill="#F59E0B" />
+                  <Bar dataKey="utilised" name="Utilised" fill="#10B981" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
 
-      {/* State-wise Details */}
-      <div className="bg-white rounded-xl shadow-lg border border-gray-100 mb-8">
-        <div className="p-6 border-b border-gray-200">
-          <h3 className="text-xl font-bold text-gray-900">State-wise Performance</h3>
-        </div>
-        <div className="overflow-x-auto">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">State</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Beneficiaries</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Budget Allocated</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Progress</th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {scheme.regionStats.map((region, index) => (
-                <tr key={region.state} className="hover:bg-gray-50">
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="flex items-center">
-                      <div className={`w-3 h-3 rounded-full mr-3 ${COLORS[index % COLORS.length]}`} style={{ backgroundColor: COLORS[index % COLORS.length] }}></div>
-                      <span className="text-sm font-medium text-gray-900">{region.state}</span>
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                    {formatNumber(region.beneficiaries)}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                    {formatCurrency(region.budget)}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="flex items-center">
-                      <div className="flex-1 bg-gray-200 rounded-full h-2 mr-3">
-                        <div 
-                          className="bg-blue-600 h-2 rounded-full" 
-                          style={{ width: `${(region.beneficiaries / scheme.beneficiaries) * 100}%` }}
-                        ></div>
-                      </div>
-                      <span className="text-sm text-gray-600">
-                        {((region.beneficiaries / scheme.beneficiaries) * 100).toFixed(1)}%
-                      </span>
-                    </div>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
-      </div>
+          {/* State-wise Details */}
+          {metrics.byState.length > 0 && (
+            <div className="bg-white rounded-xl shadow-lg border border-gray-100 mb-8">
+              <div className="p-6 border-b border-gray-200">
+                <h3 className="text-xl font-bold text-gray-900">State-wise Performance ({metrics.byState[0].period})</h3>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">State</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Beneficiaries</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Funds Released</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Funds Utilised</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {metrics.byState.map((region) => (
+                      <tr key={region.state} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{region.state}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {formatValue(region.beneficiaries, formatNumber)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {formatValue(region.released, formatCurrency)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {formatValue(region.utilised, formatCurrency)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          <p className="text-sm text-gray-500 mb-8">
+            Source: {metrics.sources.join(', ')} • Imported {new Date(metrics.lastImportedAt).toLocaleDateString('en-IN')}
+          </p>
+        </>
+      )}
 
       {/* Eligibility Criteria */}
       <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
@@ -262,6 +340,59 @@ const SchemeDetail: React.FC = () => {
           ))}
         </div>
       </div>
+
+      {/* Field provenance */}
+      {provenance.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg border border-gray-100 overflow-hidden mt-8">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h3 className="text-xl font-bold text-gray-900">Data Sources</h3>
+            <p className="text-sm text-gray-500 mt-1">Where each fact on this page came from</p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Field</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Observed</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {provenance.map((entry) => (
+                  <tr key={entry.field} className="hover:bg-gray-50 align-top">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{formatFieldName(entry.field)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {formatFieldValue(entry.field, entry.value)}
+                      {entry.alternatives.length > 0 && (
+                        <p
+                          className="text-xs text-gray-500 mt-1"
+                          title={entry.alternatives.map(other => `${other.source}: ${formatFieldValue(entry.field, other.value)}`).join('\n')}
+                        >
+                          Also reported by {entry.alternatives.map(other => other.source).join(', ')}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {entry.sourceUrl ? (
+                        <a href={entry.sourceUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 inline-flex items-center gap-1">
+                          {entry.source}
+                          <ExternalLink className="w-3 h-3" />
+                        </a>
+                      ) : (
+                        <span className="text-gray-700">{entry.source}</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {entry.observedAt ? new Date(entry.observedAt).toLocaleDateString('en-IN') : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
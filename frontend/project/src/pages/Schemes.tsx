@@ -1,7 +1,10 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { Search, Filter, TrendingUp, Users, DollarSign, Calendar, MapPin, ExternalLink, RefreshCw } from 'lucide-react';
 import { useData } from '../context/DataContext';
+import { FrontendScheme, MinistrySummary } from '../services/schemeAdapter';
+import { DataService } from '../services/dataService';
+import QualityBadge from '../components/QualityBadge';
 import { getSectors, getMinistries, formatCurrency, formatNumber } from '../utils/schemeUtils';
 
 const Schemes: React.FC = () => {
@@ -11,10 +14,33 @@ const Schemes: React.FC = () => {
   const [selectedMinistry, setSelectedMinistry] = useState('');
   const [selectedStatus, setSelectedStatus] = useState('');
   const [sortBy, setSortBy] = useState('beneficiaries');
+  const [ministryRegistry, setMinistryRegistry] = useState<MinistrySummary[] | null>(null);
+
+  // Ministry options come from the canonical registry; the loaded schemes are the fallback when it is unavailable
+  useEffect(() => {
+    let cancelled = false;
+
+    DataService.getInstance().fetchMinistries()
+      .then(data => {
+        if (!cancelled) setMinistryRegistry(data);
+      })
+      .catch(() => {
+        if (!cancelled) setMinistryRegistry(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [schemes]);
 
   // Get dynamic sectors and ministries from actual data
   const availableSectors = useMemo(() => getSectors(schemes), [schemes]);
-  const availableMinistries = useMemo(() => getMinistries(schemes), [schemes]);
+  const availableMinistries = useMemo(
+    () => ministryRegistry
+      ? ministryRegistry.map(ministry => ({ name: ministry.name, count: ministry.schemeCount }))
+      : getMinistries(schemes).map(name => ({ name, count: schemes.filter(scheme => scheme.ministry === name).length })),
+    [ministryRegistry, schemes]
+  );
 
   const filteredSchemes = useMemo(() => {
     let filtered = schemes.filter(scheme => {
@@ -31,10 +57,11 @@ const Schemes: React.FC = () => {
     // Sort schemes
     filtered.sort((a, b) => {
       switch (sortBy) {
+        // Schemes without imported metrics sort after those with figures
         case 'beneficiaries':
-          return b.beneficiaries - a.beneficiaries;
+          return (b.metrics?.beneficiaries ?? -1) - (a.metrics?.beneficiaries ?? -1);
         case 'budget':
-          return b.budget - a.budget;
+          return (b.metrics?.sanctioned ?? -1) - (a.metrics?.sanctioned ?? -1);
         case 'year':
           return b.launchYear - a.launchYear;
         case 'name':
@@ -51,6 +78,11 @@ const Schemes: React.FC = () => {
     return Math.min(100, (current / target) * 100);
   };
 
+  // Utilisation is measured against released funds, or sanctioned funds when releases are not reported
+  const getUtilisationBase = (metrics: NonNullable<FrontendScheme['metrics']>) => {
+    return metrics.released ?? metrics.sanctioned;
+  };
+
   if (isLoading) {
     return (
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -161,7 +193,7 @@ const Schemes: React.FC = () => {
 
       {/* Filters */}
       <div className="bg-white rounded-xl shadow-md p-6 mb-8 border border-gray-100">
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-6 gap-4">
           {/* Search */}
           <div className="lg:col-span-2">
             <div className="relative">
@@ -190,6 +222,20 @@ const Schemes: React.FC = () => {
             </select>
           </div>
 
+          {/* Ministry Filter */}
+          <div>
+            <select
+              value={selectedMinistry}
+              onChange={(e) => setSelectedMinistry(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">All Ministries</option>
+              {availableMinistries.map(ministry => (
+                <option key={ministry.name} value={ministry.name}>{ministry.name} ({ministry.count})</option>
+              ))}
+            </select>
+          </div>
+
           {/* Status Filter */}
           <div>
             <select
@@ -212,7 +258,7 @@ const Schemes: React.FC = () => {
               className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
               <option value="beneficiaries">Sort by Beneficiaries</option>
-              <option value="budget">Sort by Budget</option>
+              <option value="budget">Sort by Funds Sanctioned</option>
               <option value="year">Sort by Launch Year</option>
               <option value="name">Sort by Name</option>
             </select>
@@ -266,6 +312,7 @@ const Schemes: React.FC = () => {
                   }`}>
                     {scheme.status}
                   </span>
+                  <QualityBadge quality={scheme.quality} />
                 </div>
               </div>
 
@@ -273,49 +320,54 @@ const Schemes: React.FC = () => {
               <p className="text-gray-700 mb-6 leading-relaxed">{scheme.objective}</p>
 
               {/* Stats Grid */}
-              <div className="grid grid-cols-2 gap-4 mb-6">
-                <div className="bg-blue-50 rounded-lg p-4">
-                  <div className="flex items-center justify-between">
-                    <Users className="w-8 h-8 text-blue-600" />
-                    <div className="text-right">
-                      <p className="text-2xl font-bold text-blue-900">{formatNumber(scheme.beneficiaries)}</p>
-                      <p className="text-sm text-blue-600">Beneficiaries</p>
-                    </div>
-                  </div>
-                  <div className="mt-3">
-                    <div className="bg-blue-200 rounded-full h-2">
-                      <div 
-                        className="bg-blue-600 h-2 rounded-full" 
-                        style={{ width: `${getProgressPercentage(scheme.beneficiaries, scheme.targetBeneficiaries)}%` }}
-                      ></div>
+              {scheme.metrics ? (
+                <div className="grid grid-cols-2 gap-4 mb-6">
+                  <div className="bg-blue-50 rounded-lg p-4">
+                    <div className="flex items-center justify-between">
+                      <Users className="w-8 h-8 text-blue-600" />
+                      <div className="text-right">
+                        <p className="text-2xl font-bold text-blue-900">
+                          {scheme.metrics.beneficiaries !== null ? formatNumber(scheme.metrics.beneficiaries) : '—'}
+                        </p>
+                        <p className="text-sm text-blue-600">Beneficiaries</p>
+                      </div>
                     </div>
-                    <p className="text-xs text-blue-600 mt-1">
-                      {getProgressPercentage(scheme.beneficiaries, scheme.targetBeneficiaries).toFixed(1)}% of target
-                    </p>
+                    <p className="text-xs text-blue-600 mt-3">Reported for {scheme.metrics.period}</p>
                   </div>
-                </div>
 
-                <div className="bg-green-50 rounded-lg p-4">
-                  <div className="flex items-center justify-between">
-                    <DollarSign className="w-8 h-8 text-green-600" />
-                    <div className="text-right">
-                      <p className="text-2xl font-bold text-green-900">{formatCurrency(scheme.budgetUtilized)}</p>
-                      <p className="text-sm text-green-600">Budget Used</p>
+                  <div className="bg-green-50 rounded-lg p-4">
+                    <div className="flex items-center justify-between">
+                      <DollarSign className="w-8 h-8 text-green-600" />
+                      <div className="text-right">
+                        <p className="text-2xl font-bold text-green-900">
+                          {scheme.metrics.utilised !== null ? formatCurrency(scheme.metrics.utilised) : '—'}
+                        </p>
+                        <p className="text-sm text-green-600">Funds Utilised</p>
+                      </div>
                     </div>
-                  </div>
-                  <div className="mt-3">
-                    <div className="bg-green-200 rounded-full h-2">
-                      <div 
-                        className="bg-green-600 h-2 rounded-full" 
-                        style={{ width: `${getProgressPercentage(scheme.budgetUtilized, scheme.budget)}%` }}
-                      ></div>
-                    </div>
-                    <p className="text-xs text-green-600 mt-1">
-                      {getProgressPercentage(scheme.budgetUtilized, scheme.budget).toFixed(1)}% utilized
-                    </p>
+                    {scheme.metrics.utilised !== null && getUtilisationBase(scheme.metrics) ? (
+                      <div className="mt-3">
+                        <div className="bg-green-200 rounded-full h-2">
+                          <div
+                            className="bg-green-600 h-2 rounded-full"
+                            style={{ width: `${getProgressPercentage(scheme.metrics.utilised, getUtilisationBase(scheme.metrics) as number)}%` }}
+                          ></div>
+                        </div>
+                        <p className="text-xs text-green-600 mt-1">
+                          {getProgressPercentage(scheme.metrics.utilised, getUtilisationBase(scheme.metrics) as number).toFixed(1)}% of {scheme.metrics.released !== null ? 'released' : 'sanctioned'} funds
+                        </p>
+                      </div>
+                    ) : (
+                      <p className="text-xs text-green-600 mt-3">Reported for {scheme.metrics.period}</p>
+                    )}
                   </div>
                 </div>
-              </div>
+              ) : (
+                <div className="bg-gray-50 border border-dashed border-gray-300 rounded-lg p-4 mb-6 text-center">
+                  <p className="text-sm font-medium text-gray-600">No official metrics available</p>
+                  <p className="text-xs text-gray-500 mt-1">Beneficiary and fund figures appear once an official release is imported.</p>
+                </div>
+              )}
 
               {/* Meta Info */}
               <div className="flex items-center justify-between text-sm text-gray-500 mb-4">
@@ -324,10 +376,12 @@ const Schemes: React.FC = () => {
                     <Calendar className="w-4 h-4" />
                     <span>Launched {scheme.launchYear}</span>
                   </div>
-                  <div className="flex items-center space-x-1">
-                    <MapPin className="w-4 h-4" />
-                    <span>{scheme.regionStats.length} States</span>
-                  </div>
+                  {scheme.metrics && scheme.metrics.statesReported > 0 && (
+                    <div className="flex items-center space-x-1">
+                      <MapPin className="w-4 h-4" />
+                      <span>{scheme.metrics.statesReported} States reported</span>
+                    </div>
+                  )}
                 </div>
                 <span>Updated {new Date(scheme.lastUpdated).toLocaleDateString('en-IN')}</span>
               </div>
@@ -1,4 +1,6 @@
 // Backend World Bank Service - connects to your local backend API
+import { io, Socket } from 'socket.io-client';
+
 export interface BackendWorldBankData {
   country: {
     code: string;
@@ -54,10 +56,80 @@ export interface ProcessedCountryData {
   }[];
 }
 
+// One group and year of GET /api/worldbank/aggregates
+export interface WorldBankAggregate {
+  group: { type: 'region' | 'incomeLevel' | 'custom'; code: string; name: string };
+  year: number;
+  sum: number | null;
+  mean: number | null;
+  median: number | null;
+  weightedMean: number | null;
+  coverage: {
+    members: number;
+    reporting: number;
+    share: number;
+    populationWeighted: number;
+    missing: string[];
+  };
+}
+
+export interface WorldBankAggregateResponse {
+  success: boolean;
+  indicator: { code: string; name: string; subcategory: string | null; unit: string | null };
+  groupBy: 'region' | 'incomeLevel' | 'custom';
+  years: number[];
+  data: WorldBankAggregate[];
+  timestamp: string;
+}
+
+// Progress of a background refresh, as sent with the worldbank-refresh-* socket events
+export interface WorldBankRefreshProgress {
+  jobId: string;
+  stage: 'countries' | 'indicators' | 'done';
+  totalIndicators: number;
+  completedIndicators: number;
+  percentage: number;
+  currentIndicator?: string | null;
+  currentCountries?: string[];
+  processed: number;
+  saved: number;
+  updated: number;
+  skipped: number;
+  errors: number;
+  etaSeconds: number | null;
+  message?: string;
+  error?: string;
+}
+
+export type WorldBankRefreshEvent = 'started' | 'progress' | 'completed' | 'error';
+
+export interface WorldBankRefreshJob {
+  _id: string;
+  state: 'running' | 'succeeded' | 'failed';
+  progress: Omit<WorldBankRefreshProgress, 'jobId'>;
+  error?: string;
+  startedAt: string;
+  finishedAt?: string;
+}
+
+// A saved country list: system groups (G20, BRICS, SAARC, ASEAN) and the signed-in user's own
+export interface CountryGroup {
+  _id: string;
+  key?: string;
+  name: string;
+  description?: string;
+  countries: string[];
+  system: boolean;
+  owner?: string;
+}
+
+const REFRESH_EVENTS: WorldBankRefreshEvent[] = ['started', 'progress', 'completed', 'error'];
+
 class BackendWorldBankService {
   private baseUrl = 'http://localhost:9000/api/worldbank';
   private cache = new Map<string, { data: any; timestamp: number }>();
   private cacheTimeout = 5 * 60 * 1000; // 5 minutes cache
+  private socket: Socket | null = null;
 
   private getFromCache(key: string): any | null {
     const cached = this.cache.get(key);
@@ -255,7 +327,7 @@ class BackendWorldBankService {
               trends.push({
                 year,
                 gdp: yearData.find(item => item.indicator.code === 'NY.GDP.MKTP.CD')?.value || 0,
-                gdpGrowth: yearData.find(item => item.indicator.code === 'NY.GDP.MKTP.KD.ZG')?.value || 0,
+                gdpGrowth: yearData.find(item => item.indicator.code === 'DERIVED.GDP.GROWTH')?.value || 0,
                 inflation: yearData.find(item => item.indicator.code === 'FP.CPI.TOTL.ZG')?.value || 0,
                 population: yearData.find(item => item.indicator.code === 'SP.POP.TOTL')?.value || 0
               });
@@ -271,7 +343,7 @@ class BackendWorldBankService {
           population: getLatestValue('SP.POP.TOTL'),
           gdp: getLatestValue('NY.GDP.MKTP.CD'),
           gdpPerCapita: getLatestValue('NY.GDP.PCAP.CD'),
-          gdpGrowth: getLatestValue('NY.GDP.MKTP.KD.ZG'),
+          gdpGrowth: getLatestValue('DERIVED.GDP.GROWTH'),
           inflation: getLatestValue('FP.CPI.TOTL.ZG'),
           unemployment: getLatestValue('SL.UEM.TOTL.ZS'),
           exports: getLatestValue('NE.EXP.GNFS.CD'),
@@ -337,7 +409,7 @@ class BackendWorldBankService {
       for (const countryCode of countryCodes) {
         const [gdpData, growthData] = await Promise.all([
           this.getGDPData({ country: countryCode, startYear: 2000, endYear: 2023 }),
-          this.fetchFromBackend('/gdp', { country: countryCode, startYear: 2000, endYear: 2023 })
+          this.fetchFromBackend('/data', { indicators: 'gdp-growth', countries: countryCode, startYear: 2000, endYear: 2023 })
         ]);
 
         const trends: { year: number; gdp: number; growth: number }[] = [];
@@ -353,7 +425,7 @@ class BackendWorldBankService {
         });
 
         growthData.data.forEach(item => {
-          if (item.indicator.code === 'NY.GDP.MKTP.KD.ZG') {
+          if (item.indicator.code === 'DERIVED.GDP.GROWTH') {
             growthByYear.set(item.year, item.value);
           }
         });
@@ -378,30 +450,131 @@ class BackendWorldBankService {
     }
   }
 
-  // Refresh backend data
-  async refreshData(): Promise<boolean> {
+  // Sum, mean, median and population-weighted mean of one indicator per region, income level or custom group
+  async getAggregates(params: {
+    indicator: string;
+    groupBy?: 'region' | 'incomeLevel' | 'custom';
+    groups?: string;
+    countries?: string;
+    group?: string;
+    year?: string;
+    startYear?: string;
+    endYear?: string;
+  }): Promise<WorldBankAggregateResponse> {
+    const url = `${this.baseUrl}/aggregates?${new URLSearchParams(params)}`;
+
+    const cached = this.getFromCache(url);
+    if (cached) return cached;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Backend API error: ${response.status} - ${response.statusText}`);
+    }
+
+    const data: WorldBankAggregateResponse = await response.json();
+    this.setCache(url, data);
+    return data;
+  }
+
+  // Start a background refresh of the backend data; resolves to the refresh job id
+  // Progress arrives through onRefreshEvent; an already running refresh is joined rather than restarted
+  async refreshData(options: { full?: boolean } = {}): Promise<string | null> {
     try {
       const response = await fetch(`${this.baseUrl}/refresh`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
-        }
+        },
+        body: JSON.stringify(options)
       });
 
       if (!response.ok) {
         throw new Error(`Refresh failed: ${response.status}`);
       }
 
-      // Clear cache after refresh
-      this.cache.clear();
-      console.log('✅ Backend data refreshed successfully');
-      return true;
+      const result: { success: boolean; jobId: string; alreadyRunning: boolean } = await response.json();
+      console.log(`🔄 Backend refresh ${result.alreadyRunning ? 'already running' : 'started'}: job ${result.jobId}`);
+      return result.jobId;
     } catch (error) {
       console.error('Error refreshing backend data:', error);
-      return false;
+      return null;
+    }
+  }
+
+  // Most recently started refresh job, to pick up a refresh that is still running
+  async getLatestRefreshJob(): Promise<WorldBankRefreshJob | null> {
+    try {
+      const response = await fetch(`${this.baseUrl}/refresh/latest`);
+      if (!response.ok) return null;
+
+      const result: { success: boolean; data: WorldBankRefreshJob } = await response.json();
+      return result.data;
+    } catch (error) {
+      console.error('Error fetching refresh job:', error);
+      return null;
+    }
+  }
+
+  // Listen to refresh progress over socket.io; returns a function that stops listening
+  onRefreshEvent(listener: (event: WorldBankRefreshEvent, progress: WorldBankRefreshProgress) => void): () => void {
+    if (!this.socket) {
+      this.socket = io(new URL(this.baseUrl).origin);
+    }
+    const socket = this.socket;
+
+    const handlers = REFRESH_EVENTS.map(event => {
+      const handler = (progress: WorldBankRefreshProgress) => {
+        // Cached responses predate the refreshed data
+        if (event === 'completed') this.cache.clear();
+        listener(event, progress);
+      };
+      socket.on(`worldbank-refresh-${event}`, handler);
+      return { event, handler };
+    });
+
+    return () => {
+      handlers.forEach(({ event, handler }) => socket.off(`worldbank-refresh-${event}`, handler));
+    };
+  }
+
+  // Country groups are per user, so requests carry the auth token when there is one
+  private authHeaders(): Record<string, string> {
+    const token = localStorage.getItem('auth_token');
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  private async fetchGroups<T>(path = '', init: RequestInit = {}): Promise<T> {
+    const response = await fetch(`${this.baseUrl}/groups${path}`, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', ...this.authHeaders(), ...init.headers }
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.message || `Country group request failed: ${response.status}`);
+    }
+    return result.data;
+  }
+
+  // System groups first, then the user's own
+  async getCountryGroups(): Promise<CountryGroup[]> {
+    try {
+      return await this.fetchGroups<CountryGroup[]>();
+    } catch (error) {
+      console.error('Error fetching country groups:', error);
+      return [];
     }
   }
 
+  // Save a group for the signed-in user
+  async createCountryGroup(group: { name: string; countries: string[]; description?: string }): Promise<CountryGroup> {
+    return this.fetchGroups<CountryGroup>('', { method: 'POST', body: JSON.stringify(group) });
+  }
+
+  async deleteCountryGroup(id: string): Promise<void> {
+    await this.fetchGroups<CountryGroup>(`/${id}`, { method: 'DELETE' });
+  }
+
   // Export data
   async exportData(data: ProcessedCountryData[], format: 'csv' | 'json' = 'csv'): Promise<string> {
     if (format === 'json') {
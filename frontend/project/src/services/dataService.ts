@@ -1,5 +1,5 @@
 import { mockCountries, CountryData } from '../data/mockGlobalData';
-import { BackendScheme, FrontendScheme, convertSchemesArray } from './schemeAdapter';
+import { BackendScheme, FrontendScheme, MinistrySummary, SchemeMetricsDetail, FieldProvenance, convertSchemesArray } from './schemeAdapter';
 import { worldBankService, ProcessedCountryData } from './worldBankService';
 import { backendWorldBankService } from './backendWorldBankService';
 
@@ -234,6 +234,48 @@ export class DataService {
     }
   }
 
+  // Imported official metrics of a scheme, or null when none have been imported
+  async fetchSchemeMetrics(schemeId: string): Promise<SchemeMetricsDetail | null> {
+    try {
+      const response = await this.authenticatedFetch(`${API_BASE_URL}/api/myscheme/${schemeId}/metrics`);
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+      const result: { success: boolean; hasMetrics: boolean; data: SchemeMetricsDetail | null } = await response.json();
+      return result.hasMetrics ? result.data : null;
+    } catch (error) {
+      console.error('Error fetching scheme metrics:', error);
+      throw error;
+    }
+  }
+
+  // Source, source URL and observation time of each field value of a scheme
+  async fetchSchemeProvenance(schemeId: string): Promise<FieldProvenance[]> {
+    try {
+      const response = await this.authenticatedFetch(`${API_BASE_URL}/api/schemes/entities/${schemeId}`);
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+      const result: { success: boolean; data: { provenance: FieldProvenance[] } } = await response.json();
+      return result.data.provenance;
+    } catch (error) {
+      console.error('Error fetching scheme provenance:', error);
+      throw error;
+    }
+  }
+
+  // Canonical ministries that have at least one scheme, for filter dropdowns
+  async fetchMinistries(): Promise<MinistrySummary[]> {
+    try {
+      const response = await this.authenticatedFetch(`${API_BASE_URL}/api/ministries?withSchemes=true`);
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+      const result: { success: boolean; data: MinistrySummary[] } = await response.json();
+      return result.data;
+    } catch (error) {
+      console.error('Error fetching ministries:', error);
+      throw error;
+    }
+  }
+
   async triggerScraping(options: { saveToDb?: boolean; notifyClients?: boolean } = {}): Promise<void> {
     try {
       const response = await this.authenticatedFetch(`${API_BASE_URL}/api/myscheme/scrape`, {
@@ -329,10 +371,10 @@ export class DataService {
       this.isLoadingWorldBankData = true;
       console.log('🔄 Fetching World Bank data from backend with filters:', filters);
       
-      // If force refresh, refresh backend data first
+      // Force refresh reloads from the backend instead of the cache; refreshing the backend itself
+      // runs as a background job, see backendWorldBankService.refreshData
       if (forceRefresh) {
-        console.log('🔄 Refreshing backend data...');
-        await backendWorldBankService.refreshData();
+        backendWorldBankService.clearCache();
       }
 
       // Determine countries to fetch
@@ -4,7 +4,9 @@
 export interface BackendScheme {
   _id: string;
   name: string;
-  ministry: string;
+  ministry?: string;
+  ministryRef?: string | null;
+  department?: string;
   description: string;
   sector: string;
   targetAudience: string;
@@ -17,6 +19,94 @@ export interface BackendScheme {
   scrapedAt: string;
   createdAt: string;
   updatedAt: string;
+  eligibilityRules?: BackendEligibilityRules;
+  metrics?: SchemeMetricsSummary | null;
+  quality?: SchemeQuality;
+}
+
+// Entry of the canonical ministry registry with the number of schemes it runs
+export interface MinistrySummary {
+  _id: string;
+  name: string;
+  shortName?: string;
+  kind: 'ministry' | 'department' | 'organisation';
+  schemeCount: number;
+  departments: { _id: string; name: string; shortName?: string; schemeCount: number }[];
+}
+
+// Figures of one reporting period from an imported official release (amounts in rupees)
+export interface SchemeMetricsSummary {
+  period: string;
+  periodType: 'month' | 'financial-year' | 'year';
+  periodStart: string;
+  statesReported: number;
+  beneficiaries: number | null;
+  sanctioned: number | null;
+  released: number | null;
+  utilised: number | null;
+}
+
+export interface SchemeStateMetrics {
+  state: string;
+  period: string;
+  beneficiaries: number | null;
+  sanctioned: number | null;
+  released: number | null;
+  utilised: number | null;
+}
+
+// Full metrics of a scheme as served by GET /api/myscheme/:id/metrics
+export interface SchemeMetricsDetail {
+  periodType: SchemeMetricsSummary['periodType'];
+  availablePeriodTypes: SchemeMetricsSummary['periodType'][];
+  latest: SchemeMetricsSummary;
+  timeSeries: SchemeMetricsSummary[];
+  byState: SchemeStateMetrics[];
+  sources: string[];
+  lastImportedAt: string;
+}
+
+// Data quality score of a scheme (0-100), recomputed daily by the backend; see GET /api/quality/summary
+export interface SchemeQuality {
+  score: number;
+  band: 'good' | 'fair' | 'poor';
+  components: {
+    completeness: number;
+    freshness: number;
+    sourceReliability: number;
+    links: number;
+    consistency: number;
+  };
+  issues: { type: string; message: string; fields?: string[]; urls?: string[] }[];
+  scoredAt: string;
+}
+
+// One source's value of a scheme field
+export interface FieldObservation {
+  value: unknown;
+  source: string;
+  sourceUrl: string | null;
+  observedAt: string | null;
+}
+
+// Where a field's shown value came from, and what other sources reported, as served by GET /api/schemes/entities/:id
+export interface FieldProvenance extends FieldObservation {
+  field: string;
+  alternatives: FieldObservation[];
+}
+
+// Structured eligibility rules (extracted from scheme text, confirmed by moderators)
+export interface BackendEligibilityRules {
+  ageMin?: number;
+  ageMax?: number;
+  incomeMax?: number;
+  genders?: string[];
+  casteCategories?: string[];
+  occupations?: string[];
+  states?: string[];
+  residence?: string[];
+  disabilityRequired?: boolean;
+  status: 'extracted' | 'confirmed';
 }
 
 // Frontend scheme interface (for UI compatibility)
@@ -28,10 +118,10 @@ export interface FrontendScheme {
   launchYear: number;
   status: 'Active' | 'Inactive' | 'Under Review';
   sector: string;
-  beneficiaries: number;
-  targetBeneficiaries: number;
-  budget: number;
-  budgetUtilized: number;
+  // Latest imported official figures, null when no release has been imported for the scheme
+  metrics: SchemeMetricsSummary | null;
+  // Null until the scheme has been scored
+  quality: SchemeQuality | null;
   eligibility: {
     age?: string;
     income?: string;
@@ -43,16 +133,6 @@ export interface FrontendScheme {
   description: string;
   officialLink: string;
   lastUpdated: string;
-  regionStats: {
-    state: string;
-    beneficiaries: number;
-    budget: number;
-  }[];
-  progressData: {
-    month: string;
-    beneficiaries: number;
-    budget: number;
-  }[];
   // Additional backend fields
   schemeId: string;
   source: string;
@@ -60,43 +140,6 @@ export interface FrontendScheme {
   scrapedAt: string;
 }
 
-// Generate consistent mock data based on scheme characteristics
-const generateConsistentBeneficiaries = (scheme: BackendScheme, seed: number): number => {
-  // Base beneficiaries on sector and level
-  let baseBeneficiaries = 1000000; // 1M base
-  
-  // Adjust based on sector
-  if (scheme.sector.toLowerCase().includes('health')) baseBeneficiaries *= 5;
-  else if (scheme.sector.toLowerCase().includes('education')) baseBeneficiaries *= 3;
-  else if (scheme.sector.toLowerCase().includes('agriculture')) baseBeneficiaries *= 4;
-  else if (scheme.sector.toLowerCase().includes('employment')) baseBeneficiaries *= 2;
-  
-  // Adjust based on level
-  if (scheme.level === 'Central') baseBeneficiaries *= 2;
-  
-  // Add consistent variation based on seed
-  const variation = (seed % 1000) / 1000; // 0-1
-  return Math.floor(baseBeneficiaries * (0.5 + variation));
-};
-
-const generateConsistentBudget = (scheme: BackendScheme, seed: number): number => {
-  // Base budget on sector and level
-  let baseBudget = 10000000000; // 10B base
-  
-  // Adjust based on sector
-  if (scheme.sector.toLowerCase().includes('health')) baseBudget *= 3;
-  else if (scheme.sector.toLowerCase().includes('infrastructure')) baseBudget *= 5;
-  else if (scheme.sector.toLowerCase().includes('agriculture')) baseBudget *= 2;
-  else if (scheme.sector.toLowerCase().includes('education')) baseBudget *= 2.5;
-  
-  // Adjust based on level
-  if (scheme.level === 'Central') baseBudget *= 3;
-  
-  // Add consistent variation based on seed
-  const variation = (seed % 1000) / 1000; // 0-1
-  return Math.floor(baseBudget * (0.3 + variation * 1.5));
-};
-
 const extractLaunchYear = (scheme: BackendScheme): number => {
   // Try to extract year from creation date or use a reasonable default
   const createdYear = new Date(scheme.createdAt).getFullYear();
@@ -125,67 +168,39 @@ const processSectorData = (sectorString: string): string => {
   return filteredSectors[0] || sectors[0] || 'General';
 };
 
-const generateConsistentRegionStats = (scheme: BackendScheme, seed: number) => {
-  const states = ['Uttar Pradesh', 'Maharashtra', 'West Bengal', 'Bihar', 'Madhya Pradesh'];
-  
-  // If it's a state-level scheme, focus on that state
-  if (scheme.level === 'State' && scheme.beneficiaryState !== 'All') {
-    return [{
-      state: scheme.beneficiaryState,
-      beneficiaries: Math.floor((seed % 5000000) + 1000000),
-      budget: Math.floor((seed % 20000000000) + 5000000000)
-    }];
-  }
-  
-  // For central schemes, distribute across states
-  return states.map((state, index) => ({
-    state,
-    beneficiaries: Math.floor(((seed + index * 1000) % 5000000) + 500000),
-    budget: Math.floor(((seed + index * 10000) % 20000000000) + 2000000000)
-  }));
-};
+// Describe structured eligibility rules in the short text form the UI shows
+const formatEligibilityRules = (rules?: BackendEligibilityRules): Pick<FrontendScheme['eligibility'], 'age' | 'income' | 'gender'> => {
+  if (!rules) return {};
 
-const generateConsistentProgressData = (scheme: BackendScheme, seed: number) => {
-  const months = ['Jan 2024', 'Feb 2024', 'Mar 2024', 'Apr 2024', 'May 2024', 'Jun 2024'];
-  let baseBeneficiaries = Math.floor((seed % 5000000) + 2000000);
-  let baseBudget = Math.floor((seed % 30000000000) + 10000000000);
-  
-  return months.map((month, index) => {
-    // Show progressive growth
-    const growthFactor = 1 + (index * 0.05); // 5% growth per month
-    return {
-      month,
-      beneficiaries: Math.floor(baseBeneficiaries * growthFactor),
-      budget: Math.floor(baseBudget * growthFactor)
-    };
-  });
+  let age: string | undefined;
+  if (rules.ageMin != null && rules.ageMax != null) age = `${rules.ageMin}-${rules.ageMax} years`;
+  else if (rules.ageMin != null) age = `${rules.ageMin}+ years`;
+  else if (rules.ageMax != null) age = `Up to ${rules.ageMax} years`;
+
+  return {
+    age,
+    income: rules.incomeMax != null ? `Up to ₹${rules.incomeMax.toLocaleString('en-IN')} per year` : undefined,
+    gender: rules.genders && rules.genders.length > 0 ? rules.genders.join(', ') : undefined
+  };
 };
 
 // Convert backend scheme to frontend scheme format
 export const convertBackendToFrontend = (backendScheme: BackendScheme): FrontendScheme => {
-  // Use scheme ID as a seed for consistent mock data generation
-  const seed = backendScheme.schemeId ? parseInt(backendScheme.schemeId.slice(-4), 16) || 1000 : 1000;
-  
-  // Generate consistent mock data based on scheme characteristics
-  const mockBeneficiaries = generateConsistentBeneficiaries(backendScheme, seed);
-  const mockBudget = generateConsistentBudget(backendScheme, seed);
-  
   // Extract launch year from scheme ID or creation date
   const launchYear = extractLaunchYear(backendScheme);
   
   return {
     id: backendScheme._id,
     name: backendScheme.name,
-    ministry: backendScheme.ministry,
+    ministry: backendScheme.ministry || 'Ministry not specified',
     objective: backendScheme.description,
     launchYear: launchYear,
     status: backendScheme.isActive ? 'Active' : 'Inactive',
     sector: processSectorData(backendScheme.sector),
-    beneficiaries: mockBeneficiaries,
-    targetBeneficiaries: Math.floor(mockBeneficiaries * 1.2),
-    budget: mockBudget,
-    budgetUtilized: Math.floor(mockBudget * (0.6 + (seed % 30) / 100)), // 60-90% utilization
+    metrics: backendScheme.metrics ?? null,
+    quality: backendScheme.quality?.score != null ? backendScheme.quality : null,
     eligibility: {
+      ...formatEligibilityRules(backendScheme.eligibilityRules),
       category: backendScheme.targetAudience,
       location: backendScheme.level === 'Central' ? 'All states' : backendScheme.beneficiaryState,
       level: backendScheme.level
@@ -193,8 +208,6 @@ export const convertBackendToFrontend = (backendScheme: BackendScheme): Frontend
     description: backendScheme.description,
     officialLink: backendScheme.sourceUrl,
     lastUpdated: backendScheme.updatedAt,
-    regionStats: generateConsistentRegionStats(backendScheme, seed),
-    progressData: generateConsistentProgressData(backendScheme, seed),
     // Additional backend-specific fields
     schemeId: backendScheme.schemeId,
     source: backendScheme.source,